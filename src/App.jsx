@@ -1,165 +1,350 @@
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import {
   Dumbbell, UtensilsCrossed, Volume2, Download, Moon, Sun, Sparkles,
-  RefreshCw, Camera, Loader2, X, Quote, Save, ChevronDown, ChevronUp, Play, Pause
+  RefreshCw, Camera, Loader2, X, Quote, Save, ChevronDown, ChevronUp, Play, Pause, AlertTriangle,
+  PlayCircle, ArrowLeft, Shuffle, Repeat, WifiOff, Smartphone, RotateCw, Headphones, Info
 } from "lucide-react";
-import { GoogleGenAI } from "@google/genai";
 import { motion, AnimatePresence } from "framer-motion";
 import jsPDF from "jspdf";
-
-/* ===========================
-   Reusable UI
-=========================== */
-const Card = React.memo(({ children, darkMode, className = "" }) => (
-  <motion.div
-    initial={{ opacity: 0, y: 14 }}
-    animate={{ opacity: 1, y: 0 }}
-    transition={{ duration: 0.3 }}
-    className={`rounded-2xl shadow-lg p-6 ${
-      darkMode ? "bg-gray-800 text-white" : "bg-white text-gray-900"
-    } ${className}`}
-  >
-    {children}
-  </motion.div>
-));
-
-const Input = React.memo(({ label, name, value, onChange, type = "text", darkMode, placeholder }) => (
-  <div>
-    <label className="block text-sm mb-1 font-medium">{label}</label>
-    <input
-      name={name}
-      value={value}
-      onChange={onChange}
-      type={type}
-      placeholder={placeholder}
-      className={`w-full px-4 py-2 rounded-lg border ${
-        darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"
-      } focus:ring-2 focus:ring-purple-500 focus:outline-none transition`}
-    />
-  </div>
-));
-
-const Select = React.memo(({ label, name, value, onChange, options, darkMode }) => (
-  <div>
-    <label className="block text-sm mb-1 font-medium">{label}</label>
-    <select
-      name={name}
-      value={value}
-      onChange={onChange}
-      className={`w-full px-4 py-2 rounded-lg border ${
-        darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"
-      } focus:ring-2 focus:ring-purple-500 focus:outline-none transition`}
-    >
-      {options.map((opt) => (
-        <option key={opt.value} value={opt.value}>
-          {opt.label}
-        </option>
-      ))}
-    </select>
-  </div>
-));
+import { Card, Input } from "./components/ui";
+import { validatePlan, formatErrors } from "./lib/planSchema";
+import { generateValidatedPlan, PlanGenerationError } from "./lib/planGenerator";
+import { loadHistory, saveSession, deleteSession } from "./lib/workoutSession";
+import { createSpeaker, stopSpeech, isSpeaking } from "./lib/tts";
+import { canRecognize, createRecognizer } from "./lib/speech";
+import { parseAlternatives, confirmation, SESSION_COMMANDS, SILENCING_COMMANDS } from "./lib/voiceCommands";
+import { createGuide } from "./lib/audioGuide";
+import { dayScript, workoutOverviewScript, dietScript } from "./lib/audioScripts";
+import WorkoutSession from "./components/WorkoutSession";
+import WorkoutHistory from "./components/WorkoutHistory";
+import ProgressDashboard from "./components/ProgressDashboard";
+import { loadEntries, addEntry, deleteEntry, weekStart } from "./lib/progress";
+import { programOf, programWeekOn, weekPlan, programPrompt } from "./lib/periodization";
+import { withDefaults, buildSchedule, toCalendarEvents } from "./lib/schedule";
+import { buildIcs } from "./lib/ics";
+import { downloadFile } from "./lib/download";
+import { buildPlanReport, reportFilename } from "./lib/pdfReport";
+import { exportPlan, parseImport, EXPORT_TYPES } from "./lib/planExport";
+import {
+  notificationPermission, requestNotificationPermission, upcomingReminders, scheduleReminders, REMINDER_HORIZON_HOURS,
+} from "./lib/reminders";
+import { computeTargets, targetsPrompt } from "./lib/nutrition";
+import { exercisePrompt, fitPlan, matchExercise } from "./lib/exerciseLibrary";
+import { draftFromInputs, trainingPrompt } from "./lib/onboarding";
+import { groceryState, groceryText, groceryCsv, groceryFilename } from "./lib/grocery";
+import { analyzeFoodPhoto, loadDiary, addDiaryEntry, deleteDiaryEntry } from "./lib/foodLog";
+import { screenInputs, screenPlan, safeProfile, safetyPrompt, dietErrors, issueKey, acknowledgement, needsAcknowledgement } from "./lib/safety";
+import NutritionTargets, { DayTotals } from "./components/NutritionTargets";
+import { normalizeMealItem, itemLabel, itemMacroText, sumItems, dayTotals } from "./lib/meals";
+import {
+  DEFAULT_FORM, defaultPlanName, ensureProfiles, loadProfiles, createProfile, updateProfile, deleteProfile,
+  getActiveProfileId, setActiveProfileId, loadLibrary, savePlan, updatePlanEntry, renamePlan, duplicatePlan, archivePlan,
+  deletePlan,
+  revisePlan, restoreRevision, undoLastEdit,
+} from "./lib/profiles";
+import { settings } from "./lib/storage";
+import { loadChat, saveChat } from "./lib/coach";
+import { applyPatch, describeOp } from "./lib/planPatch";
+import { createProvider, missingConfig, pickAiConfig, needsNetwork } from "./lib/aiProvider";
+import { isOnline, onConnectivityChange, isNetworkError, queuedRequests, enqueueRequest, removeRequest, replayQueue } from "./lib/offlineQueue";
+import {
+  imageItemKey, indexEntries, storeImage, touchImage, loadImageData, loadPreferred, loadPreferredImages,
+  deleteImage, toggleFavorite, clearImageCache,
+} from "./lib/imageCache";
+import { createImageQueue, isActive } from "./lib/imageJobs";
+import { canInstall, onInstallAvailable, promptInstall, updateReady, onUpdateReady, applyUpdate } from "./lib/pwa";
+import { regenerateDay, swapExercise, replaceMealItem } from "./lib/targetedRegen";
+import ProfileBar from "./components/ProfileBar";
+import CoachChat from "./components/CoachChat";
+import PlanRevisions from "./components/PlanRevisions";
+import AiSettings from "./components/AiSettings";
+import ProgramWeek from "./components/ProgramWeek";
+import TrainingCalendar from "./components/TrainingCalendar";
+import PlanLibrary from "./components/PlanLibrary";
+import OfflineBanner from "./components/OfflineBanner";
+import ImageGallery from "./components/ImageGallery";
+import ExerciseLibrary from "./components/ExerciseLibrary";
+import SafetyBanner, { SafetyGate, IssueBadge } from "./components/SafetyBanner";
+import OnboardingWizard from "./components/OnboardingWizard";
+import GroceryList from "./components/GroceryList";
+import FoodLog from "./components/FoodLog";
+import ImageJobs from "./components/ImageJobs";
+import AudioGuide from "./components/AudioGuide";
+import VoiceSettings from "./components/VoiceSettings";
+import VoiceControl from "./components/VoiceControl";
 
 /* ===========================
    App
 =========================== */
 export default function App() {
   /* Theme & App State */
-  const [darkMode, setDarkMode] = useState(localStorage.getItem("theme") === "dark");
+  const [darkMode, setDarkMode] = useState(settings.get("theme") === "dark");
   const [loading, setLoading] = useState(false);
-  const [imageLoading, setImageLoading] = useState(false);
-  const [ttsLoading, setTtsLoading] = useState(false);
 
-  const [plan, setPlan] = useState(() => {
-    try {
-      const cached = localStorage.getItem("fitness_plan");
-      return cached ? JSON.parse(cached) : null;
-    } catch { return null; }
-  });
+  /* Profiles & plan library */
+  const [profiles, setProfiles] = useState(ensureProfiles);
+  const [profileId, setProfileId] = useState(getActiveProfileId);
+  const [library, setLibrary] = useState(loadLibrary);
+  const activeProfile = profiles.find((p) => p.id === profileId) || profiles[0];
+  const planEntries = library.filter((e) => e.profileId === profileId);
+  const activeEntry = planEntries.find((e) => e.id === activeProfile?.activePlanId) || null;
+  // A stored plan in the wrong shape would crash the plan view
+  const plan = activeEntry && validatePlan(activeEntry.plan).length === 0 ? activeEntry.plan : null;
+
+  const [planError, setPlanError] = useState(null); // { message, errors, attempts }
+  const [repairAttempt, setRepairAttempt] = useState(0);
   const [currentStep, setCurrentStep] = useState(plan ? "plan" : "form");
   const [expandedDay, setExpandedDay] = useState(null);
+  const [libraryFocus, setLibraryFocus] = useState(null);
+  const [selectedWeek, setSelectedWeek] = useState(null); // null = the program's current week
   const [expandedMeal, setExpandedMeal] = useState(null);
+  const [activeSession, setActiveSession] = useState(null); // { day, dayIndex, week, deload, startIndex }
+  const [notifyPermission, setNotifyPermission] = useState(notificationPermission);
+  const [regenTarget, setRegenTarget] = useState(null); // e.g. "day:0", "ex:0:2", "meal:lunch:1"
+  const [workoutHistory, setWorkoutHistory] = useState(() => loadHistory(profileId));
+  const [progressEntries, setProgressEntries] = useState(() => loadEntries(profileId));
+  const [foodDiary, setFoodDiary] = useState(() => loadDiary(profileId));
+  const [chatMessages, setChatMessages] = useState(() => loadChat(profileId));
 
-  const [dailyQuote, setDailyQuote] = useState(localStorage.getItem("daily_quote") || "Stay strong and consistent!");
+  const [dailyQuote, setDailyQuote] = useState(settings.get("dailyQuote"));
   const [quoteLoading, setQuoteLoading] = useState(false);
 
-  const [selectedImage, setSelectedImage] = useState(null); // { name, dataUrl }
-  const [apiKey, setApiKey] = useState(localStorage.getItem("gemini_api") || "");
+  const [selectedImage, setSelectedImage] = useState(null); // { key, name, type, dataUrl }
+  const [itemImages, setItemImages] = useState({}); // item key -> image shown for it, also embedded in the PDF
+  const [imageEntries, setImageEntries] = useState(indexEntries); // every stored variant (lib/imageCache.js)
+  const latestRef = useRef({}); // current handlers for the long-lived image queue
+  const [imageConcurrency, setImageConcurrencyState] = useState(() => settings.get("imageConcurrency"));
+  const [imageQueue] = useState(() =>
+    createImageQueue({
+      generate: (job) => latestRef.current.createImage(job),
+      canRun: () => !!latestRef.current.canRunImages,
+      concurrency: settings.get("imageConcurrency"),
+      onChange: (jobs) => setImageJobs(jobs),
+      onDone: (job, image) => job.view && setSelectedImage(image),
+    })
+  );
+  const [imageJobs, setImageJobs] = useState(() => imageQueue.jobs());
+  const [pdfAppendix, setPdfAppendix] = useState(false);
+  const [aiConfig, setAiConfig] = useState(() => pickAiConfig(settings.all()));
+  const aiMissing = missingConfig(aiConfig);
+
+  /* Connectivity, offline queue & install */
+  const [online, setOnline] = useState(isOnline);
+  const [queue, setQueue] = useState(queuedRequests);
+  const [replaying, setReplaying] = useState(null); // queued request being sent
+  const [installable, setInstallable] = useState(canInstall);
+  const [hasUpdate, setHasUpdate] = useState(updateReady);
+  const aiOffline = !online && needsNetwork(aiConfig);
+  const replayRef = useRef(null);
 
   // Optional TTS provider (fallback to browser speech)
-  const [elevenKey, setElevenKey] = useState(localStorage.getItem("eleven_key") || "");
-  const [elevenVoiceId, setElevenVoiceId] = useState(localStorage.getItem("eleven_voice") || "21m00Tcm4TlvDq8ikWAM");
-  const audioRef = useRef(null);
-  const [audioBlobUrl, setAudioBlobUrl] = useState(null);
-  const [isPlaying, setIsPlaying] = useState(false);
-
-  const [formData, setFormData] = useState({
-    name: "",
-    age: "",
-    gender: "male",
-    height: "",
-    weight: "",
-    fitnessGoal: "weight_loss",
-    fitnessLevel: "beginner",
-    workoutLocation: "gym",
-    dietaryPreference: "non_veg",
-    medicalHistory: "",
-    stressLevel: "moderate",
-  });
+  const [elevenKey, setElevenKey] = useState(settings.get("elevenKey"));
+  const [elevenVoiceId, setElevenVoiceId] = useState(settings.get("elevenVoice"));
+  const [voice, setVoice] = useState(() => ({
+    speechVoice: settings.get("speechVoice"),
+    speechRate: settings.get("speechRate"),
+    speechPitch: settings.get("speechPitch"),
+  }));
+  const speaker = useMemo(
+    () =>
+      createSpeaker({
+        elevenKey: elevenKey.trim(),
+        elevenVoice: elevenVoiceId.trim(),
+        voice: voice.speechVoice,
+        rate: voice.speechRate,
+        pitch: voice.speechPitch,
+        online: isOnline,
+      }),
+    [elevenKey, elevenVoiceId, voice]
+  );
+  const speakerRef = useRef(speaker);
+  speakerRef.current = speaker;
+
+  // Guided narration: { title, segments, day?, dayIndex?, week?, deload? }
+  const guideRef = useRef(null);
+  const [guide, setGuide] = useState(null);
+  const [guideState, setGuideState] = useState({ index: 0, status: "idle", waitLeft: null });
+
+  // Hands-free voice commands
+  const recognizerRef = useRef(null);
+  const voiceRef = useRef(null); // current command handler for the long-lived recognizer
+  const [listening, setListening] = useState(false);
+  const [heard, setHeard] = useState(null); // { text, command }
+  const [sessionCommand, setSessionCommand] = useState(null); // forwarded to WorkoutSession
+
+  const [formData, setFormData] = useState(() => ({ ...DEFAULT_FORM, ...activeProfile?.formData }));
+  // Wizard state ({ values, step }, see lib/onboarding.js); formData only changes on submit
+  const [draft, setDraft] = useState(() => activeProfile?.formDraft || draftFromInputs({ ...DEFAULT_FORM, ...activeProfile?.formData }));
 
   /* Effects */
   useEffect(() => {
     document.documentElement.classList.toggle("dark", darkMode);
-    localStorage.setItem("theme", darkMode ? "dark" : "light");
+    settings.set({ theme: darkMode ? "dark" : "light" });
   }, [darkMode]);
 
   useEffect(() => {
     const today = new Date().toLocaleDateString();
-    if (localStorage.getItem("daily_quote_date") !== today && apiKey) {
+    if (settings.get("dailyQuoteDate") !== today && !aiMissing) {
       generateDailyQuote();
     }
-  }, [apiKey]);
+  }, [aiMissing]);
+
+  useEffect(() => onConnectivityChange(setOnline), []);
+  useEffect(() => onInstallAvailable(setInstallable), []);
+  useEffect(() => onUpdateReady(setHasUpdate), []);
 
-  /* Handlers */
-  const onChange = useCallback((e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+  // Stored images stay viewable (and go into the PDF) after a reload or offline
+  useEffect(() => {
+    loadPreferredImages().then((loaded) => {
+      setItemImages((prev) => ({ ...loaded, ...prev }));
+      setImageEntries(indexEntries());
+    });
   }, []);
 
-  const saveKeys = () => {
-    localStorage.setItem("gemini_api", apiKey.trim());
-    localStorage.setItem("eleven_key", elevenKey.trim());
-    localStorage.setItem("eleven_voice", elevenVoiceId.trim());
-    alert("✅ API keys saved locally.");
+  // Requests queued while offline are sent once the connection is back
+  useEffect(() => {
+    if (online) replayRef.current();
+  }, [online]);
+
+  // Image jobs left from the last visit resume, and pick up again after going offline
+  useEffect(() => {
+    imageQueue.start();
+    return () => imageQueue.stop();
+  }, [imageQueue]);
+
+  useEffect(() => {
+    if (online && !aiMissing) imageQueue.start();
+  }, [online, aiMissing, imageQueue]);
+
+  // Each profile keeps its own form inputs and unfinished wizard draft
+  useEffect(() => {
+    if (profileId) setProfiles(updateProfile(profileId, { formData, formDraft: draft }));
+  }, [formData, draft, profileId]);
+
+  /* ============ Profiles & Library ============ */
+  const switchProfile = (id) => {
+    const profile = loadProfiles().find((p) => p.id === id);
+    if (!profile) return;
+    setActiveProfileId(id);
+    setProfileId(id);
+    setFormData({ ...DEFAULT_FORM, ...profile.formData });
+    setDraft(profile.formDraft || draftFromInputs({ ...DEFAULT_FORM, ...profile.formData }));
+    setWorkoutHistory(loadHistory(id));
+    setProgressEntries(loadEntries(id));
+    setFoodDiary(loadDiary(id));
+    setChatMessages(loadChat(id));
+    setExpandedDay(null);
+    setSelectedWeek(null);
+    setExpandedMeal(null);
+    setPlanError(null);
+    setCurrentStep(profile.activePlanId ? "plan" : "form");
   };
 
-  /* Gemini helpers */
-  const getGemini = () => {
-    if (!apiKey) throw new Error("Please enter your Gemini API key first!");
-    return new GoogleGenAI({ apiKey });
+  const addProfile = (name) => {
+    const { profile, profiles: next } = createProfile(name);
+    setProfiles(next);
+    switchProfile(profile.id);
   };
 
+  const removeProfile = (id) => {
+    const next = deleteProfile(id);
+    setProfiles(next);
+    setLibrary(loadLibrary());
+    switchProfile(next[0].id);
+  };
+
+  const openPlan = (id) => {
+    setProfiles(updateProfile(profileId, { activePlanId: id }));
+    setExpandedDay(null);
+    setSelectedWeek(null);
+    setExpandedMeal(null);
+    setCurrentStep(id ? "plan" : "form");
+  };
+
+  const onDuplicatePlan = (id) => {
+    const { library: next } = duplicatePlan(id);
+    setLibrary(next);
+  };
+
+  /* ============ Coach Chat ============ */
+  const updateChat = (messages) => setChatMessages(saveChat(profileId, messages));
+
+  // Accepted coach proposals are written into the stored plan entry
+  const acceptPatch = (patch) => {
+    if (!activeEntry) return;
+    const label = `Coach: ${patch.map((op) => describeOp(plan, op).text).join("; ")}`;
+    setLibrary(revisePlan(activeEntry.id, applyPatch(plan, patch), label));
+  };
+
+  /* ============ AI: Targeted Regeneration ============ */
+  const regenerate = async (target, generator, args) => {
+    if (aiMissing) return alert(aiMissing);
+    if (!activeEntry || regenTarget) return;
+    setRegenTarget(target);
+    try {
+      const { patch, label } = await generator(getAi(), { plan, formData, screening, ...args });
+      setLibrary(revisePlan(activeEntry.id, applyPatch(plan, patch), label));
+    } catch (err) {
+      console.error(err);
+      alert("❌ Regeneration failed: " + err.message);
+    } finally {
+      setRegenTarget(null);
+    }
+  };
+
+  const onDeletePlan = (id) => {
+    setLibrary(deletePlan(id));
+    if (id === activeProfile?.activePlanId) openPlan(null);
+  };
+
+  const saveKeys = () => {
+    settings.set({ ...aiConfig, elevenKey: elevenKey.trim(), elevenVoice: elevenVoiceId.trim() });
+    alert("✅ API settings saved locally.");
+  };
+
+  /* AI provider (Gemini, OpenAI-compatible or mock, see lib/aiProvider.js) */
+  const getAi = () => createProvider(aiConfig);
+
   /* ============ AI: Plan Generation (Text) ============ */
-  const generatePlan = async () => {
-    if (!apiKey) return alert("Enter your Gemini API key first!");
+  // `queued` is set when replaying a request made offline; errors are then
+  // rethrown so the queue can retry.
+  const generatePlan = async ({ inputs = formData, forProfile = profileId, queued = false } = {}) => {
+    if (aiMissing) return alert(aiMissing);
+    const enqueue = () => {
+      setQueue(enqueueRequest({ kind: "plan", profileId: forProfile, label: defaultPlanName(inputs), payload: { formData: inputs } }));
+      alert("📴 You're offline. The plan request is queued and will be generated when you reconnect.");
+    };
+    if (aiOffline && !queued) return enqueue();
     setLoading(true);
+    setPlanError(null);
     try {
-      const ai = getGemini();
+      const ai = getAi();
+      const targets = computeTargets(inputs);
+      const weeks = Number(inputs.programWeeks) || 8;
+      const screening = screenInputs(inputs);
+      const profile = safeProfile(inputs, screening);
       const prompt = `
 You are an expert AI fitness coach. Create a personalized fitness plan based on the following user data:
 
-${JSON.stringify(formData, null, 2)}
+${JSON.stringify(inputs, null, 2)}
+${targets ? targetsPrompt(targets) : ""}
+${programPrompt(weeks)}
+${trainingPrompt(inputs)}
+${exercisePrompt(profile)}
+${safetyPrompt(screening)}
 
 Return ONLY valid JSON with this exact structure (no markdown, no extra text):
 {
   "motivationalQuote": "A powerful motivational quote",
   "workoutPlan": {
     "overview": "Brief overview of the workout philosophy",
+    "program": { "weeks": ${weeks}, "phases": [{ "name": "Phase name", "weeks": 4, "focus": "Phase goal", "volume": "moderate" }], "deloadWeeks": [4] },
     "days": [
       {
         "day": "Day 1",
         "focus": "Chest & Triceps",
         "exercises": [
-          { "name": "Bench Press", "sets": "3", "reps": "12", "rest": "60s" }
+          { "name": "Bench Press", "sets": "3", "reps": "12", "rest": "60s", "progression": "load" }
         ]
       }
     ]
@@ -167,48 +352,69 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
   "dietPlan": {
     "overview": "Diet philosophy and calorie target",
     "meals": {
-      "breakfast": ["Oatmeal with fruits", "Protein shake"],
-      "lunch": ["Grilled chicken breast", "Brown rice", "Vegetables"],
-      "dinner": ["Salmon", "Sweet potato", "Salad"],
-      "snacks": ["Greek yogurt", "Nuts"]
+      "breakfast": [{ "food": "Rolled oats", "quantity": 60, "unit": "g", "kcal": 228, "protein": 8, "carbs": 40, "fat": 4 }],
+      "lunch": [{ "food": "Grilled chicken breast", "quantity": 150, "unit": "g", "kcal": 248, "protein": 46, "carbs": 0, "fat": 5 }],
+      "dinner": [{ "food": "Salmon fillet", "quantity": 1, "unit": "fillet", "kcal": 367, "protein": 40, "carbs": 0, "fat": 22 }],
+      "snacks": [{ "food": "Greek yogurt", "quantity": 170, "unit": "g", "kcal": 100, "protein": 17, "carbs": 6, "fat": 0 }]
     }
   },
   "lifestyleTips": ["Tip 1", "Tip 2", "Tip 3"]
-}`;
-      const res = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: prompt,
+}
+Every meal item MUST be an object with "food" (string), "quantity" (number), "unit" (string, e.g. "g", "ml", "cup", "piece") and numeric "kcal", "protein", "carbs", "fat" (grams) for that quantity.`;
+      const generated = await generateValidatedPlan(ai, prompt, {
+        onAttempt: setRepairAttempt,
+        schema: { requireMealMacros: true, requireProgram: true },
+        check: (json) => dietErrors(json, screening),
       });
-
-      // Response text may or may not be wrapped in codefences
-      const raw = res?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || "";
-      const clean = raw.replace(/^```json\s*|\s*```$/g, "");
-      const json = JSON.parse(clean);
-      setPlan(json);
-      localStorage.setItem("fitness_plan", JSON.stringify(json));
-      setCurrentStep("plan");
+      // Names outside the library and anything the location, level or medical
+      // history rules out are swapped locally
+      const json = fitPlan(generated, profile);
+      // The program starts on the Monday of the week it was generated
+      json.workoutPlan.program.startDate = weekStart(new Date());
+      // Progress lives under its own keys, so a new plan only adds to history
+      if (inputs.weight) {
+        const entries = addEntry({ weight: inputs.weight }, forProfile);
+        if (forProfile === profileId) setProgressEntries(entries);
+      }
+      const stored = targets ? { ...json, nutritionTargets: targets } : json;
+      // Every generation becomes a new library entry; older plans stay available
+      const { entry, library: next } = savePlan({ profileId: forProfile, plan: stored, inputs });
+      setLibrary(next);
+      if (forProfile === profileId) openPlan(entry.id);
     } catch (err) {
       console.error(err);
-      alert("❌ Failed to generate plan: " + err.message);
+      if (queued) throw err;
+      if (isNetworkError(err) && needsNetwork(aiConfig)) return enqueue();
+      setPlanError(
+        err instanceof PlanGenerationError
+          ? { message: err.message, errors: err.errors, attempts: err.attempts }
+          : { message: err.message, errors: [], attempts: 1 }
+      );
     } finally {
       setLoading(false);
+      setRepairAttempt(0);
     }
   };
 
+  // The wizard's review step hands over validated, metric inputs
+  const submitForm = (inputs) => {
+    setFormData(inputs);
+    generatePlan({ inputs });
+  };
+
   /* ============ AI: Daily Quote ============ */
   const generateDailyQuote = async () => {
-    if (!apiKey) return;
+    if (aiMissing || aiOffline) return;
     setQuoteLoading(true);
     try {
-      const ai = getGemini();
-      const res = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: "Give one short motivational fitness quote under 15 words. Return only the quote, no quotation marks.",
+      const ai = getAi();
+      const reply = await ai.text({
+        prompt: "Give one short motivational fitness quote under 15 words. Return only the quote, no quotation marks.",
+        task: "quote",
       });
-      const quote = res?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || "Stay consistent!";
+      const quote = reply || "Stay consistent!";
       setDailyQuote(quote);
-      localStorage.setItem("daily_quote", quote);
-      localStorage.setItem("daily_quote_date", new Date().toLocaleDateString());
+      settings.set({ dailyQuote: quote, dailyQuoteDate: new Date().toLocaleDateString() });
     } catch (err) {
       console.error(err);
     } finally {
@@ -216,139 +422,373 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
     }
   };
 
+  /* ============ AI: Food Photo Diary (Vision) ============ */
+  const analyzePhoto = async ({ image, meal, note }) => {
+    if (aiMissing) throw new Error(aiMissing);
+    if (aiOffline) throw new Error("you're offline. Add the items by hand or try again once you reconnect.");
+    return analyzeFoodPhoto(getAi(), { image, meal, note });
+  };
+
   /* ============ AI: Image Generation ============ */
-  const generateImage = async (name, type = "exercise") => {
-    if (!apiKey) return alert("Enter your Gemini API key first!");
-    setImageLoading(true);
-    try {
-      const ai = getGemini();
-      const basePrompt =
-        type === "exercise"
-          ? `Create a realistic high-quality photo of "${name}" being performed in a modern gym. Dynamic lighting, crisp details, 4k.`
-          : `Create a realistic high-quality food photo of "${name}" plated beautifully, natural light, restaurant style, 4k.`;
-
-      const res = await ai.models.generateContent({
-        model: "gemini-2.5-flash-image",
-        contents: basePrompt,
-      });
+  const imageFor = (type, name) => itemImages[imageItemKey(type, name)];
 
-      let dataUrl = null;
-      for (const part of res?.candidates?.[0]?.content?.parts || []) {
-        if (part.inlineData) {
-          dataUrl = `data:image/png;base64,${part.inlineData.data}`;
-          break;
-        }
-      }
-      if (!dataUrl) throw new Error("No image data returned.");
-      setSelectedImage({ name, dataUrl });
-    } catch (err) {
-      alert("❌ Image generation failed: " + err.message);
-    } finally {
-      setImageLoading(false);
+  // Runs inside the image job queue (lib/imageJobs.js); errors are handled there
+  const createImage = async ({ name, type }) => {
+    const ai = getAi();
+    const basePrompt =
+      type === "exercise"
+        ? `Create a realistic high-quality photo of "${name}" being performed in a modern gym. Dynamic lighting, crisp details, 4k.`
+        : `Create a realistic high-quality food photo of "${name}" plated beautifully, natural light, restaurant style, 4k.`;
+
+    const { entry, dataUrl, evicted } = await storeImage({ name, type, dataUrl: await ai.image({ prompt: basePrompt, task: "image" }) });
+    const image = { key: entry.key, name, type, dataUrl };
+    const entries = indexEntries();
+    // A favorite variant of the same item stays the one shown
+    const shown = entries.find((e) => e.item === entry.item && e.favorite) || entry;
+    setImageEntries(entries);
+    setItemImages((prev) => {
+      const next = Object.fromEntries(Object.entries(prev).filter(([, img]) => !evicted.includes(img.key)));
+      if (shown.key === entry.key) next[entry.item] = image;
+      return next;
+    });
+    return image;
+  };
+  latestRef.current = { createImage, canRunImages: online && !aiMissing };
+
+  // Reuses the stored image for an item unless `fresh` asks for a new variant.
+  // New images are generated in the background and opened when ready.
+  const generateImage = (name, type = "exercise", { queued = false, fresh = false } = {}) => {
+    const stored = !fresh && imageFor(type, name);
+    if (stored) {
+      setImageEntries(touchImage(stored.key));
+      if (!queued) setSelectedImage(stored);
+      return;
+    }
+    if (aiMissing) return alert(aiMissing);
+    if (aiOffline && !queued) {
+      setQueue(enqueueRequest({ kind: "image", profileId, label: name, payload: { name, type } }));
+      return alert("📴 You're offline. The image is queued and will be generated when you reconnect.");
     }
+    imageQueue.add([{ name, type, fresh }], { view: !queued });
+  };
+
+  // Pre-generates every missing image for the given days (and the meals)
+  const illustrate = (days, { meals = false } = {}) => {
+    if (aiMissing) return alert(aiMissing);
+    const items = [
+      ...days.flatMap((d) => d.exercises.map((ex) => ({ name: ex.name, type: "exercise" }))),
+      ...(meals ? Object.values(plan.dietPlan.meals).flat().map((item) => ({ name: normalizeMealItem(item).food, type: "food" })) : []),
+    ].filter((item, i, all) => !imageFor(item.type, item.name) && all.findIndex((o) => imageItemKey(o.type, o.name) === imageItemKey(item.type, item.name)) === i);
+    if (!items.length) return alert("✅ Every item already has an image.");
+    imageQueue.add(items);
+  };
+
+  const imageJobFor = (type, name) => imageJobs.find((j) => isActive(j) && j.type === type && j.name === name);
+
+  const setImageConcurrency = (n) => {
+    imageQueue.setConcurrency(n);
+    setImageConcurrencyState(n);
+    settings.set({ imageConcurrency: n });
   };
 
-  /* ============ Voice (TTS) ============ */
-  const speakSection = async (section) => {
+  // Re-reads the image shown for an item after the gallery changed its variants
+  const refreshItemImage = async (item, entries) => {
+    setImageEntries(entries);
+    const image = await loadPreferred(item);
+    setItemImages((prev) => {
+      const next = { ...prev };
+      if (image) next[item] = image;
+      else delete next[item];
+      return next;
+    });
+  };
+
+  const removeImage = async (key) => {
+    const entry = imageEntries.find((e) => e.key === key);
+    if (selectedImage?.key === key) setSelectedImage(null);
+    if (entry) refreshItemImage(entry.item, await deleteImage(key));
+  };
+
+  const favoriteImage = (key) => {
+    const entry = imageEntries.find((e) => e.key === key);
+    if (entry) refreshItemImage(entry.item, toggleFavorite(key));
+  };
+
+  const clearImages = async () => {
+    setImageEntries(await clearImageCache());
+    setItemImages({});
+  };
+
+  /* ============ Offline Queue ============ */
+  replayRef.current = async () => {
+    if (replaying || !queuedRequests().length || aiMissing) return;
+    const { failed } = await replayQueue(
+      {
+        plan: ({ formData: inputs }, request) => generatePlan({ inputs, forProfile: request.profileId, queued: true }),
+        image: ({ name, type }) => generateImage(name, type, { queued: true }),
+      },
+      { onProgress: setReplaying }
+    );
+    setReplaying(null);
+    setQueue(queuedRequests());
+    if (failed.length) alert(`❌ ${failed.length} queued request(s) failed:\n${failed.map((f) => `- ${f.request.label}: ${f.error.message}`).join("\n")}`);
+  };
+
+  /* ============ Audio coaching ============ */
+  const playGuide = (title, segments, extra = {}) => {
+    guideRef.current?.stop();
+    const next = createGuide({ segments, say: (text) => speakerRef.current.say(text), onChange: setGuideState });
+    guideRef.current = next;
+    setGuide({ title, segments, ...extra });
+    next.play();
+  };
+
+  const stopGuide = () => {
+    guideRef.current?.stop();
+    guideRef.current = null;
+    setGuide(null);
+  };
+
+  useEffect(
+    () => () => {
+      guideRef.current?.stop();
+      recognizerRef.current?.stop();
+      stopSpeech();
+    },
+    []
+  );
+
+  const speakSection = (section) => {
     if (!plan) return;
-    const text =
-      section === "workout"
-        ? plan?.workoutPlan?.overview || "Workout details."
-        : plan?.dietPlan?.overview || "Diet details.";
-
-    // ElevenLabs if configured
-    if (elevenKey) {
-      try {
-        setTtsLoading(true);
-        const res = await fetch(
-          `https://api.elevenlabs.io/v1/text-to-speech/${elevenVoiceId}/stream`,
-          {
-            method: "POST",
-            headers: {
-              "xi-api-key": elevenKey,
-              "Content-Type": "application/json",
-              Accept: "audio/mpeg",
-            },
-            body: JSON.stringify({ text }),
-          }
-        );
-        const blob = await res.blob();
-        const url = URL.createObjectURL(blob);
-        setAudioBlobUrl(url);
-        setTimeout(() => {
-          audioRef.current?.play();
-          setIsPlaying(true);
-        }, 200);
-        return;
-      } catch (e) {
-        console.warn("ElevenLabs failed, using browser speech.", e);
-      } finally {
-        setTtsLoading(false);
+    if (section === "workout") playGuide("Workout overview", workoutOverviewScript(plan));
+    else playGuide("Diet plan", dietScript(plan));
+  };
+
+  const playDayGuide = (day, dayIndex) => {
+    const { week, weeks, deload } = programWeek;
+    playGuide(`${day.day} — ${day.focus}`, dayScript(day, { week: weeks > 1 ? week : null, deload }), { day, dayIndex, week, deload });
+  };
+
+  // Narration moves into the session so two voices never overlap
+  const startSession = ({ day, dayIndex, week, deload }, startIndex = 0) => {
+    stopGuide();
+    setActiveSession({ day, dayIndex, week, deload, startIndex });
+  };
+
+  const updateVoice = (next) => {
+    setVoice(next);
+    settings.set(next);
+  };
+
+  /* ============ Voice commands ============ */
+  const todaysWorkout = () => {
+    const today = calendarEvents.find((e) => e.status === "today");
+    if (!today) return null;
+    const { days, week, deload } = weekPlan(plan, today.week, workoutHistory);
+    return { day: days[today.dayIndex], dayIndex: today.dayIndex, week, deload };
+  };
+
+  const toggleVoice = () => {
+    if (listening) {
+      recognizerRef.current?.stop();
+      return;
+    }
+    recognizerRef.current ||= createRecognizer({
+      onResult: (alternatives) => voiceRef.current(alternatives),
+      onError: (error) => setHeard({ text: `Microphone error: ${error}`, command: null }),
+      onListeningChange: setListening,
+    });
+    setHeard(null);
+    recognizerRef.current?.start();
+  };
+
+  voiceRef.current = (alternatives) => {
+    const command = parseAlternatives(alternatives);
+    setHeard({ text: alternatives[0], command });
+    // While the coach talks, anything but "stop"/"pause" is most likely its own voice
+    if (!command || (isSpeaking() && !SILENCING_COMMANDS.includes(command.type))) return;
+    if (activeSession && SESSION_COMMANDS.includes(command.type)) {
+      setSessionCommand({ ...command, id: Date.now() });
+      return;
+    }
+    // A plan waiting for its safety warnings to be acknowledged isn't read out or started
+    if (safetyGate && ["readDiet", "readWorkout", "startWorkout"].includes(command.type)) {
+      speaker.say("Please read the safety warnings on your plan first.");
+      return;
+    }
+    const guideOn = guideRef.current;
+    switch (command.type) {
+      case "stopListening":
+        recognizerRef.current?.stop();
+        speaker.say(confirmation(command));
+        break;
+      case "readDiet":
+        if (plan) speakSection("diet");
+        else speaker.say("You don't have a plan yet.");
+        break;
+      case "readWorkout": {
+        const today = plan && command.today && todaysWorkout();
+        if (!plan) speaker.say("You don't have a plan yet.");
+        else if (!command.today) speakSection("workout");
+        else if (today) playDayGuide(today.day, today.dayIndex);
+        else speaker.say("There's no workout scheduled for today. Enjoy the rest day.");
+        break;
+      }
+      case "startWorkout": {
+        const today = plan && todaysWorkout();
+        if (today) startSession(today);
+        else if (guide?.day) startSession(guide, guide.segments[guideState.index]?.exerciseIndex || 0);
+        else speaker.say("There's no workout scheduled for today. Open a day and press Start Workout.");
+        break;
       }
+      case "next":
+        guideOn?.next();
+        break;
+      case "previous":
+        guideOn?.previous();
+        break;
+      case "repeat":
+        guideOn?.repeat();
+        break;
+      case "pause":
+        if (guideOn) guideOn.pause();
+        else stopSpeech();
+        break;
+      case "resume":
+        guideOn?.resume();
+        break;
+      case "stop":
+        if (guideOn) stopGuide();
+        else stopSpeech();
+        break;
+      default:
+        speaker.say("Start a workout first.");
     }
+  };
 
-    // Browser speech fallback
-    const utter = new SpeechSynthesisUtterance(text);
-    utter.rate = 1;
-    utter.onend = () => setIsPlaying(false);
-    speechSynthesis.speak(utter);
-    setIsPlaying(true);
+  /* ============ Calendar & Reminders ============ */
+  const updateSchedule = async (patch) => {
+    if (!activeEntry) return;
+    if (patch.reminders?.workouts || patch.reminders?.meals) {
+      const permission = await requestNotificationPermission();
+      setNotifyPermission(permission);
+      if (permission !== "granted") return;
+    }
+    setLibrary(updatePlanEntry(activeEntry.id, { schedule: { ...trainingSchedule, ...patch } }));
+  };
+
+  const exportIcs = () => {
+    if (!plan) return;
+    const events = toCalendarEvents(plan, trainingSchedule, calendarEvents, workoutHistory, activeEntry.id);
+    if (!events.length) return alert("No upcoming sessions to export.");
+    const filename = `${activeEntry.name.replace(/[^\w-]+/g, "_")}.ics`;
+    downloadFile(filename, buildIcs(events, { name: activeEntry.name }), "text/calendar");
+  };
+
+  /* ============ Workout Sessions ============ */
+  const finishSession = (session) => {
+    setWorkoutHistory(saveSession(session, profileId));
+    setActiveSession(null);
   };
 
   /* ============ Export as PDF ============ */
   const exportPDF = () => {
     if (!plan) return;
+    // Stored images under the names used in this plan
+    const planImages = [
+      ...plan.workoutPlan.days.flatMap((d) => d.exercises.map((ex) => ({ name: ex.name, type: "exercise" }))),
+      ...Object.values(plan.dietPlan.meals).flat().map((item) => ({ name: normalizeMealItem(item).food, type: "food" })),
+    ]
+      .map(({ name, type }) => imageFor(type, name) && { name, type, dataUrl: imageFor(type, name).dataUrl })
+      .filter((img, i, all) => img && all.findIndex((o) => o && o.name === img.name && o.type === img.type) === i);
+    const profileName = activeProfile?.name || formData.name;
     const doc = new jsPDF({ unit: "pt", format: "a4" });
-    const margin = 40;
-    let y = margin;
-
-    const addLine = (txt, fontSize = 12, bold = false) => {
-      doc.setFontSize(fontSize);
-      doc.setFont("helvetica", bold ? "bold" : "normal");
-      const lines = doc.splitTextToSize(txt, 515);
-      lines.forEach((line) => {
-        if (y > 780) { doc.addPage(); y = margin; }
-        doc.text(line, margin, y);
-        y += fontSize + 4;
-      });
-      y += 6;
-    };
-
-    addLine("AI FITNESS COACH - PERSONALIZED PLAN", 16, true);
-    addLine(`Generated for: ${formData.name || "Anonymous"}`, 12);
-    addLine(`Date: ${new Date().toLocaleDateString()}`, 12);
-    addLine(" ");
-
-    addLine("MOTIVATIONAL QUOTE", 14, true);
-    addLine(plan.motivationalQuote);
+    buildPlanReport(doc, {
+      plan,
+      title: activeEntry.name,
+      profileName,
+      targets: plan.nutritionTargets || formTargets,
+      images: planImages,
+      appendix: pdfAppendix ? { entries: progressEntries, history: workoutHistory } : null,
+    });
+    doc.save(reportFilename(profileName));
+  };
 
-    addLine("WORKOUT PLAN", 14, true);
-    addLine(plan.workoutPlan.overview);
-    plan.workoutPlan.days.forEach((day) => {
-      addLine(`${day.day} - ${day.focus}`, 12, true);
-      day.exercises.forEach((ex) => {
-        addLine(`• ${ex.name}: ${ex.sets} sets × ${ex.reps} reps (Rest: ${ex.rest})`);
-      });
+  /* ============ Export & Import (JSON, CSV, Markdown, HTML) ============ */
+  const exportAs = (type) => {
+    if (!plan) return;
+    const { extension, mime } = EXPORT_TYPES[type];
+    const content = exportPlan(type, {
+      plan,
+      formData: activeEntry.inputs || formData,
+      name: activeEntry.name,
+      schedule: activeEntry.schedule,
     });
+    downloadFile(reportFilename(activeProfile?.name || formData.name, new Date(), extension), content, mime);
+  };
 
-    addLine("DIET PLAN", 14, true);
-    addLine(plan.dietPlan.overview);
-    const m = plan.dietPlan.meals;
-    const mealBlock = (title, arr) => {
-      addLine(title, 12, true);
-      arr.forEach((i) => addLine(`• ${i}`));
-    };
-    mealBlock("Breakfast", m.breakfast || []);
-    mealBlock("Lunch", m.lunch || []);
-    mealBlock("Dinner", m.dinner || []);
-    mealBlock("Snacks", m.snacks || []);
+  /* ============ Grocery List & Meal Prep ============ */
+  const updateGrocery = (patch) => {
+    if (!activeEntry) return;
+    setLibrary(updatePlanEntry(activeEntry.id, { grocery: { ...groceryState(activeEntry.grocery), ...patch } }));
+  };
 
-    addLine("LIFESTYLE TIPS", 14, true);
-    (plan.lifestyleTips || []).forEach((tip, i) => addLine(`${i + 1}. ${tip}`));
+  const exportGrocery = (format) => {
+    if (!plan) return;
+    const state = groceryState(activeEntry.grocery);
+    const content = format === "csv" ? groceryCsv(plan, state) : groceryText(plan, state);
+    downloadFile(groceryFilename(activeProfile?.name || formData.name, new Date(), format), content, format === "csv" ? "text/csv" : "text/plain");
+  };
 
-    doc.save("AI_Fitness_Plan.pdf");
+  const importPlan = async (file) => {
+    try {
+      const imported = parseImport(await file.text());
+      const { entry, library: next } = savePlan({ profileId, plan: imported.plan, inputs: imported.formData, name: imported.name });
+      setLibrary(imported.schedule ? updatePlanEntry(entry.id, { schedule: imported.schedule }) : next);
+      openPlan(entry.id);
+    } catch (err) {
+      console.error(err);
+      const details = err.errors?.length ? `\n\n${formatErrors(err.errors.slice(0, 8))}` : "";
+      alert(`❌ Import failed: ${err.message}${details}`);
+    }
   };
 
+  const formTargets = computeTargets(formData);
+  const libraryProfile = useMemo(() => safeProfile(formData), [formData]);
+  // A plan is screened against the inputs it was generated from and the
+  // profile's current form, so imported plans are covered too
+  const planInputs = activeEntry?.inputs;
+  const screening = useMemo(() => screenInputs(formData, planInputs), [formData, planInputs]);
+  const safetyIssues = useMemo(() => (plan ? screenPlan(plan, screening) : {}), [plan, screening]);
+  const safetyGate = !!plan && needsAcknowledgement(screening, activeEntry?.safetyAck);
+  const acknowledgeSafety = () => setLibrary(updatePlanEntry(activeEntry.id, { safetyAck: acknowledgement(screening) }));
+  const trainingSchedule = useMemo(() => (plan ? withDefaults(activeEntry.schedule, plan) : null), [plan, activeEntry?.schedule]);
+  const calendarEvents = useMemo(
+    () => (plan ? buildSchedule(plan, trainingSchedule, workoutHistory) : []),
+    [plan, trainingSchedule, workoutHistory]
+  );
+  const program = programOf(plan);
+  const currentWeek = programWeekOn(program && { ...program, startDate: trainingSchedule.startDate });
+
+  // Local reminders for the next day, re-armed halfway through the horizon
+  useEffect(() => {
+    if (!plan || safetyGate || notifyPermission !== "granted") return undefined;
+    if (!trainingSchedule.reminders.workouts && !trainingSchedule.reminders.meals) return undefined;
+    let cancel = () => {};
+    let refresh = null;
+    const arm = () => {
+      cancel();
+      cancel = scheduleReminders(upcomingReminders({ plan, schedule: trainingSchedule, events: calendarEvents }));
+      refresh = setTimeout(arm, (REMINDER_HORIZON_HOURS / 2) * 60 * 60 * 1000);
+    };
+    arm();
+    return () => {
+      cancel();
+      clearTimeout(refresh);
+    };
+  }, [plan, safetyGate, trainingSchedule, calendarEvents, notifyPermission]);
+  const programWeek = plan ? weekPlan(plan, selectedWeek || currentWeek, workoutHistory) : null;
+
   /* ============ UI ============ */
   return (
     <div className={`${darkMode ? "bg-gray-900 text-white" : "bg-gray-50 text-gray-900"} min-h-screen transition-colors`}>
@@ -363,16 +803,47 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
               AI Fitness Coach
             </h1>
           </div>
-          <button
-            onClick={() => setDarkMode(!darkMode)}
-            className={`p-2 rounded-lg ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
-          >
-            {darkMode ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
-          </button>
+          <div className="flex items-center gap-2">
+            {!online && (
+              <span className="px-3 py-1 rounded-full text-sm bg-amber-500 text-white flex items-center gap-1" title="No network connection">
+                <WifiOff className="w-4 h-4" /> Offline{queue.length ? ` • ${queue.length} queued` : ""}
+              </span>
+            )}
+            {hasUpdate && (
+              <button onClick={applyUpdate} className="px-3 py-1 rounded-lg text-sm bg-green-600 hover:bg-green-700 text-white flex items-center gap-1">
+                <RotateCw className="w-4 h-4" /> Update
+              </button>
+            )}
+            {installable && (
+              <button
+                onClick={promptInstall}
+                title="Install the app on this device"
+                className="px-3 py-1 rounded-lg text-sm bg-purple-600 hover:bg-purple-700 text-white flex items-center gap-1"
+              >
+                <Smartphone className="w-4 h-4" /> Install
+              </button>
+            )}
+            {canRecognize() && <VoiceControl listening={listening} heard={heard} darkMode={darkMode} onToggle={toggleVoice} />}
+            <button
+              onClick={() => setDarkMode(!darkMode)}
+              className={`p-2 rounded-lg ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+            >
+              {darkMode ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
+            </button>
+          </div>
         </div>
       </header>
 
       <main className="max-w-5xl mx-auto p-4 space-y-6 pb-20">
+        <OfflineBanner
+          online={online}
+          aiOffline={aiOffline}
+          queue={queue}
+          replaying={replaying}
+          darkMode={darkMode}
+          onRemove={(id) => setQueue(removeRequest(id))}
+        />
+
         {/* Daily Quote */}
         <Card
           darkMode={darkMode}
@@ -384,7 +855,7 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
           </p>
           <button
             onClick={generateDailyQuote}
-            disabled={quoteLoading || !apiKey}
+            disabled={quoteLoading || !!aiMissing || aiOffline}
             className="mt-3 px-4 py-1 bg-white/20 hover:bg-white/30 rounded-lg text-sm transition"
           >
             {quoteLoading ? <Loader2 className="animate-spin inline w-4 h-4" /> : "New Quote"}
@@ -397,96 +868,104 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
             <Save className="w-5 h-5" />
             API Configuration
           </h3>
-          <div className="grid md:grid-cols-2 gap-4">
-            <Input label="Gemini API Key" name="gemini" value={apiKey} onChange={(e)=>setApiKey(e.target.value)} type="password" darkMode={darkMode} placeholder="AIza..." />
+          <AiSettings config={aiConfig} darkMode={darkMode} onChange={setAiConfig} />
+          <div className="grid md:grid-cols-2 gap-4 mt-4">
             <Input label="ElevenLabs Key (Optional)" name="ekey" value={elevenKey} onChange={(e)=>setElevenKey(e.target.value)} type="password" darkMode={darkMode} />
             <Input label="ElevenLabs Voice ID" name="voice" value={elevenVoiceId} onChange={(e)=>setElevenVoiceId(e.target.value)} darkMode={darkMode} />
           </div>
+          <VoiceSettings voice={voice} darkMode={darkMode} onChange={updateVoice} onTest={() => speaker.say("Hi! This is how your coach will sound.")} />
           <button
             onClick={saveKeys}
             className={`mt-4 px-6 py-2 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"} rounded-lg flex gap-2 items-center`}
           >
-            <Save className="w-4 h-4" /> Save Keys
+            <Save className="w-4 h-4" /> Save Settings
           </button>
         </Card>
 
+        <ProfileBar
+          profiles={profiles}
+          activeId={profileId}
+          darkMode={darkMode}
+          onSwitch={switchProfile}
+          onCreate={addProfile}
+          onRename={(id, name) => setProfiles(updateProfile(id, { name }))}
+          onDelete={removeProfile}
+        />
+
         {/* Form */}
         {currentStep === "form" && (
           <Card darkMode={darkMode}>
-            <h2 className="text-2xl font-bold mb-6 flex items-center gap-2">
-              <Sparkles className="text-purple-600" />
-              Tell Us About Yourself
-            </h2>
-            <div className="grid md:grid-cols-2 gap-4">
-              <Input label="Name" name="name" value={formData.name} onChange={onChange} darkMode={darkMode} />
-              <Input label="Age" name="age" value={formData.age} onChange={onChange} type="number" darkMode={darkMode} />
-              <Select label="Gender" name="gender" value={formData.gender} onChange={onChange} darkMode={darkMode}
-                options={[{ value: "male", label: "Male" }, { value: "female", label: "Female" }, { value: "other", label: "Other" }]} />
-              <Input label="Height (cm)" name="height" value={formData.height} onChange={onChange} type="number" darkMode={darkMode} />
-              <Input label="Weight (kg)" name="weight" value={formData.weight} onChange={onChange} type="number" darkMode={darkMode} />
-              <Select label="Fitness Goal" name="fitnessGoal" value={formData.fitnessGoal} onChange={onChange} darkMode={darkMode}
-                options={[
-                  { value: "weight_loss", label: "Weight Loss" },
-                  { value: "muscle_gain", label: "Muscle Gain" },
-                  { value: "maintenance", label: "Maintenance" },
-                  { value: "endurance", label: "Endurance" },
-                ]} />
-              <Select label="Fitness Level" name="fitnessLevel" value={formData.fitnessLevel} onChange={onChange} darkMode={darkMode}
-                options={[
-                  { value: "beginner", label: "Beginner" },
-                  { value: "intermediate", label: "Intermediate" },
-                  { value: "advanced", label: "Advanced" },
-                ]} />
-              <Select label="Workout Location" name="workoutLocation" value={formData.workoutLocation} onChange={onChange} darkMode={darkMode}
-                options={[{ value: "gym", label: "Gym" }, { value: "home", label: "Home" }, { value: "outdoor", label: "Outdoor" }]} />
-              <Select label="Dietary Preference" name="dietaryPreference" value={formData.dietaryPreference} onChange={onChange} darkMode={darkMode}
-                options={[{ value: "non_veg", label: "Non-Vegetarian" }, { value: "veg", label: "Vegetarian" }, { value: "vegan", label: "Vegan" }, { value: "keto", label: "Keto" }]} />
-              <Select label="Stress Level" name="stressLevel" value={formData.stressLevel} onChange={onChange} darkMode={darkMode}
-                options={[{ value: "low", label: "Low" }, { value: "moderate", label: "Moderate" }, { value: "high", label: "High" }]} />
-              <div className="md:col-span-2">
-                <label className="block text-sm mb-1 font-medium">Medical History (Optional)</label>
-                <textarea
-                  name="medicalHistory"
-                  value={formData.medicalHistory}
-                  onChange={onChange}
-                  rows="3"
-                  placeholder="Any injuries, conditions, or limitations..."
-                  className={`w-full px-4 py-2 rounded-lg border ${
-                    darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"
-                  } focus:ring-2 focus:ring-purple-500 focus:outline-none transition`}
-                />
-              </div>
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-2xl font-bold flex items-center gap-2">
+                <Sparkles className="text-purple-600" />
+                Tell Us About Yourself
+              </h2>
+              {plan && (
+                <button
+                  onClick={() => setCurrentStep("plan")}
+                  className={`px-3 py-2 rounded-lg flex items-center gap-1 text-sm ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+                >
+                  <ArrowLeft className="w-4 h-4" /> Back to plan
+                </button>
+              )}
             </div>
-            <button
-              onClick={generatePlan}
-              disabled={loading}
-              className="w-full mt-6 py-3 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-lg flex justify-center items-center gap-2 hover:shadow-xl transition-all duration-300 disabled:opacity-50 font-semibold text-lg"
-            >
-              {loading ? (<><Loader2 className="animate-spin" /> Generating Your Plan...</>) : (<><Sparkles /> Generate My AI Plan</>)}
-            </button>
+            <OnboardingWizard
+              draft={draft}
+              darkMode={darkMode}
+              onDraftChange={setDraft}
+              onSubmit={submitForm}
+              submitting={loading}
+              submitLabel={
+                loading ? (
+                  <><Loader2 className="animate-spin" /> {repairAttempt > 0 ? `Repairing Plan (attempt ${repairAttempt + 1})...` : "Generating Your Plan..."}</>
+                ) : aiOffline ? (<><WifiOff /> Queue Plan for When I'm Online</>) : (<><Sparkles /> Generate My AI Plan</>)
+              }
+            />
+
+            {planError && (
+              <div className={`mt-4 p-4 rounded-lg border ${darkMode ? "bg-red-900/30 border-red-700" : "bg-red-50 border-red-200"}`}>
+                <div className="flex items-center gap-2 font-semibold text-red-600">
+                  <AlertTriangle className="w-5 h-5" /> Failed to generate plan
+                </div>
+                <p className="text-sm mt-1">{planError.message}</p>
+                {planError.errors.length > 0 && (
+                  <ul className={`mt-2 text-xs font-mono space-y-1 max-h-40 overflow-auto ${darkMode ? "text-red-300" : "text-red-700"}`}>
+                    {planError.errors.slice(0, 20).map((e, i) => (
+                      <li key={i}>{e.path}: {e.message}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </Card>
         )}
 
+        {currentStep === "plan" && safetyGate && (
+          <SafetyGate screening={screening} darkMode={darkMode} onAcknowledge={acknowledgeSafety} onEdit={() => setCurrentStep("form")} />
+        )}
+
         {/* Generated Plan */}
-        {currentStep === "plan" && plan && (
+        {currentStep === "plan" && plan && !safetyGate && (
           <>
+            <SafetyBanner screening={screening} issues={safetyIssues} darkMode={darkMode} />
+
             <Card className="bg-gradient-to-r from-green-500 to-teal-500 text-white" darkMode={darkMode}>
               <Quote className="w-8 h-8 mb-2" />
               <p className="text-xl font-semibold italic">"{plan.motivationalQuote}"</p>
             </Card>
 
+            <NutritionTargets targets={plan.nutritionTargets || formTargets} darkMode={darkMode} pinned />
+
             {/* Actions */}
             <Card darkMode={darkMode} className="flex flex-wrap gap-3 items-center">
               <button
                 onClick={() => speakSection("workout")}
-                disabled={ttsLoading}
                 className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center gap-2"
               >
                 <Volume2 className="w-4 h-4" /> Read Workout
               </button>
               <button
                 onClick={() => speakSection("diet")}
-                disabled={ttsLoading}
                 className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg flex items-center gap-2"
               >
                 <Volume2 className="w-4 h-4" /> Read Diet
@@ -497,35 +976,32 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
               >
                 <Download className="w-4 h-4" /> Export as PDF
               </button>
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={pdfAppendix} onChange={(e) => setPdfAppendix(e.target.checked)} />
+                Include progress history
+              </label>
+              {Object.entries(EXPORT_TYPES).map(([type, { label }]) => (
+                <button
+                  key={type}
+                  onClick={() => exportAs(type)}
+                  title={`Download this plan as ${label}`}
+                  className={`px-3 py-2 rounded-lg text-sm flex items-center gap-1 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-100 hover:bg-gray-200"}`}
+                >
+                  <Download className="w-4 h-4" /> {label}
+                </button>
+              ))}
               <button
-                onClick={() => {
-                  localStorage.removeItem("fitness_plan");
-                  setPlan(null);
-                  setCurrentStep("form");
-                }}
+                onClick={() => illustrate(plan.workoutPlan.days, { meals: true })}
                 className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg flex items-center gap-2"
               >
-                <RefreshCw className="w-4 h-4" /> Regenerate
+                <Camera className="w-4 h-4" /> Generate All Images
+              </button>
+              <button
+                onClick={() => setCurrentStep("form")}
+                className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg flex items-center gap-2"
+              >
+                <RefreshCw className="w-4 h-4" /> New Plan
               </button>
-
-              {/* Optional audio controls if ElevenLabs used */}
-              <AnimatePresence>
-                {audioBlobUrl && (
-                  <motion.audio
-                    key="audio"
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    exit={{ opacity: 0 }}
-                    ref={audioRef}
-                    src={audioBlobUrl}
-                    controls
-                    className="mt-2 w-full"
-                    onPlay={() => setIsPlaying(true)}
-                    onPause={() => setIsPlaying(false)}
-                    onEnded={() => setIsPlaying(false)}
-                  />
-                )}
-              </AnimatePresence>
             </Card>
 
             {/* Workout Plan — LAG FIX: removed height animations */}
@@ -535,8 +1011,17 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
                 Your Workout Plan
               </h2>
               <p className={`mb-6 ${darkMode ? "text-gray-300" : "text-gray-600"}`}>{plan.workoutPlan.overview}</p>
+              <ProgramWeek
+                week={programWeek.week}
+                weeks={programWeek.weeks}
+                currentWeek={currentWeek}
+                phase={programWeek.phase}
+                deload={programWeek.deload}
+                darkMode={darkMode}
+                onWeekChange={setSelectedWeek}
+              />
               <div className="space-y-3">
-                {plan.workoutPlan.days.map((day, idx) => (
+                {programWeek.days.map((day, idx) => (
                   <div key={`${day.day}-${idx}`} className={`border rounded-lg overflow-hidden ${darkMode ? "border-gray-700" : "border-gray-200"}`}>
                     <button
                       onClick={() => setExpandedDay(expandedDay === idx ? null : idx)}
@@ -552,19 +1037,72 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
                     {/* No framer-motion here to avoid layout thrash */}
                     {expandedDay === idx && (
                       <div className="p-4 space-y-3 will-change-transform">
+                        <button
+                          onClick={() => startSession({ day, dayIndex: idx, week: programWeek.week, deload: programWeek.deload })}
+                          className="w-full py-2 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-lg flex justify-center items-center gap-2 font-semibold"
+                        >
+                          <PlayCircle className="w-5 h-5" /> Start Workout
+                        </button>
+                        <button
+                          onClick={() => playDayGuide(day, idx)}
+                          className={`w-full py-2 rounded-lg flex justify-center items-center gap-2 text-sm ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+                        >
+                          <Headphones className="w-4 h-4" /> Play audio guide
+                        </button>
+                        <button
+                          onClick={() => regenerate(`day:${idx}`, regenerateDay, { dayIndex: idx })}
+                          disabled={!!regenTarget || aiOffline}
+                          className={`w-full py-2 rounded-lg flex justify-center items-center gap-2 text-sm disabled:opacity-50 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+                        >
+                          {regenTarget === `day:${idx}` ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                          Regenerate this day
+                        </button>
+                        <button
+                          onClick={() => illustrate([day])}
+                          className={`w-full py-2 rounded-lg flex justify-center items-center gap-2 text-sm ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+                        >
+                          <Camera className="w-4 h-4" /> Generate images for this day
+                        </button>
                         {day.exercises.map((ex, i) => (
                           <div key={`${ex.name}-${i}`} className={`p-3 rounded-lg ${darkMode ? "bg-gray-800" : "bg-gray-50"} flex justify-between items-start`}>
+                            {imageFor("exercise", ex.name) && (
+                              <button onClick={() => generateImage(ex.name, "exercise")} title="View image" className={`shrink-0 mr-3 w-12 h-12 rounded-lg overflow-hidden ${darkMode ? "bg-gray-700" : "bg-gray-200"}`}>
+                                <img src={imageFor("exercise", ex.name).dataUrl} alt={ex.name} className="w-full h-full object-cover" />
+                              </button>
+                            )}
                             <div className="flex-1">
-                              <div className="font-medium">{ex.name}</div>
+                              <div className="font-medium">
+                                {ex.name} <IssueBadge issue={safetyIssues[issueKey("exercise", idx, i)]} />
+                              </div>
                               <div className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
-                                {ex.sets} sets × {ex.reps} reps • Rest: {ex.rest}
+                                {ex.sets} sets × {ex.reps} reps{ex.targetWeight ? ` @ ${ex.targetWeight} kg` : ""} • Rest: {ex.rest}
                               </div>
+                              {ex.progressionNote && <div className="text-xs text-purple-500 mt-1">{ex.progressionNote}</div>}
                             </div>
+                            {(ex.id || matchExercise(ex.name)) && (
+                              <button
+                                onClick={() => setLibraryFocus({ id: ex.id || matchExercise(ex.name).id })}
+                                title="Form cues and muscles"
+                                className={`ml-2 p-2 rounded-lg transition-colors ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+                              >
+                                <Info className="w-4 h-4" />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => regenerate(`ex:${idx}:${i}`, swapExercise, { dayIndex: idx, index: i })}
+                              disabled={!!regenTarget || aiOffline}
+                              title="Swap for an equivalent exercise"
+                              className={`ml-2 p-2 rounded-lg transition-colors disabled:opacity-50 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+                            >
+                              {regenTarget === `ex:${idx}:${i}` ? <Loader2 className="w-4 h-4 animate-spin" /> : <Shuffle className="w-4 h-4" />}
+                            </button>
                             <button
                               onClick={() => generateImage(ex.name, "exercise")}
-                              className="ml-2 p-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white transition-colors"
+                              disabled={!!imageJobFor("exercise", ex.name)}
+                              title={imageFor("exercise", ex.name) ? "View image" : "Generate image"}
+                              className="ml-2 p-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white transition-colors disabled:opacity-70"
                             >
-                              <Camera className="w-4 h-4" />
+                              {imageJobFor("exercise", ex.name) ? <Loader2 className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />}
                             </button>
                           </div>
                         ))}
@@ -575,6 +1113,19 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
               </div>
             </Card>
 
+            <TrainingCalendar
+              plan={plan}
+              schedule={trainingSchedule}
+              events={calendarEvents}
+              permission={notifyPermission}
+              darkMode={darkMode}
+              onScheduleChange={updateSchedule}
+              onExportIcs={exportIcs}
+              onOpenDay={setExpandedDay}
+            />
+
+            <ExerciseLibrary profile={libraryProfile} focus={libraryFocus} darkMode={darkMode} />
+
             {/* Diet Plan — LAG FIX: removed height animations */}
             <Card darkMode={darkMode}>
               <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
@@ -582,6 +1133,7 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
                 Your Diet Plan
               </h2>
               <p className={`mb-6 ${darkMode ? "text-gray-300" : "text-gray-600"}`}>{plan.dietPlan.overview}</p>
+              <DayTotals totals={dayTotals(plan.dietPlan.meals)} targets={plan.nutritionTargets || formTargets} darkMode={darkMode} />
               <div className="space-y-3">
                 {Object.entries(plan.dietPlan.meals).map(([meal, items]) => (
                   <div key={meal} className={`border rounded-lg overflow-hidden ${darkMode ? "border-gray-700" : "border-gray-200"}`}>
@@ -589,7 +1141,14 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
                       onClick={() => setExpandedMeal(expandedMeal === meal ? null : meal)}
                       className={`w-full p-4 flex justify-between items-center ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-100 hover:bg-gray-200"} transition-colors`}
                     >
-                      <div className="font-semibold capitalize">{meal}</div>
+                      <div className="text-left">
+                        <div className="font-semibold capitalize">{meal}</div>
+                        {sumItems(items).hasData && (
+                          <div className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+                            {itemMacroText(sumItems(items))}{sumItems(items).complete ? "" : " (partial)"}
+                          </div>
+                        )}
+                      </div>
                       {expandedMeal === meal ? <ChevronUp /> : <ChevronDown />}
                     </button>
 
@@ -598,12 +1157,34 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
                       <div className="p-4 space-y-2 will-change-transform">
                         {items.map((item, i) => (
                           <div key={`${meal}-${i}`} className={`p-3 rounded-lg ${darkMode ? "bg-gray-800" : "bg-gray-50"} flex justify-between items-center`}>
-                            <span>{item}</span>
+                            {imageFor("food", normalizeMealItem(item).food) && (
+                              <button onClick={() => generateImage(normalizeMealItem(item).food, "food")} title="View image" className={`shrink-0 mr-3 w-12 h-12 rounded-lg overflow-hidden ${darkMode ? "bg-gray-700" : "bg-gray-200"}`}>
+                                <img src={imageFor("food", normalizeMealItem(item).food).dataUrl} alt={normalizeMealItem(item).food} className="w-full h-full object-cover" />
+                              </button>
+                            )}
+                            <div className="flex-1">
+                              <div>
+                                {itemLabel(item)} <IssueBadge issue={safetyIssues[issueKey("food", meal, i)]} />
+                              </div>
+                              {itemMacroText(item) && (
+                                <div className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-600"}`}>{itemMacroText(item)}</div>
+                              )}
+                            </div>
                             <button
-                              onClick={() => generateImage(item, "food")}
-                              className="ml-2 p-2 rounded-lg bg-green-600 hover:bg-green-700 text-white transition-colors"
+                              onClick={() => regenerate(`meal:${meal}:${i}`, replaceMealItem, { meal, index: i })}
+                              disabled={!!regenTarget || aiOffline}
+                              title="Replace this item"
+                              className={`ml-2 p-2 rounded-lg transition-colors disabled:opacity-50 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
                             >
-                              <Camera className="w-4 h-4" />
+                              {regenTarget === `meal:${meal}:${i}` ? <Loader2 className="w-4 h-4 animate-spin" /> : <Repeat className="w-4 h-4" />}
+                            </button>
+                            <button
+                              onClick={() => generateImage(normalizeMealItem(item).food, "food")}
+                              disabled={!!imageJobFor("food", normalizeMealItem(item).food)}
+                              title={imageFor("food", normalizeMealItem(item).food) ? "View image" : "Generate image"}
+                              className="ml-2 p-2 rounded-lg bg-green-600 hover:bg-green-700 text-white transition-colors disabled:opacity-70"
+                            >
+                              {imageJobFor("food", normalizeMealItem(item).food) ? <Loader2 className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />}
                             </button>
                           </div>
                         ))}
@@ -614,6 +1195,70 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
               </div>
             </Card>
 
+            <FoodLog
+              diary={foodDiary}
+              plan={plan}
+              targets={plan.nutritionTargets || formTargets}
+              darkMode={darkMode}
+              onAnalyze={analyzePhoto}
+              onSave={(entry) => setFoodDiary(addDiaryEntry(entry, profileId))}
+              onDelete={(id) => setFoodDiary(deleteDiaryEntry(id, profileId))}
+            />
+
+            <GroceryList
+              plan={plan}
+              state={groceryState(activeEntry.grocery)}
+              darkMode={darkMode}
+              onChange={updateGrocery}
+              onExport={exportGrocery}
+            />
+
+            <ImageGallery
+              entries={imageEntries}
+              darkMode={darkMode}
+              loadImage={loadImageData}
+              onView={setSelectedImage}
+              onRegenerate={(name, type) => generateImage(name, type, { fresh: true })}
+              onDelete={removeImage}
+              onFavorite={favoriteImage}
+              onClear={clearImages}
+              regenerateDisabled={aiOffline}
+            />
+
+            <PlanRevisions
+              revisions={activeEntry?.revisions}
+              darkMode={darkMode}
+              onUndo={() => setLibrary(undoLastEdit(activeEntry.id))}
+              onRestore={(revisionId) => setLibrary(restoreRevision(activeEntry.id, revisionId))}
+            />
+
+            <CoachChat
+              plan={plan}
+              formData={formData}
+              screening={screening}
+              messages={chatMessages}
+              darkMode={darkMode}
+              getAi={getAi}
+              offline={aiOffline}
+              onMessagesChange={updateChat}
+              onApplyPatch={acceptPatch}
+            />
+
+            <ProgressDashboard
+              entries={progressEntries}
+              history={workoutHistory}
+              plan={plan}
+              darkMode={darkMode}
+              onAddEntry={(entry) => setProgressEntries(addEntry(entry, profileId))}
+              onDeleteEntry={(id) => setProgressEntries(deleteEntry(id, profileId))}
+            />
+
+            <WorkoutHistory
+              history={workoutHistory}
+              darkMode={darkMode}
+              onDelete={(id) => setWorkoutHistory(deleteSession(id, profileId))}
+            />
+
             {/* Lifestyle Tips */}
             <Card darkMode={darkMode}>
               <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
@@ -628,6 +1273,17 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
             </Card>
           </>
         )}
+        <PlanLibrary
+          entries={planEntries}
+          activePlanId={activeProfile?.activePlanId}
+          darkMode={darkMode}
+          onOpen={openPlan}
+          onRename={(id, name) => setLibrary(renamePlan(id, name))}
+          onDuplicate={onDuplicatePlan}
+          onArchive={(id, archived) => setLibrary(archivePlan(id, archived))}
+          onDelete={onDeletePlan}
+          onImport={importPlan}
+        />
       </main>
 
       {/* Image Modal */}
@@ -645,9 +1301,21 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
             >
               <div className={`flex justify-between items-center p-4 border-b ${darkMode ? "border-gray-700" : "border-gray-200"}`}>
                 <h4 className="font-semibold text-lg">{selectedImage.name}</h4>
-                <button className={`p-2 rounded-lg ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`} onClick={() => setSelectedImage(null)}>
-                  <X className="w-5 h-5" />
-                </button>
+                <div className="flex gap-1">
+                  {selectedImage.type && (
+                    <button
+                      className={`p-2 rounded-lg disabled:opacity-50 ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`}
+                      onClick={() => generateImage(selectedImage.name, selectedImage.type, { fresh: true })}
+                      disabled={aiOffline}
+                      title="Generate a new version"
+                    >
+                      <RefreshCw className="w-5 h-5" />
+                    </button>
+                  )}
+                  <button className={`p-2 rounded-lg ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`} onClick={() => setSelectedImage(null)}>
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
               </div>
               <div className="relative bg-black">
                 <img src={selectedImage.dataUrl} alt={selectedImage.name} className="w-full h-auto object-contain max-h-[70vh]" />
@@ -657,18 +1325,51 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
         )}
       </AnimatePresence>
 
-      {/* Loading Overlay for Images */}
+      {/* Workout Session */}
       <AnimatePresence>
-        {imageLoading && (
-          <motion.div className="fixed inset-0 bg-black/60 flex justify-center items-center z-50 backdrop-blur-sm" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-            <div className={`${darkMode ? "bg-gray-800" : "bg-white"} p-8 rounded-2xl text-center shadow-2xl`}>
-              <Loader2 className="animate-spin text-purple-600 w-12 h-12 mx-auto mb-3" />
-              <p className="text-lg font-medium">Generating image...</p>
-              <p className={`text-sm mt-1 ${darkMode ? "text-gray-400" : "text-gray-600"}`}>Please wait</p>
-            </div>
-          </motion.div>
+        {activeSession && (
+          <WorkoutSession
+            key="session"
+            day={activeSession.day}
+            dayIndex={activeSession.dayIndex}
+            week={activeSession.week}
+            deload={activeSession.deload}
+            startIndex={activeSession.startIndex}
+            say={speaker.say}
+            command={sessionCommand}
+            darkMode={darkMode}
+            onFinish={finishSession}
+            onClose={() => setActiveSession(null)}
+          />
         )}
       </AnimatePresence>
+
+      {/* Background image generation */}
+      <ImageJobs
+        jobs={imageJobs}
+        concurrency={imageConcurrency}
+        paused={!online}
+        darkMode={darkMode}
+        onConcurrencyChange={setImageConcurrency}
+        onCancel={imageQueue.cancel}
+        onCancelAll={imageQueue.cancelAll}
+        onRetry={imageQueue.retry}
+        onClearFinished={imageQueue.clearFinished}
+        onView={(job) => generateImage(job.name, job.type)}
+      />
+
+      {/* Guided narration */}
+      <AudioGuide
+        guide={guide}
+        state={guideState}
+        darkMode={darkMode}
+        onPrevious={() => guideRef.current?.previous()}
+        onNext={() => guideRef.current?.next()}
+        onPause={() => guideRef.current?.pause()}
+        onResume={() => guideRef.current?.resume()}
+        onStop={stopGuide}
+        onStartSession={(startIndex) => startSession(guide, startIndex)}
+      />
     </div>
   );
 }
@@ -0,0 +1,45 @@
+import React from "react";
+import { Input, Select } from "./ui";
+import { AI_PROVIDERS, providerInfo } from "../lib/aiProvider";
+
+const PROVIDER_OPTIONS = AI_PROVIDERS.map((p) => ({ value: p.id, label: p.label }));
+
+/* ===========================
+   AI provider & model settings
+=========================== */
+export default function AiSettings({ config, darkMode, onChange }) {
+  const info = providerInfo(config.aiProvider);
+  const models = config.aiModels?.[info.id] || {};
+  const set = (patch) => onChange({ ...config, ...patch });
+  const setModel = (kind, value) =>
+    set({ aiModels: { ...config.aiModels, [info.id]: { ...models, [kind]: value } } });
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      <Select
+        label="AI Provider"
+        name="aiProvider"
+        value={info.id}
+        onChange={(e) => set({ aiProvider: e.target.value })}
+        options={PROVIDER_OPTIONS}
+        darkMode={darkMode}
+      />
+      {info.id === "gemini" && (
+        <Input label="Gemini API Key" name="gemini" value={config.geminiKey} onChange={(e) => set({ geminiKey: e.target.value })} type="password" darkMode={darkMode} placeholder="AIza..." />
+      )}
+      {info.id === "openai" && (
+        <>
+          <Input label="Server Base URL" name="openaiBaseUrl" value={config.openaiBaseUrl} onChange={(e) => set({ openaiBaseUrl: e.target.value })} darkMode={darkMode} placeholder="http://localhost:11434/v1" />
+          <Input label="API Key (optional for local servers)" name="openaiKey" value={config.openaiKey} onChange={(e) => set({ openaiKey: e.target.value })} type="password" darkMode={darkMode} />
+        </>
+      )}
+      {info.id === "mock" && (
+        <p className={`text-sm self-end ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+          Answers come from built-in fixtures. No network or key needed.
+        </p>
+      )}
+      <Input label="Text Model" name="textModel" value={models.text || ""} onChange={(e) => setModel("text", e.target.value)} darkMode={darkMode} placeholder={info.models.text} />
+      <Input label="Image Model" name="imageModel" value={models.image || ""} onChange={(e) => setModel("image", e.target.value)} darkMode={darkMode} placeholder={info.models.image} />
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { Headphones, SkipBack, SkipForward, Play, Pause, X, Dumbbell } from "lucide-react";
+import { formatSeconds } from "../lib/workoutSession";
+
+/* ===========================
+   Guided audio player bar
+=========================== */
+export default function AudioGuide({ guide, state, darkMode, onPrevious, onNext, onPause, onResume, onStop, onStartSession }) {
+  if (!guide) return null;
+  const { index, status, waitLeft } = state;
+  const segment = guide.segments[index];
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const btn = `p-2 rounded-lg disabled:opacity-40 ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`;
+  const paused = status === "paused";
+
+  return (
+    <div className={`fixed bottom-4 left-4 z-40 w-96 max-w-[calc(100vw-2rem)] rounded-2xl shadow-2xl border ${darkMode ? "bg-gray-800 border-gray-700 text-white" : "bg-white border-gray-200"}`}>
+      <div className="p-3 flex items-center gap-2">
+        <Headphones className="w-5 h-5 text-green-600" />
+        <div className="flex-1 text-sm font-semibold truncate">{guide.title}</div>
+        <span className={`text-xs ${muted}`}>{index + 1} / {guide.segments.length}</span>
+        <button onClick={onStop} className={btn} title="Stop"><X className="w-4 h-4" /></button>
+      </div>
+      <div className={`mx-3 h-1.5 rounded-full overflow-hidden ${darkMode ? "bg-gray-700" : "bg-gray-200"}`}>
+        <div className="h-full bg-green-600 transition-all" style={{ width: `${((index + 1) / guide.segments.length) * 100}%` }} />
+      </div>
+
+      <p className="px-3 pt-3 text-sm max-h-28 overflow-auto">{segment?.text}</p>
+      {status === "waiting" && waitLeft === "user" && <p className={`px-3 pt-1 text-xs ${muted}`}>Tap Next when the set is done.</p>}
+      {typeof waitLeft === "number" && <p className="px-3 pt-1 text-2xl font-mono font-bold">{formatSeconds(waitLeft)}</p>}
+      {status === "ended" && <p className={`px-3 pt-1 text-xs ${muted}`}>End of guide.</p>}
+
+      <div className="p-3 flex items-center gap-1">
+        <button onClick={onPrevious} disabled={index === 0} className={btn} title="Previous"><SkipBack className="w-5 h-5" /></button>
+        {paused ? (
+          <button onClick={onResume} className={btn} title="Resume"><Play className="w-5 h-5" /></button>
+        ) : (
+          <button onClick={onPause} disabled={status === "ended"} className={btn} title="Pause"><Pause className="w-5 h-5" /></button>
+        )}
+        <button onClick={onNext} disabled={status === "ended"} className={btn} title="Next"><SkipForward className="w-5 h-5" /></button>
+        <div className="flex-1" />
+        {guide.day && (
+          <button onClick={() => onStartSession(segment?.exerciseIndex || 0)} className="px-3 py-1 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm flex items-center gap-1">
+            <Dumbbell className="w-4 h-4" /> Log this workout
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import React, { useState, useRef, useEffect } from "react";
+import { MessageCircle, Send, Loader2, Check, X, Trash2 } from "lucide-react";
+import { Card } from "./ui";
+import { streamCoachReply } from "../lib/coach";
+import { describeOp, validatePatch } from "../lib/planPatch";
+import { patchSafetyErrors } from "../lib/safety";
+
+const SUGGESTIONS = [
+  "Swap deadlifts, my back hurts",
+  "What's a veg alternative to salmon?",
+  "Can I do this plan in 45 minutes?",
+];
+
+// Hide a half-streamed patch block while the reply is still arriving
+const visibleText = (raw) => raw.split("```plan-patch")[0].trim();
+
+const OP_STYLE = {
+  add: "text-green-600",
+  remove: "text-red-600",
+  change: "text-blue-600",
+};
+
+/* ===========================
+   Coach chat panel
+=========================== */
+export default function CoachChat({ plan, formData, screening, messages, darkMode, getAi, offline, onMessagesChange, onApplyPatch }) {
+  const [input, setInput] = useState("");
+  const [streaming, setStreaming] = useState(null); // partial reply text
+  const [error, setError] = useState(null);
+  const endRef = useRef(null);
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+
+  // Changes that break the plan or add something the medical history rules out
+  const patchProblems = (patch) => {
+    const problems = validatePatch(plan, patch);
+    return problems.length ? problems : patchSafetyErrors(patch, screening);
+  };
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "nearest" });
+  }, [messages, streaming]);
+
+  const send = async (text = input) => {
+    const question = text.trim();
+    if (!question || streaming !== null || offline) return;
+    setError(null);
+    setInput("");
+    const next = [...messages, { role: "user", text: question }];
+    onMessagesChange(next);
+    setStreaming("");
+    try {
+      const ai = getAi();
+      const reply = await streamCoachReply(ai, next, { plan, formData, onText: (raw) => setStreaming(visibleText(raw)) });
+      if (reply.patch) {
+        const problems = patchProblems(reply.patch);
+        if (problems.length) Object.assign(reply, { patch: null, patchStatus: null, patchError: problems.join("; ") });
+      }
+      onMessagesChange([...next, reply]);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setStreaming(null);
+    }
+  };
+
+  const resolvePatch = (index, accept) => {
+    const msg = messages[index];
+    if (accept) {
+      const problems = patchProblems(msg.patch);
+      if (problems.length) {
+        onMessagesChange(messages.map((m, i) => (i === index ? { ...m, patchStatus: "failed", patchError: problems.join("; ") } : m)));
+        return;
+      }
+      onApplyPatch(msg.patch);
+    }
+    onMessagesChange(messages.map((m, i) => (i === index ? { ...m, patchStatus: accept ? "accepted" : "rejected" } : m)));
+  };
+
+  const bubble = (role) =>
+    role === "user"
+      ? "ml-auto bg-purple-600 text-white"
+      : darkMode ? "bg-gray-700" : "bg-gray-100";
+
+  return (
+    <Card darkMode={darkMode}>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <MessageCircle className="text-purple-600" />
+          Ask Your Coach
+        </h2>
+        {messages.length > 0 && (
+          <button onClick={() => onMessagesChange([])} title="Clear conversation" className={`p-2 rounded-lg ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`}>
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3 max-h-96 overflow-y-auto mb-4">
+        {messages.length === 0 && streaming === null && (
+          <div className="flex flex-wrap gap-2">
+            {SUGGESTIONS.map((s) => (
+              <button key={s} onClick={() => send(s)} className={`text-sm px-3 py-1 rounded-full border ${darkMode ? "border-gray-600 hover:bg-gray-700" : "border-gray-300 hover:bg-gray-100"}`}>
+                {s}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {messages.map((m, i) => (
+          <div key={i} className={`max-w-[85%] p-3 rounded-xl whitespace-pre-wrap ${bubble(m.role)}`}>
+            {m.text}
+            {m.patch && (
+              <div className={`mt-3 p-3 rounded-lg text-sm ${darkMode ? "bg-gray-800" : "bg-white"}`}>
+                <div className="font-semibold mb-1">Proposed plan change</div>
+                <ul className="space-y-1">
+                  {m.patch.map((op, j) => {
+                    const d = describeOp(plan, op);
+                    return <li key={j} className={OP_STYLE[d.kind]}>{d.kind === "add" ? "+ " : d.kind === "remove" ? "− " : "~ "}{d.text}</li>;
+                  })}
+                </ul>
+                {m.patchStatus === "pending" ? (
+                  <div className="flex gap-2 mt-3">
+                    <button onClick={() => resolvePatch(i, true)} className="px-3 py-1 rounded-lg bg-green-600 hover:bg-green-700 text-white flex items-center gap-1">
+                      <Check className="w-4 h-4" /> Accept
+                    </button>
+                    <button onClick={() => resolvePatch(i, false)} className="px-3 py-1 rounded-lg bg-gray-500/30 flex items-center gap-1">
+                      <X className="w-4 h-4" /> Reject
+                    </button>
+                  </div>
+                ) : (
+                  <div className={`mt-2 text-xs ${muted}`}>
+                    {m.patchStatus === "accepted" ? "✅ Applied to your plan" : m.patchStatus === "failed" ? "⚠️ Could not be applied" : "Rejected"}
+                  </div>
+                )}
+              </div>
+            )}
+            {m.patchError && <div className="mt-2 text-xs text-red-500">{m.patchError}</div>}
+          </div>
+        ))}
+
+        {streaming !== null && (
+          <div className={`max-w-[85%] p-3 rounded-xl whitespace-pre-wrap ${bubble("coach")}`}>
+            {streaming || <Loader2 className="animate-spin w-4 h-4" />}
+          </div>
+        )}
+        <div ref={endRef} />
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">❌ {error}</p>}
+
+      <form onSubmit={(e) => { e.preventDefault(); send(); }} className="flex gap-2">
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={offline ? "The coach is unavailable while you're offline" : "Ask about your plan..."}
+          disabled={offline}
+          className={`flex-1 px-4 py-2 rounded-lg border ${
+            darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"
+          } focus:ring-2 focus:ring-purple-500 focus:outline-none transition`}
+        />
+        <button
+          type="submit"
+          disabled={offline || streaming !== null || !input.trim()}
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg flex items-center gap-2 disabled:opacity-50"
+        >
+          {streaming !== null ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+        </button>
+      </form>
+    </Card>
+  );
+}
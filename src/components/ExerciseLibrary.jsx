@@ -0,0 +1,114 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Library, Search, ChevronDown, ChevronUp } from "lucide-react";
+import { Card, Select } from "./ui";
+import { searchExercises, MUSCLES, EQUIPMENT, LEVELS, CONTRAINDICATIONS } from "../lib/exerciseLibrary";
+
+const option = (labels, any) => [{ value: "", label: any }, ...Object.entries(labels).map(([value, label]) => ({ value, label }))];
+const MUSCLE_OPTIONS = option(MUSCLES, "All muscles");
+const EQUIPMENT_OPTIONS = option(EQUIPMENT, "Any equipment");
+const LEVEL_OPTIONS = [{ value: "", label: "Any level" }, ...LEVELS.map((l) => ({ value: l, label: l[0].toUpperCase() + l.slice(1) }))];
+
+const names = (keys, labels) => keys.map((k) => labels[k] || k).join(", ");
+
+/* ===========================
+   Exercise library browser
+=========================== */
+// `focus` ({ id }) opens the library on one exercise, e.g. from a plan row
+export default function ExerciseLibrary({ profile, focus, darkMode }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState({ muscle: "", equipment: "", level: "" });
+  const [fitsOnly, setFitsOnly] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!focus) return;
+    setOpen(true);
+    setQuery("");
+    setFilters({ muscle: "", equipment: "", level: "" });
+    setFitsOnly(false);
+    setExpanded(focus.id);
+    rootRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [focus]);
+
+  const results = useMemo(
+    () => searchExercises(query, { ...filters, profile: fitsOnly ? profile : null }),
+    [query, filters, fitsOnly, profile]
+  );
+
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const onFilter = (e) => setFilters((f) => ({ ...f, [e.target.name]: e.target.value }));
+
+  return (
+    <div ref={rootRef}>
+      <Card darkMode={darkMode}>
+        <button onClick={() => setOpen(!open)} className="w-full flex justify-between items-center">
+          <h3 className="font-semibold text-lg flex items-center gap-2">
+            <Library className="w-5 h-5 text-purple-600" />
+            Exercise Library
+          </h3>
+          {open ? <ChevronUp /> : <ChevronDown />}
+        </button>
+
+        {open && (
+          <div className="mt-4 space-y-3">
+            <div className="relative">
+              <Search className={`w-4 h-4 absolute left-3 top-3 ${muted}`} />
+              <input
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search exercises, aliases or muscles…"
+                className={`w-full pl-9 pr-4 py-2 rounded-lg border ${
+                  darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"
+                } focus:ring-2 focus:ring-purple-500 focus:outline-none`}
+              />
+            </div>
+            <div className="grid sm:grid-cols-3 gap-3">
+              <Select label="Muscle" name="muscle" value={filters.muscle} onChange={onFilter} options={MUSCLE_OPTIONS} darkMode={darkMode} />
+              <Select label="Equipment" name="equipment" value={filters.equipment} onChange={onFilter} options={EQUIPMENT_OPTIONS} darkMode={darkMode} />
+              <Select label="Level" name="level" value={filters.level} onChange={onFilter} options={LEVEL_OPTIONS} darkMode={darkMode} />
+            </div>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={fitsOnly} onChange={(e) => setFitsOnly(e.target.checked)} />
+              Only exercises that fit my location ({profile?.workoutLocation}) and level ({profile?.fitnessLevel})
+            </label>
+            <div className={`text-xs ${muted}`}>{results.length} exercises</div>
+
+            <ul className="space-y-2 max-h-[32rem] overflow-y-auto">
+              {results.map((e) => (
+                <li key={e.id} className={`rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+                  <button onClick={() => setExpanded(expanded === e.id ? null : e.id)} className="w-full p-3 flex justify-between items-center text-left">
+                    <div>
+                      <div className="font-medium">{e.name}</div>
+                      <div className={`text-xs ${muted}`}>
+                        {names(e.primary, MUSCLES)} • {names(e.equipment, EQUIPMENT)} • {e.level}
+                      </div>
+                    </div>
+                    {expanded === e.id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </button>
+                  {expanded === e.id && (
+                    <div className="px-3 pb-3 text-sm space-y-1">
+                      {e.aliases.length > 0 && <div className={muted}>Also called: {e.aliases.join(", ")}</div>}
+                      <div>Primary: {names(e.primary, MUSCLES)}</div>
+                      {e.secondary.length > 0 && <div>Secondary: {names(e.secondary, MUSCLES)}</div>}
+                      <div>Equipment (any of): {names(e.equipment, EQUIPMENT)}</div>
+                      <ul className="list-disc pl-5">
+                        {e.cues.map((cue) => (
+                          <li key={cue}>{cue}</li>
+                        ))}
+                      </ul>
+                      {e.contraindications.length > 0 && (
+                        <div className="text-amber-600">Use caution with: {names(e.contraindications, CONTRAINDICATIONS).toLowerCase()}</div>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+import React, { useMemo, useState } from "react";
+import { Camera, ChevronLeft, ChevronRight, Loader2, Plus, Trash2, X, Save, AlertTriangle } from "lucide-react";
+import { Card, Input, Select } from "./ui";
+import { DayTotals } from "./NutritionTargets";
+import { MEAL_KEYS } from "../lib/planSchema";
+import { itemLabel, itemMacroText, sumItems, MACRO_KEYS } from "../lib/meals";
+import { dateKey, fromKey, addDays } from "../lib/schedule";
+import { preparePhoto, mealForTime, setItemQuantity, setItemMacro, emptyItem, entriesOn, compareDay } from "../lib/foodLog";
+
+const MEAL_OPTIONS = MEAL_KEYS.map((m) => ({ value: m, label: m[0].toUpperCase() + m.slice(1) }));
+const MACRO_LABELS = { kcal: "kcal", protein: "P (g)", carbs: "C (g)", fat: "F (g)" };
+const STATUS_TEXT = { under: "under target", "on track": "on track", over: "over target" };
+
+const newDraft = () => ({ meal: mealForTime(), note: "", image: null, photo: null, description: "", items: [] });
+
+/* ===========================
+   Food photo diary
+=========================== */
+// Logs what was eaten, from a photo estimated by onAnalyze (see
+// lib/foodLog.js) or typed in, and compares each day with the plan.
+// The estimate is only a starting point: every item can be corrected first.
+export default function FoodLog({ diary, plan, targets, darkMode, onAnalyze, onSave, onDelete }) {
+  const [date, setDate] = useState(() => dateKey(new Date()));
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(null); // "photo" | "analyze"
+  const [error, setError] = useState(null);
+
+  const entries = useMemo(() => entriesOn(diary, date), [diary, date]);
+  const comparison = useMemo(() => compareDay(entries, plan, targets), [entries, plan, targets]);
+  const isToday = date === dateKey(new Date());
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const tile = `p-3 rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`;
+  const cell = `w-full px-2 py-1 rounded border text-sm ${darkMode ? "bg-gray-800 border-gray-600 text-white" : "bg-white border-gray-300"}`;
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const updateItem = (index, item) => setDraft((d) => ({ ...d, items: d.items.map((it, i) => (i === index ? item : it)) }));
+
+  const onPhoto = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setBusy("photo");
+    try {
+      const { image, thumbnail } = await preparePhoto(file);
+      setDraft((d) => ({ ...(d || newDraft()), image, photo: thumbnail }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const analyze = async () => {
+    setError(null);
+    setBusy("analyze");
+    try {
+      const { description, items } = await onAnalyze({ image: draft.image, meal: draft.meal, note: draft.note });
+      update({ description, items: items.length ? items : [emptyItem()] });
+      if (!items.length) setError("No food was recognised in the photo. Add the items by hand.");
+    } catch (err) {
+      setError(`Couldn't analyse the photo: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const save = () => {
+    onSave({ date, meal: draft.meal, description: draft.description || draft.note, items: draft.items, photo: draft.photo });
+    setDraft(null);
+    setError(null);
+  };
+
+  const draftTotals = draft ? sumItems(draft.items) : null;
+  const canSave = draft?.items.some((i) => i.food.trim());
+
+  return (
+    <Card darkMode={darkMode}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Camera className="text-green-600" />
+          Food Diary
+        </h2>
+        <div className="flex items-center gap-2 text-sm">
+          <button onClick={() => setDate(dateKey(addDays(fromKey(date), -1)))} className={`p-2 rounded-lg ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`}
+            title="Previous day">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span className="font-medium w-28 text-center">{isToday ? "Today" : fromKey(date).toLocaleDateString()}</span>
+          <button onClick={() => setDate(dateKey(addDays(fromKey(date), 1)))} disabled={isToday}
+            className={`p-2 rounded-lg disabled:opacity-30 ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`} title="Next day">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {comparison.target && (
+        <div className={`${tile} mb-4 flex flex-wrap justify-between gap-2 text-sm`}>
+          <span>
+            <span className="font-semibold">{comparison.eaten.kcal}</span> / {comparison.target} kcal eaten
+          </span>
+          <span className={comparison.status === "over" ? "text-red-500" : comparison.status === "on track" ? "text-green-600" : muted}>
+            {comparison.remaining >= 0 ? `${comparison.remaining} kcal left` : `${-comparison.remaining} kcal over`} · {STATUS_TEXT[comparison.status]}
+          </span>
+        </div>
+      )}
+
+      {entries.length > 0 && <DayTotals totals={comparison.eaten} targets={targets} darkMode={darkMode} />}
+
+      {plan && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 text-sm">
+          {comparison.meals.map(({ meal, planned, eaten, logged }) => (
+            <div key={meal} className={tile}>
+              <div className="font-semibold capitalize">{meal}</div>
+              <div className={muted}>
+                {logged ? `${eaten.kcal} kcal eaten` : "not logged"}
+                {planned.hasData ? ` · plan ${planned.kcal} kcal` : ""}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {entries.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {entries.map((entry) => (
+            <li key={entry.id} className={`${tile} flex gap-3`}>
+              {entry.photo && <img src={entry.photo} alt={entry.description || entry.meal} className="w-16 h-16 rounded object-cover flex-shrink-0" />}
+              <div className="flex-1 min-w-0 text-sm">
+                <div className="font-semibold capitalize">
+                  {entry.meal}
+                  {entry.description ? <span className={`font-normal normal-case ${muted}`}> — {entry.description}</span> : null}
+                </div>
+                <div className="break-words">{entry.items.map(itemLabel).join(", ")}</div>
+                <div className={`text-xs ${muted}`}>{itemMacroText(sumItems(entry.items))}</div>
+              </div>
+              <button onClick={() => onDelete(entry.id)} className="text-red-500 hover:text-red-600 self-start" title="Delete entry">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!draft && (
+        <div className="flex flex-wrap gap-3">
+          <label className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white flex items-center gap-2 cursor-pointer">
+            {busy === "photo" ? <Loader2 className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />} Snap or upload a meal
+            <input type="file" accept="image/*" capture="environment" className="hidden" onChange={onPhoto} />
+          </label>
+          <button
+            onClick={() => setDraft({ ...newDraft(), items: [emptyItem()] })}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+          >
+            <Plus className="w-4 h-4" /> Add by hand
+          </button>
+        </div>
+      )}
+
+      {draft && (
+        <div className={`${tile} space-y-3`}>
+          <div className="flex gap-3">
+            {draft.photo && <img src={draft.photo} alt="Meal to log" className="w-24 h-24 rounded object-cover flex-shrink-0" />}
+            <div className="flex-1 grid sm:grid-cols-2 gap-3">
+              <Select label="Meal" name="meal" value={draft.meal} onChange={(e) => update({ meal: e.target.value })} options={MEAL_OPTIONS} darkMode={darkMode} />
+              <Input label={draft.image && !draft.items.length ? "Note for the estimate (optional)" : "Description"} name="note"
+                value={draft.items.length ? draft.description : draft.note}
+                onChange={(e) => update(draft.items.length ? { description: e.target.value } : { note: e.target.value })}
+                placeholder={draft.items.length ? "e.g. Chicken rice bowl" : "e.g. large portion, cooked in olive oil"} darkMode={darkMode} />
+            </div>
+          </div>
+
+          {draft.image && !draft.items.length && (
+            <button onClick={analyze} disabled={busy === "analyze"}
+              className="w-full py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white flex justify-center items-center gap-2 disabled:opacity-50">
+              {busy === "analyze" ? <><Loader2 className="w-4 h-4 animate-spin" /> Estimating portions...</> : "Estimate items & macros"}
+            </button>
+          )}
+
+          {draft.items.length > 0 && (
+            <>
+              <p className={`text-xs ${muted}`}>
+                {draft.image ? "AI estimates from the photo — check the portions. Changing an amount rescales its macros." : "Enter what you ate."}
+              </p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className={`text-left ${muted}`}>
+                      <th className="pr-2 font-medium">Food</th>
+                      <th className="pr-2 font-medium w-20">Amount</th>
+                      <th className="pr-2 font-medium w-16">Unit</th>
+                      {MACRO_KEYS.map((k) => (
+                        <th key={k} className="pr-2 font-medium w-16">{MACRO_LABELS[k]}</th>
+                      ))}
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {draft.items.map((item, i) => (
+                      <tr key={i}>
+                        <td className="pr-2 py-1">
+                          <input className={cell} value={item.food} onChange={(e) => updateItem(i, { ...item, food: e.target.value })} aria-label="Food" />
+                        </td>
+                        <td className="pr-2 py-1">
+                          <input className={cell} type="number" min="0" value={item.quantity ?? ""} onChange={(e) => updateItem(i, setItemQuantity(item, e.target.value))}
+                            aria-label="Amount" />
+                        </td>
+                        <td className="pr-2 py-1">
+                          <input className={cell} value={item.unit} onChange={(e) => updateItem(i, { ...item, unit: e.target.value })} aria-label="Unit" />
+                        </td>
+                        {MACRO_KEYS.map((k) => (
+                          <td key={k} className="pr-2 py-1">
+                            <input className={cell} type="number" min="0" value={item[k] ?? ""} aria-label={MACRO_LABELS[k]}
+                              onChange={(e) => updateItem(i, setItemMacro(item, k, e.target.value))} />
+                          </td>
+                        ))}
+                        <td className="py-1">
+                          <button onClick={() => update({ items: draft.items.filter((_, j) => j !== i) })} className="text-red-500 hover:text-red-600" title="Remove item">
+                            <X className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex justify-between items-center text-sm">
+                <button onClick={() => update({ items: [...draft.items, emptyItem()] })} className="text-purple-500 hover:underline flex items-center gap-1">
+                  <Plus className="w-3 h-3" /> Add item
+                </button>
+                {draftTotals.hasData && <span className={muted}>{itemMacroText(draftTotals)}</span>}
+              </div>
+            </>
+          )}
+
+          <div className="flex gap-3">
+            {draft.items.length > 0 && (
+              <button onClick={save} disabled={!canSave}
+                className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white flex items-center gap-2 disabled:opacity-50">
+                <Save className="w-4 h-4" /> Save to diary
+              </button>
+            )}
+            <button
+              onClick={() => { setDraft(null); setError(null); }}
+              className={`px-4 py-2 rounded-lg ${darkMode ? "bg-gray-600 hover:bg-gray-500" : "bg-gray-200 hover:bg-gray-300"}`}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-3 text-sm text-red-500 flex items-center gap-2" role="alert">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" /> {error}
+        </p>
+      )}
+    </Card>
+  );
+}
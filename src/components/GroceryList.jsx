@@ -0,0 +1,129 @@
+import React, { useMemo, useState } from "react";
+import { ShoppingCart, ChefHat, ChevronDown, ChevronUp, Download, RotateCcw } from "lucide-react";
+import { Card, Select } from "./ui";
+import {
+  GROCERY_DAYS, GROCERY_SERVINGS, PREP_METHODS, PREP_SHELF_DAYS, buildGroceryList, buildPrepPlan, groupByAisle, activeChecks, toggleCheck,
+  amountText, sessionTitle,
+} from "../lib/grocery";
+
+const DAY_OPTIONS = GROCERY_DAYS.map((d) => ({ value: String(d), label: `${d} day${d === 1 ? "" : "s"}` }));
+const SERVING_OPTIONS = GROCERY_SERVINGS.map((s) => ({ value: String(s), label: `${s} serving${s === 1 ? "" : "s"}` }));
+
+/* ===========================
+   Grocery list & meal prep
+=========================== */
+// `state` is the plan entry's { days, servings, checked } (lib/grocery.js);
+// changes go back through onChange(patch).
+export default function GroceryList({ plan, state, darkMode, onChange, onExport }) {
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState("list");
+  const { days, servings } = state;
+
+  const items = useMemo(() => buildGroceryList(plan, { days, servings }), [plan, days, servings]);
+  const groups = useMemo(() => groupByAisle(items), [items]);
+  const sessions = useMemo(() => buildPrepPlan(plan, { days, servings }), [plan, days, servings]);
+  const checked = activeChecks(items, state.checked);
+
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const tabClass = (id) =>
+    `px-3 py-1 rounded-lg text-sm flex items-center gap-1 ${
+      tab === id ? "bg-purple-600 text-white" : darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-100 hover:bg-gray-200"
+    }`;
+
+  return (
+    <Card darkMode={darkMode}>
+      <button onClick={() => setOpen(!open)} className="w-full flex justify-between items-center">
+        <h3 className="font-semibold text-lg flex items-center gap-2">
+          <ShoppingCart className="w-5 h-5 text-green-600" />
+          Grocery List & Meal Prep
+        </h3>
+        {open ? <ChevronUp /> : <ChevronDown />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-4">
+          <div className="grid sm:grid-cols-2 gap-3">
+            <Select label="Shop for" name="days" value={String(days)} onChange={(e) => onChange({ days: Number(e.target.value) })}
+              options={DAY_OPTIONS} darkMode={darkMode} />
+            <Select label="Servings per meal" name="servings" value={String(servings)} onChange={(e) => onChange({ servings: Number(e.target.value) })}
+              options={SERVING_OPTIONS} darkMode={darkMode} />
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center">
+            <button onClick={() => setTab("list")} className={tabClass("list")}>
+              <ShoppingCart className="w-4 h-4" /> Shopping list
+            </button>
+            <button onClick={() => setTab("prep")} className={tabClass("prep")}>
+              <ChefHat className="w-4 h-4" /> Prep schedule
+            </button>
+            <div className="flex gap-2 ml-auto">
+              {["txt", "csv"].map((format) => (
+                <button
+                  key={format}
+                  onClick={() => onExport(format)}
+                  title={`Download the list as ${format === "txt" ? "plain text" : "CSV"}`}
+                  className={`px-3 py-1 rounded-lg text-sm flex items-center gap-1 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+                >
+                  <Download className="w-4 h-4" /> {format === "txt" ? "Text" : "CSV"}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {!items.length && <p className={`text-sm ${muted}`}>This diet plan has no meal items yet.</p>}
+
+          {tab === "list" && items.length > 0 && (
+            <>
+              <div className={`flex justify-between items-center text-sm ${muted}`}>
+                <span>
+                  {checked.length} of {items.length} items in the basket
+                </span>
+                {checked.length > 0 && (
+                  <button onClick={() => onChange({ checked: [] })} className="flex items-center gap-1 text-purple-500 hover:underline">
+                    <RotateCcw className="w-3 h-3" /> Uncheck all
+                  </button>
+                )}
+              </div>
+              {groups.map(({ aisle, items: group }) => (
+                <div key={aisle.key}>
+                  <h4 className="font-semibold text-sm mb-2">{aisle.label}</h4>
+                  <ul className="space-y-1">
+                    {group.map((item) => {
+                      const done = checked.includes(item.key);
+                      return (
+                        <li key={item.key}>
+                          <label className={`flex items-center gap-3 p-2 rounded-lg text-sm cursor-pointer ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+                            <input type="checkbox" checked={done} onChange={() => onChange({ checked: toggleCheck(checked, item.key) })} />
+                            <span className={`flex-1 ${done ? "line-through opacity-60" : ""}`}>{item.name}</span>
+                            <span className={muted}>{amountText(item)}</span>
+                          </label>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+            </>
+          )}
+
+          {tab === "prep" && items.length > 0 && (
+            <div className="space-y-3">
+              {sessions.map((session, s) => (
+                <div key={session.from} className={`p-4 rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+                  <h4 className="font-semibold mb-2">{sessionTitle(session, s)}</h4>
+                  {session.tasks.map((task) => (
+                    <div key={task.method} className="text-sm mb-1">
+                      <span className="font-medium">{PREP_METHODS[task.method]}:</span>{" "}
+                      <span className={muted}>{task.items.map((i) => `${i.name} (${amountText(i)})`).join(", ")}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+              <p className={`text-xs ${muted}`}>Cooked food keeps about {PREP_SHELF_DAYS} days in the fridge, so longer stretches get another prep session.</p>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
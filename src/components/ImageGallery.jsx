@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useRef } from "react";
+import { GalleryThumbnails, ChevronDown, ChevronUp, RefreshCw, Trash2, Star } from "lucide-react";
+import { Card } from "./ui";
+import { cacheUsage, IMAGE_CACHE_LIMITS } from "../lib/imageCache";
+
+const megabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/* ===========================
+   Generated-image gallery
+=========================== */
+export default function ImageGallery({ entries, darkMode, loadImage, onView, onRegenerate, onDelete, onFavorite, onClear, regenerateDisabled }) {
+  const [open, setOpen] = useState(false);
+  const [urls, setUrls] = useState({}); // key -> data URL, loaded while open
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const btn = `p-1 rounded-lg ${darkMode ? "hover:bg-gray-600" : "hover:bg-gray-200"}`;
+  const usage = cacheUsage(entries);
+
+  // Loaded images are kept across re-renders so only new variants are read
+  const loaded = useRef({});
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    const missing = entries.filter((e) => !(e.key in loaded.current));
+    Promise.all(missing.map(async (e) => [e.key, await loadImage(e.key)])).then((pairs) => {
+      pairs.forEach(([key, dataUrl]) => { loaded.current[key] = dataUrl; });
+      if (!cancelled) setUrls({ ...loaded.current });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, entries, loadImage]);
+
+  const groups = {};
+  entries.forEach((e) => (groups[e.item] ||= []).push(e));
+  const items = Object.values(groups)
+    .map((variants) => variants.sort((a, b) => Number(!!b.favorite) - Number(!!a.favorite) || String(b.createdAt).localeCompare(String(a.createdAt))))
+    .sort((a, b) => a[0].type.localeCompare(b[0].type) || a[0].name.localeCompare(b[0].name));
+
+  return (
+    <Card darkMode={darkMode}>
+      <button onClick={() => setOpen(!open)} className="w-full flex justify-between items-center">
+        <h3 className="font-semibold text-lg flex items-center gap-2">
+          <GalleryThumbnails className="w-5 h-5 text-purple-600" />
+          Image Gallery
+          <span className={`text-sm font-normal ${muted}`}>
+            {usage.count} / {IMAGE_CACHE_LIMITS.maxImages} images • {megabytes(usage.bytes)} of {megabytes(IMAGE_CACHE_LIMITS.maxBytes)}
+          </span>
+        </h3>
+        {open ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-4">
+          {items.length === 0 ? (
+            <p className={muted}>No generated images yet. Use the camera buttons on exercises and meals.</p>
+          ) : (
+            items.map((variants) => {
+              const { item, name, type } = variants[0];
+              return (
+                <div key={item}>
+                  <div className="flex justify-between items-center mb-2">
+                    <div className="font-medium">
+                      {name} <span className={`text-xs ${muted}`}>({type})</span>
+                    </div>
+                    <button
+                      onClick={() => onRegenerate(name, type)}
+                      disabled={regenerateDisabled}
+                      title="Generate another version"
+                      className={`${btn} disabled:opacity-50`}
+                    >
+                      <RefreshCw className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {variants.map((v, i) => (
+                      <div key={v.key} className={`relative w-28 h-28 rounded-lg overflow-hidden ${darkMode ? "bg-gray-700" : "bg-gray-100"} ${i === 0 ? "ring-2 ring-purple-500" : ""}`}>
+                        {urls[v.key] && (
+                          <button onClick={() => onView({ key: v.key, name: v.name, type: v.type, dataUrl: urls[v.key] })} className="w-full h-full">
+                            <img src={urls[v.key]} alt={v.name} className="w-full h-full object-cover" />
+                          </button>
+                        )}
+                        <div className="absolute top-1 right-1 flex gap-1">
+                          <button
+                            onClick={() => onFavorite(v.key)}
+                            title={v.favorite ? "Remove favorite" : "Set as favorite"}
+                            className="p-1 rounded bg-black/50 text-white"
+                          >
+                            <Star className={`w-3 h-3 ${v.favorite ? "fill-yellow-400 text-yellow-400" : ""}`} />
+                          </button>
+                          <button onClick={() => onDelete(v.key)} title="Delete image" className="p-1 rounded bg-black/50 text-white">
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })
+          )}
+          {items.length > 0 && (
+            <button
+              onClick={() => window.confirm("Delete every stored image?") && onClear()}
+              className="text-sm text-red-600 hover:underline"
+            >
+              Clear all images
+            </button>
+          )}
+          <p className={`text-xs ${muted}`}>When the limit is reached the least recently viewed images are removed first; favorites are kept longest.</p>
+        </div>
+      )}
+    </Card>
+  );
+}
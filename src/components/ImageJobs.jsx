@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { Loader2, Clock, Check, AlertTriangle, X, RotateCw, Eye, ChevronDown, ChevronUp, ImagePlus } from "lucide-react";
+import { jobProgress, isActive, MAX_CONCURRENCY } from "../lib/imageJobs";
+
+const STATUS_ICON = {
+  queued: <Clock className="w-4 h-4 opacity-60" />,
+  running: <Loader2 className="w-4 h-4 animate-spin text-purple-500" />,
+  retrying: <RotateCw className="w-4 h-4 text-amber-500" />,
+  done: <Check className="w-4 h-4 text-green-500" />,
+  failed: <AlertTriangle className="w-4 h-4 text-red-500" />,
+  cancelled: <X className="w-4 h-4 opacity-60" />,
+};
+
+const statusText = (job) => {
+  if (job.status === "retrying") return `rate limited, retrying at ${new Date(job.nextAt).toLocaleTimeString()}`;
+  if (job.status === "failed") return job.error || "failed";
+  return job.status;
+};
+
+/* ===========================
+   Image generation progress panel
+=========================== */
+export default function ImageJobs({ jobs, concurrency, paused, darkMode, onConcurrencyChange, onCancel, onCancelAll, onRetry, onClearFinished, onView }) {
+  const [collapsed, setCollapsed] = useState(false);
+  if (!jobs.length) return null;
+  const { done, total, active } = jobProgress(jobs);
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const btn = `p-1 rounded ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`;
+
+  return (
+    <div className={`fixed bottom-4 right-4 z-40 w-80 max-w-[calc(100vw-2rem)] rounded-2xl shadow-2xl border ${darkMode ? "bg-gray-800 border-gray-700 text-white" : "bg-white border-gray-200"}`}>
+      <div className="p-3 flex items-center gap-2">
+        <ImagePlus className="w-5 h-5 text-purple-600" />
+        <div className="flex-1 text-sm font-semibold">
+          Images {done}/{total}
+          {paused && active > 0 && <span className={`ml-1 font-normal ${muted}`}>(paused offline)</span>}
+        </div>
+        <button onClick={() => setCollapsed(!collapsed)} className={btn} title={collapsed ? "Expand" : "Collapse"}>
+          {collapsed ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </button>
+      </div>
+      <div className={`mx-3 mb-3 h-1.5 rounded-full overflow-hidden ${darkMode ? "bg-gray-700" : "bg-gray-200"}`}>
+        <div className="h-full bg-purple-600 transition-all" style={{ width: `${total ? (done / total) * 100 : 0}%` }} />
+      </div>
+
+      {!collapsed && (
+        <>
+          <ul className="max-h-64 overflow-auto px-3 space-y-1 text-sm">
+            {jobs.map((job) => (
+              <li key={job.id} className="flex items-center gap-2">
+                {STATUS_ICON[job.status]}
+                <div className="flex-1 min-w-0">
+                  <div className="truncate">{job.name}</div>
+                  <div className={`text-xs truncate ${job.status === "failed" ? "text-red-500" : muted}`} title={statusText(job)}>
+                    {job.type} • {statusText(job)}
+                  </div>
+                </div>
+                {job.status === "done" && (
+                  <button onClick={() => onView(job)} className={btn} title="View"><Eye className="w-4 h-4" /></button>
+                )}
+                {isActive(job) && (
+                  <button onClick={() => onCancel(job.id)} className={btn} title="Cancel"><X className="w-4 h-4" /></button>
+                )}
+                {(job.status === "failed" || job.status === "cancelled") && (
+                  <button onClick={() => onRetry(job.id)} className={btn} title="Retry"><RotateCw className="w-4 h-4" /></button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className={`p-3 mt-2 border-t flex flex-wrap items-center gap-2 text-xs ${darkMode ? "border-gray-700" : "border-gray-200"}`}>
+            <label className="flex items-center gap-1">
+              Parallel
+              <select
+                value={concurrency}
+                onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+                className={`px-1 rounded border ${darkMode ? "bg-gray-700 border-gray-600" : "bg-gray-50 border-gray-300"}`}
+              >
+                {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            <div className="flex-1" />
+            {active > 0 && <button onClick={onCancelAll} className="text-red-500 hover:underline">Cancel all</button>}
+            {active < jobs.length && <button onClick={onClearFinished} className="hover:underline">Clear finished</button>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React from "react";
+import { Flame } from "lucide-react";
+import { Card } from "./ui";
+import { ACTIVITY_LEVELS } from "../lib/nutrition";
+
+/* ===========================
+   Pinned daily targets
+=========================== */
+export default function NutritionTargets({ targets, darkMode, pinned = false }) {
+  if (!targets) return null;
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const tile = `p-3 rounded-lg text-center ${darkMode ? "bg-gray-700" : "bg-gray-50"}`;
+  const stats = [
+    { label: "Calories", value: targets.calories, unit: "kcal" },
+    { label: "Protein", value: targets.protein, unit: "g" },
+    { label: "Carbs", value: targets.carbs, unit: "g" },
+    { label: "Fat", value: targets.fat, unit: "g" },
+  ];
+
+  return (
+    <Card darkMode={darkMode} className={pinned ? "sticky top-20 z-30" : ""}>
+      <h3 className="font-semibold text-lg mb-3 flex items-center gap-2">
+        <Flame className="w-5 h-5 text-orange-500" />
+        Daily Nutrition Targets
+      </h3>
+      <div className="grid grid-cols-4 gap-3">
+        {stats.map((s) => (
+          <div key={s.label} className={tile}>
+            <div className="text-xl font-bold">{s.value}<span className="text-xs font-normal ml-1">{s.unit}</span></div>
+            <div className={`text-xs ${muted}`}>{s.label}</div>
+          </div>
+        ))}
+      </div>
+      <p className={`text-xs mt-3 ${muted}`}>
+        BMR {targets.bmr} kcal (Mifflin-St Jeor) • TDEE {targets.tdee} kcal • {ACTIVITY_LEVELS[targets.activityLevel]?.label}
+      </p>
+    </Card>
+  );
+}
+
+/* ===========================
+   Day totals vs targets
+=========================== */
+const BARS = [
+  { key: "kcal", target: "calories", label: "Calories", unit: "kcal", color: "bg-orange-500" },
+  { key: "protein", target: "protein", label: "Protein", unit: "g", color: "bg-red-500" },
+  { key: "carbs", target: "carbs", label: "Carbs", unit: "g", color: "bg-yellow-500" },
+  { key: "fat", target: "fat", label: "Fat", unit: "g", color: "bg-blue-500" },
+];
+
+export function DayTotals({ totals, targets, darkMode }) {
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  if (!totals.hasData) {
+    return <p className={`text-sm mb-4 ${muted}`}>This plan has no per-item macros, so day totals are unavailable.</p>;
+  }
+
+  return (
+    <div className={`p-4 mb-6 rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+      <div className="font-semibold mb-3">
+        Day Totals{totals.complete ? "" : " (some items have no macros)"}
+      </div>
+      <div className="space-y-2">
+        {BARS.map((b) => {
+          const value = totals[b.key];
+          const target = targets?.[b.target];
+          const pct = target ? Math.min(100, Math.round((value / target) * 100)) : 100;
+          return (
+            <div key={b.key}>
+              <div className="flex justify-between text-sm">
+                <span>{b.label}</span>
+                <span className={muted}>
+                  {value}{target ? ` / ${target}` : ""} {b.unit}
+                </span>
+              </div>
+              <div className={`h-2 rounded-full ${darkMode ? "bg-gray-600" : "bg-gray-200"}`}>
+                <div className={`h-2 rounded-full ${b.color}`} style={{ width: `${pct}%` }} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React from "react";
+import { WifiOff, Loader2, X } from "lucide-react";
+
+const KIND_LABELS = { plan: "plan generation", image: "image" };
+
+/* ===========================
+   Offline status & queued AI requests
+=========================== */
+export default function OfflineBanner({ online, aiOffline, queue, replaying, darkMode, onRemove }) {
+  if (online && !queue.length) return null;
+  const tone = online
+    ? darkMode ? "bg-blue-900/40 border-blue-700" : "bg-blue-50 border-blue-200"
+    : darkMode ? "bg-amber-900/40 border-amber-700" : "bg-amber-50 border-amber-300";
+
+  return (
+    <div className={`p-4 rounded-2xl border text-sm ${tone}`} role="status">
+      {online ? (
+        <div className="font-semibold flex items-center gap-2">
+          {replaying ? <Loader2 className="w-4 h-4 animate-spin" /> : null}
+          {replaying ? `Back online — sending ${replaying.label}…` : "Back online — queued requests will be sent shortly."}
+        </div>
+      ) : (
+        <>
+          <div className="font-semibold flex items-center gap-2">
+            <WifiOff className="w-4 h-4" /> You're offline
+          </div>
+          <p className="mt-1">
+            Saved plans, workout logging, progress tracking and stored images keep working.
+            {aiOffline
+              ? " AI features, the coach chat and ElevenLabs voice are paused; plan and image requests are queued and sent when you reconnect."
+              : " Your AI provider runs locally, so AI features stay available."}
+          </p>
+        </>
+      )}
+      {queue.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {queue.map((r) => (
+            <li key={r.id} className="flex items-center justify-between gap-2">
+              <span>
+                ⏳ {r.label} <span className="opacity-70">({KIND_LABELS[r.kind] || r.kind}, queued {new Date(r.createdAt).toLocaleTimeString()})</span>
+              </span>
+              <button onClick={() => onRemove(r.id)} title="Remove from queue" className="p-1 rounded hover:bg-black/10">
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
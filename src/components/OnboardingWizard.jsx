@@ -0,0 +1,255 @@
+import React, { useState } from "react";
+import { ChevronLeft, ChevronRight, Pencil } from "lucide-react";
+import { Input, Select, TextArea, FieldError } from "./ui";
+import NutritionTargets from "./NutritionTargets";
+import SafetyBanner from "./SafetyBanner";
+import {
+  WIZARD_STEPS, UNIT_SYSTEMS, TRAINING_DAYS, SESSION_LENGTHS, setDraftValue, switchUnits, stepErrors, firstInvalidStep,
+  normalizeInputs, formatHeight, formatWeight,
+} from "../lib/onboarding";
+import { computeTargets, ACTIVITY_LEVELS } from "../lib/nutrition";
+import { PROGRAM_LENGTHS } from "../lib/periodization";
+import { EQUIPMENT, profileEquipment } from "../lib/exerciseLibrary";
+import { screenInputs } from "../lib/safety";
+
+const GENDERS = [{ value: "male", label: "Male" }, { value: "female", label: "Female" }, { value: "other", label: "Other" }];
+const GOALS = [
+  { value: "weight_loss", label: "Weight Loss" },
+  { value: "muscle_gain", label: "Muscle Gain" },
+  { value: "maintenance", label: "Maintenance" },
+  { value: "endurance", label: "Endurance" },
+];
+const LEVELS = [{ value: "beginner", label: "Beginner" }, { value: "intermediate", label: "Intermediate" }, { value: "advanced", label: "Advanced" }];
+const ACTIVITY = Object.entries(ACTIVITY_LEVELS).map(([value, { label }]) => ({ value, label }));
+const LOCATIONS = [{ value: "gym", label: "Gym" }, { value: "home", label: "Home" }, { value: "outdoor", label: "Outdoor" }];
+const DIETS = [{ value: "non_veg", label: "Non-Vegetarian" }, { value: "veg", label: "Vegetarian" }, { value: "vegan", label: "Vegan" }, { value: "keto", label: "Keto" }];
+const STRESS = [{ value: "low", label: "Low" }, { value: "moderate", label: "Moderate" }, { value: "high", label: "High" }];
+const DAYS = TRAINING_DAYS.map((d) => ({ value: String(d), label: `${d} day${d === 1 ? "" : "s"} a week` }));
+const LENGTHS = SESSION_LENGTHS.map((m) => ({ value: String(m), label: `${m} minutes` }));
+const WEEKS = PROGRAM_LENGTHS.map((w) => ({ value: String(w), label: `${w} weeks` }));
+
+const labelOf = (options, value) => options.find((o) => o.value === String(value))?.label || value || "—";
+
+/* ===========================
+   Onboarding wizard
+=========================== */
+// Edits the profile's form draft ({ values, step }, see lib/onboarding.js)
+// step by step. Each step is validated before moving on; the review step
+// hands the normalized, metric inputs to onSubmit.
+export default function OnboardingWizard({ draft, darkMode, onDraftChange, onSubmit, submitting, submitLabel }) {
+  const { values, step } = draft;
+  const [attempted, setAttempted] = useState([]); // steps whose errors are shown
+  const errors = attempted.includes(step) ? stepErrors(values, step) : {};
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const imperial = values.units === "imperial";
+
+  const update = (patch) => onDraftChange({ ...draft, ...patch });
+  const onField = (e) => update({ values: setDraftValue(values, e.target.name, e.target.value) });
+  const goTo = (next) => update({ step: Math.max(0, Math.min(WIZARD_STEPS.length - 1, next)) });
+  const next = () => {
+    if (Object.keys(stepErrors(values, step)).length) return setAttempted((a) => [...new Set([...a, step])]);
+    return goTo(step + 1);
+  };
+  const submit = () => {
+    const invalid = firstInvalidStep(values);
+    if (invalid >= 0) {
+      setAttempted((a) => [...new Set([...a, invalid])]);
+      return goTo(invalid);
+    }
+    return onSubmit(normalizeInputs(values));
+  };
+
+  const available = profileEquipment(values) || Object.keys(EQUIPMENT);
+  const toggleEquipment = (key) =>
+    update({ values: { ...values, equipment: available.includes(key) ? available.filter((e) => e !== key) : [...available, key] } });
+
+  const inputs = normalizeInputs(values);
+  const targets = computeTargets(inputs);
+  const field = (name, label, options) =>
+    options ? (
+      <Select label={label} name={name} value={values[name]} onChange={onField} options={options} darkMode={darkMode} error={errors[name]} />
+    ) : (
+      <Input label={label} name={name} value={values[name]} onChange={onField} type="number" darkMode={darkMode} error={errors[name]} />
+    );
+
+  const summary = [
+    [0, [["Name", values.name || "—"], ["Age", values.age], ["Gender", labelOf(GENDERS, values.gender)], ["Height", formatHeight(values)], ["Weight", formatWeight(values)]]],
+    [1, [
+      ["Goal", labelOf(GOALS, values.fitnessGoal)],
+      ["Level", labelOf(LEVELS, values.fitnessLevel)],
+      ["Activity", labelOf(ACTIVITY, values.activityLevel)],
+      ["Training", `${labelOf(DAYS, values.trainingDays)}, ${labelOf(LENGTHS, values.sessionLength)}`],
+      ["Program", labelOf(WEEKS, values.programWeeks)],
+      ["Stress", labelOf(STRESS, values.stressLevel)],
+      ["Sleep", values.sleepHours ? `${values.sleepHours} h/night` : "—"],
+    ]],
+    [2, [["Location", labelOf(LOCATIONS, values.workoutLocation)], ["Equipment", available.map((e) => EQUIPMENT[e]).join(", ")]]],
+    [3, [
+      ["Diet", labelOf(DIETS, values.dietaryPreference)],
+      ["Food allergies", values.foodAllergies || "none"],
+      ["Injuries", values.injuries || "none"],
+      ["Medical history", values.medicalHistory || "none"],
+    ]],
+  ];
+
+  return (
+    <div>
+      <ol className="flex flex-wrap gap-2 mb-6 text-sm">
+        {WIZARD_STEPS.map((s, i) => (
+          <li key={s.id}>
+            <button
+              onClick={() => goTo(i)}
+              className={`px-3 py-1 rounded-full ${
+                i === step ? "bg-purple-600 text-white" : darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-100 hover:bg-gray-200"
+              }`}
+            >
+              {i + 1}. {s.title}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {step === 0 && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <Input label="Name" name="name" value={values.name} onChange={onField} darkMode={darkMode} error={errors.name} />
+          {field("age", "Age")}
+          {field("gender", "Gender", GENDERS)}
+          <div>
+            <label className="block text-sm mb-1 font-medium">Units</label>
+            <div className="flex gap-2">
+              {Object.entries(UNIT_SYSTEMS).map(([units, label]) => (
+                <button
+                  key={units}
+                  onClick={() => update({ values: switchUnits(values, units) })}
+                  className={`flex-1 px-3 py-2 rounded-lg text-sm ${
+                    values.units === units ? "bg-purple-600 text-white" : darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-100 hover:bg-gray-200"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {imperial ? (
+            <div className="grid grid-cols-2 gap-2">
+              {field("heightFt", "Height (ft)")}
+              {field("heightIn", "(in)")}
+            </div>
+          ) : (
+            field("height", "Height (cm)")
+          )}
+          {imperial ? field("weightLb", "Weight (lb)") : field("weight", "Weight (kg)")}
+        </div>
+      )}
+
+      {step === 1 && (
+        <div className="grid md:grid-cols-2 gap-4">
+          {field("fitnessGoal", "Fitness Goal", GOALS)}
+          {field("fitnessLevel", "Fitness Level", LEVELS)}
+          {field("activityLevel", "Activity Level", ACTIVITY)}
+          {field("trainingDays", "Training Days per Week", DAYS)}
+          {field("sessionLength", "Session Length", LENGTHS)}
+          {field("programWeeks", "Program Length", WEEKS)}
+          {field("stressLevel", "Stress Level", STRESS)}
+          {field("sleepHours", "Sleep (hours per night, optional)")}
+        </div>
+      )}
+
+      {step === 2 && (
+        <div className="space-y-4">
+          {field("workoutLocation", "Workout Location", LOCATIONS)}
+          <div>
+            <div className="flex justify-between items-center mb-1">
+              <label className="block text-sm font-medium">Available Equipment</label>
+              {values.equipment?.length > 0 && (
+                <button onClick={() => update({ values: { ...values, equipment: [] } })} className="text-xs text-purple-500 hover:underline">
+                  Use {labelOf(LOCATIONS, values.workoutLocation).toLowerCase()} defaults
+                </button>
+              )}
+            </div>
+            <div className="grid sm:grid-cols-3 gap-2">
+              {Object.entries(EQUIPMENT).map(([key, label]) => (
+                <label key={key} className={`flex items-center gap-2 p-2 rounded-lg text-sm ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+                  <input
+                    type="checkbox"
+                    checked={key === "bodyweight" || available.includes(key)}
+                    disabled={key === "bodyweight"}
+                    onChange={() => toggleEquipment(key)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <FieldError error={errors.equipment} />
+            <p className={`text-xs mt-1 ${muted}`}>Exercises are only picked from what you have here.</p>
+          </div>
+        </div>
+      )}
+
+      {step === 3 && (
+        <div className="grid md:grid-cols-2 gap-4">
+          {field("dietaryPreference", "Dietary Preference", DIETS)}
+          <Input label="Food Allergies (comma separated)" name="foodAllergies" value={values.foodAllergies} onChange={onField} darkMode={darkMode}
+            placeholder="e.g. peanuts, shellfish" error={errors.foodAllergies} />
+          <div className="md:col-span-2">
+            <TextArea label="Injuries (Optional)" name="injuries" value={values.injuries} onChange={onField} darkMode={darkMode} rows={2}
+              placeholder="Current or past injuries, e.g. left knee ACL repair" error={errors.injuries} />
+          </div>
+          <div className="md:col-span-2">
+            <TextArea label="Medical History (Optional)" name="medicalHistory" value={values.medicalHistory} onChange={onField} darkMode={darkMode}
+              placeholder="Any conditions, medication or limitations..." error={errors.medicalHistory} />
+            <SafetyBanner screening={screenInputs(inputs)} darkMode={darkMode} compact />
+          </div>
+        </div>
+      )}
+
+      {step === 4 && (
+        <div className="space-y-4">
+          {summary.map(([target, rows]) => (
+            <div key={target} className={`p-4 rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">{WIZARD_STEPS[target].title}</h3>
+                <button onClick={() => goTo(target)} className="text-sm text-purple-500 hover:underline flex items-center gap-1">
+                  <Pencil className="w-3 h-3" /> Edit
+                </button>
+              </div>
+              <dl className="grid sm:grid-cols-2 gap-x-4 gap-y-1 text-sm">
+                {rows.map(([label, value]) => (
+                  <div key={label} className="flex gap-2">
+                    <dt className={muted}>{label}:</dt>
+                    <dd className="break-words min-w-0">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          ))}
+          {targets && <NutritionTargets targets={targets} darkMode={darkMode} />}
+        </div>
+      )}
+
+      <div className="flex gap-3 mt-6">
+        {step > 0 && (
+          <button
+            onClick={() => goTo(step - 1)}
+            className={`px-4 py-3 rounded-lg flex items-center gap-1 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+          >
+            <ChevronLeft className="w-4 h-4" /> Back
+          </button>
+        )}
+        {step < WIZARD_STEPS.length - 1 ? (
+          <button onClick={next} className="flex-1 py-3 rounded-lg bg-purple-600 hover:bg-purple-700 text-white flex justify-center items-center gap-1 font-semibold">
+            Next <ChevronRight className="w-4 h-4" />
+          </button>
+        ) : (
+          <button
+            onClick={submit}
+            disabled={submitting}
+            className="flex-1 py-3 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-lg flex justify-center items-center gap-2 hover:shadow-xl transition-all duration-300 disabled:opacity-50 font-semibold text-lg"
+          >
+            {submitLabel}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
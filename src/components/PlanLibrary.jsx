@@ -0,0 +1,102 @@
+import React, { useState, useRef } from "react";
+import { Library, Pencil, Copy, Archive, ArchiveRestore, Trash2, FolderOpen, Upload } from "lucide-react";
+import { Card } from "./ui";
+
+const describeInputs = (inputs = {}) =>
+  [
+    inputs.fitnessGoal?.replace(/_/g, " "),
+    inputs.fitnessLevel,
+    inputs.workoutLocation,
+    inputs.dietaryPreference?.replace(/_/g, "-"),
+    inputs.weight && `${inputs.weight} kg`,
+  ].filter(Boolean).join(" • ");
+
+/* ===========================
+   Saved-plan library
+=========================== */
+export default function PlanLibrary({ entries, activePlanId, darkMode, onOpen, onRename, onDuplicate, onArchive, onDelete, onImport }) {
+  const [showArchived, setShowArchived] = useState(false);
+  const fileInput = useRef(null);
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const btn = `p-2 rounded-lg ${darkMode ? "hover:bg-gray-600" : "hover:bg-gray-200"}`;
+  const visible = entries.filter((e) => showArchived || !e.archived);
+  const archivedCount = entries.filter((e) => e.archived).length;
+
+  const rename = (entry) => {
+    const name = window.prompt("Rename plan", entry.name);
+    if (name?.trim()) onRename(entry.id, name.trim());
+  };
+  const remove = (entry) => {
+    if (window.confirm(`Permanently delete "${entry.name}"?`)) onDelete(entry.id);
+  };
+  const pickFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <Card darkMode={darkMode}>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <Library className="text-purple-600" />
+          Saved Plans
+        </h2>
+        <div className="flex items-center gap-3">
+          {archivedCount > 0 && (
+            <label className="text-sm flex items-center gap-2">
+              <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+              Show archived ({archivedCount})
+            </label>
+          )}
+          <button
+            onClick={() => fileInput.current?.click()}
+            title="Import a plan exported as JSON"
+            className={`px-3 py-1 rounded-lg text-sm flex items-center gap-1 ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-100 hover:bg-gray-200"}`}
+          >
+            <Upload className="w-4 h-4" /> Import
+          </button>
+          <input ref={fileInput} type="file" accept=".json,application/json" onChange={pickFile} className="hidden" />
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className={muted}>No saved plans for this profile yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {visible.map((entry) => (
+            <div
+              key={entry.id}
+              className={`p-3 rounded-lg flex flex-wrap justify-between items-center gap-2 ${
+                entry.id === activePlanId
+                  ? "ring-2 ring-purple-500"
+                  : ""
+              } ${darkMode ? "bg-gray-700" : "bg-gray-50"} ${entry.archived ? "opacity-60" : ""}`}
+            >
+              <div className="flex-1 min-w-[12rem]">
+                <div className="font-medium">
+                  {entry.name}
+                  {entry.id === activePlanId && <span className="ml-2 text-xs text-purple-500">(current)</span>}
+                  {entry.archived && <span className="ml-2 text-xs">(archived)</span>}
+                  {entry.invalid && <span className="ml-2 text-xs text-red-500">(unreadable — older format)</span>}
+                </div>
+                <div className={`text-xs ${muted}`}>
+                  Created {new Date(entry.createdAt).toLocaleString()} • {describeInputs(entry.inputs)}
+                </div>
+              </div>
+              <div className="flex gap-1">
+                <button onClick={() => onOpen(entry.id)} title="Open" className={btn}><FolderOpen className="w-4 h-4" /></button>
+                <button onClick={() => rename(entry)} title="Rename" className={btn}><Pencil className="w-4 h-4" /></button>
+                <button onClick={() => onDuplicate(entry.id)} title="Duplicate" className={btn}><Copy className="w-4 h-4" /></button>
+                <button onClick={() => onArchive(entry.id, !entry.archived)} title={entry.archived ? "Unarchive" : "Archive"} className={btn}>
+                  {entry.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                </button>
+                <button onClick={() => remove(entry)} title="Delete" className={`${btn} text-red-600`}><Trash2 className="w-4 h-4" /></button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
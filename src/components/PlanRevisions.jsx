@@ -0,0 +1,45 @@
+import React from "react";
+import { History, Undo2, RotateCcw } from "lucide-react";
+import { Card } from "./ui";
+
+/* ===========================
+   Plan edit history
+=========================== */
+export default function PlanRevisions({ revisions = [], darkMode, onUndo, onRestore }) {
+  if (!revisions.length) return null;
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+
+  return (
+    <Card darkMode={darkMode}>
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold text-lg flex items-center gap-2">
+          <History className="w-5 h-5 text-purple-600" />
+          Edit History
+        </h3>
+        <button
+          onClick={onUndo}
+          className="px-3 py-1 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm flex items-center gap-1"
+        >
+          <Undo2 className="w-4 h-4" /> Undo last edit
+        </button>
+      </div>
+      <ul className="space-y-2 text-sm">
+        {revisions.map((r) => (
+          <li key={r.id} className={`p-2 rounded-lg flex justify-between items-center ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+            <div>
+              <div>{r.label}</div>
+              <div className={`text-xs ${muted}`}>{new Date(r.at).toLocaleString()}</div>
+            </div>
+            <button
+              onClick={() => window.confirm("Restore the plan to how it was before this edit? Later edits are discarded.") && onRestore(r.id)}
+              title="Restore to before this edit"
+              className={`p-2 rounded-lg ${darkMode ? "hover:bg-gray-600" : "hover:bg-gray-200"}`}
+            >
+              <RotateCcw className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+}
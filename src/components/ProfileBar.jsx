@@ -0,0 +1,45 @@
+import React from "react";
+import { Users, UserPlus, Pencil, Trash2 } from "lucide-react";
+import { Card } from "./ui";
+
+/* ===========================
+   Profile switcher
+=========================== */
+export default function ProfileBar({ profiles, activeId, darkMode, onSwitch, onCreate, onRename, onDelete }) {
+  const active = profiles.find((p) => p.id === activeId);
+  const btn = `p-2 rounded-lg ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`;
+
+  const create = () => {
+    const name = window.prompt("Profile name?");
+    if (name?.trim()) onCreate(name.trim());
+  };
+  const rename = () => {
+    const name = window.prompt("Rename profile", active?.name || "");
+    if (name?.trim()) onRename(activeId, name.trim());
+  };
+  const remove = () => {
+    if (profiles.length < 2) return alert("You need at least one profile.");
+    if (window.confirm(`Delete profile "${active?.name}" with all its plans and history? This cannot be undone.`)) {
+      onDelete(activeId);
+    }
+  };
+
+  return (
+    <Card darkMode={darkMode} className="flex flex-wrap items-center gap-3">
+      <Users className="w-5 h-5 text-purple-600" />
+      <span className="font-semibold">Profile</span>
+      <select
+        value={activeId || ""}
+        onChange={(e) => onSwitch(e.target.value)}
+        className={`flex-1 min-w-[10rem] px-3 py-2 rounded-lg border ${
+          darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"
+        } focus:ring-2 focus:ring-purple-500 focus:outline-none`}
+      >
+        {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      <button onClick={create} title="New profile" className={btn}><UserPlus className="w-4 h-4" /></button>
+      <button onClick={rename} title="Rename profile" className={btn}><Pencil className="w-4 h-4" /></button>
+      <button onClick={remove} title="Delete profile" className={btn}><Trash2 className="w-4 h-4" /></button>
+    </Card>
+  );
+}
@@ -0,0 +1,40 @@
+import React from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+/* ===========================
+   Program week selector
+=========================== */
+export default function ProgramWeek({ week, weeks, currentWeek, phase, deload, darkMode, onWeekChange }) {
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const btn = `p-2 rounded-lg disabled:opacity-30 ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`;
+
+  if (weeks <= 1) return null;
+
+  return (
+    <div className={`mb-6 p-3 rounded-lg flex items-center justify-between gap-2 ${darkMode ? "bg-gray-700" : "bg-purple-50"}`}>
+      <button onClick={() => onWeekChange(week - 1)} disabled={week <= 1} title="Previous week" className={btn}>
+        <ChevronLeft className="w-5 h-5" />
+      </button>
+      <div className="text-center">
+        <div className="font-semibold">
+          Week {week} of {weeks}
+          {week === currentWeek && <span className="ml-2 text-xs text-purple-500">(this week)</span>}
+          {deload && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-amber-500 text-white">Deload</span>}
+        </div>
+        {phase && (
+          <div className={`text-sm ${muted}`}>
+            {phase.name} • week {phase.weekInPhase} of {phase.weeks}{phase.focus ? ` • ${phase.focus}` : ""}
+          </div>
+        )}
+        {week !== currentWeek && (
+          <button onClick={() => onWeekChange(currentWeek)} className="text-xs text-purple-500 hover:underline">
+            Back to this week
+          </button>
+        )}
+      </div>
+      <button onClick={() => onWeekChange(week + 1)} disabled={week >= weeks} title="Next week" className={btn}>
+        <ChevronRight className="w-5 h-5" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useState, useMemo } from "react";
+import { TrendingUp, Plus, Trash2 } from "lucide-react";
+import { Card, Input, Select } from "./ui";
+import { LineChart, BarChart } from "./charts";
+import { workoutsPerWeek, volumeByFocus, adherence, measurementSeries } from "../lib/progress";
+
+const MEASUREMENTS = [
+  { value: "weight", label: "Body Weight", unit: "kg" },
+  { value: "waist", label: "Waist", unit: "cm" },
+  { value: "chest", label: "Chest", unit: "cm" },
+  { value: "hips", label: "Hips", unit: "cm" },
+  { value: "arms", label: "Arms", unit: "cm" },
+  { value: "bodyFat", label: "Body Fat", unit: "%" },
+];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/* ===========================
+   Progress dashboard
+=========================== */
+export default function ProgressDashboard({ entries, history, plan, darkMode, onAddEntry, onDeleteEntry }) {
+  const [draft, setDraft] = useState({ date: today(), weight: "", extra: "waist" });
+  const [metric, setMetric] = useState("weight");
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const tile = `p-4 rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`;
+
+  const perWeek = useMemo(() => workoutsPerWeek(history), [history]);
+  const volume = useMemo(() => volumeByFocus(history), [history]);
+  const adh = useMemo(() => adherence(history, plan), [history, plan]);
+  const series = useMemo(() => measurementSeries(entries, metric), [entries, metric]);
+  const unit = MEASUREMENTS.find((m) => m.value === metric).unit;
+
+  const onChange = (e) => setDraft((d) => ({ ...d, [e.target.name]: e.target.value }));
+  const submit = () => {
+    onAddEntry(draft);
+    setDraft({ date: today(), weight: "", extra: "waist" });
+  };
+
+  return (
+    <Card darkMode={darkMode}>
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <TrendingUp className="text-blue-600" />
+        Progress Dashboard
+      </h2>
+
+      <div className="grid grid-cols-3 gap-3 mb-6 text-center">
+        <div className={tile}>
+          <div className="text-2xl font-bold">{history.length}</div>
+          <div className={`text-xs ${muted}`}>Workouts logged</div>
+        </div>
+        <div className={tile}>
+          <div className="text-2xl font-bold">{adh.percent}%</div>
+          <div className={`text-xs ${muted}`}>Plan adherence</div>
+        </div>
+        <div className={tile}>
+          <div className="text-2xl font-bold">
+            {entries.filter((e) => e.weight).slice(-1)[0]?.weight ?? "—"}
+          </div>
+          <div className={`text-xs ${muted}`}>Latest weight (kg)</div>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-semibold">Measurements</h3>
+            <select
+              value={metric}
+              onChange={(e) => setMetric(e.target.value)}
+              className={`text-sm px-2 py-1 rounded border ${darkMode ? "bg-gray-700 border-gray-600" : "bg-gray-50 border-gray-300"}`}
+            >
+              {MEASUREMENTS.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </div>
+          <LineChart data={series} darkMode={darkMode} unit={unit} />
+        </div>
+        <div>
+          <h3 className="font-semibold mb-2">Workouts per Week</h3>
+          <BarChart data={perWeek} darkMode={darkMode} />
+        </div>
+        <div>
+          <h3 className="font-semibold mb-2">Volume by Muscle Group (kg)</h3>
+          <BarChart data={volume.slice(0, 8)} darkMode={darkMode} color="#16a34a" />
+        </div>
+        <div>
+          <h3 className="font-semibold mb-2">Weekly Adherence</h3>
+          <BarChart data={adh.series} darkMode={darkMode} color="#9333ea" unit="%" max={100} />
+        </div>
+      </div>
+
+      <h3 className="font-semibold mt-6 mb-2">Log Measurements</h3>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+        <Input label="Date" name="date" type="date" value={draft.date} onChange={onChange} darkMode={darkMode} />
+        <Input label="Weight (kg)" name="weight" type="number" value={draft.weight} onChange={onChange} darkMode={darkMode} />
+        <Select label="Other measurement" name="extra" value={draft.extra} onChange={onChange} darkMode={darkMode}
+          options={MEASUREMENTS.filter((m) => m.value !== "weight")} />
+        <Input label={`Value (${MEASUREMENTS.find((m) => m.value === draft.extra).unit})`} name={draft.extra}
+          type="number" value={draft[draft.extra] || ""} onChange={onChange} darkMode={darkMode} />
+      </div>
+      <button
+        onClick={submit}
+        className="mt-3 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg flex items-center gap-2"
+      >
+        <Plus className="w-4 h-4" /> Add Entry
+      </button>
+
+      {entries.length > 0 && (
+        <ul className="mt-4 text-sm space-y-1 max-h-40 overflow-auto">
+          {[...entries].reverse().map((e) => (
+            <li key={e.id} className="flex justify-between items-center">
+              <span>
+                {e.date}: {MEASUREMENTS.filter((m) => e[m.value]).map((m) => `${m.label} ${e[m.value]}${m.unit}`).join(" • ")}
+              </span>
+              <button onClick={() => onDeleteEntry(e.id)} className="text-red-600 hover:text-red-700 p-1">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { AlertTriangle, ShieldAlert, Ban } from "lucide-react";
+import { Card } from "./ui";
+
+const tone = (risk, darkMode) =>
+  risk === "high"
+    ? darkMode ? "bg-red-900/40 border-red-700" : "bg-red-50 border-red-300"
+    : darkMode ? "bg-amber-900/40 border-amber-700" : "bg-amber-50 border-amber-300";
+
+/* ===========================
+   Medical safety warnings
+=========================== */
+// Detected conditions with their advice, plus the flagged / blocked plan
+// items (`issues` from screenPlan). `compact` is the preview under the form.
+export default function SafetyBanner({ screening, issues = {}, darkMode, compact = false }) {
+  if (!screening.conditions.length) return null;
+  const items = Object.entries(issues).map(([key, issue]) => ({ key, ...issue }));
+  const blocked = items.filter((i) => i.action === "block");
+  const flagged = items.filter((i) => i.action !== "block");
+
+  if (compact) {
+    return (
+      <div className={`mt-2 p-2 rounded-lg border text-xs ${tone(screening.risk, darkMode)}`}>
+        <ShieldAlert className="w-4 h-4 inline mr-1" />
+        Detected: {screening.conditions.map((c) => c.label).join(", ")}. The plan will follow safety rules for these
+        {screening.risk === "high" ? " and you'll be asked to confirm before it is shown." : "."}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`p-4 rounded-2xl border text-sm ${tone(screening.risk, darkMode)}`} role="alert">
+      <div className="font-semibold flex items-center gap-2">
+        <ShieldAlert className="w-4 h-4" /> Medical safety notes
+      </div>
+      <ul className="mt-2 space-y-1">
+        {screening.conditions.map((c) => (
+          <li key={c.key}>
+            <span className="font-medium">{c.label}:</span> {c.advice}
+          </li>
+        ))}
+      </ul>
+      {blocked.length > 0 && (
+        <div className="mt-3">
+          <div className="font-medium flex items-center gap-1">
+            <Ban className="w-4 h-4" /> Not suitable — replace these:
+          </div>
+          <ul className="list-disc pl-5">
+            {blocked.map((i) => (
+              <li key={i.key}>
+                {i.name} <span className="opacity-70">({i.reasons.join("; ")})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {flagged.length > 0 && (
+        <div className="mt-3">
+          <div className="font-medium flex items-center gap-1">
+            <AlertTriangle className="w-4 h-4" /> Take care with:
+          </div>
+          <ul className="list-disc pl-5">
+            {flagged.map((i) => (
+              <li key={i.key}>
+                {i.name} <span className="opacity-70">({i.reasons.join("; ")})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <p className="mt-3 text-xs opacity-80">
+        These checks are simple local rules, not medical advice. Talk to your doctor before starting a new program.
+      </p>
+    </div>
+  );
+}
+
+// Small marker next to a flagged or blocked plan item
+export const IssueBadge = ({ issue }) =>
+  issue ? (
+    <span
+      title={issue.reasons.join("\n")}
+      className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full align-middle ${
+        issue.action === "block" ? "bg-red-500/20 text-red-600" : "bg-amber-500/20 text-amber-600"
+      }`}
+    >
+      {issue.action === "block" ? <Ban className="w-3 h-3" /> : <AlertTriangle className="w-3 h-3" />}
+      {issue.action === "block" ? "Not suitable" : "Caution"}
+    </span>
+  ) : null;
+
+// Shown instead of a high-risk plan until the user confirms the warnings
+export function SafetyGate({ screening, darkMode, onAcknowledge, onEdit }) {
+  const [checked, setChecked] = useState(false);
+  const high = screening.conditions.filter((c) => c.risk === "high");
+
+  return (
+    <Card darkMode={darkMode}>
+      <h2 className="text-2xl font-bold mb-2 flex items-center gap-2">
+        <ShieldAlert className="text-red-500" />
+        Before you see your plan
+      </h2>
+      <p className={`mb-4 ${darkMode ? "text-gray-300" : "text-gray-600"}`}>
+        Your medical history mentions conditions where exercise and diet changes carry extra risk:
+      </p>
+      <ul className="space-y-2 mb-4">
+        {high.map((c) => (
+          <li key={c.key} className={`p-3 rounded-lg border ${tone("high", darkMode)}`}>
+            <div className="font-semibold">{c.label}</div>
+            <div className="text-sm">{c.advice}</div>
+          </li>
+        ))}
+      </ul>
+      <p className={`text-sm mb-4 ${darkMode ? "text-gray-300" : "text-gray-600"}`}>
+        The plan has been adjusted with simple local rules, which cannot replace a medical assessment.
+      </p>
+      <label className="flex items-start gap-2 text-sm mb-4">
+        <input type="checkbox" className="mt-1" checked={checked} onChange={(e) => setChecked(e.target.checked)} />
+        I understand these warnings and will check this plan with my doctor before starting it.
+      </label>
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={onAcknowledge}
+          disabled={!checked}
+          className="px-4 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+        >
+          Show my plan
+        </button>
+        <button onClick={onEdit} className={`px-4 py-2 rounded-lg ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}>
+          Edit my details
+        </button>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import { CalendarDays, ChevronLeft, ChevronRight, Download, Bell } from "lucide-react";
+import { Card } from "./ui";
+import { WEEKDAY_LABELS, calendarDays, shiftAnchor, dateKey } from "../lib/schedule";
+
+const STATUS_STYLE = {
+  done: "bg-green-600 text-white",
+  missed: "bg-red-500/20 text-red-500 line-through",
+  today: "bg-purple-600 text-white",
+  planned: "bg-purple-500/20 text-purple-600",
+};
+
+const rangeLabel = (days, view, anchor) =>
+  view === "month"
+    ? anchor.toLocaleDateString(undefined, { month: "long", year: "numeric" })
+    : `${days[0].toLocaleDateString(undefined, { month: "short", day: "numeric" })} – ${days[6].toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
+
+/* ===========================
+   Training calendar & schedule settings
+=========================== */
+export default function TrainingCalendar({
+  plan, schedule, events, permission, darkMode, onScheduleChange, onExportIcs, onOpenDay,
+}) {
+  const [view, setView] = useState("week");
+  const [anchor, setAnchor] = useState(() => new Date());
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+  const field = `px-3 py-1 rounded-lg border ${darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"}`;
+  const btn = `p-2 rounded-lg ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`;
+
+  const days = calendarDays(anchor, view);
+  const byDate = {};
+  events.forEach((ev) => (byDate[ev.date] ||= []).push(ev));
+  const todayKey = dateKey(new Date());
+
+  const toggleWeekday = (i) => {
+    const weekdays = schedule.weekdays.includes(i) ? schedule.weekdays.filter((d) => d !== i) : [...schedule.weekdays, i].sort();
+    if (weekdays.length) onScheduleChange({ weekdays });
+  };
+  const setReminder = (patch) => onScheduleChange({ reminders: { ...schedule.reminders, ...patch } });
+
+  return (
+    <Card darkMode={darkMode}>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <CalendarDays className="text-purple-600" />
+          Training Calendar
+        </h2>
+        <div className="flex items-center gap-1">
+          {["week", "month"].map((v) => (
+            <button
+              key={v}
+              onClick={() => setView(v)}
+              className={`px-3 py-1 rounded-lg text-sm capitalize ${view === v ? "bg-purple-600 text-white" : darkMode ? "bg-gray-700" : "bg-gray-100"}`}
+            >
+              {v}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center mb-2">
+        <button onClick={() => setAnchor(shiftAnchor(anchor, view, -1))} title="Previous" className={btn}><ChevronLeft className="w-5 h-5" /></button>
+        <button onClick={() => setAnchor(new Date())} className="font-semibold hover:underline">{rangeLabel(days, view, anchor)}</button>
+        <button onClick={() => setAnchor(shiftAnchor(anchor, view, 1))} title="Next" className={btn}><ChevronRight className="w-5 h-5" /></button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-xs">
+        {WEEKDAY_LABELS.map((label) => (
+          <div key={label} className={`text-center font-medium ${muted}`}>{label}</div>
+        ))}
+        {days.map((d) => {
+          const key = dateKey(d);
+          const outside = view === "month" && d.getMonth() !== anchor.getMonth();
+          return (
+            <div
+              key={key}
+              className={`p-1 rounded-lg border ${view === "month" ? "min-h-[4rem]" : "min-h-[5rem]"} ${
+                key === todayKey ? "ring-2 ring-purple-500" : ""
+              } ${darkMode ? "border-gray-700" : "border-gray-200"} ${outside ? "opacity-40" : ""}`}
+            >
+              <div className={`text-right ${muted}`}>{d.getDate()}</div>
+              {(byDate[key] || []).map((ev, i) => {
+                const day = plan.workoutPlan.days[ev.dayIndex];
+                return (
+                  <button
+                    key={i}
+                    onClick={() => onOpenDay(ev.dayIndex)}
+                    title={`${day?.day}: ${day?.focus}${ev.rescheduled ? " (moved after a missed session)" : ""}`}
+                    className={`w-full mt-1 px-1 rounded truncate text-left ${STATUS_STYLE[ev.status]}`}
+                  >
+                    {ev.rescheduled ? "↻ " : ""}{day?.day}
+                  </button>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className={`mt-4 pt-4 border-t space-y-3 text-sm ${darkMode ? "border-gray-700" : "border-gray-200"}`}>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-medium mr-1">Training days</span>
+          {WEEKDAY_LABELS.map((label, i) => (
+            <button
+              key={label}
+              onClick={() => toggleWeekday(i)}
+              className={`px-2 py-1 rounded-lg ${schedule.weekdays.includes(i) ? "bg-purple-600 text-white" : darkMode ? "bg-gray-700" : "bg-gray-100"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2">
+            Start
+            <input type="date" value={schedule.startDate} onChange={(e) => e.target.value && onScheduleChange({ startDate: e.target.value })} className={field} />
+          </label>
+          <label className="flex items-center gap-2">
+            Time
+            <input type="time" value={schedule.time} onChange={(e) => e.target.value && onScheduleChange({ time: e.target.value })} className={field} />
+          </label>
+          <button onClick={onExportIcs} className="px-3 py-1 rounded-lg bg-purple-600 hover:bg-purple-700 text-white flex items-center gap-1">
+            <Download className="w-4 h-4" /> Export .ics
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <Bell className="w-4 h-4 text-purple-600" />
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={schedule.reminders.workouts} onChange={(e) => setReminder({ workouts: e.target.checked })} disabled={permission === "unsupported"} />
+            Workout reminders
+          </label>
+          <select value={schedule.reminders.leadMinutes} onChange={(e) => setReminder({ leadMinutes: Number(e.target.value) })} className={field}>
+            {[0, 15, 30, 60].map((m) => <option key={m} value={m}>{m ? `${m} min before` : "At start time"}</option>)}
+          </select>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={schedule.reminders.meals} onChange={(e) => setReminder({ meals: e.target.checked })} disabled={permission === "unsupported"} />
+            Meal reminders
+          </label>
+          {permission === "denied" && <span className="text-red-500">Notifications are blocked in your browser settings.</span>}
+          {permission === "unsupported" && <span className={muted}>This browser does not support notifications.</span>}
+        </div>
+      </div>
+    </Card>
+  );
+}
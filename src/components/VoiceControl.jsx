@@ -0,0 +1,34 @@
+import React from "react";
+import { Mic, MicOff } from "lucide-react";
+import { COMMAND_EXAMPLES } from "../lib/voiceCommands";
+
+/* ===========================
+   Voice command toggle
+=========================== */
+export default function VoiceControl({ listening, heard, darkMode, onToggle }) {
+  const hint = `Voice commands, e.g.:\n${COMMAND_EXAMPLES.map((c) => `• "${c}"`).join("\n")}`;
+
+  return (
+    <div className="flex items-center gap-2">
+      {listening && (
+        <span
+          className={`hidden sm:inline max-w-[14rem] truncate text-xs px-2 py-1 rounded-full ${
+            heard && !heard.command ? "bg-amber-500/20 text-amber-600" : darkMode ? "bg-gray-700 text-gray-300" : "bg-gray-100 text-gray-600"
+          }`}
+          title={hint}
+        >
+          {heard ? `${heard.command ? "✓" : "?"} “${heard.text}”` : "Listening…"}
+        </span>
+      )}
+      <button
+        onClick={onToggle}
+        title={listening ? "Stop voice commands" : hint}
+        className={`p-2 rounded-lg ${
+          listening ? "bg-red-500 hover:bg-red-600 text-white animate-pulse" : darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"
+        }`}
+      >
+        {listening ? <Mic className="w-5 h-5" /> : <MicOff className="w-5 h-5" />}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from "react";
+import { Volume2 } from "lucide-react";
+import { Select } from "./ui";
+import { listVoices, onVoicesChanged } from "../lib/speech";
+import { audioCacheUsage, clearAudioCache } from "../lib/tts";
+
+const megabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/* ===========================
+   Browser voice settings
+=========================== */
+export default function VoiceSettings({ voice, darkMode, onChange, onTest }) {
+  const [voices, setVoices] = useState(listVoices);
+  const [usage, setUsage] = useState(() => audioCacheUsage());
+  useEffect(() => onVoicesChanged(() => setVoices(listVoices())), []);
+
+  const set = (patch) => onChange({ ...voice, ...patch });
+  const options = [{ value: "", label: "Browser default" }, ...voices.map((v) => ({ value: v.name, label: `${v.name} (${v.lang})` }))];
+  const slider = (label, key, min, max) => (
+    <label className="block">
+      <span className="block text-sm mb-1 font-medium">{label}: {Number(voice[key]).toFixed(1)}</span>
+      <input type="range" min={min} max={max} step="0.1" value={voice[key]} onChange={(e) => set({ [key]: Number(e.target.value) })} className="w-full accent-purple-600" />
+    </label>
+  );
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4 mt-4">
+      <Select label="Browser Voice" name="speechVoice" value={voice.speechVoice} onChange={(e) => set({ speechVoice: e.target.value })} options={options} darkMode={darkMode} />
+      <div className="grid grid-cols-2 gap-4">
+        {slider("Rate", "speechRate", 0.5, 2)}
+        {slider("Pitch", "speechPitch", 0, 2)}
+      </div>
+      <div className={`md:col-span-2 flex flex-wrap items-center gap-3 text-sm ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+        <button
+          onClick={onTest}
+          className={`px-3 py-1 rounded-lg flex items-center gap-1 ${darkMode ? "bg-gray-700 hover:bg-gray-600 text-white" : "bg-gray-200 hover:bg-gray-300 text-gray-900"}`}
+        >
+          <Volume2 className="w-4 h-4" /> Test voice
+        </button>
+        <span>Cached ElevenLabs clips: {usage.count} • {megabytes(usage.bytes)}</span>
+        {usage.count > 0 && (
+          <button onClick={() => clearAudioCache().then((entries) => setUsage(audioCacheUsage(entries)))} className="text-red-600 hover:underline">
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import { History, ChevronDown, ChevronUp, Trash2 } from "lucide-react";
+import { Card } from "./ui";
+import { sessionSummary } from "../lib/workoutSession";
+
+/* ===========================
+   Completed sessions (done vs prescribed)
+=========================== */
+export default function WorkoutHistory({ history, darkMode, onDelete }) {
+  const [expanded, setExpanded] = useState(null);
+  const muted = darkMode ? "text-gray-400" : "text-gray-600";
+
+  return (
+    <Card darkMode={darkMode}>
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <History className="text-purple-600" />
+        Workout History
+      </h2>
+      {history.length === 0 ? (
+        <p className={muted}>No workouts logged yet. Open a day and press "Start Workout".</p>
+      ) : (
+        <div className="space-y-3">
+          {history.map((s) => {
+            const summary = sessionSummary(s);
+            const open = expanded === s.id;
+            return (
+              <div key={s.id} className={`border rounded-lg overflow-hidden ${darkMode ? "border-gray-700" : "border-gray-200"}`}>
+                <button
+                  onClick={() => setExpanded(open ? null : s.id)}
+                  className={`w-full p-4 flex justify-between items-center ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-100 hover:bg-gray-200"} transition-colors`}
+                >
+                  <div className="text-left">
+                    <div className="font-semibold">{new Date(s.date).toLocaleDateString()} • {s.day}</div>
+                    <div className={`text-sm ${muted}`}>
+                      {s.focus} • {summary.completedSets}/{summary.prescribedSets} sets ({Math.round(summary.completion * 100)}%) • {summary.volume} kg volume
+                    </div>
+                  </div>
+                  {open ? <ChevronUp /> : <ChevronDown />}
+                </button>
+                {open && (
+                  <div className="p-4 space-y-2">
+                    {s.exercises.map((ex, i) => (
+                      <div key={`${ex.name}-${i}`} className={`p-3 rounded-lg ${darkMode ? "bg-gray-800" : "bg-gray-50"}`}>
+                        <div className="font-medium">{ex.name}</div>
+                        <div className={`text-sm ${muted}`}>
+                          Prescribed: {ex.prescribed.sets} × {ex.prescribed.reps}
+                        </div>
+                        <div className="text-sm">
+                          Done: {ex.sets.length ? ex.sets.map((set) => `${set.reps}@${set.weight}kg`).join(", ") : "—"}
+                        </div>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => onDelete(s.id)}
+                      className="text-sm text-red-600 hover:text-red-700 flex items-center gap-1"
+                    >
+                      <Trash2 className="w-4 h-4" /> Delete session
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Card>
+  );
+}
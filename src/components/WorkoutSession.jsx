@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { motion } from "framer-motion";
+import { X, ChevronLeft, ChevronRight, Check, Timer, SkipForward, Volume2, VolumeX, Repeat } from "lucide-react";
+import {
+  createSession, logSet, parseRestSeconds, parseSetCount, parseTargetReps, formatSeconds, sessionSummary,
+} from "../lib/workoutSession";
+import { beep } from "../lib/speech";
+import { exerciseIntro, restCallout, REST_OVER, WORKOUT_DONE } from "../lib/audioScripts";
+import { createNarrator } from "../lib/audioGuide";
+import { confirmation } from "../lib/voiceCommands";
+
+/* ===========================
+   Live workout session
+=========================== */
+export default function WorkoutSession({ day, dayIndex, week, deload, startIndex = 0, say, command, darkMode, onFinish, onClose }) {
+  const [session, setSession] = useState(() => createSession(day, dayIndex, { week, deload }));
+  const [exIdx, setExIdx] = useState(() => Math.min(startIndex, Math.max(0, day.exercises.length - 1)));
+  const [reps, setReps] = useState("");
+  const [weight, setWeight] = useState("");
+  const [restLeft, setRestLeft] = useState(null);
+  const [cues, setCues] = useState(true);
+  const restEndRef = useRef(null);
+  // Cues use the latest voice settings; the narrator queues them
+  const sayRef = useRef(say);
+  sayRef.current = say;
+  const [narrator] = useState(() => createNarrator((text) => sayRef.current(text)));
+
+  const exercise = session.exercises[exIdx];
+  const targetSets = parseSetCount(exercise?.prescribed.sets);
+  const restSeconds = parseRestSeconds(exercise?.prescribed.rest);
+  const doneSets = exercise?.sets.length || 0;
+  const isLast = exIdx === session.exercises.length - 1;
+
+  const cue = useCallback((text, interrupt = true) => cues && narrator.say(text, { interrupt }), [cues, narrator]);
+
+  useEffect(() => () => narrator.stop(), [narrator]);
+
+  // Announce each exercise and prefill inputs from the prescription / last set.
+  // Runs when the exercise changes, not when a set is logged, so it reads the
+  // session through a ref.
+  const announceRef = useRef(null);
+  announceRef.current = () => {
+    if (!exercise) return;
+    const last = exercise.sets[exercise.sets.length - 1];
+    setReps(last ? String(last.reps) : String(parseTargetReps(exercise.prescribed.reps)));
+    setWeight(last ? String(last.weight) : exercise.prescribed.weight ? String(exercise.prescribed.weight) : "");
+    const { sets, reps: targetReps, weight: targetWeight, rest } = exercise.prescribed;
+    cue(exerciseIntro({ name: exercise.name, sets, reps: targetReps, targetWeight, rest }, exIdx, session.exercises.length), false);
+  };
+  useEffect(() => announceRef.current(), [exIdx]);
+
+  // Rest countdown, driven by a wall-clock deadline so it survives tab throttling
+  const resting = restLeft !== null;
+  useEffect(() => {
+    if (!resting) return;
+    const id = setInterval(() => {
+      const left = Math.ceil((restEndRef.current - Date.now()) / 1000);
+      if (left <= 0) {
+        clearInterval(id);
+        setRestLeft(null);
+        if (cues) { beep(1200, 0.3); cue(REST_OVER); }
+        return;
+      }
+      if (left <= 3 && cues) beep();
+      setRestLeft(left);
+    }, 1000);
+    return () => clearInterval(id);
+  }, [resting, cues, cue]);
+
+  // `before` is spoken ahead of the cue, e.g. a voice command confirmation
+  const startRest = (seconds = restSeconds, { last = false, before = "" } = {}) => {
+    restEndRef.current = Date.now() + seconds * 1000;
+    setRestLeft(seconds);
+    cue(`${before}${restCallout(seconds, { last })}`);
+  };
+
+  const onLogSet = (values = { reps, weight }, before = "") => {
+    const next = logSet(session, exIdx, values);
+    setSession(next);
+    const logged = next.exercises[exIdx].sets.length;
+    if (logged < targetSets) {
+      startRest(restSeconds, { before });
+    } else if (!isLast) {
+      startRest(restSeconds, { last: true, before });
+      setExIdx(exIdx + 1);
+    } else {
+      cue(`${before}${WORKOUT_DONE}`);
+    }
+  };
+
+  const finish = () => {
+    narrator.stop();
+    onFinish({ ...session, finishedAt: new Date().toISOString() });
+  };
+
+  // Voice commands routed here by App; each one is a new object, handled once
+  // with the current session state
+  const handleCommandRef = useRef(null);
+  handleCommandRef.current = (command) => {
+    switch (command.type) {
+      case "log": {
+        const values = { reps: command.reps ?? reps, weight: command.weightKg ?? weight };
+        if (values.reps === "") {
+          cue("How many reps? Say, for example, log ten reps.");
+          break;
+        }
+        setReps(String(values.reps));
+        setWeight(String(values.weight));
+        setRestLeft(null);
+        onLogSet(values, `${confirmation(command)} `);
+        break;
+      }
+      case "rest":
+        startRest(command.seconds || restSeconds);
+        break;
+      case "skipRest":
+        setRestLeft(null);
+        cue(confirmation(command));
+        break;
+      case "next":
+        if (isLast) cue("This is the last exercise. Say finish workout when you're done.");
+        else setExIdx(exIdx + 1);
+        break;
+      case "previous":
+        if (exIdx === 0) cue("This is the first exercise.");
+        else setExIdx(exIdx - 1);
+        break;
+      case "repeat":
+        narrator.repeat();
+        break;
+      case "pause":
+        narrator.pause();
+        break;
+      case "resume":
+        narrator.resume();
+        break;
+      case "stop":
+        narrator.stop();
+        break;
+      case "finish":
+        finish();
+        break;
+      default:
+    }
+  };
+  useEffect(() => {
+    if (command) handleCommandRef.current(command);
+  }, [command]);
+
+  const summary = sessionSummary(session);
+  const panel = darkMode ? "bg-gray-700" : "bg-gray-100";
+  const field = `w-full px-3 py-2 rounded-lg border ${
+    darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"
+  } focus:ring-2 focus:ring-purple-500 focus:outline-none`;
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+    >
+      <motion.div
+        className={`max-w-lg w-full rounded-2xl shadow-2xl overflow-hidden ${darkMode ? "bg-gray-800 text-white" : "bg-white text-gray-900"}`}
+        initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }}
+      >
+        <div className={`flex justify-between items-center p-4 border-b ${darkMode ? "border-gray-700" : "border-gray-200"}`}>
+          <div>
+            <h4 className="font-semibold text-lg">{day.day} — {day.focus}</h4>
+            <p className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+              Exercise {exIdx + 1} of {session.exercises.length} • {summary.completedSets}/{summary.prescribedSets} sets
+            </p>
+          </div>
+          <div className="flex gap-1">
+            <button
+              onClick={narrator.repeat}
+              disabled={!cues}
+              title="Repeat last cue"
+              className={`p-2 rounded-lg disabled:opacity-40 ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`}
+            >
+              <Repeat className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => {
+                if (cues) narrator.stop();
+                setCues(!cues);
+              }}
+              title={cues ? "Mute cues" : "Enable cues"}
+              className={`p-2 rounded-lg ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`}
+            >
+              {cues ? <Volume2 className="w-5 h-5" /> : <VolumeX className="w-5 h-5" />}
+            </button>
+            <button className={`p-2 rounded-lg ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-100"}`} onClick={() => { narrator.stop(); onClose(); }}>
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {exercise && (
+          <div className="p-5 space-y-4">
+            <div>
+              <div className="text-2xl font-bold">{exercise.name}</div>
+              <div className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+                Prescribed: {exercise.prescribed.sets} sets × {exercise.prescribed.reps} reps
+                {exercise.prescribed.weight ? ` @ ${exercise.prescribed.weight} kg` : ""} • Rest: {exercise.prescribed.rest}
+              </div>
+            </div>
+
+            {restLeft !== null ? (
+              <div className={`p-6 rounded-xl text-center ${panel}`}>
+                <Timer className="w-8 h-8 mx-auto mb-2 text-purple-600" />
+                <div className="text-5xl font-mono font-bold">{formatSeconds(restLeft)}</div>
+                <div className="flex justify-center gap-2 mt-4">
+                  <button onClick={() => { restEndRef.current += 15000; setRestLeft(restLeft + 15); }} className="px-3 py-1 rounded-lg bg-gray-500/30 text-sm">
+                    +15s
+                  </button>
+                  <button onClick={() => setRestLeft(null)} className="px-3 py-1 rounded-lg bg-purple-600 text-white text-sm flex items-center gap-1">
+                    <SkipForward className="w-4 h-4" /> Skip Rest
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className={`p-4 rounded-xl ${panel}`}>
+                <div className="font-medium mb-3">Set {Math.min(doneSets + 1, targetSets)} of {targetSets}{doneSets >= targetSets ? " (extra)" : ""}</div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm mb-1 font-medium">Reps</label>
+                    <input type="number" min="0" value={reps} onChange={(e) => setReps(e.target.value)} className={field} />
+                  </div>
+                  <div>
+                    <label className="block text-sm mb-1 font-medium">Weight (kg)</label>
+                    <input type="number" min="0" step="0.5" value={weight} onChange={(e) => setWeight(e.target.value)} placeholder="0" className={field} />
+                  </div>
+                </div>
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={() => onLogSet()}
+                    disabled={reps === ""}
+                    className="flex-1 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg flex justify-center items-center gap-2 disabled:opacity-50"
+                  >
+                    <Check className="w-4 h-4" /> Log Set
+                  </button>
+                  <button onClick={() => startRest()} className="px-3 py-2 rounded-lg bg-gray-500/30 flex items-center gap-1 text-sm">
+                    <Timer className="w-4 h-4" /> Rest
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {exercise.sets.length > 0 && (
+              <ul className="text-sm space-y-1">
+                {exercise.sets.map((s, i) => (
+                  <li key={i} className="flex justify-between">
+                    <span>Set {i + 1}</span>
+                    <span>{s.reps} reps @ {s.weight} kg</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex justify-between items-center pt-2">
+              <button
+                onClick={() => setExIdx(exIdx - 1)}
+                disabled={exIdx === 0}
+                className="px-3 py-2 rounded-lg flex items-center gap-1 disabled:opacity-40"
+              >
+                <ChevronLeft className="w-4 h-4" /> Prev
+              </button>
+              {isLast ? (
+                <button onClick={finish} className="px-4 py-2 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-lg font-semibold">
+                  Finish Workout
+                </button>
+              ) : (
+                <button onClick={() => setExIdx(exIdx + 1)} className="px-3 py-2 rounded-lg flex items-center gap-1">
+                  Next <ChevronRight className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
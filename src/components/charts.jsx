@@ -0,0 +1,84 @@
+import React from "react";
+
+/* ===========================
+   Minimal SVG charts (no chart dependency)
+=========================== */
+const W = 320;
+const H = 140;
+const PAD = { top: 10, right: 10, bottom: 22, left: 34 };
+
+const scale = (data) => {
+  const values = data.map((d) => d.value);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) { min -= 1; max += 1; }
+  return { min, max, y: (v) => PAD.top + (1 - (v - min) / (max - min)) * (H - PAD.top - PAD.bottom) };
+};
+
+const Empty = ({ darkMode }) => (
+  <div className={`h-[140px] flex items-center justify-center text-sm ${darkMode ? "text-gray-500" : "text-gray-400"}`}>
+    No data yet
+  </div>
+);
+
+export const LineChart = ({ data, darkMode, color = "#9333ea", unit = "" }) => {
+  if (!data.length) return <Empty darkMode={darkMode} />;
+  const { min, max, y } = scale(data);
+  const step = data.length > 1 ? (W - PAD.left - PAD.right) / (data.length - 1) : 0;
+  const x = (i) => PAD.left + (data.length > 1 ? i * step : (W - PAD.left - PAD.right) / 2);
+  const points = data.map((d, i) => `${x(i)},${y(d.value)}`).join(" ");
+  const axis = darkMode ? "#6b7280" : "#9ca3af";
+  const labelEvery = Math.ceil(data.length / 6);
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img">
+      <line x1={PAD.left} y1={H - PAD.bottom} x2={W - PAD.right} y2={H - PAD.bottom} stroke={axis} strokeWidth="1" />
+      <text x={PAD.left - 4} y={y(max) + 4} textAnchor="end" fontSize="9" fill={axis}>{Math.round(max)}{unit}</text>
+      <text x={PAD.left - 4} y={y(min) + 4} textAnchor="end" fontSize="9" fill={axis}>{Math.round(min)}{unit}</text>
+      <polyline points={points} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+      {data.map((d, i) => (
+        <g key={i}>
+          <circle cx={x(i)} cy={y(d.value)} r="3" fill={color}>
+            <title>{`${d.label}: ${d.value}${unit}`}</title>
+          </circle>
+          {i % labelEvery === 0 && (
+            <text x={x(i)} y={H - 6} textAnchor="middle" fontSize="9" fill={axis}>{d.label}</text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export const BarChart = ({ data, darkMode, color = "#2563eb", unit = "", max: fixedMax }) => {
+  if (!data.length) return <Empty darkMode={darkMode} />;
+  const max = fixedMax || Math.max(1, ...data.map((d) => d.value));
+  const inner = W - PAD.left - PAD.right;
+  const bw = inner / data.length;
+  const h = (v) => (v / max) * (H - PAD.top - PAD.bottom);
+  const axis = darkMode ? "#6b7280" : "#9ca3af";
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img">
+      <line x1={PAD.left} y1={H - PAD.bottom} x2={W - PAD.right} y2={H - PAD.bottom} stroke={axis} strokeWidth="1" />
+      <text x={PAD.left - 4} y={PAD.top + 4} textAnchor="end" fontSize="9" fill={axis}>{Math.round(max)}{unit}</text>
+      {data.map((d, i) => (
+        <g key={i}>
+          <rect
+            x={PAD.left + i * bw + bw * 0.15}
+            y={H - PAD.bottom - h(d.value)}
+            width={bw * 0.7}
+            height={h(d.value)}
+            rx="2"
+            fill={color}
+          >
+            <title>{`${d.label}: ${d.value}${unit}`}</title>
+          </rect>
+          <text x={PAD.left + i * bw + bw / 2} y={H - 6} textAnchor="middle" fontSize="9" fill={axis}>
+            {String(d.label).slice(0, 8)}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
@@ -0,0 +1,72 @@
+import React from "react";
+import { motion } from "framer-motion";
+
+/* ===========================
+   Reusable UI
+=========================== */
+export const Card = React.memo(({ children, darkMode, className = "" }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 14 }}
+    animate={{ opacity: 1, y: 0 }}
+    transition={{ duration: 0.3 }}
+    className={`rounded-2xl shadow-lg p-6 ${
+      darkMode ? "bg-gray-800 text-white" : "bg-white text-gray-900"
+    } ${className}`}
+  >
+    {children}
+  </motion.div>
+));
+
+const fieldClass = (darkMode, error) =>
+  `w-full px-4 py-2 rounded-lg border ${darkMode ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-50 border-gray-300"} ${
+    error ? "ring-2 ring-red-500" : ""
+  } focus:ring-2 focus:ring-purple-500 focus:outline-none transition`;
+
+// Inline validation message under a field
+export const FieldError = ({ error }) => (error ? <p className="text-xs text-red-500 mt-1" role="alert">{error}</p> : null);
+
+export const Input = React.memo(({ label, name, value, onChange, type = "text", darkMode, placeholder, error }) => (
+  <div>
+    <label className="block text-sm mb-1 font-medium">{label}</label>
+    <input
+      name={name}
+      value={value}
+      onChange={onChange}
+      type={type}
+      placeholder={placeholder}
+      aria-invalid={!!error}
+      className={fieldClass(darkMode, error)}
+    />
+    <FieldError error={error} />
+  </div>
+));
+
+export const Select = React.memo(({ label, name, value, onChange, options, darkMode, error }) => (
+  <div>
+    <label className="block text-sm mb-1 font-medium">{label}</label>
+    <select name={name} value={value} onChange={onChange} aria-invalid={!!error} className={fieldClass(darkMode, error)}>
+      {options.map((opt) => (
+        <option key={opt.value} value={opt.value}>
+          {opt.label}
+        </option>
+      ))}
+    </select>
+    <FieldError error={error} />
+  </div>
+));
+
+export const TextArea = React.memo(({ label, name, value, onChange, darkMode, placeholder, rows = 3, error }) => (
+  <div>
+    <label className="block text-sm mb-1 font-medium">{label}</label>
+    <textarea
+      name={name}
+      value={value}
+      onChange={onChange}
+      rows={rows}
+      placeholder={placeholder}
+      aria-invalid={!!error}
+      className={fieldClass(darkMode, error)}
+    />
+    <FieldError error={error} />
+  </div>
+));
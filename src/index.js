@@ -2,10 +2,21 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { initStorage } from './lib/storage';
+import { registerServiceWorker } from './lib/pwa';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Hydrate storage (and run migrations) before the first render
+initStorage()
+  .catch((err) => console.error('Storage initialisation failed', err))
+  .finally(() => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  });
+
+// Precached app shell for offline use (production builds only)
+registerServiceWorker();
@@ -0,0 +1,69 @@
+import { createGeminiProvider, GEMINI_MODELS } from "./geminiProvider";
+import { createOpenAiProvider, OPENAI_MODELS } from "./openaiProvider";
+import { createMockProvider, MOCK_MODELS } from "./mockProvider";
+
+/* ===========================
+   AI provider layer
+=========================== */
+
+// Every AI call in the app goes through a provider:
+//   {
+//     id, models: { text, image },
+//     text({ prompt, system, model, task })             → Promise<string>
+//     json({ prompt, model, task })                     → Promise<string>  raw reply, expected to hold JSON
+//     stream({ messages, system, model, task, onText }) → Promise<string>  full reply; onText gets the text so far
+//     image({ prompt, model, task })                    → Promise<string>  data URL
+//     vision({ prompt, image, model, task })            → Promise<string>  raw JSON reply about `image` (a base64 data URL)
+//   }
+// `messages` are { role: "user" | "assistant", text }. `task` names the call
+// site ("plan", "day", "exercise", "meal item", "quote", "coach", "image",
+// "food photo") so the mock provider can answer from the matching fixture.
+// Vision calls use the text model, which takes images on every provider.
+
+export const AI_PROVIDERS = [
+  { id: "gemini", label: "Google Gemini", create: createGeminiProvider, models: GEMINI_MODELS },
+  { id: "openai", label: "OpenAI-compatible (hosted or local server)", create: createOpenAiProvider, models: OPENAI_MODELS },
+  { id: "mock", label: "Mock (offline fixtures, no key)", create: createMockProvider, models: MOCK_MODELS },
+];
+
+export const providerInfo = (id) => AI_PROVIDERS.find((p) => p.id === id) || AI_PROVIDERS[0];
+
+// Settings fields that make up the provider configuration
+export const AI_SETTING_KEYS = ["aiProvider", "geminiKey", "openaiBaseUrl", "openaiKey", "aiModels"];
+
+export const pickAiConfig = (all) => Object.fromEntries(AI_SETTING_KEYS.map((k) => [k, all[k]]));
+
+// Returns a user-facing message when the selected provider cannot be used yet.
+export const missingConfig = (config) => {
+  const { id } = providerInfo(config.aiProvider);
+  if (id === "gemini" && !config.geminiKey?.trim()) return "Enter your Gemini API key first!";
+  if (id === "openai" && !config.openaiBaseUrl?.trim()) return "Enter the base URL of your OpenAI-compatible server first!";
+  return null;
+};
+
+// The mock provider and OpenAI-compatible servers on this machine keep
+// working without a connection; everything else is unavailable offline.
+const LOCAL_HOSTS = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?(\/|$)/i;
+
+export const needsNetwork = (config) => {
+  const { id } = providerInfo(config.aiProvider);
+  if (id === "mock") return false;
+  return !(id === "openai" && LOCAL_HOSTS.test(config.openaiBaseUrl?.trim() || ""));
+};
+
+// Model names fall back to the provider defaults when left blank in settings.
+export const resolveModels = (config) => {
+  const info = providerInfo(config.aiProvider);
+  const chosen = config.aiModels?.[info.id] || {};
+  return {
+    text: chosen.text?.trim() || info.models.text,
+    image: chosen.image?.trim() || info.models.image,
+  };
+};
+
+export const createProvider = (config) => {
+  const problem = missingConfig(config);
+  if (problem) throw new Error(problem);
+  const info = providerInfo(config.aiProvider);
+  return { id: info.id, ...info.create({ ...config, models: resolveModels(config) }) };
+};
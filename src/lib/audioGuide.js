@@ -0,0 +1,162 @@
+/* ===========================
+   Guided audio playback
+=========================== */
+
+// Plays a narration script (see audioScripts.js) one segment at a time with
+// `say(text)` from tts.js. State reported through onChange:
+//   { index, status, waitLeft }
+// status is "idle" | "playing" | "waiting" | "paused" | "ended"; waitLeft is
+// "user" while a set is in progress or the seconds left of a rest.
+export const createGuide = ({ segments, say, onChange, tick = 1000 }) => {
+  let index = 0;
+  let status = "idle";
+  let waitLeft = null;
+  let paused = false;
+  let handle = null;
+  let wake = null;
+  let run = 0;
+
+  const emit = () => onChange?.({ index, status: paused && status !== "ended" ? "paused" : status, waitLeft });
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const waitForUser = () =>
+    new Promise((resolve) => {
+      wake = resolve;
+    });
+  const halt = () => {
+    run += 1;
+    handle?.stop();
+    handle = null;
+    wake?.();
+    wake = null;
+  };
+
+  const playFrom = async (start) => {
+    halt();
+    const token = run;
+    const live = () => token === run;
+    paused = false;
+    index = Math.max(0, Math.min(start, segments.length - 1));
+    while (live() && index < segments.length) {
+      const segment = segments[index];
+      status = "playing";
+      waitLeft = null;
+      emit();
+      handle = say(segment.text);
+      await handle.done;
+      if (!live()) return;
+      if (segment.waitFor === "user") {
+        status = "waiting";
+        waitLeft = "user";
+        emit();
+        await waitForUser();
+        if (!live()) return;
+      } else if (segment.waitFor > 0) {
+        status = "waiting";
+        waitLeft = segment.waitFor;
+        emit();
+        while (waitLeft > 0) {
+          await sleep(tick);
+          if (!live()) return;
+          if (paused) continue;
+          waitLeft -= 1;
+          emit();
+        }
+      }
+      index += 1;
+    }
+    if (!live()) return;
+    index = segments.length - 1;
+    status = "ended";
+    waitLeft = null;
+    emit();
+  };
+
+  return {
+    state: () => ({ index, status, waitLeft }),
+    play: (from = 0) => playFrom(from),
+    pause() {
+      if (status === "ended" || status === "idle") return;
+      paused = true;
+      handle?.pause();
+      emit();
+    },
+    resume() {
+      if (!paused) return;
+      paused = false;
+      handle?.resume();
+      emit();
+    },
+    // While a set is in progress Next means "set done"
+    next() {
+      if (status === "waiting" && waitLeft === "user" && !paused) {
+        const resume = wake;
+        wake = null;
+        resume?.();
+        return;
+      }
+      if (index < segments.length - 1) playFrom(index + 1);
+    },
+    previous: () => playFrom(index - 1),
+    repeat: () => playFrom(index),
+    jump(id) {
+      const target = segments.findIndex((s) => s.id === id);
+      if (target >= 0) playFrom(target);
+    },
+    stop() {
+      halt();
+      paused = false;
+      status = "idle";
+      waitLeft = null;
+      emit();
+    },
+  };
+};
+
+// Queued one-off cues for the workout session: a new cue cuts off the
+// current one unless it is queued behind it.
+export const createNarrator = (say) => {
+  let queue = [];
+  let current = null;
+  let paused = false;
+  let last = null;
+
+  const advance = () => {
+    if (current || paused || !queue.length) return;
+    const text = queue.shift();
+    const handle = say(text);
+    last = text;
+    current = handle;
+    handle.done.then(() => {
+      if (current !== handle) return;
+      current = null;
+      advance();
+    });
+  };
+  const stop = () => {
+    queue = [];
+    const handle = current;
+    current = null;
+    handle?.stop();
+  };
+  const cue = (text, { interrupt = true } = {}) => {
+    if (!text) return;
+    if (interrupt) stop();
+    queue.push(text);
+    advance();
+  };
+
+  return {
+    say: cue,
+    repeat: () => last && cue(last),
+    pause() {
+      paused = true;
+      current?.pause();
+    },
+    resume() {
+      paused = false;
+      if (current) current.resume();
+      else advance();
+    },
+    stop,
+  };
+};
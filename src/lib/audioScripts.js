@@ -0,0 +1,108 @@
+import { parseRestSeconds, parseSetCount } from "./workoutSession";
+import { normalizeMealItem, itemLabel, sumItems } from "./meals";
+import { MEAL_KEYS } from "./planSchema";
+import { matchExercise } from "./exerciseLibrary";
+
+/* ===========================
+   Narration scripts
+=========================== */
+
+// Builds what the audio coach says, as an ordered list of segments:
+//   { id, kind, text, exerciseIndex?, set?, waitFor? }
+// kind is "intro" | "exercise" | "set" | "rest" | "outro" | "section".
+// `waitFor` tells the guide player to hold before the next segment:
+// "user" (until Next is pressed) or a number of seconds (rest periods).
+
+// Generic setup cues by movement pattern, first match wins
+export const SETUP_CUES = [
+  [/deadlift|rdl|good morning/i, "Hinge at the hips, keep the bar close and your back flat."],
+  [/squat/i, "Feet shoulder-width apart, chest up, knees tracking over your toes."],
+  [/lunge|split squat|step.?up/i, "Stand tall, step long enough that your front knee stays over your ankle."],
+  [/bench|chest press|push.?up|dip/i, "Shoulder blades pulled back and down, elbows at about forty-five degrees."],
+  [/overhead|shoulder press|military/i, "Brace your core, squeeze your glutes and press straight up."],
+  [/row|pull.?up|chin.?up|pulldown|pull.?down/i, "Lead with your elbows and squeeze your shoulder blades together."],
+  [/curl/i, "Keep your elbows pinned to your sides and avoid swinging."],
+  [/tricep|extension|pushdown/i, "Keep your upper arms still and fully straighten at the elbow."],
+  [/plank|hollow|dead bug|bird dog/i, "Brace your core and keep a straight line from head to heels."],
+  [/raise/i, "Lift with control and pause briefly at the top."],
+  [/bridge|hip thrust/i, "Drive through your heels and squeeze your glutes at the top."],
+  [/run|jog|bike|row(ing)? machine|jump|burpee|skip/i, "Start at an easy pace and build up as you warm in."],
+];
+
+// Library exercises have their own cues; anything else falls back to the patterns
+export const setupCue = (name) =>
+  matchExercise(name)?.cues[0] || SETUP_CUES.find(([re]) => re.test(name))?.[1] || "Take a moment to set up and brace before you start.";
+
+const plural = (n, word) => `${n} ${word}${Number(n) === 1 ? "" : "s"}`;
+
+export const spokenRest = (seconds) => {
+  if (seconds >= 60 && seconds % 60 === 0) return plural(seconds / 60, "minute");
+  if (seconds > 60) return `${plural(Math.floor(seconds / 60), "minute")} ${plural(seconds % 60, "second")}`;
+  return plural(seconds, "second");
+};
+
+// "8-12" reads as "8-12 reps", "30s" or "AMRAP" as-is
+const spokenReps = (reps) => (/^\d+(\s*-\s*\d+)?$/.test(String(reps).trim()) ? `${reps} reps` : String(reps));
+
+const load = (ex) => (ex.targetWeight ? ` at ${ex.targetWeight} kilos` : "");
+
+// The announcement when an exercise comes up
+export const exerciseIntro = (ex, index, total) =>
+  `Exercise ${index + 1} of ${total}: ${ex.name}. ${ex.sets} sets of ${spokenReps(ex.reps)}${load(ex)}, resting ${spokenRest(parseRestSeconds(ex.rest))} between sets. ${setupCue(ex.name)}`;
+
+export const setCallout = (ex, set, totalSets) => `Set ${set} of ${totalSets}. ${spokenReps(ex.reps)}${load(ex)}. Go!`;
+
+export const restCallout = (seconds, { last = false } = {}) =>
+  last ? `Exercise done. Rest ${spokenRest(seconds)} before the next one.` : `Good work. Rest ${spokenRest(seconds)}.`;
+
+export const REST_OVER = "Rest over. Next set.";
+export const WORKOUT_DONE = "Workout complete. Great job!";
+
+// Full guided session for one day: intro, then per exercise an announcement,
+// each set (waits for the user) and the rest after it (timed).
+export const dayScript = (day, { week = null, deload = false } = {}) => {
+  const exercises = day.exercises || [];
+  const segments = [
+    {
+      id: "intro",
+      kind: "intro",
+      text: `${day.day}: ${day.focus}.${week ? ` Week ${week}.` : ""}${deload ? " This is a deload week, so keep the effort light." : ""} ${plural(exercises.length, "exercise")} today. Warm up for five minutes, then let's begin.`,
+    },
+  ];
+  exercises.forEach((ex, i) => {
+    const sets = parseSetCount(ex.sets);
+    const rest = parseRestSeconds(ex.rest);
+    segments.push({ id: `ex-${i}`, kind: "exercise", exerciseIndex: i, text: exerciseIntro(ex, i, exercises.length) });
+    for (let set = 1; set <= sets; set++) {
+      segments.push({ id: `ex-${i}-set-${set}`, kind: "set", exerciseIndex: i, set, text: setCallout(ex, set, sets), waitFor: "user" });
+      if (set < sets || i < exercises.length - 1) {
+        segments.push({ id: `ex-${i}-rest-${set}`, kind: "rest", exerciseIndex: i, set, text: restCallout(rest, { last: set === sets }), waitFor: rest });
+      }
+    }
+  });
+  segments.push({ id: "outro", kind: "outro", text: `${WORKOUT_DONE} Cool down and stretch for a few minutes.` });
+  return segments;
+};
+
+// The whole week at a glance, one segment per day
+export const workoutOverviewScript = (plan) => [
+  { id: "overview", kind: "intro", text: plan.workoutPlan.overview },
+  ...plan.workoutPlan.days.map((day, i) => ({
+    id: `day-${i}`,
+    kind: "section",
+    text: `${day.day}, ${day.focus}: ${day.exercises.map((ex) => `${ex.name}, ${ex.sets} by ${ex.reps}`).join("; ")}.`,
+  })),
+];
+
+export const dietScript = (plan) => [
+  { id: "overview", kind: "intro", text: plan.dietPlan.overview },
+  ...MEAL_KEYS.filter((meal) => plan.dietPlan.meals[meal]?.length).map((meal) => {
+    const items = plan.dietPlan.meals[meal];
+    const totals = sumItems(items);
+    return {
+      id: `meal-${meal}`,
+      kind: "section",
+      text: `${meal.charAt(0).toUpperCase()}${meal.slice(1)}: ${items.map((item) => itemLabel(normalizeMealItem(item))).join(", ")}.${totals.hasData ? ` About ${totals.kcal} calories.` : ""}`,
+    };
+  }),
+];
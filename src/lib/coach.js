@@ -0,0 +1,45 @@
+import { PATCH_FORMAT, extractPatch } from "./planPatch";
+import { logs } from "./storage";
+
+/* ===========================
+   Coach chat
+=========================== */
+
+export const CHAT_KEY = "coach_chat";
+const MAX_TURNS = 20; // older turns are dropped from the request, not from the log
+
+export const buildSystemInstruction = (plan, formData) => `
+You are the user's personal AI fitness coach inside a fitness app. Be concise, friendly and practical.
+Answer questions about their plan, suggest safe alternatives and respect their medical history.
+
+USER PROFILE:
+${JSON.stringify(formData, null, 2)}
+
+CURRENT PLAN (days, exercises and meal items are 0-indexed in the order shown):
+${JSON.stringify({ workoutPlan: plan?.workoutPlan, dietPlan: plan?.dietPlan }, null, 2)}
+${PATCH_FORMAT}`;
+
+// Chat messages are { role: "user" | "coach", text, patch?, patchStatus? }.
+// Providers take { role: "user" | "assistant", text }.
+export const toMessages = (messages) =>
+  messages.slice(-MAX_TURNS).map((m) => ({
+    role: m.role === "user" ? "user" : "assistant",
+    text: m.raw || m.text,
+  }));
+
+// Streams the coach's reply for the conversation so far. `onText` receives the
+// accumulated text after every chunk. Resolves to the parsed final message.
+export const streamCoachReply = async (ai, messages, { plan, formData, model, onText } = {}) => {
+  const raw = await ai.stream({
+    messages: toMessages(messages),
+    system: buildSystemInstruction(plan, formData),
+    model,
+    task: "coach",
+    onText,
+  });
+  const { message, patch, patchError } = extractPatch(raw);
+  return { role: "coach", text: message || raw, raw, patch, patchError, patchStatus: patch ? "pending" : null };
+};
+
+export const loadChat = (profileId) => logs.get(CHAT_KEY, profileId);
+export const saveChat = (profileId, messages) => logs.set(CHAT_KEY, profileId, messages);
@@ -0,0 +1,15 @@
+/* ===========================
+   File downloads
+=========================== */
+
+export const downloadFile = (filename, content, type = "text/plain") => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,378 @@
+/* ===========================
+   Bundled exercise database
+=========================== */
+
+// One entry per canonical exercise:
+//   { id, name, aliases, pattern, primary, secondary, equipment, level, cues, contraindications }
+// `equipment` lists alternatives (any one of them is enough). Vocabularies
+// are defined in exerciseLibrary.js.
+
+const ex = (id, name, aliases, pattern, primary, secondary, equipment, level, cues, contraindications = []) => ({
+  id, name, aliases, pattern, primary, secondary, equipment, level, cues, contraindications,
+});
+
+export const EXERCISES = [
+  /* ---------- Squat ---------- */
+  ex("barbell_back_squat", "Barbell Back Squat", ["Back Squat", "Squat", "Barbell Squat", "High-Bar Squat"], "squat",
+    ["quads", "glutes"], ["hamstrings", "core", "lower_back"], ["barbell"], "intermediate",
+    ["Bar on your upper back, brace before you descend.", "Sit between your hips, knees tracking over your toes.", "Drive up through the whole foot."],
+    ["knee", "lower_back"]),
+  ex("front_squat", "Front Squat", ["Barbell Front Squat"], "squat",
+    ["quads"], ["glutes", "core"], ["barbell"], "advanced",
+    ["Elbows high, bar resting on the front of your shoulders.", "Stay upright and sit straight down."],
+    ["knee", "wrist"]),
+  ex("goblet_squat", "Goblet Squat", ["Dumbbell Goblet Squat", "Kettlebell Goblet Squat"], "squat",
+    ["quads", "glutes"], ["core"], ["dumbbell", "kettlebell"], "beginner",
+    ["Hold the weight at your chest, elbows inside your knees at the bottom.", "Chest up, push the floor away to stand."],
+    ["knee"]),
+  ex("bodyweight_squat", "Bodyweight Squat", ["Air Squat", "Squats", "Prisoner Squat"], "squat",
+    ["quads", "glutes"], ["core"], ["bodyweight"], "beginner",
+    ["Feet shoulder-width apart, arms forward for balance.", "Sit back until your thighs are about parallel."],
+    ["knee"]),
+  ex("leg_press", "Leg Press", ["Machine Leg Press", "Sled Leg Press"], "squat",
+    ["quads", "glutes"], ["hamstrings"], ["machine"], "beginner",
+    ["Feet mid-platform, lower until your knees reach about ninety degrees.", "Keep your lower back against the pad."],
+    ["knee", "lower_back"]),
+  ex("jump_squat", "Jump Squat", ["Squat Jump"], "squat",
+    ["quads", "glutes"], ["calves"], ["bodyweight"], "intermediate",
+    ["Quarter squat, then jump explosively.", "Land softly and go straight into the next rep."],
+    ["knee", "pregnancy"]),
+  ex("wall_sit", "Wall Sit", ["Wall Squat"], "squat",
+    ["quads"], ["glutes"], ["bodyweight"], "beginner",
+    ["Back flat against the wall, thighs parallel to the floor.", "Knees over ankles, breathe steadily."],
+    ["knee", "hypertension"]),
+  ex("pistol_squat", "Pistol Squat", ["Single-Leg Squat"], "squat",
+    ["quads", "glutes"], ["core"], ["bodyweight"], "advanced",
+    ["Free leg straight out in front.", "Lower under control, heel stays down."],
+    ["knee"]),
+
+  /* ---------- Lunge ---------- */
+  ex("walking_lunge", "Walking Lunge", ["Lunge", "Lunges", "Dumbbell Walking Lunge", "Forward Lunge", "Dumbbell Lunge"], "lunge",
+    ["quads", "glutes"], ["hamstrings"], ["bodyweight", "dumbbell"], "beginner",
+    ["Long step, back knee drops toward the floor.", "Front knee stays over the ankle, torso tall."],
+    ["knee"]),
+  ex("reverse_lunge", "Reverse Lunge", ["Dumbbell Reverse Lunge", "Backward Lunge"], "lunge",
+    ["quads", "glutes"], ["hamstrings"], ["bodyweight", "dumbbell", "kettlebell"], "beginner",
+    ["Step back and lower straight down.", "Push through the front heel to return."],
+    ["knee"]),
+  ex("bulgarian_split_squat", "Bulgarian Split Squat", ["Rear-Foot Elevated Split Squat", "Split Squat"], "lunge",
+    ["quads", "glutes"], ["hamstrings"], ["bodyweight", "dumbbell"], "intermediate",
+    ["Rear foot on a bench, front foot far enough forward.", "Drop the back knee straight down."],
+    ["knee"]),
+  ex("step_up", "Step-Up", ["Dumbbell Step-Up", "Box Step-Up"], "lunge",
+    ["quads", "glutes"], [], ["bodyweight", "dumbbell"], "beginner",
+    ["Whole foot on the step.", "Drive up through the working leg, don't push off the back foot."],
+    ["knee"]),
+
+  /* ---------- Hinge ---------- */
+  ex("deadlift", "Deadlift", ["Conventional Deadlift", "Barbell Deadlift"], "hinge",
+    ["hamstrings", "glutes", "lower_back"], ["back", "forearms", "core"], ["barbell"], "intermediate",
+    ["Bar over mid-foot, shoulders just in front of the bar.", "Brace, push the floor away and keep the bar close."],
+    ["lower_back", "hypertension"]),
+  ex("romanian_deadlift", "Romanian Deadlift", ["RDL", "Dumbbell Romanian Deadlift", "Stiff-Leg Deadlift"], "hinge",
+    ["hamstrings", "glutes"], ["lower_back"], ["barbell", "dumbbell", "kettlebell"], "intermediate",
+    ["Soft knees, push your hips back.", "Lower until you feel the hamstrings stretch, back flat."],
+    ["lower_back"]),
+  ex("single_leg_rdl", "Single-Leg Romanian Deadlift", ["Single-Leg RDL", "Single-Leg Deadlift"], "hinge",
+    ["hamstrings", "glutes"], ["core"], ["bodyweight", "dumbbell", "kettlebell"], "intermediate",
+    ["Hinge on one leg, hips square to the floor.", "Reach the free leg back as you lean forward."]),
+  ex("kettlebell_swing", "Kettlebell Swing", ["KB Swing", "Russian Kettlebell Swing", "Dumbbell Swing"], "hinge",
+    ["glutes", "hamstrings"], ["core", "shoulders"], ["kettlebell", "dumbbell"], "intermediate",
+    ["Hike the bell back, then snap your hips forward.", "Arms stay loose, the hips do the work."],
+    ["lower_back"]),
+  ex("hip_thrust", "Hip Thrust", ["Barbell Hip Thrust", "Dumbbell Hip Thrust"], "hinge",
+    ["glutes"], ["hamstrings"], ["barbell", "dumbbell"], "beginner",
+    ["Upper back on a bench, chin tucked.", "Drive through your heels and squeeze at the top."]),
+  ex("glute_bridge", "Glute Bridge", ["Bridge", "Single-Leg Glute Bridge", "Hip Bridge"], "hinge",
+    ["glutes"], ["hamstrings", "core"], ["bodyweight", "band"], "beginner",
+    ["Feet flat, close to your hips.", "Lift until your body is straight from knees to shoulders."]),
+  ex("good_morning", "Good Morning", ["Barbell Good Morning"], "hinge",
+    ["hamstrings", "lower_back"], ["glutes"], ["barbell", "band"], "advanced",
+    ["Light load, bar on the upper back.", "Hinge forward with a flat back until your torso is nearly parallel."],
+    ["lower_back"]),
+  ex("back_extension", "Back Extension", ["Hyperextension", "Superman", "Reverse Hyperextension"], "hinge",
+    ["lower_back"], ["glutes", "hamstrings"], ["bodyweight", "machine"], "beginner",
+    ["Move slowly and stop at a straight line.", "Squeeze your glutes at the top."]),
+
+  /* ---------- Leg isolation ---------- */
+  ex("leg_curl", "Lying Leg Curl", ["Leg Curl", "Hamstring Curl", "Seated Leg Curl"], "isolation",
+    ["hamstrings"], [], ["machine"], "beginner",
+    ["Hips pressed into the pad.", "Curl fully and lower slowly."]),
+  ex("leg_extension", "Leg Extension", ["Machine Leg Extension"], "isolation",
+    ["quads"], [], ["machine"], "beginner",
+    ["Knee lined up with the machine's pivot.", "Pause at the top, lower under control."],
+    ["knee"]),
+  ex("calf_raise", "Calf Raise", ["Standing Calf Raise", "Seated Calf Raise", "Calf Raises"], "isolation",
+    ["calves"], [], ["bodyweight", "dumbbell", "machine"], "beginner",
+    ["Full stretch at the bottom.", "Rise onto the balls of your feet and pause."]),
+
+  /* ---------- Horizontal push ---------- */
+  ex("barbell_bench_press", "Barbell Bench Press", ["Bench Press", "Flat Bench Press", "Bench", "Flat Barbell Bench Press"], "push_h",
+    ["chest"], ["triceps", "shoulders"], ["barbell"], "intermediate",
+    ["Shoulder blades pulled back, feet planted.", "Lower to mid-chest, elbows at about forty-five degrees."],
+    ["shoulder"]),
+  ex("dumbbell_bench_press", "Dumbbell Bench Press", ["DB Bench Press", "Dumbbell Chest Press", "Flat Dumbbell Press"], "push_h",
+    ["chest"], ["triceps", "shoulders"], ["dumbbell"], "beginner",
+    ["Dumbbells over your chest, palms forward.", "Lower until your elbows are just below the bench."],
+    ["shoulder"]),
+  ex("incline_dumbbell_press", "Incline Dumbbell Press", ["Incline Press", "Incline Bench Press", "Incline Barbell Bench Press"], "push_h",
+    ["chest", "shoulders"], ["triceps"], ["dumbbell", "barbell"], "intermediate",
+    ["Bench at about thirty degrees.", "Press up and slightly in over your upper chest."],
+    ["shoulder"]),
+  ex("machine_chest_press", "Machine Chest Press", ["Chest Press", "Seated Chest Press"], "push_h",
+    ["chest"], ["triceps"], ["machine"], "beginner",
+    ["Handles at mid-chest height.", "Press out without locking your elbows hard."]),
+  ex("push_up", "Push-Up", ["Push Ups", "Pushup", "Press-Up"], "push_h",
+    ["chest"], ["triceps", "shoulders", "core"], ["bodyweight"], "beginner",
+    ["Hands under your shoulders, body in one straight line.", "Lower your chest to just above the floor."],
+    ["wrist", "shoulder"]),
+  ex("incline_push_up", "Incline Push-Up", ["Knee Push-Up", "Modified Push-Up", "Wall Push-Up"], "push_h",
+    ["chest"], ["triceps"], ["bodyweight"], "beginner",
+    ["Hands on a bench or wall, body straight.", "The higher the hands, the easier the rep."],
+    ["wrist"]),
+  ex("diamond_push_up", "Diamond Push-Up", ["Close-Grip Push-Up", "Triangle Push-Up"], "push_h",
+    ["triceps"], ["chest"], ["bodyweight"], "intermediate",
+    ["Hands together under your chest.", "Elbows brush your sides on the way down."],
+    ["wrist", "elbow"]),
+  ex("dip", "Dip", ["Dips", "Parallel Bar Dip", "Chest Dip", "Triceps Dip"], "push_h",
+    ["triceps", "chest"], ["shoulders"], ["pullup_bar"], "intermediate",
+    ["Shoulders down, lean slightly forward.", "Lower until your upper arms are parallel to the floor."],
+    ["shoulder", "elbow"]),
+  ex("bench_dip", "Bench Dip", ["Chair Dip"], "isolation",
+    ["triceps"], ["shoulders", "chest"], ["bodyweight"], "beginner",
+    ["Hands on the edge of a bench, hips close to it.", "Bend your elbows straight back."],
+    ["shoulder", "wrist"]),
+  ex("chest_fly", "Dumbbell Fly", ["Chest Fly", "Cable Fly", "Pec Deck", "Cable Crossover"], "isolation",
+    ["chest"], ["shoulders"], ["dumbbell", "cable", "machine"], "beginner",
+    ["Slight bend in the elbows throughout.", "Open wide until you feel a chest stretch, then hug inward."],
+    ["shoulder"]),
+
+  /* ---------- Vertical push ---------- */
+  ex("overhead_press", "Overhead Press", ["Military Press", "Barbell Overhead Press", "Standing Shoulder Press", "OHP"], "push_v",
+    ["shoulders"], ["triceps", "core"], ["barbell", "dumbbell"], "intermediate",
+    ["Squeeze your glutes and brace.", "Press straight up, head through once the bar passes your face."],
+    ["shoulder", "lower_back", "hypertension"]),
+  ex("dumbbell_shoulder_press", "Dumbbell Shoulder Press", ["Seated Dumbbell Press", "Shoulder Press", "Arnold Press", "Machine Shoulder Press"], "push_v",
+    ["shoulders"], ["triceps"], ["dumbbell", "machine"], "beginner",
+    ["Dumbbells at shoulder height, palms forward.", "Press up without arching your lower back."],
+    ["shoulder"]),
+  ex("pike_push_up", "Pike Push-Up", ["Pike Press"], "push_v",
+    ["shoulders"], ["triceps"], ["bodyweight"], "intermediate",
+    ["Hips high, body in an upside-down V.", "Lower the top of your head toward the floor."],
+    ["wrist", "shoulder", "hypertension"]),
+  ex("handstand_push_up", "Handstand Push-Up", ["HSPU", "Wall Handstand Push-Up"], "push_v",
+    ["shoulders"], ["triceps", "core"], ["bodyweight"], "advanced",
+    ["Kick up against a wall, hands shoulder-width.", "Lower under control, head to a pad."],
+    ["wrist", "shoulder", "neck", "hypertension"]),
+  ex("lateral_raise", "Lateral Raise", ["Dumbbell Lateral Raise", "Side Raise", "Cable Lateral Raise"], "isolation",
+    ["shoulders"], [], ["dumbbell", "cable", "band"], "beginner",
+    ["Slight elbow bend, lead with the elbows.", "Raise to shoulder height and lower slowly."],
+    ["shoulder"]),
+
+  /* ---------- Vertical pull ---------- */
+  ex("pull_up", "Pull-Up", ["Pullup", "Pull Ups", "Chin-Up", "Chin Up", "Wide-Grip Pull-Up"], "pull_v",
+    ["lats", "back"], ["biceps"], ["pullup_bar"], "intermediate",
+    ["Start from a dead hang, shoulders engaged.", "Pull your chest toward the bar."],
+    ["shoulder", "elbow"]),
+  ex("assisted_pull_up", "Assisted Pull-Up", ["Band-Assisted Pull-Up", "Negative Pull-Up", "Machine Assisted Pull-Up"], "pull_v",
+    ["lats"], ["biceps"], ["pullup_bar", "machine"], "beginner",
+    ["Use just enough assistance to finish every rep.", "Lower slowly on each rep."]),
+  ex("lat_pulldown", "Lat Pulldown", ["Pulldown", "Wide-Grip Lat Pulldown", "Cable Pulldown"], "pull_v",
+    ["lats"], ["biceps", "back"], ["cable", "machine"], "beginner",
+    ["Lean back slightly, chest up.", "Pull the bar to your upper chest, elbows down and back."]),
+  ex("band_pulldown", "Band Lat Pulldown", ["Resistance Band Pulldown", "Band Pulldown"], "pull_v",
+    ["lats"], ["biceps"], ["band"], "beginner",
+    ["Anchor the band high.", "Pull your elbows down to your sides."]),
+
+  /* ---------- Horizontal pull ---------- */
+  ex("barbell_row", "Barbell Row", ["Bent-Over Row", "Bent Over Barbell Row", "Pendlay Row"], "pull_h",
+    ["back", "lats"], ["biceps", "lower_back"], ["barbell"], "intermediate",
+    ["Hinge to about forty-five degrees, back flat.", "Row to your lower ribs."],
+    ["lower_back"]),
+  ex("dumbbell_row", "Dumbbell Row", ["One-Arm Dumbbell Row", "Single-Arm Row", "DB Row", "Kettlebell Row"], "pull_h",
+    ["back", "lats"], ["biceps"], ["dumbbell", "kettlebell"], "beginner",
+    ["Hand and knee on a bench, back flat.", "Pull the weight to your hip."]),
+  ex("seated_cable_row", "Seated Cable Row", ["Cable Row", "Seated Row", "Machine Row"], "pull_h",
+    ["back"], ["lats", "biceps"], ["cable", "machine"], "beginner",
+    ["Sit tall, don't rock.", "Squeeze your shoulder blades together at the end."]),
+  ex("inverted_row", "Inverted Row", ["Bodyweight Row", "Australian Pull-Up", "Table Row", "Ring Row"], "pull_h",
+    ["back"], ["biceps", "core"], ["bodyweight", "pullup_bar"], "beginner",
+    ["Body straight like a plank under a bar or sturdy table.", "Pull your chest up to it."]),
+  ex("band_row", "Resistance Band Row", ["Band Row", "Seated Band Row"], "pull_h",
+    ["back"], ["biceps"], ["band"], "beginner",
+    ["Anchor the band at chest height.", "Row to your ribs and pause."]),
+  ex("face_pull", "Face Pull", ["Cable Face Pull", "Band Face Pull"], "pull_h",
+    ["shoulders"], ["back"], ["cable", "band"], "beginner",
+    ["Rope at face height.", "Pull toward your forehead, elbows high, thumbs back."]),
+  ex("band_pull_apart", "Band Pull-Apart", ["Pull-Apart"], "pull_h",
+    ["shoulders"], ["back"], ["band"], "beginner",
+    ["Arms straight at shoulder height.", "Pull the band apart to your chest."]),
+  ex("rear_delt_fly", "Rear Delt Fly", ["Reverse Fly", "Bent-Over Reverse Fly", "Reverse Pec Deck"], "isolation",
+    ["shoulders"], ["back"], ["dumbbell", "cable", "machine"], "beginner",
+    ["Hinge forward, slight elbow bend.", "Open your arms out to the sides, not back."]),
+
+  /* ---------- Arms ---------- */
+  ex("biceps_curl", "Dumbbell Curl", ["Bicep Curl", "Biceps Curl", "Barbell Curl", "Hammer Curl", "EZ-Bar Curl", "Cable Curl", "Band Curl"], "isolation",
+    ["biceps"], ["forearms"], ["dumbbell", "barbell", "cable", "band"], "beginner",
+    ["Elbows pinned to your sides.", "Curl without swinging, lower slowly."],
+    ["elbow"]),
+  ex("triceps_pushdown", "Triceps Pushdown", ["Tricep Pushdown", "Cable Pushdown", "Rope Pushdown", "Band Pushdown"], "isolation",
+    ["triceps"], [], ["cable", "band"], "beginner",
+    ["Upper arms still at your sides.", "Fully straighten, then let the handle rise to chest height."],
+    ["elbow"]),
+  ex("overhead_triceps_extension", "Overhead Triceps Extension", ["Tricep Extension", "Triceps Extension", "Skull Crusher", "Lying Triceps Extension"], "isolation",
+    ["triceps"], [], ["dumbbell", "barbell", "cable"], "beginner",
+    ["Elbows point forward and stay narrow.", "Lower behind your head, extend fully."],
+    ["elbow", "shoulder"]),
+
+  /* ---------- Core ---------- */
+  ex("plank", "Plank", ["Front Plank", "Forearm Plank"], "core",
+    ["core"], ["shoulders"], ["bodyweight"], "beginner",
+    ["Elbows under shoulders.", "Squeeze glutes and brace; straight line from head to heels."]),
+  ex("side_plank", "Side Plank", ["Side Plank Hold"], "core",
+    ["obliques"], ["core", "shoulders"], ["bodyweight"], "beginner",
+    ["Elbow under the shoulder, hips high.", "Don't let your hips sag or rotate."],
+    ["shoulder"]),
+  ex("dead_bug", "Dead Bug", [], "core",
+    ["core"], [], ["bodyweight"], "beginner",
+    ["Lower back pressed into the floor.", "Extend opposite arm and leg slowly."]),
+  ex("bird_dog", "Bird Dog", [], "core",
+    ["core", "lower_back"], ["glutes"], ["bodyweight"], "beginner",
+    ["On all fours, back flat.", "Reach opposite arm and leg long, pause, return."]),
+  ex("crunch", "Crunch", ["Crunches", "Sit-Up", "Sit-Ups", "Cable Crunch"], "core",
+    ["core"], [], ["bodyweight", "cable"], "beginner",
+    ["Curl your ribs toward your hips.", "Don't pull on your neck."],
+    ["neck", "lower_back"]),
+  ex("hanging_leg_raise", "Hanging Leg Raise", ["Leg Raise", "Lying Leg Raise", "Hanging Knee Raise"], "core",
+    ["core"], ["forearms"], ["pullup_bar", "bodyweight"], "intermediate",
+    ["No swinging; tilt your pelvis up at the top.", "Lower under control."],
+    ["lower_back", "shoulder"]),
+  ex("russian_twist", "Russian Twist", ["Seated Twist"], "core",
+    ["obliques"], ["core"], ["bodyweight", "dumbbell"], "beginner",
+    ["Lean back slightly with a long spine.", "Rotate from your ribs, not just your arms."],
+    ["lower_back"]),
+  ex("pallof_press", "Pallof Press", ["Anti-Rotation Press"], "core",
+    ["obliques", "core"], [], ["cable", "band"], "beginner",
+    ["Stand side-on to the anchor.", "Press straight out and resist the twist."]),
+  ex("mountain_climber", "Mountain Climbers", ["Mountain Climber"], "cardio",
+    ["core", "cardio"], ["shoulders", "quads"], ["bodyweight"], "beginner",
+    ["Hands under shoulders, hips level.", "Drive your knees in quickly."],
+    ["wrist"]),
+
+  ex("bicycle_crunch", "Bicycle Crunch", ["Bicycle Crunches", "Bicycles", "Cross-Body Crunch", "Elbow-to-Knee Crunch"], "core",
+    ["obliques", "core"], [], ["bodyweight"], "beginner",
+    ["Hands lightly behind your head, lower back down.", "Bring elbow toward the opposite knee as the other leg extends."],
+    ["neck", "lower_back"]),
+  ex("heel_touch", "Heel Touches", ["Heel Touch", "Alternating Heel Touch", "Heel Taps"], "core",
+    ["obliques"], ["core"], ["bodyweight"], "beginner",
+    ["Shoulders just off the floor, knees bent.", "Reach side to side toward your heels."],
+    ["neck"]),
+  ex("flutter_kick", "Flutter Kicks", ["Flutter Kick", "Scissor Kicks", "Scissors"], "core",
+    ["core"], ["quads"], ["bodyweight"], "beginner",
+    ["Press your lower back into the floor.", "Small, quick kicks with straight legs."],
+    ["lower_back"]),
+  ex("hollow_hold", "Hollow Body Hold", ["Hollow Hold", "Hollow Rock", "Hollow Body Rock"], "core",
+    ["core"], [], ["bodyweight"], "intermediate",
+    ["Lower back glued to the floor, arms and legs long.", "Bend your knees if your back starts to arch."],
+    ["lower_back"]),
+  ex("v_up", "V-Up", ["V-Ups", "Jackknife", "Jackknife Sit-Up", "Tuck-Up"], "core",
+    ["core"], [], ["bodyweight"], "intermediate",
+    ["Lift your chest and legs together.", "Reach for your toes, lower with control."],
+    ["lower_back", "neck"]),
+  ex("plank_shoulder_tap", "Plank Shoulder Tap", ["Shoulder Taps", "Plank Taps"], "core",
+    ["core"], ["shoulders"], ["bodyweight"], "beginner",
+    ["High plank, feet wide for balance.", "Tap the opposite shoulder without rocking your hips."],
+    ["wrist", "shoulder"]),
+  ex("woodchop", "Cable Woodchop", ["Woodchop", "Wood Chop", "Woodchopper", "Band Woodchop"], "core",
+    ["obliques"], ["core", "shoulders"], ["cable", "band", "dumbbell"], "beginner",
+    ["Arms long, rotate through your trunk.", "Pivot the back foot and control the return."],
+    ["lower_back"]),
+
+  /* ---------- Mobility ---------- */
+  ex("yoga_flow", "Yoga Flow", ["Yoga", "Vinyasa Flow", "Sun Salutation", "Sun Salutations", "Yoga Session"], "mobility",
+    ["full_body"], ["core"], ["bodyweight"], "beginner",
+    ["One movement per breath.", "Stay in a pain-free range; bend your knees in forward folds."],
+    ["wrist"]),
+  ex("dynamic_warm_up", "Dynamic Warm-Up", ["Warm-Up", "Dynamic Stretching", "Mobility Drills", "Mobility Flow", "Mobility Routine"], "mobility",
+    ["full_body"], [], ["bodyweight"], "beginner",
+    ["Start small and grow the range each rep.", "Move continuously; no long holds."]),
+  ex("full_body_stretch", "Full-Body Stretch", ["Stretching", "Static Stretching", "Cool-Down Stretch", "Cool-Down", "Stretch Routine"], "mobility",
+    ["full_body"], [], ["bodyweight"], "beginner",
+    ["Hold each stretch 20-30 seconds.", "Breathe slowly; ease off before it hurts."]),
+  ex("foam_rolling", "Foam Rolling", ["Foam Roll", "Foam Roller", "Self-Myofascial Release"], "mobility",
+    ["full_body"], [], ["bodyweight"], "beginner",
+    ["Roll slowly, about an inch per second.", "Pause on tight spots, skip joints and bones."]),
+  ex("cat_cow", "Cat-Cow", ["Cat Cow Stretch", "Cat-Camel"], "mobility",
+    ["lower_back"], ["back", "core"], ["bodyweight"], "beginner",
+    ["On all fours, hands under shoulders.", "Round up on the exhale, arch gently on the inhale."],
+    ["wrist"]),
+  ex("childs_pose", "Child's Pose", ["Childs Pose", "Child Pose"], "mobility",
+    ["lower_back"], ["back", "shoulders"], ["bodyweight"], "beginner",
+    ["Knees wide, sit back toward your heels.", "Reach your arms long and relax your neck."],
+    ["knee"]),
+  ex("hip_flexor_stretch", "Hip Flexor Stretch", ["Kneeling Hip Flexor Stretch", "Couch Stretch", "Half-Kneeling Hip Flexor Stretch"], "mobility",
+    ["quads"], ["glutes"], ["bodyweight"], "beginner",
+    ["Half kneel and tuck your pelvis under.", "Shift forward until you feel the front of the back hip."],
+    ["knee"]),
+  ex("pigeon_stretch", "Pigeon Stretch", ["Pigeon Pose", "Figure-Four Stretch", "Glute Stretch"], "mobility",
+    ["glutes"], ["lower_back"], ["bodyweight"], "beginner",
+    ["Front shin across, back leg long.", "Stay tall, then fold forward slowly."],
+    ["knee", "hip"]),
+  ex("hamstring_stretch", "Hamstring Stretch", ["Standing Hamstring Stretch", "Seated Forward Fold", "Toe Touch Stretch"], "mobility",
+    ["hamstrings"], ["lower_back", "calves"], ["bodyweight"], "beginner",
+    ["Hinge from the hips with a long back.", "Soft knees; reach only as far as is comfortable."]),
+  ex("worlds_greatest_stretch", "World's Greatest Stretch", ["Worlds Greatest Stretch", "Spiderman Lunge", "Lunge with Rotation"], "mobility",
+    ["full_body"], ["glutes", "back"], ["bodyweight"], "beginner",
+    ["Lunge forward, hand inside the front foot.", "Rotate and reach the other arm to the ceiling."],
+    ["knee"]),
+  ex("thoracic_rotation", "Thoracic Rotation", ["Open Book", "T-Spine Rotation", "Thread the Needle"], "mobility",
+    ["back"], ["obliques", "shoulders"], ["bodyweight"], "beginner",
+    ["Keep your hips still.", "Follow your hand with your eyes as you rotate."]),
+  ex("arm_circles", "Arm Circles", ["Shoulder Circles", "Shoulder Rolls"], "mobility",
+    ["shoulders"], [], ["bodyweight"], "beginner",
+    ["Start with small circles and grow them.", "Go both directions."]),
+  ex("leg_swings", "Leg Swings", ["Leg Swing", "Hip Swings"], "mobility",
+    ["glutes", "hamstrings"], ["quads"], ["bodyweight"], "beginner",
+    ["Hold a wall for balance.", "Swing front to back, then side to side, growing the range."]),
+
+  /* ---------- Carry ---------- */
+  ex("farmers_carry", "Farmer's Carry", ["Farmers Walk", "Farmer Walk", "Suitcase Carry"], "carry",
+    ["forearms", "core"], ["shoulders", "back"], ["dumbbell", "kettlebell"], "beginner",
+    ["Stand tall, shoulders down.", "Short, quick steps."]),
+
+  /* ---------- Conditioning ---------- */
+  ex("burpee", "Burpee", ["Burpees"], "cardio",
+    ["full_body", "cardio"], [], ["bodyweight"], "intermediate",
+    ["Hands down, jump back to a plank.", "Jump the feet in and explode up."],
+    ["wrist", "knee", "hypertension", "pregnancy"]),
+  ex("jumping_jack", "Jumping Jacks", ["Jumping Jack", "Star Jumps"], "cardio",
+    ["cardio"], ["calves"], ["bodyweight"], "beginner",
+    ["Land softly on the balls of your feet.", "Keep a steady rhythm."],
+    ["knee", "pregnancy"]),
+  ex("high_knees", "High Knees", ["Running in Place"], "cardio",
+    ["cardio"], ["quads", "core"], ["bodyweight"], "beginner",
+    ["Knees to hip height.", "Pump your arms."],
+    ["knee"]),
+  ex("box_jump", "Box Jump", ["Plyo Box Jump"], "cardio",
+    ["quads", "glutes"], ["calves"], ["bodyweight"], "intermediate",
+    ["Swing your arms and jump onto the box.", "Land softly and step down."],
+    ["knee", "pregnancy"]),
+  ex("jump_rope", "Jump Rope", ["Skipping", "Skipping Rope"], "cardio",
+    ["cardio"], ["calves"], ["bodyweight"], "beginner",
+    ["Small hops, rope turned from the wrists.", "Stay on the balls of your feet."],
+    ["knee"]),
+  ex("running", "Running", ["Run", "Jog", "Jogging", "Treadmill Run", "Interval Run", "Sprint", "Sprints"], "cardio",
+    ["cardio"], ["quads", "hamstrings", "calves"], ["bodyweight", "cardio_machine"], "beginner",
+    ["Start easy and build the pace.", "Short strides, land under your hips."],
+    ["knee", "hip"]),
+  ex("brisk_walk", "Brisk Walk", ["Walking", "Walk", "Incline Walk", "Treadmill Walk"], "cardio",
+    ["cardio"], [], ["bodyweight", "cardio_machine"], "beginner",
+    ["Pace where you can talk but not sing.", "Swing your arms naturally."]),
+  ex("cycling", "Cycling", ["Stationary Bike", "Bike", "Spin Bike", "Assault Bike", "Exercise Bike"], "cardio",
+    ["cardio"], ["quads"], ["cardio_machine"], "beginner",
+    ["Seat at hip height.", "Keep a steady cadence."]),
+  ex("rowing_machine", "Rowing Machine", ["Rower", "Erg", "Indoor Rowing"], "cardio",
+    ["cardio"], ["back", "quads"], ["cardio_machine"], "beginner",
+    ["Legs, then hips, then arms.", "Reverse the order on the way back."],
+    ["lower_back"]),
+];
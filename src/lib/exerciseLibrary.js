@@ -0,0 +1,270 @@
+import { EXERCISES } from "./exerciseData";
+import { normalizeName } from "./text";
+
+/* ===========================
+   Exercise library
+=========================== */
+
+// Plans name exercises in free text. matchExercise maps those names onto the
+// bundled database (exerciseData.js) so "Bench Press" and "Barbell Bench
+// Press" share one canonical `id`; plans store that id next to the name.
+
+export const LEVELS = ["beginner", "intermediate", "advanced"];
+
+export const MUSCLES = {
+  chest: "Chest",
+  back: "Upper back",
+  lats: "Lats",
+  shoulders: "Shoulders",
+  biceps: "Biceps",
+  triceps: "Triceps",
+  forearms: "Forearms",
+  quads: "Quads",
+  hamstrings: "Hamstrings",
+  glutes: "Glutes",
+  calves: "Calves",
+  core: "Core",
+  obliques: "Obliques",
+  lower_back: "Lower back",
+  full_body: "Full body",
+  cardio: "Cardio",
+};
+
+export const EQUIPMENT = {
+  bodyweight: "Bodyweight",
+  dumbbell: "Dumbbells",
+  barbell: "Barbell",
+  kettlebell: "Kettlebell",
+  cable: "Cable machine",
+  machine: "Machines",
+  band: "Resistance band",
+  pullup_bar: "Pull-up bar",
+  cardio_machine: "Cardio machine",
+};
+
+// Conditions an exercise may aggravate
+export const CONTRAINDICATIONS = {
+  lower_back: "Lower back problems",
+  knee: "Knee problems",
+  shoulder: "Shoulder problems",
+  wrist: "Wrist problems",
+  elbow: "Elbow problems",
+  hip: "Hip problems",
+  neck: "Neck problems",
+  hypertension: "High blood pressure",
+  pregnancy: "Pregnancy",
+};
+
+// What each `workoutLocation` is assumed to have
+export const LOCATION_EQUIPMENT = {
+  gym: Object.keys(EQUIPMENT),
+  home: ["bodyweight", "dumbbell", "kettlebell", "band"],
+  outdoor: ["bodyweight", "band", "pullup_bar"],
+};
+
+const BY_ID = new Map(EXERCISES.map((e) => [e.id, e]));
+export const exerciseById = (id) => BY_ID.get(id) || null;
+
+/* ---------- Profile fit ---------- */
+const levelRank = (level) => LEVELS.indexOf(level);
+
+// Equipment the user can use: their own list (bodyweight is always there),
+// else what the location usually has. null means no restriction.
+export const profileEquipment = ({ workoutLocation, equipment } = {}) =>
+  equipment?.length ? [...new Set(["bodyweight", ...equipment])] : LOCATION_EQUIPMENT[workoutLocation] || null;
+
+// At or below the user's level, doable with one of the listed alternatives
+// and free of the `avoid` contraindications (see safety.js). Unknown
+// locations / levels don't restrict anything.
+export const fitsProfile = (exercise, profile = {}) => {
+  const { fitnessLevel, avoid = [] } = profile;
+  const equipment = profileEquipment(profile);
+  const rank = levelRank(fitnessLevel);
+  return (
+    (rank < 0 || levelRank(exercise.level) <= rank) &&
+    (!equipment || exercise.equipment.some((e) => equipment.includes(e))) &&
+    !exercise.contraindications.some((c) => avoid.includes(c))
+  );
+};
+
+export const availableExercises = (profile) => EXERCISES.filter((e) => fitsProfile(e, profile));
+
+/* ---------- Fuzzy matching ---------- */
+export const MATCH_THRESHOLD = 0.7;
+
+const bigrams = (s) => {
+  const out = [];
+  for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+  return out;
+};
+
+// Sørensen–Dice coefficient over two lists (multiset overlap)
+const dice = (a, b) => {
+  if (!a.length || !b.length) return 0;
+  const rest = [...b];
+  let common = 0;
+  a.forEach((x) => {
+    const i = rest.indexOf(x);
+    if (i >= 0) {
+      common += 1;
+      rest.splice(i, 1);
+    }
+  });
+  return (2 * common) / (a.length + b.length);
+};
+
+const NAME_INDEX = EXERCISES.flatMap((exercise) =>
+  [exercise.name, ...exercise.aliases].map((alias) => {
+    const key = normalizeName(alias);
+    const condensed = key.replace(/ /g, "");
+    return { exercise, key, tokens: key.split(" "), condensed, grams: bigrams(condensed) };
+  })
+);
+
+// 1 for an exact name/alias; otherwise the better of word overlap and
+// letter-pair overlap, so both "Dumbbell Bench" and "Pushups" score well.
+const similarity = (key, entry) => {
+  if (key === entry.key) return 1;
+  const condensed = key.replace(/ /g, "");
+  if (condensed === entry.condensed) return 0.95;
+  return Math.max(dice(key.split(" "), entry.tokens), 0.9 * dice(bigrams(condensed), entry.grams));
+};
+
+const closest = (key) => {
+  let best = null;
+  let bestScore = 0;
+  for (const entry of NAME_INDEX) {
+    const score = similarity(key, entry);
+    if (score > bestScore) {
+      best = entry.exercise;
+      bestScore = score;
+      if (score === 1) break;
+    }
+  }
+  return { exercise: best, score: bestScore };
+};
+
+const matches = new Map();
+
+// Best library entry for a free-text name, or null below MATCH_THRESHOLD
+export const matchExercise = (name) => {
+  const key = normalizeName(name);
+  if (!key) return null;
+  if (matches.has(key)) return matches.get(key);
+  const { exercise, score } = closest(key);
+  const result = score >= MATCH_THRESHOLD ? exercise : null;
+  matches.set(key, result);
+  return result;
+};
+
+const idOf = (exercise) => exercise?.id || matchExercise(exercise?.name)?.id || null;
+
+// Same canonical exercise; names that don't match the library compare as text
+export const sameExercise = (a, b) => {
+  const idA = idOf(a);
+  const idB = idOf(b);
+  return idA && idB ? idA === idB : normalizeName(a?.name) === normalizeName(b?.name);
+};
+
+/* ---------- Search ---------- */
+const searchText = (e) =>
+  normalizeName([e.name, ...e.aliases, ...e.primary, ...e.secondary].map((m) => MUSCLES[m] || m).join(" ")).split(" ");
+
+// Every query word must start one of the name / alias / muscle words
+export const searchExercises = (query = "", { muscle = "", equipment = "", level = "", profile = null } = {}) => {
+  const words = normalizeName(query).split(" ").filter(Boolean);
+  return EXERCISES.filter((e) => {
+    if (muscle && !e.primary.includes(muscle) && !e.secondary.includes(muscle)) return false;
+    if (equipment && !e.equipment.includes(equipment)) return false;
+    if (level && e.level !== level) return false;
+    if (profile && !fitsProfile(e, profile)) return false;
+    if (!words.length) return true;
+    const text = searchText(e);
+    return words.every((w) => text.some((t) => t.startsWith(w)));
+  }).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/* ---------- Plan generation ---------- */
+export const exercisePrompt = (inputs) => `
+EXERCISE SELECTION (the user trains at "${inputs.workoutLocation}"${
+  inputs.equipment?.length ? ` with ${inputs.equipment.map((e) => EQUIPMENT[e] || e).join(", ")}` : ""
+} and is ${inputs.fitnessLevel}):
+Choose every exercise from this list and copy its name exactly: ${availableExercises(inputs)
+  .map((e) => e.name)
+  .join("; ")}.`;
+
+// Validation errors for exercise names the library doesn't know, in the
+// format of planSchema so they feed the repair prompt.
+export const exerciseErrors = (exercise, path) =>
+  matchExercise(exercise?.name) ? [] : [{ path: `${path}.name`, message: `"${exercise?.name}" is not in the exercise library; use a name from the list` }];
+
+// Closest library alternative that fits the profile: same movement pattern
+// and primary muscles first, then the nearest difficulty.
+const alternativeFor = (original, profile, exclude) => {
+  let best = null;
+  let bestScore = 0;
+  availableExercises(profile).forEach((e) => {
+    if (exclude.includes(e.id)) return;
+    const shared = e.primary.filter((m) => original.primary.includes(m)).length;
+    if (!shared && e.pattern !== original.pattern) return;
+    const score = (e.pattern === original.pattern ? 10 : 0) + shared * 2 - Math.abs(levelRank(e.level) - levelRank(original.level));
+    if (score > bestScore) {
+      best = e;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Below this a name is too far from every library entry to say what it trains
+const GUESS_THRESHOLD = 0.4;
+
+// Muscles a day's focus names, e.g. "Chest & Triceps" or "Lower back"
+const focusMuscles = (focus) => {
+  const text = ` ${normalizeName(focus)} `;
+  return Object.keys(MUSCLES).filter((m) => [m, MUSCLES[m]].some((name) => text.includes(` ${normalizeName(name)} `)));
+};
+
+// Stand-in for a name the library doesn't know: whatever trains the same as
+// the nearest name, else the day's focus muscles; null when nothing fits.
+const substituteFor = (name, focus, profile, exclude) => {
+  const { exercise: guess, score } = closest(normalizeName(name));
+  if (guess && score >= GUESS_THRESHOLD) {
+    return fitsProfile(guess, profile) && !exclude.includes(guess.id) ? guess : alternativeFor(guess, profile, exclude);
+  }
+  const primary = focusMuscles(focus);
+  return primary.length ? alternativeFor({ primary, pattern: null, level: profile?.fitnessLevel }, profile, exclude) : null;
+};
+
+// Tags the exercise with its library id and, when it needs equipment or a
+// level the profile doesn't have, swaps in the closest fitting alternative
+// (keeping the sets/reps prescription). Names outside the library get a
+// stand-in the same way, or null. `exclude` holds ids already in the day.
+export const fitExercise = (exercise, profile, exclude = [], focus = "") => {
+  const match = matchExercise(exercise.name);
+  if (!match) {
+    const stand = substituteFor(exercise.name, focus, profile, exclude);
+    return stand ? { ...exercise, id: stand.id, name: stand.name } : null;
+  }
+  if (fitsProfile(match, profile)) return { ...exercise, id: match.id };
+  const alternative = alternativeFor(match, profile, exclude);
+  return alternative ? { ...exercise, id: alternative.id, name: alternative.name } : { ...exercise, id: match.id };
+};
+
+// Exercises with no fitting stand-in are dropped from the day
+export const fitDay = (day, profile) => {
+  const used = (day.exercises || []).map(idOf).filter(Boolean);
+  const exercises = day.exercises
+    .map((ex) => {
+      const fitted = fitExercise(ex, profile, used, day.focus);
+      if (fitted) used.push(fitted.id);
+      return fitted;
+    })
+    .filter(Boolean);
+  return { ...day, exercises };
+};
+
+export const fitPlan = (plan, profile) => ({
+  ...plan,
+  workoutPlan: { ...plan.workoutPlan, days: plan.workoutPlan.days.map((day) => fitDay(day, profile)) },
+});
@@ -0,0 +1,74 @@
+import { matchExercise, sameExercise, fitExercise, fitDay, searchExercises, fitsProfile } from "./exerciseLibrary";
+import { EXERCISES } from "./exerciseData";
+
+const idOf = (name) => matchExercise(name)?.id || null;
+
+describe("matchExercise", () => {
+  it.each([
+    ["Bench Press", "barbell_bench_press"],
+    ["Pushups", "push_up"],
+    ["Bicycle Crunches", "bicycle_crunch"],
+    ["Crunches", "crunch"],
+    ["Flutter kicks", "flutter_kick"],
+    ["Hollow Hold", "hollow_hold"],
+    ["Yoga Flow", "yoga_flow"],
+    ["Sun Salutations", "yoga_flow"],
+    ["Dynamic warm-up", "dynamic_warm_up"],
+    ["Cool-down stretch", "full_body_stretch"],
+    ["Foam Rolling", "foam_rolling"],
+    ["Cat-Cow", "cat_cow"],
+    ["Hip Flexor Stretch", "hip_flexor_stretch"],
+    ["Leg Swings", "leg_swings"],
+  ])("maps %p to %p", (name, id) => {
+    expect(idOf(name)).toBe(id);
+  });
+
+  it("returns null for names outside the library", () => {
+    expect(matchExercise("Underwater basket weaving")).toBeNull();
+    expect(matchExercise("")).toBeNull();
+  });
+});
+
+describe("library data", () => {
+  it("has unique ids and names", () => {
+    const keys = EXERCISES.flatMap((e) => [e.name, ...e.aliases].map((n) => n.toLowerCase()));
+    expect(new Set(EXERCISES.map((e) => e.id)).size).toBe(EXERCISES.length);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
+
+describe("profile fit", () => {
+  it("swaps an exercise the profile can't do for one with the same pattern", () => {
+    const fitted = fitExercise({ name: "Barbell Back Squat", sets: "3" }, { workoutLocation: "home", fitnessLevel: "beginner" });
+    expect(fitted).toMatchObject({ sets: "3" });
+    expect(matchExercise(fitted.name).pattern).toBe("squat");
+    expect(fitted.id).not.toBe("barbell_back_squat");
+  });
+
+  it("replaces names outside the library with something that trains the same", () => {
+    const profile = { workoutLocation: "home", fitnessLevel: "beginner" };
+    const fitted = fitExercise({ name: "Zercher Box Squat", sets: "4" }, profile);
+    expect(fitted).toMatchObject({ sets: "4" });
+    expect(matchExercise(fitted.name).pattern).toBe("squat");
+    expect(fitsProfile(matchExercise(fitted.name), profile)).toBe(true);
+  });
+
+  it("falls back to the day's focus muscles, and drops what nothing replaces", () => {
+    const day = {
+      day: "Day 1",
+      focus: "Chest & Triceps",
+      exercises: [{ name: "Push-Ups", sets: "3" }, { name: "Qwzx Vvrk", sets: "3" }],
+    };
+    const fitted = fitDay(day, { workoutLocation: "gym", fitnessLevel: "advanced" });
+    expect(fitted.exercises).toHaveLength(2);
+    expect(fitted.exercises[1].id).not.toBe(fitted.exercises[0].id);
+    expect(matchExercise(fitted.exercises[1].name).primary.some((m) => ["chest", "triceps"].includes(m))).toBe(true);
+
+    expect(fitDay({ ...day, focus: "Recovery" }, {}).exercises.map((e) => e.id)).toEqual(["push_up"]);
+  });
+
+  it("treats aliases as the same exercise and finds stretches by name", () => {
+    expect(sameExercise({ name: "Yoga" }, { name: "Yoga Flow" })).toBe(true);
+    expect(searchExercises("stretch").map((e) => e.id)).toContain("hamstring_stretch");
+  });
+});
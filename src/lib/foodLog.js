@@ -0,0 +1,166 @@
+import { logs } from "./storage";
+import { generateValidatedJson } from "./planGenerator";
+import { MEAL_KEYS, validateMealItem } from "./planSchema";
+import { normalizeMealItem, sumItems, MACRO_KEYS } from "./meals";
+import { dateKey } from "./schedule";
+
+/* ===========================
+   Food photo diary
+=========================== */
+
+// Meals the user actually ate, logged from a photo (analysed by the AI
+// provider's vision call) or by hand. Entries are kept per profile:
+//   { id, date: "YYYY-MM-DD", meal, description, items: [meal item], photo, createdAt }
+// where `photo` is a small JPEG thumbnail data URL (or null).
+
+export const FOOD_DIARY_KEY = "food_diary";
+export const PHOTO_MAX_SIZE = 1024; // px, longest side sent for analysis
+export const THUMBNAIL_SIZE = 160;
+export const PHOTO_QUALITY = 0.8;
+export const CALORIE_TOLERANCE = 0.1; // within ±10% of the target counts as on track
+
+/* ---------- Photos ---------- */
+export const fitWithin = (width, height, max) => {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("That file couldn't be opened as an image. Try a JPEG or PNG photo."));
+    };
+    img.src = url;
+  });
+
+const toJpeg = (img, max) => {
+  const { width, height } = fitWithin(img.naturalWidth, img.naturalHeight, max);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+  return canvas.toDataURL("image/jpeg", PHOTO_QUALITY);
+};
+
+// Downscales an uploaded photo before it leaves the device. Re-encoding as
+// JPEG also drops the camera's EXIF data (location, device).
+export const preparePhoto = async (file) => {
+  const img = await loadImage(file);
+  return { image: toJpeg(img, PHOTO_MAX_SIZE), thumbnail: toJpeg(img, THUMBNAIL_SIZE) };
+};
+
+/* ---------- Analysis ---------- */
+// Meal a photo taken at `date` most likely belongs to
+export const mealForTime = (date = new Date()) => {
+  const hour = date.getHours() + date.getMinutes() / 60;
+  if (hour < 10.5) return "breakfast";
+  if (hour >= 12 && hour < 15) return "lunch";
+  if (hour >= 18 && hour < 22) return "dinner";
+  return "snacks";
+};
+
+export const photoPrompt = ({ meal, note }) => `
+You are an expert nutritionist. Identify every food and drink in this photo of the user's ${meal} and estimate each portion and its macros.
+${note ? `The user adds: "${note}"\n` : ""}Judge portions from the plate, cutlery and common serving sizes; prefer grams for solid food.
+Return ONLY valid JSON (no markdown, no extra text) with this shape:
+{ "description": "Short description of the meal", "items": [{ "food": "Grilled chicken breast", "quantity": 150, "unit": "g", "kcal": 248, "protein": 46, "carbs": 0, "fat": 5 }] }
+If there is no food in the photo, return { "description": "No food found", "items": [] }.`;
+
+export const validateAnalysis = (json) => {
+  if (!json || typeof json !== "object" || Array.isArray(json)) return [{ path: "$", message: "must be an object" }];
+  const errors = [];
+  if (json.description !== undefined && typeof json.description !== "string") errors.push({ path: "$.description", message: "must be a string" });
+  if (!Array.isArray(json.items)) return [...errors, { path: "$.items", message: "must be an array" }];
+  json.items.forEach((item, i) =>
+    validateMealItem(item).forEach((e) => errors.push({ ...e, path: e.path.replace(/^\$/, `$.items[${i}]`) }))
+  );
+  return errors;
+};
+
+// { description, items } estimated from a prepared photo (see preparePhoto)
+export const analyzeFoodPhoto = async (ai, { image, meal, note, options }) => {
+  const result = await generateValidatedJson(ai, photoPrompt({ meal, note }), {
+    ...options,
+    image,
+    label: "food photo",
+    validate: validateAnalysis,
+  });
+  return { description: result.description || "", items: result.items.map(normalizeMealItem) };
+};
+
+/* ---------- Editing items ---------- */
+export const emptyItem = () => normalizeMealItem({ food: "" });
+
+// Changing the portion scales the macros with it, so correcting "150 g" to
+// "200 g" doesn't leave the old calories behind. Scaling always starts from
+// `basis`, the amount and macros before the first change, so clearing the
+// field while retyping doesn't lose them. Saving drops `basis`.
+export const setItemQuantity = (item, value) => {
+  const quantity = value === "" ? null : Number(value);
+  if (quantity !== null && (!Number.isFinite(quantity) || quantity < 0)) return item;
+  const basis = item.basis || (item.quantity > 0 ? { quantity: item.quantity, ...Object.fromEntries(MACRO_KEYS.map((k) => [k, item[k]])) } : null);
+  if (!basis) return { ...item, quantity };
+  const scaled = { ...item, quantity, basis };
+  if (quantity !== null) {
+    MACRO_KEYS.forEach((k) => {
+      if (typeof basis[k] === "number") scaled[k] = Math.round((basis[k] * quantity) / basis.quantity * 10) / 10;
+    });
+  }
+  return scaled;
+};
+
+// A hand-entered macro becomes the new starting point for scaling
+export const setItemMacro = (item, key, value) => ({ ...item, [key]: value === "" ? null : Number(value), basis: null });
+
+const cleanItems = (items = []) => items.map(normalizeMealItem).filter((i) => i.food);
+
+/* ---------- Diary ---------- */
+export const loadDiary = (profileId) => logs.get(FOOD_DIARY_KEY, profileId);
+
+const persist = (entries, profileId) =>
+  logs.set(FOOD_DIARY_KEY, profileId, [...entries].sort((a, b) => `${a.date}${a.createdAt}`.localeCompare(`${b.date}${b.createdAt}`)));
+
+// Entries with no named item are not saved
+export const addDiaryEntry = (entry, profileId) => {
+  const items = cleanItems(entry.items);
+  if (!items.length) return loadDiary(profileId);
+  const createdAt = new Date().toISOString();
+  const saved = {
+    id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    date: entry.date || dateKey(new Date()),
+    meal: MEAL_KEYS.includes(entry.meal) ? entry.meal : "snacks",
+    description: String(entry.description || "").trim(),
+    items,
+    photo: entry.photo || null,
+    createdAt,
+  };
+  return persist([...loadDiary(profileId), saved], profileId);
+};
+
+export const deleteDiaryEntry = (id, profileId) => persist(loadDiary(profileId).filter((e) => e.id !== id), profileId);
+
+export const entriesOn = (diary, date) => diary.filter((e) => e.date === date);
+
+/* ---------- Plan comparison ---------- */
+// What was eaten on one day against the plan's meals and the calorie
+// target: per-meal totals, the day's totals and how far off the target it is.
+export const compareDay = (entries, plan, targets) => {
+  const meals = MEAL_KEYS.map((meal) => ({
+    meal,
+    planned: sumItems(plan?.dietPlan?.meals?.[meal] || []),
+    eaten: sumItems(entries.filter((e) => e.meal === meal).flatMap((e) => e.items)),
+    logged: entries.some((e) => e.meal === meal),
+  }));
+  const eaten = sumItems(entries.flatMap((e) => e.items));
+  const target = targets?.calories || sumItems(Object.values(plan?.dietPlan?.meals || {}).flat()).kcal || null;
+  const remaining = target ? target - eaten.kcal : null;
+  const status = !target ? null : eaten.kcal > target * (1 + CALORIE_TOLERANCE) ? "over" : eaten.kcal < target * (1 - CALORIE_TOLERANCE) ? "under" : "on track";
+  return { meals, eaten, target, remaining, status };
+};
@@ -0,0 +1,101 @@
+import { createProvider } from "./aiProvider";
+import { initStorage } from "./storage";
+import {
+  analyzeFoodPhoto, validateAnalysis, mealForTime, fitWithin, setItemQuantity, setItemMacro, addDiaryEntry, deleteDiaryEntry, loadDiary,
+  compareDay,
+} from "./foodLog";
+import { MOCK_FOOD_PHOTOS, MOCK_PLAN } from "./mockFixtures";
+
+const PHOTO = "data:image/jpeg;base64,AAAA";
+
+describe("analyzeFoodPhoto", () => {
+  it("returns the mock provider's items as normalized meal items", async () => {
+    const ai = createProvider({ aiProvider: "mock" });
+    const result = await analyzeFoodPhoto(ai, { image: PHOTO, meal: "lunch" });
+    expect(MOCK_FOOD_PHOTOS.map((p) => p.description)).toContain(result.description);
+    expect(result.items.length).toBeGreaterThan(0);
+    result.items.forEach((item) => expect(item).toEqual({ food: expect.any(String), quantity: expect.any(Number), unit: expect.any(String),
+      kcal: expect.any(Number), protein: expect.any(Number), carbs: expect.any(Number), fat: expect.any(Number) }));
+  });
+
+  it("sends the photo, meal and note to the vision call", async () => {
+    const ai = { vision: jest.fn(async () => '{"description":"Porridge","items":[]}') };
+    await expect(analyzeFoodPhoto(ai, { image: PHOTO, meal: "breakfast", note: "with honey" })).resolves.toEqual({ description: "Porridge", items: [] });
+    const [call] = ai.vision.mock.calls[0];
+    expect(call.image).toBe(PHOTO);
+    expect(call.prompt).toContain("breakfast");
+    expect(call.prompt).toContain('"with honey"');
+  });
+
+  it("repairs an analysis with missing macros", async () => {
+    const ai = { vision: jest.fn().mockResolvedValueOnce('{"items":[{"food":"Toast"}]}').mockResolvedValueOnce(JSON.stringify(MOCK_FOOD_PHOTOS[1])) };
+    const result = await analyzeFoodPhoto(ai, { image: PHOTO, meal: "breakfast" });
+    expect(result.description).toBe(MOCK_FOOD_PHOTOS[1].description);
+    expect(ai.vision).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("validateAnalysis", () => {
+  it("reports item errors with their index", () => {
+    expect(validateAnalysis({ items: [] })).toEqual([]);
+    expect(validateAnalysis([])).toEqual([{ path: "$", message: "must be an object" }]);
+    expect(validateAnalysis({ items: [{ food: "Toast" }] }).every((e) => e.path.startsWith("$.items[0]"))).toBe(true);
+  });
+});
+
+describe("photo helpers", () => {
+  it("guesses the meal from the time of day", () => {
+    expect(mealForTime(new Date(2024, 0, 1, 8))).toBe("breakfast");
+    expect(mealForTime(new Date(2024, 0, 1, 13))).toBe("lunch");
+    expect(mealForTime(new Date(2024, 0, 1, 19, 30))).toBe("dinner");
+    expect(mealForTime(new Date(2024, 0, 1, 16))).toBe("snacks");
+  });
+
+  it("fits photos within the longest side without upscaling", () => {
+    expect(fitWithin(4000, 3000, 1024)).toEqual({ width: 1024, height: 768 });
+    expect(fitWithin(300, 200, 1024)).toEqual({ width: 300, height: 200 });
+  });
+});
+
+describe("editing items", () => {
+  const chicken = { food: "Chicken", quantity: 150, unit: "g", kcal: 240, protein: 45, carbs: 0, fat: 6 };
+
+  it("scales macros with the portion, even after clearing the field", () => {
+    const cleared = setItemQuantity(chicken, "");
+    expect(cleared.kcal).toBe(240);
+    expect(setItemQuantity(cleared, "300")).toMatchObject({ quantity: 300, kcal: 480, protein: 90, fat: 12 });
+  });
+
+  it("scales to nothing for a zero portion and back again", () => {
+    const none = setItemQuantity(chicken, "0");
+    expect(none).toMatchObject({ quantity: 0, kcal: 0, protein: 0, fat: 0 });
+    expect(setItemQuantity(none, "150")).toMatchObject({ kcal: 240, protein: 45 });
+  });
+
+  it("rescales from a hand-entered macro", () => {
+    const edited = setItemMacro(setItemQuantity(chicken, "300"), "kcal", "400");
+    expect(setItemQuantity(edited, "150").kcal).toBe(200);
+  });
+});
+
+describe("diary", () => {
+  beforeEach(() => initStorage({ indexedDB: null, localStorage: null }));
+
+  it("saves entries per profile and skips ones without food", () => {
+    addDiaryEntry({ date: "2024-03-01", meal: "lunch", items: MOCK_FOOD_PHOTOS[0].items }, "p1");
+    addDiaryEntry({ date: "2024-03-01", meal: "dinner", items: [{ food: " " }] }, "p1");
+    const [entry] = loadDiary("p1");
+    expect(loadDiary("p1")).toHaveLength(1);
+    expect(loadDiary("p2")).toEqual([]);
+    expect(deleteDiaryEntry(entry.id, "p1")).toEqual([]);
+  });
+
+  it("compares a day against the plan's calories", () => {
+    const entries = [{ meal: "lunch", items: MOCK_FOOD_PHOTOS[0].items }];
+    const day = compareDay(entries, MOCK_PLAN, { calories: 2000 });
+    expect(day.eaten.kcal).toBe(549);
+    expect(day.remaining).toBe(1451);
+    expect(day.status).toBe("under");
+    expect(day.meals.find((m) => m.meal === "lunch")).toMatchObject({ logged: true });
+  });
+});
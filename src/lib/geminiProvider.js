@@ -0,0 +1,74 @@
+/* ===========================
+   Gemini provider
+=========================== */
+
+export const GEMINI_MODELS = { text: "gemini-2.5-flash", image: "gemini-2.5-flash-image" };
+
+const partsOf = (res) => res?.candidates?.[0]?.content?.parts || [];
+const responseText = (res) => partsOf(res).map((p) => p.text || "").join("").trim();
+
+// "data:image/jpeg;base64,..." -> inline image part
+const imagePart = (dataUrl) => {
+  const [, mimeType, data] = String(dataUrl).match(/^data:([^;,]+);base64,(.+)$/) || [];
+  if (!data) throw new Error("The photo must be a base64 data URL.");
+  return { inlineData: { mimeType, data } };
+};
+
+const toContents = (messages) =>
+  messages.map((m) => ({ role: m.role === "user" ? "user" : "model", parts: [{ text: m.text }] }));
+
+// The SDK is loaded on first use so the mock and OpenAI-compatible providers
+// (and anything importing this module in tests) never pull it in.
+export const createGeminiProvider = ({ geminiKey, models }) => {
+  let client = null;
+  const sdk = () =>
+    (client ||= import("@google/genai").then(({ GoogleGenAI }) => new GoogleGenAI({ apiKey: geminiKey.trim() })));
+  const config = (extra) => (Object.keys(extra).length ? { config: extra } : {});
+
+  return {
+    models,
+    async text({ prompt, system, model = models.text }) {
+      const res = await (await sdk()).models.generateContent({
+        model,
+        contents: prompt,
+        ...config(system ? { systemInstruction: system } : {}),
+      });
+      return responseText(res);
+    },
+    async json({ prompt, model = models.text }) {
+      const res = await (await sdk()).models.generateContent({
+        model,
+        contents: prompt,
+        config: { responseMimeType: "application/json" },
+      });
+      return responseText(res);
+    },
+    async stream({ messages, system, model = models.text, onText }) {
+      const stream = await (await sdk()).models.generateContentStream({
+        model,
+        contents: toContents(messages),
+        ...config(system ? { systemInstruction: system } : {}),
+      });
+      let text = "";
+      for await (const chunk of stream) {
+        text += chunk?.text ?? partsOf(chunk)[0]?.text ?? "";
+        onText?.(text);
+      }
+      return text;
+    },
+    async vision({ prompt, image, model = models.text }) {
+      const res = await (await sdk()).models.generateContent({
+        model,
+        contents: [{ role: "user", parts: [imagePart(image), { text: prompt }] }],
+        config: { responseMimeType: "application/json" },
+      });
+      return responseText(res);
+    },
+    async image({ prompt, model = models.image }) {
+      const res = await (await sdk()).models.generateContent({ model, contents: prompt });
+      const part = partsOf(res).find((p) => p.inlineData);
+      if (!part) throw new Error("No image data returned.");
+      return `data:${part.inlineData.mimeType || "image/png"};base64,${part.inlineData.data}`;
+    },
+  };
+};
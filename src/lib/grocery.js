@@ -0,0 +1,259 @@
+import { normalizeMealItem } from "./meals";
+import { MEAL_KEYS } from "./planSchema";
+import { csvCell } from "./planExport";
+import { dateKey } from "./schedule";
+
+/* ===========================
+   Grocery list & meal prep
+=========================== */
+
+// dietPlan.meals describes one day of eating. The shopping list rolls those
+// items up for `days` days and `servings` people, merging the same food
+// across meals ("Grilled chicken breast" and "Chicken breast" are one line)
+// and grouping lines by store aisle. Per-plan state lives on the library
+// entry as `grocery`:
+//   { days, servings, checked: [item key] }
+
+export const GROCERY_DAYS = [1, 2, 3, 4, 5, 6, 7];
+export const GROCERY_SERVINGS = [1, 2, 3, 4, 5, 6];
+export const DEFAULT_GROCERY = { days: 7, servings: 1, checked: [] };
+
+export const groceryState = (saved) => ({ ...DEFAULT_GROCERY, ...saved });
+
+// The first matching aisle wins, so specific ones come before broad ones
+// ("peanut butter" is a spread, not dairy; "rice cake" a snack, not rice).
+// Where the earlier word only describes the food, a lookahead lets it fall
+// through: "almond milk" is milk and "chicken broth" is broth.
+export const AISLES = [
+  { key: "frozen", label: "Frozen", pattern: /\bfrozen\b/ },
+  { key: "drinks", label: "Drinks & Supplements", pattern: /\b(coffee|tea|juice|water|smoothie|shake|whey|protein powder|electrolyte)\b/ },
+  {
+    key: "snacks",
+    label: "Nuts, Seeds & Snacks",
+    pattern: /\b(almonds?|walnuts?|cashews?|pecans?|pistachios?|peanuts?|nuts?|seeds?|chia|flax|trail mix|protein bar|granola bar|rice cakes?|dark chocolate|raisins?|dates|dried)\b(?! milk)/,
+  },
+  { key: "dairy", label: "Dairy, Eggs & Chilled", pattern: /\b(milk|yogh?urt|cheese|butter|eggs?|cream|kefir|skyr|quark|tofu|tempeh|hummus)\b/ },
+  {
+    key: "meat",
+    label: "Meat & Seafood",
+    pattern: /\b(chicken|beef|turkey|pork|lamb|steak|mince|bacon|ham|sausages?|salmon|tuna|cod|tilapia|trout|sardines?|mackerel|shrimp|prawns?|fish|seafood)\b(?! (broth|stock))/,
+  },
+  { key: "bakery", label: "Bread & Bakery", pattern: /\b(bread|toast|bagels?|tortillas?|wraps?|pitas?|rolls?|muffins?|buns?|crackers?)\b/ },
+  {
+    key: "grains",
+    label: "Grains & Pasta",
+    pattern: /\b(rice|oats?|oatmeal|porridge|pasta|spaghetti|noodles|quinoa|couscous|bulgur|barley|cereal|granola|muesli|flour)\b/,
+  },
+  { key: "legumes", label: "Beans & Canned Goods", pattern: /\b(lentils?|beans?|chickpeas?|edamame|canned|tinned|soup|broth|stock)\b/ },
+  {
+    key: "pantry",
+    label: "Oils, Sauces & Spices",
+    pattern: /\b(oil|vinegar|sauce|honey|syrup|salt|black pepper|peppercorns?|spices?|mustard|mayo|mayonnaise|ketchup|dressing|salsa|pesto|jam|cinnamon)\b/,
+  },
+  {
+    key: "produce",
+    label: "Fruit & Vegetables",
+    pattern:
+      /\b(apples?|bananas?|\w*berries|\w*berry|oranges?|pears?|grapes?|kiwis?|mangoe?s?|pineapple|melon|lemons?|limes?|avocados?|salad|lettuce|spinach|kale|broccoli|cauliflower|carrots?|peppers?|tomato(es)?|cucumbers?|onions?|garlic|potato(es)?|zucchini|courgettes?|squash|mushrooms?|asparagus|green beans|peas|corn|cabbage|celery|beets?|herbs?|vegetables?|veggies|fruit)\b/,
+  },
+];
+export const OTHER_AISLE = { key: "other", label: "Other" };
+
+// Cooking and prep words dropped from shopping names
+const PREP_WORDS = /\b(grilled|steamed|baked|roasted|boiled|hard boiled|poached|scrambled|fried|stir fried|sauteed|cooked|raw|fresh|chopped|sliced|diced|mashed|toasted|shredded)\b/g;
+const COOKED = /\b(grilled|steamed|baked|roasted|boiled|poached|scrambled|fried|sauteed|cooked|mashed)\b/;
+
+export const shoppingName = (food) => {
+  const name = String(food || "")
+    .replace(/-/g, " ")
+    .replace(/sautéed/gi, "sauteed")
+    .replace(new RegExp(PREP_WORDS.source, "gi"), " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return name ? name[0].toUpperCase() + name.slice(1) : String(food || "").trim();
+};
+
+// Lower-case words only; unlike normalizeName plurals are kept, so the
+// patterns below can match "berries" and "potatoes"
+const plainText = (text) => String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// Singular, lower-case key so "Almonds" and "almond" land on one line
+const singular = (word) => (/ies$/.test(word) ? word.replace(/ies$/, "y") : /(ss|us|is)$/.test(word) ? word : word.replace(/s$/, ""));
+export const itemKey = (food) => {
+  const words = plainText(shoppingName(food)).split(" ").filter(Boolean);
+  if (words.length) words[words.length - 1] = singular(words[words.length - 1]);
+  return words.join(" ");
+};
+
+export const aisleOf = (food) => {
+  const text = plainText(food);
+  return AISLES.find((a) => a.pattern.test(text)) || OTHER_AISLE;
+};
+
+/* ---------- Units ---------- */
+// Weights and volumes are summed in grams / millilitres; other units
+// (slice, fillet, cup...) are summed as they are.
+const UNITS = {
+  g: ["g", 1], gram: ["g", 1], grams: ["g", 1], kg: ["g", 1000], oz: ["g", 28.35], lb: ["g", 453.6], lbs: ["g", 453.6],
+  ml: ["ml", 1], l: ["ml", 1000], liter: ["ml", 1000], litre: ["ml", 1000],
+  tbsp: ["tbsp", 1], tsp: ["tsp", 1],
+};
+
+const baseUnit = (unit) => {
+  const u = String(unit || "").trim().toLowerCase();
+  if (UNITS[u]) return UNITS[u];
+  return [singular(u), 1];
+};
+
+const unitLabel = (unit, quantity) => {
+  if (!unit || unit === "g" || unit === "ml" || unit === "tbsp" || unit === "tsp") return unit;
+  return quantity > 1 && !unit.endsWith("s") ? `${unit}s` : unit;
+};
+
+// Rounded up to what you'd buy: 10 g steps, kg above a kilo, half units
+export const formatAmount = ({ quantity, unit }) => {
+  if (unit === "g" || unit === "ml") {
+    if (quantity >= 1000) return `${Math.round(quantity / 100) / 10} ${unit === "g" ? "kg" : "l"}`;
+    return `${Math.ceil(quantity / 10) * 10} ${unit}`;
+  }
+  const q = Math.ceil(quantity * 2) / 2;
+  return unit ? `${q} ${unitLabel(unit, q)}` : `${q}`;
+};
+
+export const amountText = (item) =>
+  item.amounts.length ? item.amounts.map(formatAmount).join(" + ") : `${item.uses} serving${item.uses === 1 ? "" : "s"}`;
+
+/* ---------- Shopping list ---------- */
+// One line per food: { key, name, aisle, amounts: [{ quantity, unit }], uses, meals }.
+// Items without a quantity (older plans) only count how often they're eaten.
+const rollUp = (meals, scale) => {
+  const items = new Map();
+  MEAL_KEYS.forEach((meal) =>
+    (meals?.[meal] || []).map(normalizeMealItem).forEach((i) => {
+      if (!i.food) return;
+      const key = itemKey(i.food);
+      if (!items.has(key)) {
+        const name = shoppingName(i.food);
+        items.set(key, { key, name, aisle: aisleOf(name).key, amounts: [], uses: 0, meals: [], cooked: false });
+      }
+      const item = items.get(key);
+      item.uses += scale;
+      if (!item.meals.includes(meal)) item.meals.push(meal);
+      if (COOKED.test(plainText(i.food))) item.cooked = true;
+      if (i.quantity == null) return;
+      const [unit, factor] = baseUnit(i.unit);
+      const amount = item.amounts.find((a) => a.unit === unit);
+      if (amount) amount.quantity += i.quantity * factor * scale;
+      else item.amounts.push({ unit, quantity: i.quantity * factor * scale });
+    })
+  );
+  return [...items.values()];
+};
+
+export const buildGroceryList = (plan, { days = DEFAULT_GROCERY.days, servings = DEFAULT_GROCERY.servings } = {}) =>
+  rollUp(plan?.dietPlan?.meals, days * servings).sort((a, b) => a.name.localeCompare(b.name));
+
+// [{ aisle: { key, label }, items }] in store order, empty aisles left out
+export const groupByAisle = (items) =>
+  [...AISLES, OTHER_AISLE]
+    .map((aisle) => ({ aisle: { key: aisle.key, label: aisle.label }, items: items.filter((i) => i.aisle === aisle.key) }))
+    .filter((g) => g.items.length);
+
+// Keeps only checks for items still on the list, e.g. after a meal swap
+export const activeChecks = (items, checked = []) => checked.filter((key) => items.some((i) => i.key === key));
+
+export const toggleCheck = (checked = [], key) => (checked.includes(key) ? checked.filter((k) => k !== key) : [...checked, key]);
+
+/* ---------- Meal prep ---------- */
+// Cooked food keeps about four days in the fridge, so the week is split
+// into as few prep sessions as that allows, as evenly as possible.
+export const PREP_SHELF_DAYS = 4;
+
+export const PREP_METHODS = {
+  cook: "Batch-cook",
+  chop: "Wash & chop",
+  portion: "Portion out",
+};
+
+const NO_COOK = /\b(oats?|oatmeal|muesli|granola|cereal|bread|toast|wraps?|tortillas?)\b/;
+const STARCHY = /\b(potato(es)?|sweet potato|squash|yam)\b/;
+
+const prepMethod = (item) => {
+  const name = plainText(item.name);
+  if (item.cooked || STARCHY.test(name)) return "cook";
+  if ((item.aisle === "meat" || item.aisle === "grains" || item.aisle === "legumes") && !NO_COOK.test(name)) return "cook";
+  if (item.aisle === "produce") return "chop";
+  if (item.aisle === "snacks" || item.aisle === "dairy" || NO_COOK.test(name)) return "portion";
+  return null;
+};
+
+// Day ranges covered by each session, e.g. 7 days -> [[1, 4], [5, 7]]
+export const prepSessions = (days) => {
+  const count = Math.ceil(days / PREP_SHELF_DAYS);
+  const ranges = [];
+  let from = 1;
+  for (let s = 0; s < count; s++) {
+    const length = Math.ceil((days - from + 1) / (count - s));
+    ranges.push([from, from + length - 1]);
+    from += length;
+  }
+  return ranges;
+};
+
+// [{ from, to, tasks: [{ method, items }] }] — each session preps the food
+// for the days it covers, so quantities are scaled to that range.
+export const buildPrepPlan = (plan, { days = DEFAULT_GROCERY.days, servings = DEFAULT_GROCERY.servings } = {}) =>
+  prepSessions(days).map(([from, to]) => {
+    const items = rollUp(plan?.dietPlan?.meals, (to - from + 1) * servings).map((i) => ({ ...i, method: prepMethod(i) }));
+    const tasks = Object.keys(PREP_METHODS)
+      .map((method) => ({ method, items: items.filter((i) => i.method === method).sort((a, b) => a.name.localeCompare(b.name)) }))
+      .filter((t) => t.items.length);
+    return { from, to, tasks };
+  });
+
+export const sessionTitle = ({ from, to }, index) =>
+  `Prep ${index + 1} — before day ${from} (covers ${from === to ? `day ${from}` : `days ${from}–${to}`})`;
+
+/* ---------- Export ---------- */
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+export const groceryText = (plan, { days, servings, checked = [] } = {}) => {
+  const items = buildGroceryList(plan, { days, servings });
+  const lines = [`Grocery list — ${plural(days, "day")}, ${plural(servings, "serving")}`];
+  groupByAisle(items).forEach(({ aisle, items: group }) => {
+    lines.push("", aisle.label.toUpperCase());
+    group.forEach((i) => lines.push(`[${checked.includes(i.key) ? "x" : " "}] ${i.name} — ${amountText(i)}`));
+  });
+  const sessions = buildPrepPlan(plan, { days, servings });
+  lines.push("", "MEAL PREP");
+  sessions.forEach((session, s) => {
+    lines.push("", sessionTitle(session, s));
+    session.tasks.forEach((t) => lines.push(`  ${PREP_METHODS[t.method]}: ${t.items.map((i) => `${i.name} (${amountText(i)})`).join(", ")}`));
+  });
+  return `${lines.join("\n")}\n`;
+};
+
+export const GROCERY_CSV_COLUMNS = ["aisle", "item", "quantity", "unit", "meals", "checked"];
+
+// One row per amount, so a food bought by weight and by count gets two rows
+export const groceryCsv = (plan, { days, servings, checked = [] } = {}) => {
+  const rows = [];
+  groupByAisle(buildGroceryList(plan, { days, servings })).forEach(({ aisle, items }) =>
+    items.forEach((i) => {
+      const base = { aisle: aisle.label, item: i.name, meals: i.meals.join(" "), checked: checked.includes(i.key) ? "yes" : "no" };
+      if (!i.amounts.length) rows.push({ ...base, quantity: i.uses, unit: "serving" });
+      i.amounts.forEach((a) => {
+        const [quantity, ...unit] = formatAmount(a).split(" ");
+        rows.push({ ...base, quantity, unit: unit.join(" ") });
+      });
+    })
+  );
+  return (
+    [GROCERY_CSV_COLUMNS, ...rows.map((r) => GROCERY_CSV_COLUMNS.map((c) => r[c]))].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n"
+  );
+};
+
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+
+export const groceryFilename = (profileName, date = new Date(), extension = "txt") =>
+  `${slug(profileName) || "my"}-grocery-list-${dateKey(date)}.${extension}`;
@@ -0,0 +1,129 @@
+import {
+  aisleOf,
+  buildGroceryList,
+  formatAmount,
+  amountText,
+  activeChecks,
+  toggleCheck,
+  prepSessions,
+  buildPrepPlan,
+  groceryText,
+  groceryCsv,
+} from "./grocery";
+
+const PLAN = {
+  dietPlan: {
+    meals: {
+      breakfast: [{ food: "Rolled oats", quantity: 60, unit: "g" }],
+      lunch: [{ food: "Grilled chicken breast", quantity: 150, unit: "g" }],
+      dinner: [
+        { food: "Chicken breasts", quantity: 0.2, unit: "kg" },
+        { food: "Salmon fillet", quantity: 1, unit: "fillet" },
+      ],
+      snacks: [{ food: "Almonds", quantity: 1, unit: "oz" }, "Apple"],
+    },
+  },
+};
+
+const line = (items, key) => items.find((i) => i.key === key);
+
+describe("aisleOf", () => {
+  it.each([
+    ["Red bell pepper", "produce"],
+    ["Black pepper", "pantry"],
+    ["Salt and pepper", "pantry"],
+    ["Chicken broth", "legumes"],
+    ["Low-sodium beef stock", "legumes"],
+    ["Grilled chicken breast", "meat"],
+    ["Unsweetened almond milk", "dairy"],
+    ["Almonds", "snacks"],
+    ["Peanut butter", "snacks"],
+    ["Rice cakes", "snacks"],
+    ["Brown rice", "grains"],
+    ["Frozen berries", "frozen"],
+    ["Blueberries", "produce"],
+  ])("puts %p in %p", (food, aisle) => {
+    expect(aisleOf(food).key).toBe(aisle);
+  });
+});
+
+describe("buildGroceryList", () => {
+  it("merges the same food across meals and converts weights to grams", () => {
+    const items = buildGroceryList(PLAN, { days: 1, servings: 1 });
+    expect(line(items, "chicken breast")).toMatchObject({ name: "Chicken breast", aisle: "meat", amounts: [{ unit: "g", quantity: 350 }], meals: ["lunch", "dinner"] });
+    expect(line(items, "almond").amounts[0].quantity).toBeCloseTo(28.35);
+    expect(line(items, "apple")).toMatchObject({ amounts: [], uses: 1 });
+    expect(items.map((i) => i.name)).toEqual(["Almonds", "Apple", "Chicken breast", "Rolled oats", "Salmon fillet"]);
+  });
+
+  it("scales by days times servings", () => {
+    const items = buildGroceryList(PLAN, { days: 7, servings: 2 });
+    expect(line(items, "chicken breast").amounts).toEqual([{ unit: "g", quantity: 4900 }]);
+    expect(line(items, "salmon fillet").amounts).toEqual([{ unit: "fillet", quantity: 14 }]);
+    expect(amountText(line(items, "apple"))).toBe("14 servings");
+  });
+});
+
+describe("formatAmount", () => {
+  it.each([
+    [{ quantity: 141, unit: "g" }, "150 g"],
+    [{ quantity: 28.35, unit: "g" }, "30 g"],
+    [{ quantity: 1260, unit: "g" }, "1.3 kg"],
+    [{ quantity: 1500, unit: "ml" }, "1.5 l"],
+    [{ quantity: 1, unit: "fillet" }, "1 fillet"],
+    [{ quantity: 1.2, unit: "fillet" }, "1.5 fillets"],
+    [{ quantity: 2, unit: "tbsp" }, "2 tbsp"],
+    [{ quantity: 0.3, unit: "" }, "0.5"],
+  ])("rounds %p up to %p", (amount, text) => {
+    expect(formatAmount(amount)).toBe(text);
+  });
+});
+
+describe("checked items", () => {
+  it("keys checks by item and forgets ones no longer on the list", () => {
+    const items = buildGroceryList(PLAN);
+    const checked = toggleCheck(toggleCheck([], "chicken breast"), "salmon fillet");
+    expect(checked).toEqual(["chicken breast", "salmon fillet"]);
+    expect(toggleCheck(checked, "salmon fillet")).toEqual(["chicken breast"]);
+    expect(activeChecks(items, [...checked, "tofu"])).toEqual(checked);
+  });
+});
+
+describe("meal prep", () => {
+  it.each([
+    [3, [[1, 3]]],
+    [4, [[1, 4]]],
+    [7, [[1, 4], [5, 7]]],
+    [9, [[1, 3], [4, 6], [7, 9]]],
+  ])("splits %p days into %p", (days, sessions) => {
+    expect(prepSessions(days)).toEqual(sessions);
+  });
+
+  it("preps each session's share of the food by method", () => {
+    const [first, second] = buildPrepPlan(PLAN, { days: 7, servings: 1 });
+    expect(first).toMatchObject({ from: 1, to: 4 });
+    const methods = Object.fromEntries(first.tasks.map((t) => [t.method, t.items.map((i) => i.name)]));
+    expect(methods).toEqual({ cook: ["Chicken breast", "Salmon fillet"], chop: ["Apple"], portion: ["Almonds", "Rolled oats"] });
+    expect(first.tasks[0].items[0].amounts).toEqual([{ unit: "g", quantity: 1400 }]);
+    expect(second.tasks[0].items[0].amounts).toEqual([{ unit: "g", quantity: 1050 }]);
+  });
+});
+
+describe("export", () => {
+  it("writes a text list with checks and prep sessions", () => {
+    const text = groceryText(PLAN, { days: 1, servings: 1, checked: ["chicken breast"] });
+    expect(text.split("\n")[0]).toBe("Grocery list — 1 day, 1 serving");
+    expect(text).toContain("MEAT & SEAFOOD\n[x] Chicken breast — 350 g");
+    expect(text).toContain("[ ] Apple — 1 serving");
+    expect(text).toContain("Prep 1 — before day 1 (covers day 1)\n  Batch-cook: Chicken breast (350 g), Salmon fillet (1 fillet)");
+  });
+
+  it("writes one quoted CSV row per amount", () => {
+    const rows = groceryCsv(PLAN, { days: 1, servings: 1, checked: ["chicken breast"] }).split("\r\n");
+    expect(rows[0]).toBe("aisle,item,quantity,unit,meals,checked");
+    expect(rows).toContain("Meat & Seafood,Chicken breast,350,g,lunch dinner,yes");
+    expect(rows).toContain("\"Nuts, Seeds & Snacks\",Almonds,30,g,snacks,no");
+    expect(rows).toContain("Fruit & Vegetables,Apple,1,serving,snacks,no");
+    expect(rows[rows.length - 1]).toBe("");
+  });
+});
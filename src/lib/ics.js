@@ -0,0 +1,72 @@
+/* ===========================
+   iCalendar (RFC 5545) export
+=========================== */
+
+const CRLF = "\r\n";
+const pad = (n) => String(n).padStart(2, "0");
+
+// TEXT values escape backslash, semicolon, comma and newlines (RFC 5545 3.3.11)
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const utf8Length = (ch) => {
+  const code = ch.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 5545 3.1),
+// never splitting a multi-byte character.
+export const foldLine = (line) => {
+  let out = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = utf8Length(ch);
+    if (octets + size > 75) {
+      out += `${CRLF} `;
+      octets = 1;
+    }
+    out += ch;
+    octets += size;
+  }
+  return out;
+};
+
+// Floating local time, e.g. 20261020T070000
+export const formatLocal = (d) =>
+  `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+
+export const formatUtc = (d) =>
+  `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+
+// events: [{ uid, start: Date, end: Date, summary, description, alarmMinutes? }]
+export const buildIcs = (events, { name = "AI Fitness Coach", now = new Date() } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AI Fitness Coach//Training Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  events.forEach((ev) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${ev.uid}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART:${formatLocal(ev.start)}`,
+      `DTEND:${formatLocal(ev.end)}`,
+      `SUMMARY:${escapeText(ev.summary)}`,
+      `DESCRIPTION:${escapeText(ev.description)}`
+    );
+    if (ev.alarmMinutes) {
+      lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeText(ev.summary)}`, `TRIGGER:-PT${ev.alarmMinutes}M`, "END:VALARM");
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
@@ -0,0 +1,176 @@
+import { images, imageIndex } from "./storage";
+import { normalizeName } from "./text";
+
+/* ===========================
+   Generated-image cache
+=========================== */
+
+// Generated images are stored as compressed JPEG blobs in the storage layer's
+// image store, grouped by a normalized item key such as
+// "exercise:barbell bench press". An item can have several variants
+// (regenerations); the favorite, else the newest, is the one shown. The
+// index entries
+//   { key, item, name, type, size, createdAt, lastUsed, favorite }
+// live in the key/value store and drive the least-recently-used eviction.
+
+export const IMAGE_CACHE_LIMITS = { maxImages: 120, maxBytes: 30 * 1024 * 1024 };
+export const IMAGE_MAX_SIZE = 768; // px, longest side
+export const IMAGE_QUALITY = 0.8;
+
+export const imageItemKey = (type, name) => `${type}:${normalizeName(name)}`;
+
+export const indexEntries = () => imageIndex.list();
+
+const newest = (a, b) => String(b.createdAt).localeCompare(String(a.createdAt));
+
+// Favorite first, then newest
+export const variantsFor = (item, entries = indexEntries()) =>
+  entries.filter((e) => e.item === item).sort((a, b) => Number(!!b.favorite) - Number(!!a.favorite) || newest(a, b));
+
+export const cacheUsage = (entries = indexEntries()) => ({
+  count: entries.length,
+  bytes: entries.reduce((sum, e) => sum + (e.size || 0), 0),
+});
+
+// Keys to drop so the cache fits its limits: least recently used first,
+// favorites only once nothing else is left. `keep` is never evicted.
+export const evictionOrder = (entries, { maxImages, maxBytes } = IMAGE_CACHE_LIMITS, keep = []) => {
+  let { count, bytes } = cacheUsage(entries);
+  const candidates = entries
+    .filter((e) => !keep.includes(e.key))
+    .sort((a, b) => Number(!!a.favorite) - Number(!!b.favorite) || String(a.lastUsed).localeCompare(String(b.lastUsed)));
+  const evict = [];
+  for (const e of candidates) {
+    if (count <= maxImages && bytes <= maxBytes) break;
+    evict.push(e.key);
+    count -= 1;
+    bytes -= e.size || 0;
+  }
+  return evict;
+};
+
+/* ---------- Blobs ---------- */
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const loadElement = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Image could not be decoded"));
+    img.src = src;
+  });
+
+// Downscales to IMAGE_MAX_SIZE and re-encodes as JPEG (which the PDF export
+// can embed). Falls back to the original when the browser can't draw it or
+// the original is already the smaller raster image.
+export const compressImage = async (dataUrl, { maxSize = IMAGE_MAX_SIZE, quality = IMAGE_QUALITY } = {}) => {
+  try {
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext?.("2d");
+    if (!ctx) return dataUrl;
+    const img = await loadElement(dataUrl);
+    const scale = Math.min(1, maxSize / Math.max(img.naturalWidth || maxSize, img.naturalHeight || maxSize));
+    canvas.width = Math.round((img.naturalWidth || maxSize) * scale);
+    canvas.height = Math.round((img.naturalHeight || maxSize) * scale);
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const jpeg = canvas.toDataURL("image/jpeg", quality);
+    const raster = /^data:image\/(png|jpe?g);/i.test(dataUrl);
+    return raster && dataUrl.length <= jpeg.length ? dataUrl : jpeg;
+  } catch (err) {
+    console.warn("Image compression failed, storing original", err);
+    return dataUrl;
+  }
+};
+
+/* ---------- Cache operations ---------- */
+const uid = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Stores a new variant and applies the cache limits. Resolves to
+// { entry, dataUrl, evicted } where dataUrl is the compressed image.
+export const storeImage = async ({ name, type, dataUrl, favorite = false }) => {
+  const compressed = await compressImage(dataUrl);
+  const blob = await dataUrlToBlob(compressed);
+  const item = imageItemKey(type, name);
+  const now = new Date().toISOString();
+  const entry = { key: `${item}#${uid()}`, item, name, type, size: blob.size, createdAt: now, lastUsed: now, favorite };
+  await images.put(entry.key, blob, { name, type, createdAt: now });
+
+  let index = [...indexEntries(), entry];
+  if (favorite) index = index.map((e) => (e.item === item && e.key !== entry.key ? { ...e, favorite: false } : e));
+  const evicted = evictionOrder(index, IMAGE_CACHE_LIMITS, [entry.key]);
+  await Promise.all(evicted.map((key) => images.delete(key)));
+  imageIndex.save(index.filter((e) => !evicted.includes(e.key)));
+  return { entry, dataUrl: compressed, evicted };
+};
+
+// Marks an image as used now, so eviction keeps it longer
+export const touchImage = (key) =>
+  imageIndex.save(indexEntries().map((e) => (e.key === key ? { ...e, lastUsed: new Date().toISOString() } : e)));
+
+export const loadImageData = async (key) => {
+  const record = await images.get(key);
+  if (!record) {
+    imageIndex.save(indexEntries().filter((e) => e.key !== key));
+    return null;
+  }
+  return blobToDataUrl(record.blob);
+};
+
+export const deleteImage = async (key) => {
+  await images.delete(key);
+  return imageIndex.save(indexEntries().filter((e) => e.key !== key));
+};
+
+// One favorite per item; favoriting the current favorite clears it
+export const toggleFavorite = (key) => {
+  const target = indexEntries().find((e) => e.key === key);
+  if (!target) return indexEntries();
+  return imageIndex.save(
+    indexEntries().map((e) => (e.item !== target.item ? e : { ...e, favorite: e.key === key ? !target.favorite : false }))
+  );
+};
+
+export const clearImageCache = async () => {
+  await Promise.all(indexEntries().map((e) => images.delete(e.key)));
+  return imageIndex.save([]);
+};
+
+// { key, name, type, dataUrl } for the variant shown for `item`, or null
+export const loadPreferred = async (item) => {
+  for (const entry of variantsFor(item)) {
+    const dataUrl = await loadImageData(entry.key);
+    if (dataUrl) return { key: entry.key, name: entry.name, type: entry.type, dataUrl };
+  }
+  return null;
+};
+
+// Adds stored blobs that are missing from the index (e.g. saved before the
+// index existed) and returns the preferred image of every item, by item key.
+export const loadPreferredImages = async () => {
+  const indexed = new Set(indexEntries().map((e) => e.key));
+  const orphans = (await images.list()).filter((r) => !indexed.has(r.key) && r.name && r.type);
+  if (orphans.length) {
+    const adopted = await Promise.all(
+      orphans.map(async (r) => {
+        const record = await images.get(r.key);
+        const at = r.createdAt || new Date().toISOString();
+        return { key: r.key, item: imageItemKey(r.type, r.name), name: r.name, type: r.type, size: record?.blob?.size || 0, createdAt: at, lastUsed: at, favorite: false };
+      })
+    );
+    imageIndex.save([...indexEntries(), ...adopted]);
+  }
+
+  const items = [...new Set(indexEntries().map((e) => e.item))];
+  const loaded = await Promise.all(items.map(async (item) => [item, await loadPreferred(item)]));
+  return Object.fromEntries(loaded.filter(([, img]) => img));
+};
@@ -0,0 +1,168 @@
+import { imageJobStore } from "./storage";
+
+/* ===========================
+   Background image generation queue
+=========================== */
+
+// Jobs are persisted as
+//   { id, name, type, fresh, view, status, attempts, error, nextAt, createdAt }
+// with status "queued" | "running" | "retrying" | "done" | "failed" | "cancelled",
+// so unfinished work resumes after a reload. Rate-limit errors are retried
+// with exponential backoff; other errors fail the job straight away.
+
+export const MAX_CONCURRENCY = 4;
+export const MAX_JOB_RETRIES = 4;
+export const BACKOFF_BASE_MS = 2000;
+export const BACKOFF_MAX_MS = 60000;
+export const ACTIVE_STATUSES = ["queued", "running", "retrying"];
+
+export const isActive = (job) => ACTIVE_STATUSES.includes(job.status);
+
+export const isRateLimitError = (err) =>
+  err?.status === 429 || err?.code === 429 || /\b429\b|rate.?limit|quota|resource.?exhausted|too many requests/i.test(err?.message || "");
+
+// Doubles per attempt with ±25% jitter, capped at `max`
+export const backoffDelay = (attempt, { base = BACKOFF_BASE_MS, max = BACKOFF_MAX_MS, random = Math.random } = {}) =>
+  Math.round(Math.min(max, base * 2 ** attempt * (0.75 + random() * 0.5)));
+
+export const jobProgress = (jobs) => {
+  const counted = jobs.filter((j) => j.status !== "cancelled");
+  return { done: counted.filter((j) => j.status === "done").length, total: counted.length, active: jobs.filter(isActive).length };
+};
+
+// `generate(job)` does the work and resolves to its result; `canRun()` is
+// checked before each job starts (e.g. online and configured). Nothing runs
+// until `start()` is called.
+export const createImageQueue = ({
+  generate,
+  concurrency = 2,
+  maxRetries = MAX_JOB_RETRIES,
+  canRun = () => true,
+  onChange,
+  onDone,
+  now = Date.now,
+}) => {
+  // Jobs interrupted by a reload start over
+  let jobs = imageJobStore.save(
+    imageJobStore.list().map((j) => (j.status === "running" || j.status === "retrying" ? { ...j, status: "queued", nextAt: null } : j))
+  );
+  let limit = concurrency;
+  let started = false;
+  let timer = null;
+  const running = new Set();
+
+  const save = () => {
+    imageJobStore.save(jobs);
+    onChange?.(jobs);
+  };
+  const find = (id) => jobs.find((j) => j.id === id);
+  const update = (id, patch) => {
+    jobs = jobs.map((j) => (j.id === id ? { ...j, ...patch } : j));
+    save();
+  };
+
+  // Moves due retries back to the queue and wakes up for the next one
+  const scheduleRetries = () => {
+    clearTimeout(timer);
+    timer = null;
+    const waiting = jobs.filter((j) => j.status === "retrying");
+    if (!waiting.length || !started) return;
+    const next = Math.min(...waiting.map((j) => j.nextAt));
+    timer = setTimeout(() => {
+      jobs = jobs.map((j) => (j.status === "retrying" && j.nextAt <= now() ? { ...j, status: "queued", nextAt: null } : j));
+      save();
+      pump();
+    }, Math.max(0, next - now()));
+  };
+
+  const run = async (job) => {
+    running.add(job.id);
+    update(job.id, { status: "running", error: null });
+    try {
+      const result = await generate(job);
+      if (find(job.id)?.status !== "running") return; // cancelled meanwhile
+      update(job.id, { status: "done" });
+      onDone?.(find(job.id), result);
+    } catch (err) {
+      const current = find(job.id);
+      if (current?.status !== "running") return;
+      const attempts = current.attempts + 1;
+      if (isRateLimitError(err) && attempts <= maxRetries) {
+        update(job.id, { status: "retrying", attempts, error: err.message, nextAt: now() + backoffDelay(attempts - 1) });
+      } else if (!canRun()) {
+        update(job.id, { status: "queued", error: err.message }); // e.g. went offline; picked up again later
+      } else {
+        update(job.id, { status: "failed", attempts, error: err.message });
+      }
+    } finally {
+      running.delete(job.id);
+      pump();
+    }
+  };
+
+  function pump() {
+    scheduleRetries();
+    if (!started || !canRun()) return;
+    while (running.size < limit) {
+      const next = jobs.find((j) => j.status === "queued" && !running.has(j.id));
+      if (!next) break;
+      run(next);
+    }
+  }
+
+  return {
+    jobs: () => jobs,
+    start() {
+      started = true;
+      pump();
+    },
+    stop() {
+      started = false;
+      clearTimeout(timer);
+    },
+    // Items already waiting or in progress are not queued twice
+    add(items, { view = false } = {}) {
+      const pending = (item) => jobs.some((j) => isActive(j) && j.type === item.type && j.name === item.name);
+      const unique = items.filter((item, i) => items.findIndex((o) => o.type === item.type && o.name === item.name) === i);
+      const added = unique.filter((item) => !pending(item)).map((item, i) => ({
+        id: `${now().toString(36)}-${i}-${Math.random().toString(36).slice(2, 6)}`,
+        name: item.name,
+        type: item.type,
+        fresh: !!item.fresh,
+        view,
+        status: "queued",
+        attempts: 0,
+        error: null,
+        nextAt: null,
+        createdAt: new Date(now()).toISOString(),
+      }));
+      if (!added.length) return [];
+      jobs = [...jobs, ...added];
+      save();
+      pump();
+      return added;
+    },
+    cancel(id) {
+      if (find(id) && isActive(find(id))) update(id, { status: "cancelled", nextAt: null });
+      pump();
+    },
+    cancelAll() {
+      jobs = jobs.map((j) => (isActive(j) ? { ...j, status: "cancelled", nextAt: null } : j));
+      save();
+      pump();
+    },
+    retry(id) {
+      const job = find(id);
+      if (job && !isActive(job) && job.status !== "done") update(id, { status: "queued", attempts: 0, error: null });
+      pump();
+    },
+    clearFinished() {
+      jobs = jobs.filter(isActive);
+      save();
+    },
+    setConcurrency(n) {
+      limit = Math.max(1, Math.min(MAX_CONCURRENCY, Number(n) || 1));
+      pump();
+    },
+  };
+};
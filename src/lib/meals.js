@@ -0,0 +1,59 @@
+/* ===========================
+   Meal items & nutrition totals
+=========================== */
+
+export const MACRO_KEYS = ["kcal", "protein", "carbs", "fat"];
+
+const toNumber = (v) => {
+  const n = typeof v === "number" ? v : parseFloat(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+// Older plans store meal items as plain strings ("Brown rice"). Everything
+// that renders or sums items goes through here so both shapes work.
+export const normalizeMealItem = (item) => {
+  if (typeof item === "string") return { food: item, quantity: null, unit: "", kcal: null, protein: null, carbs: null, fat: null };
+  const out = {
+    food: String(item?.food || item?.name || "").trim(),
+    quantity: toNumber(item?.quantity),
+    unit: String(item?.unit || "").trim(),
+  };
+  MACRO_KEYS.forEach((k) => { out[k] = toNumber(item?.[k]); });
+  return out;
+};
+
+export const hasMacros = (item) => MACRO_KEYS.every((k) => typeof item[k] === "number");
+
+export const itemPortion = (item) => {
+  const i = normalizeMealItem(item);
+  return i.quantity != null ? `${i.quantity}${i.unit ? ` ${i.unit}` : ""}` : "";
+};
+
+// "150 g Brown rice" or just "Brown rice" for legacy items
+export const itemLabel = (item) => {
+  const i = normalizeMealItem(item);
+  const portion = itemPortion(i);
+  return portion ? `${portion} ${i.food}` : i.food;
+};
+
+export const itemMacroText = (item) => {
+  const i = normalizeMealItem(item);
+  if (!hasMacros(i)) return "";
+  return `${Math.round(i.kcal)} kcal • P ${Math.round(i.protein)}g • C ${Math.round(i.carbs)}g • F ${Math.round(i.fat)}g`;
+};
+
+// Sums macros over items. `complete` is false when some items (e.g. legacy
+// strings) carry no numbers, so the UI can say the total is partial.
+export const sumItems = (items = []) => {
+  const totals = { kcal: 0, protein: 0, carbs: 0, fat: 0 };
+  let counted = 0;
+  items.map(normalizeMealItem).forEach((i) => {
+    if (!hasMacros(i)) return;
+    counted++;
+    MACRO_KEYS.forEach((k) => { totals[k] += i[k]; });
+  });
+  MACRO_KEYS.forEach((k) => { totals[k] = Math.round(totals[k]); });
+  return { ...totals, counted, complete: counted === items.length, hasData: counted > 0 };
+};
+
+export const dayTotals = (meals = {}) => sumItems(Object.values(meals).flat());
@@ -0,0 +1,91 @@
+/* ===========================
+   Fixtures for the mock AI provider
+=========================== */
+
+const ex = (name, sets, reps, rest, progression = "load") => ({ name, sets: String(sets), reps: String(reps), rest, progression });
+const food = (name, quantity, unit, kcal, protein, carbs, fat) => ({ food: name, quantity, unit, kcal, protein, carbs, fat });
+
+export const MOCK_PLAN = {
+  motivationalQuote: "Small steps every day add up to big results.",
+  workoutPlan: {
+    overview: "Three full-body sessions a week with compound lifts first and accessories after. Add a rep or a little weight each week.",
+    program: {
+      weeks: 8,
+      phases: [
+        { name: "Foundation", weeks: 4, focus: "Technique and work capacity", volume: "moderate" },
+        { name: "Build", weeks: 4, focus: "More volume on the main lifts", volume: "high" },
+      ],
+      deloadWeeks: [4, 8],
+    },
+    days: [
+      {
+        day: "Day 1",
+        focus: "Lower Body & Core",
+        exercises: [ex("Goblet Squat", 3, 10, "90s"), ex("Romanian Deadlift", 3, 10, "90s"), ex("Walking Lunge", 3, 12, "60s"), ex("Plank", 3, "40s", "45s", "reps")],
+      },
+      {
+        day: "Day 2",
+        focus: "Upper Body Push & Pull",
+        exercises: [ex("Push-Up", 3, 12, "60s", "reps"), ex("Dumbbell Row", 3, 10, "60s"), ex("Overhead Press", 3, 8, "90s"), ex("Face Pull", 3, 15, "45s")],
+      },
+      {
+        day: "Day 3",
+        focus: "Full Body Conditioning",
+        exercises: [ex("Kettlebell Swing", 4, 15, "60s"), ex("Step-Up", 3, 10, "60s"), ex("Inverted Row", 3, 10, "60s", "reps"), ex("Dead Bug", 3, 12, "45s", "reps")],
+      },
+    ],
+  },
+  dietPlan: {
+    overview: "Roughly 2,000 kcal with protein at every meal and mostly whole foods.",
+    meals: {
+      breakfast: [food("Rolled oats", 60, "g", 228, 8, 40, 4), food("Greek yogurt", 170, "g", 100, 17, 6, 0), food("Blueberries", 80, "g", 46, 1, 12, 0)],
+      lunch: [food("Grilled chicken breast", 150, "g", 248, 46, 0, 5), food("Brown rice", 150, "g", 167, 4, 35, 1), food("Mixed salad", 1, "bowl", 60, 2, 8, 3)],
+      dinner: [food("Salmon fillet", 1, "fillet", 367, 40, 0, 22), food("Sweet potato", 200, "g", 172, 3, 40, 0), food("Steamed broccoli", 150, "g", 51, 4, 10, 1)],
+      snacks: [food("Apple", 1, "piece", 95, 0, 25, 0), food("Almonds", 28, "g", 164, 6, 6, 14)],
+    },
+  },
+  lifestyleTips: ["Sleep 7–9 hours a night.", "Drink water with every meal.", "Walk 8,000 steps on rest days."],
+};
+
+export const MOCK_DAY = {
+  day: "Day 1",
+  focus: "Lower Body Strength",
+  exercises: [ex("Front Squat", 4, 6, "2 min"), ex("Hip Thrust", 3, 10, "90s"), ex("Bulgarian Split Squat", 3, 8, "60s"), ex("Side Plank", 3, "30s", "45s", "reps")],
+};
+
+// Replacements are taken in order, skipping any already named in the prompt
+export const MOCK_EXERCISES = [
+  ex("Leg Press", 3, 10, "90s"),
+  ex("Cable Row", 3, 12, "60s"),
+  ex("Incline Dumbbell Press", 3, 10, "60s"),
+  ex("Glute Bridge", 3, 15, "45s", "reps"),
+  ex("Lat Pulldown", 3, 12, "60s"),
+];
+
+export const MOCK_MEAL_ITEMS = [
+  food("Cottage cheese", 150, "g", 147, 17, 5, 6),
+  food("Whole-wheat toast", 2, "slice", 160, 8, 28, 2),
+  food("Lentils", 150, "g", 174, 13, 30, 1),
+  food("Tofu", 150, "g", 216, 24, 5, 13),
+  food("Banana", 1, "piece", 105, 1, 27, 0),
+];
+
+export const MOCK_FOOD_PHOTOS = [
+  {
+    description: "Grilled chicken with rice and vegetables",
+    items: [food("Grilled chicken breast", 140, "g", 231, 43, 0, 5), food("White rice", 180, "g", 234, 4, 51, 1), food("Roasted vegetables", 120, "g", 84, 2, 10, 4)],
+  },
+  {
+    description: "Avocado toast with a poached egg",
+    items: [food("Sourdough toast", 2, "slice", 230, 8, 44, 2), food("Avocado", 0.5, "piece", 120, 1, 6, 11), food("Poached egg", 1, "piece", 72, 6, 0, 5)],
+  },
+];
+
+export const MOCK_QUOTES = [
+  "Discipline is choosing what you want most over what you want now.",
+  "Strong today, stronger tomorrow.",
+  "Progress, not perfection.",
+];
+
+export const MOCK_COACH_REPLY =
+  "This is the offline mock coach. Your plan looks balanced — keep the rest times short and log every set so progress is easy to track.";
@@ -0,0 +1,74 @@
+import { MOCK_PLAN, MOCK_DAY, MOCK_EXERCISES, MOCK_MEAL_ITEMS, MOCK_QUOTES, MOCK_COACH_REPLY, MOCK_FOOD_PHOTOS } from "./mockFixtures";
+
+/* ===========================
+   Mock provider (offline, deterministic)
+=========================== */
+
+// Answers every call from fixtures so the app can be developed and exercised
+// with no network and no keys. The same input always yields the same output.
+
+export const MOCK_MODELS = { text: "mock-text", image: "mock-image" };
+
+// Small stable string hash used to pick among fixtures
+const hash = (s) => [...String(s)].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 7);
+
+// Only the "must NOT be any of" line counts when the prompt has one, since
+// exercise prompts also list the whole library.
+const firstUnused = (list, key, prompt) => {
+  const used = prompt.match(/must NOT be any of: (.*)/)?.[1] ?? prompt;
+  return list.find((item) => !used.includes(item[key])) || list[0];
+};
+
+const jsonFor = (task, prompt) => {
+  switch (task) {
+    case "plan":
+      return MOCK_PLAN;
+    case "day":
+      return MOCK_DAY;
+    case "exercise":
+      return firstUnused(MOCK_EXERCISES, "name", prompt);
+    case "meal item":
+      return firstUnused(MOCK_MEAL_ITEMS, "food", prompt);
+    default:
+      return {};
+  }
+};
+
+const coachReply = (messages) => {
+  const last = [...messages].reverse().find((m) => m.role === "user")?.text || "";
+  if (!/swap|replace|change/i.test(last)) return MOCK_COACH_REPLY;
+  const patch = [{ op: "replace_exercise", day: 0, index: 0, exercise: MOCK_EXERCISES[0] }];
+  return `Sure — here is a swap for the first exercise of Day 1.\n\`\`\`plan-patch\n${JSON.stringify(patch)}\n\`\`\``;
+};
+
+const escapeXml = (s) => String(s).replace(/[<>&"]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const placeholderImage = (prompt) => {
+  const label = escapeXml((String(prompt).match(/"([^"]+)"/)?.[1] || "Mock image").slice(0, 40));
+  const hue = hash(prompt) % 360;
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512">` +
+    `<rect width="100%" height="100%" fill="hsl(${hue},60%,45%)"/>` +
+    `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="28" text-anchor="middle">${label}</text></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+export const createMockProvider = ({ models = MOCK_MODELS } = {}) => ({
+  models,
+  text: async ({ prompt, task }) =>
+    task === "quote" ? MOCK_QUOTES[hash(prompt) % MOCK_QUOTES.length] : `Mock response (${task || "text"})`,
+  json: async ({ prompt, task }) => JSON.stringify(jsonFor(task, String(prompt))),
+  async stream({ messages, onText }) {
+    const reply = coachReply(messages);
+    let text = "";
+    for (const word of reply.split(/(?<= )/)) {
+      await Promise.resolve();
+      text += word;
+      onText?.(text);
+    }
+    return text;
+  },
+  image: async ({ prompt }) => placeholderImage(prompt),
+  // The same photo always gets the same analysis
+  vision: async ({ image }) => JSON.stringify(MOCK_FOOD_PHOTOS[hash(image) % MOCK_FOOD_PHOTOS.length]),
+});
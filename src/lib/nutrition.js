@@ -0,0 +1,100 @@
+/* ===========================
+   Nutrition engine (BMR, TDEE, macros)
+=========================== */
+
+export const ACTIVITY_LEVELS = {
+  sedentary: { factor: 1.2, label: "Sedentary (desk job, little exercise)" },
+  light: { factor: 1.375, label: "Light (1-3 sessions/week)" },
+  moderate: { factor: 1.55, label: "Moderate (3-5 sessions/week)" },
+  active: { factor: 1.725, label: "Active (6-7 sessions/week)" },
+  very_active: { factor: 1.9, label: "Very Active (physical job + training)" },
+};
+
+// Calorie adjustment relative to TDEE per goal
+export const GOAL_ADJUSTMENT = {
+  weight_loss: -0.2,
+  muscle_gain: 0.1,
+  maintenance: 0,
+  endurance: 0.05,
+};
+
+// Protein in g per kg body weight per goal
+export const PROTEIN_PER_KG = {
+  weight_loss: 2.0,
+  muscle_gain: 1.8,
+  maintenance: 1.6,
+  endurance: 1.4,
+};
+
+export const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+export const KETO_CARB_CAP = 30; // grams per day
+export const FAT_SHARE = 0.25; // share of calories from fat outside keto
+
+const MIN_CALORIES = { male: 1500, female: 1200, other: 1350 };
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// Mifflin-St Jeor. "other" uses the midpoint of the male/female constants.
+export const calculateBmr = ({ weight, height, age, gender }) => {
+  const w = num(weight);
+  const h = num(height);
+  const a = num(age);
+  if (!w || !h || !a) return null;
+  const base = 10 * w + 6.25 * h - 5 * a;
+  const offset = gender === "male" ? 5 : gender === "female" ? -161 : -78;
+  return Math.round(base + offset);
+};
+
+export const calculateTdee = (bmr, activityLevel = "moderate") =>
+  Math.round(bmr * (ACTIVITY_LEVELS[activityLevel] || ACTIVITY_LEVELS.moderate).factor);
+
+export const goalCalories = (tdee, fitnessGoal = "maintenance", gender = "other") => {
+  const adjusted = Math.round(tdee * (1 + (GOAL_ADJUSTMENT[fitnessGoal] ?? 0)));
+  return Math.max(MIN_CALORIES[gender] || MIN_CALORIES.other, adjusted);
+};
+
+// Splits a calorie target into protein/carb/fat grams. Keto caps carbs and
+// fills the remainder with fat; everything else fixes fat at FAT_SHARE and
+// gives the rest to carbs.
+export const calculateMacros = ({ calories, weight, fitnessGoal = "maintenance", dietaryPreference }) => {
+  let protein = Math.round((PROTEIN_PER_KG[fitnessGoal] ?? 1.6) * weight);
+  // Keep protein at or under ~35% of calories for very light users
+  protein = Math.min(protein, Math.round((calories * 0.35) / KCAL_PER_GRAM.protein));
+
+  let carbs;
+  let fat;
+  if (dietaryPreference === "keto") {
+    carbs = KETO_CARB_CAP;
+    fat = Math.round((calories - protein * KCAL_PER_GRAM.protein - carbs * KCAL_PER_GRAM.carbs) / KCAL_PER_GRAM.fat);
+  } else {
+    fat = Math.round((calories * FAT_SHARE) / KCAL_PER_GRAM.fat);
+    carbs = Math.round((calories - protein * KCAL_PER_GRAM.protein - fat * KCAL_PER_GRAM.fat) / KCAL_PER_GRAM.carbs);
+  }
+  return { protein, carbs: Math.max(0, carbs), fat: Math.max(0, fat) };
+};
+
+// Full set of daily targets from the profile form, or null when age, height
+// or weight are missing.
+export const computeTargets = (formData) => {
+  const bmr = calculateBmr(formData);
+  if (!bmr) return null;
+  const activityLevel = ACTIVITY_LEVELS[formData.activityLevel] ? formData.activityLevel : "moderate";
+  const tdee = calculateTdee(bmr, activityLevel);
+  const calories = goalCalories(tdee, formData.fitnessGoal, formData.gender);
+  const macros = calculateMacros({
+    calories,
+    weight: num(formData.weight),
+    fitnessGoal: formData.fitnessGoal,
+    dietaryPreference: formData.dietaryPreference,
+  });
+  return { bmr, tdee, calories, activityLevel, ...macros };
+};
+
+export const targetsPrompt = (t) => `
+HARD NUTRITION CONSTRAINTS (computed locally, do not change them):
+- Daily calories: ${t.calories} kcal (BMR ${t.bmr}, TDEE ${t.tdee})
+- Protein: ${t.protein} g, Carbs: ${t.carbs} g, Fat: ${t.fat} g
+The day's meals together MUST add up to these targets within ±5%, and the diet overview must state them.`;
@@ -0,0 +1,56 @@
+import { calculateBmr, calculateTdee, goalCalories, calculateMacros, computeTargets, KETO_CARB_CAP } from "./nutrition";
+
+describe("calculateBmr", () => {
+  it("uses Mifflin-St Jeor", () => {
+    expect(calculateBmr({ weight: 80, height: 180, age: 30, gender: "male" })).toBe(1780);
+    expect(calculateBmr({ weight: 60, height: 165, age: 40, gender: "female" })).toBe(1270);
+    expect(calculateBmr({ weight: 70, height: 170, age: 35, gender: "other" })).toBe(1510);
+  });
+
+  it("returns null when a measurement is missing or invalid", () => {
+    expect(calculateBmr({ weight: "", height: 180, age: 30 })).toBeNull();
+    expect(calculateBmr({ weight: 80, height: -1, age: 30 })).toBeNull();
+  });
+});
+
+describe("calories", () => {
+  it("scales BMR by activity, defaulting to moderate", () => {
+    expect(calculateTdee(1780, "sedentary")).toBe(2136);
+    expect(calculateTdee(1780, "unknown")).toBe(2759);
+  });
+
+  it("adjusts for the goal but never drops below the floor", () => {
+    expect(goalCalories(2500, "weight_loss")).toBe(2000);
+    expect(goalCalories(2500, "muscle_gain")).toBe(2750);
+    expect(goalCalories(1400, "weight_loss", "female")).toBe(1200);
+  });
+});
+
+describe("calculateMacros", () => {
+  it("adds up to the calorie target", () => {
+    const calories = 2400;
+    const { protein, carbs, fat } = calculateMacros({ calories, weight: 80, fitnessGoal: "muscle_gain" });
+    expect(protein).toBe(144);
+    expect(protein * 4 + carbs * 4 + fat * 9).toBeCloseTo(calories, -1);
+  });
+
+  it("caps carbs on keto", () => {
+    expect(calculateMacros({ calories: 2000, weight: 70, dietaryPreference: "keto" }).carbs).toBe(KETO_CARB_CAP);
+  });
+
+  it("limits protein for light users on few calories", () => {
+    expect(calculateMacros({ calories: 1200, weight: 120, fitnessGoal: "weight_loss" }).protein).toBe(105);
+  });
+});
+
+describe("computeTargets", () => {
+  it("computes every target from the profile form", () => {
+    expect(computeTargets({ weight: "80", height: "180", age: "30", gender: "male", activityLevel: "moderate", fitnessGoal: "maintenance" })).toEqual({
+      bmr: 1780, tdee: 2759, calories: 2759, activityLevel: "moderate", protein: 128, carbs: 389, fat: 77,
+    });
+  });
+
+  it("returns null without body measurements", () => {
+    expect(computeTargets({ fitnessGoal: "weight_loss" })).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+import { requestQueue } from "./storage";
+
+/* ===========================
+   Connectivity & offline request queue
+=========================== */
+
+// AI requests made without a connection are stored as
+//   { id, kind, profileId, label, payload, createdAt, attempts }
+// and replayed in order once the browser is back online. `kind` picks the
+// handler the app passes to `replayQueue` ("plan", "image", ...); payloads
+// must be plain JSON since the queue is persisted.
+
+export const MAX_REPLAY_ATTEMPTS = 3;
+
+export const isOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+
+// Calls `fn(online)` on every change and returns an unsubscribe function.
+export const onConnectivityChange = (fn) => {
+  const up = () => fn(true);
+  const down = () => fn(false);
+  window.addEventListener("online", up);
+  window.addEventListener("offline", down);
+  return () => {
+    window.removeEventListener("online", up);
+    window.removeEventListener("offline", down);
+  };
+};
+
+// fetch rejects with a TypeError when the request never reached the server
+export const isNetworkError = (err) =>
+  !isOnline() || (err instanceof TypeError && /fetch|network|load failed/i.test(err.message));
+
+export const queuedRequests = () => requestQueue.list();
+
+// Adds a request, replacing an older one of the same kind and label so that
+// pressing a button twice while offline only queues it once.
+export const enqueueRequest = ({ kind, profileId = null, label, payload = {} }) => {
+  const request = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    profileId,
+    label,
+    payload,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+  };
+  const rest = queuedRequests().filter((r) => !(r.kind === kind && r.label === label && r.profileId === profileId));
+  return requestQueue.save([...rest, request]);
+};
+
+export const removeRequest = (id) => requestQueue.save(queuedRequests().filter((r) => r.id !== id));
+
+export const clearQueue = () => requestQueue.save([]);
+
+// Runs queued requests one at a time. Stops early if the connection drops
+// again; other failures count as an attempt and the request is dropped after
+// MAX_REPLAY_ATTEMPTS. Resolves to { done: [...], failed: [{ request, error }] }.
+export const replayQueue = async (handlers, { online = isOnline, onProgress } = {}) => {
+  const done = [];
+  const failed = [];
+  for (const request of queuedRequests()) {
+    if (!online()) break;
+    const handler = handlers[request.kind];
+    if (!handler) {
+      removeRequest(request.id);
+      failed.push({ request, error: new Error(`No handler for queued "${request.kind}" request`) });
+      continue;
+    }
+    onProgress?.(request);
+    try {
+      await handler(request.payload, request);
+      removeRequest(request.id);
+      done.push(request);
+    } catch (err) {
+      if (isNetworkError(err)) break;
+      const attempts = request.attempts + 1;
+      if (attempts >= MAX_REPLAY_ATTEMPTS) {
+        removeRequest(request.id);
+        failed.push({ request, error: err });
+      } else {
+        requestQueue.save(queuedRequests().map((r) => (r.id === request.id ? { ...r, attempts } : r)));
+      }
+    }
+  }
+  return { done, failed };
+};
@@ -0,0 +1,67 @@
+import { initStorage } from "./storage";
+import { enqueueRequest, queuedRequests, replayQueue, clearQueue, MAX_REPLAY_ATTEMPTS } from "./offlineQueue";
+
+beforeEach(async () => {
+  await initStorage({ indexedDB: null, localStorage: null });
+  clearQueue();
+});
+
+describe("enqueueRequest", () => {
+  it("queues a request once per kind, label and profile", () => {
+    enqueueRequest({ kind: "plan", profileId: "p1", label: "New plan", payload: { n: 1 } });
+    enqueueRequest({ kind: "plan", profileId: "p1", label: "New plan", payload: { n: 2 } });
+    enqueueRequest({ kind: "plan", profileId: "p2", label: "New plan" });
+    enqueueRequest({ kind: "image", profileId: "p1", label: "New plan" });
+    const queued = queuedRequests();
+    expect(queued.map((r) => [r.kind, r.profileId])).toEqual([["plan", "p1"], ["plan", "p2"], ["image", "p1"]]);
+    expect(queued.find((r) => r.profileId === "p1" && r.kind === "plan")).toMatchObject({ payload: { n: 2 }, attempts: 0 });
+  });
+});
+
+describe("replayQueue", () => {
+  it("runs requests in order and removes the ones that succeed", async () => {
+    enqueueRequest({ kind: "plan", label: "a", payload: { n: 1 } });
+    enqueueRequest({ kind: "plan", label: "b", payload: { n: 2 } });
+    const seen = [];
+    const { done, failed } = await replayQueue({ plan: async (payload) => seen.push(payload.n) });
+    expect(seen).toEqual([1, 2]);
+    expect(done.map((r) => r.label)).toEqual(["a", "b"]);
+    expect(failed).toEqual([]);
+    expect(queuedRequests()).toEqual([]);
+  });
+
+  it("counts failed attempts and drops a request after the last one", async () => {
+    enqueueRequest({ kind: "plan", label: "a" });
+    const handlers = { plan: async () => { throw new Error("Invalid plan"); } };
+    for (let i = 1; i < MAX_REPLAY_ATTEMPTS; i++) {
+      expect((await replayQueue(handlers)).failed).toEqual([]);
+      expect(queuedRequests()[0].attempts).toBe(i);
+    }
+    const { failed } = await replayQueue(handlers);
+    expect(failed[0].error.message).toBe("Invalid plan");
+    expect(queuedRequests()).toEqual([]);
+  });
+
+  it("stops without counting an attempt when the network fails", async () => {
+    enqueueRequest({ kind: "plan", label: "a" });
+    enqueueRequest({ kind: "plan", label: "b" });
+    const handler = jest.fn(async () => { throw new TypeError("Failed to fetch"); });
+    const { done, failed } = await replayQueue({ plan: handler });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(done).toEqual([]);
+    expect(failed).toEqual([]);
+    expect(queuedRequests().map((r) => r.attempts)).toEqual([0, 0]);
+  });
+
+  it("waits while offline and drops requests nothing can handle", async () => {
+    enqueueRequest({ kind: "plan", label: "a" });
+    const handler = jest.fn();
+    await replayQueue({ plan: handler }, { online: () => false });
+    expect(handler).not.toHaveBeenCalled();
+    expect(queuedRequests()).toHaveLength(1);
+
+    const { failed } = await replayQueue({});
+    expect(failed[0].error.message).toBe('No handler for queued "plan" request');
+    expect(queuedRequests()).toEqual([]);
+  });
+});
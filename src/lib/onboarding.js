@@ -0,0 +1,180 @@
+import { EQUIPMENT } from "./exerciseLibrary";
+import { CM_PER_INCH, LB_TO_KG } from "./units";
+
+/* ===========================
+   Onboarding form: units, validation, wizard steps
+=========================== */
+
+// Profiles always store metric inputs (height in cm, weight in kg) as
+// strings, like the rest of formData. The wizard edits a draft instead:
+//   { values, step }
+// where `values` is formData plus the raw imperial fields (heightFt,
+// heightIn, weightLb) that are shown when `units` is "imperial". Editing an
+// imperial field keeps the metric one in sync, so switching units never
+// loses what was typed.
+
+export const UNIT_SYSTEMS = { metric: "Metric (cm, kg)", imperial: "Imperial (ft/in, lb)" };
+export const TRAINING_DAYS = [1, 2, 3, 4, 5, 6, 7];
+export const SESSION_LENGTHS = [20, 30, 45, 60, 75, 90];
+export const TEXT_LIMIT = 1000;
+
+export const LIMITS = {
+  age: [13, 100],
+  height: [100, 250], // cm
+  weight: [30, 300], // kg
+  sleepHours: [3, 14],
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const parse = (v) => (String(v ?? "").trim() === "" ? null : Number(v));
+
+/* ---------- Units ---------- */
+export const cmToFeetInches = (cm) => {
+  const total = cm / CM_PER_INCH;
+  let ft = Math.floor(total / 12);
+  let inches = round1(total - ft * 12);
+  if (inches >= 12) {
+    ft += 1;
+    inches = 0;
+  }
+  return { ft, inches };
+};
+
+export const feetInchesToCm = (ft, inches = 0) => round1((ft * 12 + inches) * CM_PER_INCH);
+export const kgToLb = (kg) => round1(kg / LB_TO_KG);
+export const lbToKg = (lb) => round1(lb * LB_TO_KG);
+
+// Imperial display fields for the metric values
+const imperialFields = ({ height, weight }) => {
+  const cm = parse(height);
+  const kg = parse(weight);
+  const { ft, inches } = Number.isFinite(cm) && cm > 0 ? cmToFeetInches(cm) : { ft: "", inches: "" };
+  return {
+    heightFt: String(ft),
+    heightIn: String(inches),
+    weightLb: Number.isFinite(kg) && kg > 0 ? String(kgToLb(kg)) : "",
+  };
+};
+
+/* ---------- Draft ---------- */
+export const draftFromInputs = (inputs) => ({ step: 0, values: { ...inputs, ...imperialFields(inputs) } });
+
+// Sets one field, keeping metric height / weight in sync with imperial input
+export const setDraftValue = (values, name, value) => {
+  const next = { ...values, [name]: value };
+  if (name === "heightFt" || name === "heightIn") {
+    const ft = parse(next.heightFt);
+    const inches = parse(next.heightIn) ?? 0;
+    next.height = Number.isFinite(ft) && Number.isFinite(inches) ? String(feetInchesToCm(ft, inches)) : "";
+  }
+  if (name === "weightLb") {
+    const lb = parse(value);
+    next.weight = Number.isFinite(lb) ? String(lbToKg(lb)) : "";
+  }
+  return next;
+};
+
+export const switchUnits = (values, units) =>
+  units === "imperial" ? { ...values, units, ...imperialFields(values) } : { ...values, units };
+
+/* ---------- Validation ---------- */
+const rangeError = (value, [min, max], { label, unit = "", integer = false, required = true }) => {
+  const n = parse(value);
+  if (n === null) return required ? `${label} is required` : null;
+  if (!Number.isFinite(n)) return `${label} must be a number`;
+  if (integer && !Number.isInteger(n)) return `${label} must be a whole number`;
+  if (n < min || n > max) return `${label} must be between ${min} and ${max}${unit}`;
+  return null;
+};
+
+const textError = (value, label) => (String(value || "").length > TEXT_LIMIT ? `${label} must be under ${TEXT_LIMIT} characters` : null);
+
+// { field: message } for every invalid field. Height and weight errors go
+// on the fields shown for the current unit system.
+export const validateInputs = (values) => {
+  const errors = {};
+  const add = (field, message) => {
+    if (message) errors[field] = message;
+  };
+  const imperial = values.units === "imperial";
+
+  if (String(values.name || "").length > 60) add("name", "Name must be under 60 characters");
+  add("age", rangeError(values.age, LIMITS.age, { label: "Age", integer: true }));
+
+  if (imperial) {
+    const [minCm, maxCm] = LIMITS.height;
+    const ftError = rangeError(values.heightFt, [3, 8], { label: "Feet", integer: true });
+    add("heightFt", ftError);
+    add("heightIn", rangeError(values.heightIn, [0, 11.9], { label: "Inches", required: false }));
+    if (!ftError && !errors.heightIn && (Number(values.height) < minCm || Number(values.height) > maxCm)) {
+      const min = cmToFeetInches(minCm);
+      const max = cmToFeetInches(maxCm);
+      add("heightFt", `Height must be between ${min.ft} ft ${Math.round(min.inches)} in and ${max.ft} ft ${Math.round(max.inches)} in`);
+    }
+    add("weightLb", rangeError(values.weightLb, LIMITS.weight.map(kgToLb).map(Math.round), { label: "Weight", unit: " lb" }));
+  } else {
+    add("height", rangeError(values.height, LIMITS.height, { label: "Height", unit: " cm" }));
+    add("weight", rangeError(values.weight, LIMITS.weight, { label: "Weight", unit: " kg" }));
+  }
+
+  add("sleepHours", rangeError(values.sleepHours, LIMITS.sleepHours, { label: "Sleep", unit: " hours", required: false }));
+  if (!TRAINING_DAYS.includes(Number(values.trainingDays))) add("trainingDays", "Pick how many days a week you can train");
+  if (!SESSION_LENGTHS.includes(Number(values.sessionLength))) add("sessionLength", "Pick a session length");
+  if ((values.equipment || []).some((e) => !EQUIPMENT[e])) add("equipment", "Unknown equipment selected");
+  add("injuries", textError(values.injuries, "Injuries"));
+  add("foodAllergies", textError(values.foodAllergies, "Food allergies"));
+  add("medicalHistory", textError(values.medicalHistory, "Medical history"));
+  return errors;
+};
+
+/* ---------- Wizard ---------- */
+export const WIZARD_STEPS = [
+  { id: "about", title: "About you", fields: ["name", "age", "gender", "units", "height", "weight", "heightFt", "heightIn", "weightLb"] },
+  {
+    id: "training",
+    title: "Goals & training",
+    fields: ["fitnessGoal", "fitnessLevel", "activityLevel", "trainingDays", "sessionLength", "programWeeks", "stressLevel", "sleepHours"],
+  },
+  { id: "equipment", title: "Where you train", fields: ["workoutLocation", "equipment"] },
+  { id: "health", title: "Health & diet", fields: ["dietaryPreference", "foodAllergies", "injuries", "medicalHistory"] },
+  { id: "review", title: "Review", fields: [] },
+];
+
+export const stepErrors = (values, step) => {
+  const fields = WIZARD_STEPS[step]?.fields || [];
+  return Object.fromEntries(Object.entries(validateInputs(values)).filter(([field]) => fields.includes(field)));
+};
+
+// First step that has an error, or -1 when the whole form is valid
+export const firstInvalidStep = (values) => {
+  const invalid = Object.keys(validateInputs(values));
+  return WIZARD_STEPS.findIndex((s) => s.fields.some((f) => invalid.includes(f)));
+};
+
+/* ---------- Normalized inputs ---------- */
+// Drops the imperial display fields and tidies the rest for storage
+export const normalizeInputs = (values) => {
+  const { heightFt, heightIn, weightLb, ...inputs } = values;
+  const text = (v) => String(v ?? "").trim();
+  const metric = (v) => (parse(v) === null ? "" : String(round1(Number(v))));
+  return {
+    ...inputs,
+    name: text(inputs.name),
+    age: text(inputs.age),
+    height: metric(inputs.height),
+    weight: metric(inputs.weight),
+    sleepHours: text(inputs.sleepHours),
+    equipment: (inputs.equipment || []).filter((e) => EQUIPMENT[e]),
+    injuries: text(inputs.injuries),
+    foodAllergies: text(inputs.foodAllergies),
+    medicalHistory: text(inputs.medicalHistory),
+  };
+};
+
+// Height and weight as the user reads them
+export const formatHeight = (values) =>
+  values.units === "imperial" ? `${values.heightFt || 0} ft ${values.heightIn || 0} in` : `${values.height} cm`;
+export const formatWeight = (values) => (values.units === "imperial" ? `${values.weightLb} lb` : `${values.weight} kg`);
+
+export const trainingPrompt = (inputs) => `
+TRAINING SCHEDULE: exactly ${inputs.trainingDays} training days per week ("days" must have ${inputs.trainingDays} entries), each session about ${inputs.sessionLength} minutes including rest — size the number of exercises and sets to fit.`;
@@ -0,0 +1,92 @@
+/* ===========================
+   OpenAI-compatible provider
+=========================== */
+
+// Talks to any server implementing the OpenAI chat-completions and images API
+// (OpenAI itself, or a local Ollama / LM Studio / llama.cpp server). The key is
+// optional because most local servers do not check it.
+
+export const OPENAI_MODELS = { text: "gpt-4o-mini", image: "gpt-image-1" };
+
+const chatMessages = (messages, system) => [
+  ...(system ? [{ role: "system", content: system }] : []),
+  ...messages.map((m) => ({ role: m.role === "user" ? "user" : "assistant", content: m.text })),
+];
+
+// Pulls the content deltas out of a server-sent-events chunk
+const sseDeltas = (block) =>
+  block
+    .split("\n")
+    .filter((line) => line.startsWith("data:"))
+    .map((line) => line.slice(5).trim())
+    .filter((data) => data && data !== "[DONE]")
+    .map((data) => JSON.parse(data)?.choices?.[0]?.delta?.content || "");
+
+export const createOpenAiProvider = ({ openaiBaseUrl, openaiKey, models }) => {
+  const base = openaiBaseUrl.trim().replace(/\/+$/, "");
+
+  const post = async (path, body) => {
+    const res = await fetch(`${base}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(openaiKey?.trim() ? { Authorization: `Bearer ${openaiKey.trim()}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      throw new Error(`${base}${path} returned ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`);
+    }
+    return res;
+  };
+
+  const complete = async (body) => {
+    const data = await (await post("/chat/completions", body)).json();
+    return data?.choices?.[0]?.message?.content?.trim() || "";
+  };
+
+  return {
+    models,
+    text: ({ prompt, system, model = models.text }) =>
+      complete({ model, messages: chatMessages([{ role: "user", text: prompt }], system) }),
+    json: ({ prompt, model = models.text }) =>
+      complete({ model, messages: chatMessages([{ role: "user", text: prompt }]), response_format: { type: "json_object" } }),
+    async stream({ messages, system, model = models.text, onText }) {
+      const res = await post("/chat/completions", { model, messages: chatMessages(messages, system), stream: true });
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let text = "";
+      for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+        // Events are separated by a blank line; keep any partial event for the next read
+        const blocks = buffer.split("\n\n");
+        buffer = done ? "" : blocks.pop();
+        const delta = blocks.flatMap(sseDeltas).join("");
+        if (delta) {
+          text += delta;
+          onText?.(text);
+        }
+        if (done) return text;
+      }
+    },
+    vision: ({ prompt, image, model = models.text }) =>
+      complete({
+        model,
+        messages: [{ role: "user", content: [{ type: "text", text: prompt }, { type: "image_url", image_url: { url: image } }] }],
+        response_format: { type: "json_object" },
+      }),
+    // Always a data URL: remote image URLs expire and can't go in the image
+    // cache or the PDF. gpt-image models only return base64 and reject the
+    // response_format parameter.
+    async image({ prompt, model = models.image }) {
+      const format = /^gpt-image/.test(model) ? {} : { response_format: "b64_json" };
+      const data = await (await post("/images/generations", { model, prompt, n: 1, ...format })).json();
+      const b64 = data?.data?.[0]?.b64_json;
+      if (!b64) throw new Error("No image data returned.");
+      return `data:image/png;base64,${b64}`;
+    },
+  };
+};
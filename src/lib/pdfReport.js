@@ -0,0 +1,300 @@
+import { normalizeMealItem, itemPortion, sumItems, dayTotals } from "./meals";
+import { MEAL_KEYS } from "./planSchema";
+import { MEASUREMENT_FIELDS } from "./progress";
+import { sessionSummary } from "./workoutSession";
+import { dateKey } from "./schedule";
+
+/* ===========================
+   PDF report layout
+=========================== */
+
+// Lays a plan out on a jsPDF document. Only drawing calls are made on `doc`
+// (text, rect, line, addImage, addPage, setPage ...), so a recording stub can
+// stand in for jsPDF when checking the layout. The caller creates and saves it.
+
+export const PAGE = { width: 595.28, height: 841.89, margin: 40, top: 64, bottom: 790 };
+export const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+export const BRAND = {
+  primary: [124, 58, 237],
+  text: [31, 41, 55],
+  muted: [107, 114, 128],
+  stripe: [243, 244, 246],
+  white: [255, 255, 255],
+};
+
+const FONT = "helvetica";
+const CELL_PAD = 4;
+const IMAGE_SIZE = 150;
+const IMAGE_FORMATS = { png: "PNG", jpeg: "JPEG", jpg: "JPEG", webp: "WEBP" };
+
+const slug = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+
+export const reportFilename = (profileName, date = new Date(), extension = "pdf") =>
+  `${slug(profileName) || "my"}-fitness-plan-${dateKey(date)}.${extension}`;
+
+// jsPDF can only embed raster data URLs; anything else (SVG, remote URLs) is skipped
+export const imageFormat = (dataUrl) => IMAGE_FORMATS[String(dataUrl).match(/^data:image\/([a-z]+);base64,/i)?.[1]?.toLowerCase()] || null;
+
+const num = (v) => (v == null ? "–" : String(Math.round(v)));
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/* ---------- Drawing primitives ---------- */
+const createCursor = (doc) => {
+  const cursor = { y: PAGE.top };
+  cursor.newPage = () => {
+    doc.addPage();
+    cursor.y = PAGE.top;
+  };
+  cursor.ensure = (height) => {
+    if (cursor.y + height > PAGE.bottom) cursor.newPage();
+  };
+  return cursor;
+};
+
+const setText = (doc, size, { bold = false, italic = false, color = BRAND.text } = {}) => {
+  doc.setFont(FONT, bold && italic ? "bolditalic" : bold ? "bold" : italic ? "italic" : "normal");
+  doc.setFontSize(size);
+  doc.setTextColor(...color);
+};
+
+const heading = (doc, cursor, text, level = 1) => {
+  const size = level === 1 ? 18 : 13;
+  cursor.ensure(size * 3);
+  cursor.y += level === 1 ? 8 : 6;
+  setText(doc, size, { bold: true, color: level === 1 ? BRAND.primary : BRAND.text });
+  doc.text(text, PAGE.margin, cursor.y + size);
+  cursor.y += size + 8;
+  if (level === 1) {
+    doc.setDrawColor(...BRAND.primary);
+    doc.setLineWidth(1);
+    doc.line(PAGE.margin, cursor.y - 4, PAGE.margin + CONTENT_WIDTH, cursor.y - 4);
+    cursor.y += 6;
+  }
+};
+
+const paragraph = (doc, cursor, text, { size = 10, ...style } = {}) => {
+  if (!text) return;
+  setText(doc, size, style);
+  doc.splitTextToSize(String(text), CONTENT_WIDTH).forEach((line) => {
+    cursor.ensure(size * 1.4);
+    doc.text(line, PAGE.margin, cursor.y + size);
+    cursor.y += size * 1.4;
+  });
+  cursor.y += 6;
+};
+
+// columns: [{ header, width (fraction of the content width), align? }]
+// The header row is repeated at the top of every page the table spans.
+const table = (doc, cursor, columns, rows, { footer = null, size = 9 } = {}) => {
+  const widths = columns.map((col) => col.width * CONTENT_WIDTH);
+  const lineHeight = size * 1.15;
+
+  const drawRow = (cells, { bold = false, fill = null, color = BRAND.text, header = false } = {}) => {
+    setText(doc, size, { bold, color });
+    const lines = cells.map((cell, i) => doc.splitTextToSize(String(cell ?? ""), widths[i] - CELL_PAD * 2));
+    const height = Math.max(1, ...lines.map((l) => l.length)) * lineHeight + CELL_PAD * 2;
+    if (!header && cursor.y + height > PAGE.bottom) {
+      cursor.newPage();
+      drawHeader();
+      setText(doc, size, { bold, color });
+    }
+    if (fill) {
+      doc.setFillColor(...fill);
+      doc.rect(PAGE.margin, cursor.y, CONTENT_WIDTH, height, "F");
+    }
+    let x = PAGE.margin;
+    lines.forEach((l, i) => {
+      const right = columns[i].align === "right";
+      doc.text(l, right ? x + widths[i] - CELL_PAD : x + CELL_PAD, cursor.y + CELL_PAD + size, right ? { align: "right" } : undefined);
+      x += widths[i];
+    });
+    cursor.y += height;
+  };
+  const drawHeader = () => drawRow(columns.map((c) => c.header), { bold: true, fill: BRAND.primary, color: BRAND.white, header: true });
+
+  cursor.ensure(lineHeight * 2 + CELL_PAD * 4);
+  drawHeader();
+  rows.forEach((row, i) => drawRow(row, { fill: i % 2 ? BRAND.stripe : null }));
+  if (footer) drawRow(footer, { bold: true, fill: BRAND.stripe });
+  doc.setDrawColor(...BRAND.muted);
+  doc.setLineWidth(0.5);
+  doc.line(PAGE.margin, cursor.y, PAGE.margin + CONTENT_WIDTH, cursor.y);
+  cursor.y += 12;
+};
+
+// Thumbnails in rows of three, each scaled to fit a square box with a caption.
+const imageGrid = (doc, cursor, images) => {
+  const usable = images.filter((img) => imageFormat(img.dataUrl));
+  const gap = (CONTENT_WIDTH - IMAGE_SIZE * 3) / 2;
+  for (let i = 0; i < usable.length; i += 3) {
+    cursor.ensure(IMAGE_SIZE + 24);
+    usable.slice(i, i + 3).forEach((img, j) => {
+      const { width = 1, height = 1 } = doc.getImageProperties(img.dataUrl) || {};
+      const scale = Math.min(IMAGE_SIZE / width, IMAGE_SIZE / height);
+      const w = width * scale;
+      const h = height * scale;
+      const x = PAGE.margin + j * (IMAGE_SIZE + gap);
+      doc.addImage(img.dataUrl, imageFormat(img.dataUrl), x + (IMAGE_SIZE - w) / 2, cursor.y + (IMAGE_SIZE - h) / 2, w, h);
+      setText(doc, 8, { color: BRAND.muted });
+      doc.text(doc.splitTextToSize(img.name, IMAGE_SIZE)[0], x + IMAGE_SIZE / 2, cursor.y + IMAGE_SIZE + 10, { align: "center" });
+    });
+    cursor.y += IMAGE_SIZE + 20;
+  }
+};
+
+const imagesFor = (images, type, names) => {
+  const wanted = names.map((n) => n.toLowerCase());
+  return images.filter((img) => img.type === type && wanted.includes(img.name.toLowerCase()));
+};
+
+/* ---------- Sections ---------- */
+const coverPage = (doc, { plan, title, profileName, date, targets }) => {
+  doc.setFillColor(...BRAND.primary);
+  doc.rect(0, 0, PAGE.width, 260, "F");
+  setText(doc, 30, { bold: true, color: BRAND.white });
+  doc.text("AI Fitness Coach", PAGE.margin, 110);
+  setText(doc, 16, { color: BRAND.white });
+  doc.text(`Personalized plan for ${profileName || "you"}`, PAGE.margin, 145);
+  setText(doc, 11, { color: BRAND.white });
+  doc.text(`${title ? `${title} • ` : ""}${date.toLocaleDateString()}`, PAGE.margin, 170);
+
+  const cursor = { y: 300 };
+  const line = (label, value) => {
+    setText(doc, 11, { bold: true });
+    doc.text(label, PAGE.margin, cursor.y);
+    setText(doc, 11);
+    doc.text(doc.splitTextToSize(value, CONTENT_WIDTH - 140), PAGE.margin + 140, cursor.y);
+    cursor.y += 22;
+  };
+  setText(doc, 13, { italic: true, color: BRAND.muted });
+  doc.splitTextToSize(`"${plan.motivationalQuote}"`, CONTENT_WIDTH).forEach((l) => {
+    doc.text(l, PAGE.margin, cursor.y);
+    cursor.y += 18;
+  });
+  cursor.y += 20;
+
+  const program = plan.workoutPlan.program;
+  line("Training days", `${plan.workoutPlan.days.length} per week`);
+  if (program) line("Program", `${program.weeks} weeks • ${program.phases.map((p) => p.name).join(" > ")}`);
+  if (targets) {
+    line("Daily calories", `${targets.calories} kcal`);
+    line("Macros", `Protein ${targets.protein} g • Carbs ${targets.carbs} g • Fat ${targets.fat} g`);
+  }
+};
+
+const workoutSection = (doc, cursor, plan, images) => {
+  heading(doc, cursor, "Workout Plan");
+  paragraph(doc, cursor, plan.workoutPlan.overview);
+  const program = plan.workoutPlan.program;
+  if (program) {
+    heading(doc, cursor, `${program.weeks}-week program`, 2);
+    table(
+      doc, cursor,
+      [{ header: "Phase", width: 0.25 }, { header: "Weeks", width: 0.12, align: "right" }, { header: "Focus", width: 0.45 }, { header: "Volume", width: 0.18 }],
+      program.phases.map((p) => [p.name, p.weeks, p.focus || "", capitalize(p.volume)])
+    );
+    if (program.deloadWeeks.length) paragraph(doc, cursor, `Deload weeks: ${program.deloadWeeks.join(", ")}`, { color: BRAND.muted });
+  }
+  plan.workoutPlan.days.forEach((day) => {
+    heading(doc, cursor, `${day.day} — ${day.focus}`, 2);
+    table(
+      doc, cursor,
+      [{ header: "Exercise", width: 0.46 }, { header: "Sets", width: 0.14, align: "right" }, { header: "Reps", width: 0.2 }, { header: "Rest", width: 0.2 }],
+      day.exercises.map((ex) => [ex.name, ex.sets, ex.reps, ex.rest])
+    );
+    imageGrid(doc, cursor, imagesFor(images, "exercise", day.exercises.map((ex) => ex.name)));
+  });
+};
+
+const dietSection = (doc, cursor, plan, targets, images) => {
+  cursor.newPage();
+  heading(doc, cursor, "Diet Plan");
+  paragraph(doc, cursor, plan.dietPlan.overview);
+  const columns = [
+    { header: "Food", width: 0.36 }, { header: "Amount", width: 0.16 },
+    { header: "kcal", width: 0.12, align: "right" }, { header: "Protein (g)", width: 0.12, align: "right" },
+    { header: "Carbs (g)", width: 0.12, align: "right" }, { header: "Fat (g)", width: 0.12, align: "right" },
+  ];
+  const foods = [];
+  MEAL_KEYS.forEach((meal) => {
+    const items = plan.dietPlan.meals[meal] || [];
+    if (!items.length) return;
+    heading(doc, cursor, capitalize(meal), 2);
+    const rows = items.map(normalizeMealItem).map((i) => {
+      foods.push(i.food);
+      return [i.food, itemPortion(i), num(i.kcal), num(i.protein), num(i.carbs), num(i.fat)];
+    });
+    const t = sumItems(items);
+    table(doc, cursor, columns, rows, { footer: t.hasData ? ["Total", "", num(t.kcal), num(t.protein), num(t.carbs), num(t.fat)] : null });
+  });
+  const day = dayTotals(plan.dietPlan.meals);
+  if (day.hasData) {
+    const vs = targets ? ` (target ${targets.calories} kcal, P ${targets.protein} g, C ${targets.carbs} g, F ${targets.fat} g)` : "";
+    paragraph(doc, cursor, `Daily total: ${day.kcal} kcal • P ${day.protein} g • C ${day.carbs} g • F ${day.fat} g${vs}`, { bold: true });
+  }
+  imageGrid(doc, cursor, imagesFor(images, "food", foods));
+};
+
+const tipsSection = (doc, cursor, plan) => {
+  if (!plan.lifestyleTips?.length) return;
+  heading(doc, cursor, "Lifestyle Tips");
+  plan.lifestyleTips.forEach((tip, i) => paragraph(doc, cursor, `${i + 1}. ${tip}`));
+};
+
+const progressAppendix = (doc, cursor, { entries = [], history = [] }) => {
+  cursor.newPage();
+  heading(doc, cursor, "Appendix — Progress History");
+  const fields = MEASUREMENT_FIELDS.filter((f) => entries.some((e) => e[f] != null));
+  if (entries.length && fields.length) {
+    heading(doc, cursor, "Measurements", 2);
+    const width = 0.8 / fields.length;
+    table(
+      doc, cursor,
+      [{ header: "Date", width: 0.2 }, ...fields.map((f) => ({ header: capitalize(f), width, align: "right" }))],
+      entries.map((e) => [e.date, ...fields.map((f) => e[f] ?? "–")])
+    );
+  }
+  if (history.length) {
+    heading(doc, cursor, "Workout log", 2);
+    table(
+      doc, cursor,
+      [{ header: "Date", width: 0.2 }, { header: "Workout", width: 0.44 }, { header: "Sets", width: 0.16, align: "right" }, { header: "Volume (kg)", width: 0.2, align: "right" }],
+      history.map((s) => {
+        const sum = sessionSummary(s);
+        return [new Date(s.date).toLocaleDateString(), `${s.day}${s.focus ? ` — ${s.focus}` : ""}`, `${sum.completedSets}/${sum.prescribedSets}`, Math.round(sum.volume)];
+      })
+    );
+  }
+  if (!fields.length && !history.length) paragraph(doc, cursor, "No progress has been logged yet.", { color: BRAND.muted });
+};
+
+// Running header on every page after the cover, and "Page x of y" footers.
+const decoratePages = (doc, { title, date }) => {
+  const total = doc.getNumberOfPages();
+  for (let page = 1; page <= total; page++) {
+    doc.setPage(page);
+    if (page > 1) {
+      setText(doc, 9, { color: BRAND.muted });
+      doc.text(`AI Fitness Coach${title ? ` — ${title}` : ""}`, PAGE.margin, 30);
+      doc.text(date.toLocaleDateString(), PAGE.width - PAGE.margin, 30, { align: "right" });
+      doc.setDrawColor(...BRAND.primary);
+      doc.setLineWidth(0.5);
+      doc.line(PAGE.margin, 38, PAGE.width - PAGE.margin, 38);
+    }
+    setText(doc, 9, { color: BRAND.muted });
+    doc.text(`Page ${page} of ${total}`, PAGE.width / 2, PAGE.height - 20, { align: "center" });
+  }
+};
+
+// images: [{ name, type: "exercise" | "food", dataUrl }]; appendix: { entries, history } or null
+export const buildPlanReport = (doc, { plan, title = "", profileName = "", date = new Date(), targets = null, images = [], appendix = null }) => {
+  coverPage(doc, { plan, title, profileName, date, targets });
+  const cursor = createCursor(doc);
+  cursor.newPage();
+  workoutSection(doc, cursor, plan, images);
+  dietSection(doc, cursor, plan, targets, images);
+  tipsSection(doc, cursor, plan);
+  if (appendix) progressAppendix(doc, cursor, appendix);
+  decoratePages(doc, { title, date });
+  return doc;
+};
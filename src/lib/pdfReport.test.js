@@ -0,0 +1,89 @@
+import { buildPlanReport, reportFilename, imageFormat, PAGE } from "./pdfReport";
+import { MOCK_PLAN } from "./mockFixtures";
+
+// Records the drawing calls buildPlanReport makes instead of rendering them
+const recordingDoc = () => {
+  const doc = { pages: 1, page: 1, texts: [], images: [] };
+  doc.addPage = () => {
+    doc.pages += 1;
+    doc.page = doc.pages;
+  };
+  doc.setPage = (page) => {
+    doc.page = page;
+  };
+  doc.getNumberOfPages = () => doc.pages;
+  doc.text = (text, x, y, options) => [].concat(text).forEach((t) => doc.texts.push({ text: t, x, y, page: doc.page, options }));
+  doc.splitTextToSize = (text) => String(text).split("\n");
+  doc.getImageProperties = () => ({ width: 200, height: 100 });
+  doc.addImage = (dataUrl, format, x, y, w, h) => doc.images.push({ dataUrl, format, w, h, page: doc.page });
+  ["setFont", "setFontSize", "setTextColor", "setFillColor", "setDrawColor", "setLineWidth", "rect", "line"].forEach((m) => {
+    doc[m] = () => {};
+  });
+  return doc;
+};
+
+// Characters the standard Helvetica font can print (WinAnsiEncoding)
+const WIN_ANSI_EXTRA = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+const printable = (text) => [...text].every((c) => c.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRA.includes(c));
+
+const TARGETS = { calories: 2000, protein: 150, carbs: 200, fat: 67 };
+const build = (options = {}) => {
+  const doc = recordingDoc();
+  buildPlanReport(doc, { plan: MOCK_PLAN, title: "Spring", profileName: "Sam", date: new Date(2024, 2, 1), targets: TARGETS, ...options });
+  return doc;
+};
+const textOf = (doc) => doc.texts.map((t) => t.text);
+
+describe("buildPlanReport", () => {
+  it("lays out the cover, every section and numbered pages", () => {
+    const doc = build();
+    const texts = textOf(doc);
+    expect(texts).toContain("Personalized plan for Sam");
+    expect(texts).toContain("8 weeks • Foundation > Build");
+    ["Workout Plan", "Diet Plan", "Lifestyle Tips", "Day 1 — Lower Body & Core", "Goblet Squat", "Rolled oats"].forEach((t) => expect(texts).toContain(t));
+    expect(texts.filter((t) => /^Page \d+ of \d+$/.test(t))).toHaveLength(doc.pages);
+    expect(texts).toContain(`Page ${doc.pages} of ${doc.pages}`);
+  });
+
+  it("only uses characters the PDF font can print", () => {
+    textOf(build()).forEach((t) => expect([t, printable(t)]).toEqual([t, true]));
+  });
+
+  it("keeps text inside the page margins", () => {
+    build().texts.forEach(({ y }) => {
+      expect(y).toBeGreaterThan(0);
+      expect(y).toBeLessThan(PAGE.height);
+    });
+  });
+
+  it("embeds only raster images that belong to the plan", () => {
+    const doc = build({
+      images: [
+        { name: "Goblet Squat", type: "exercise", dataUrl: "data:image/png;base64,AAAA" },
+        { name: "Salmon fillet", type: "food", dataUrl: "data:image/jpeg;base64,AAAA" },
+        { name: "Rolled oats", type: "food", dataUrl: "data:image/svg+xml;base64,AAAA" },
+        { name: "Deadlift", type: "exercise", dataUrl: "data:image/png;base64,AAAA" },
+      ],
+    });
+    expect(doc.images.map((i) => i.format)).toEqual(["PNG", "JPEG"]);
+    expect(doc.images[0]).toMatchObject({ w: 150, h: 75 });
+  });
+
+  it("adds the progress appendix when asked", () => {
+    const texts = textOf(build({ appendix: { entries: [{ date: "2024-02-01", weight: 80 }], history: [] } }));
+    expect(texts).toContain("Appendix — Progress History");
+    expect(texts).toContain("2024-02-01");
+  });
+});
+
+describe("helpers", () => {
+  it("names the file after the profile and date", () => {
+    expect(reportFilename("Sam Lee", new Date(2024, 2, 1))).toBe("sam-lee-fitness-plan-2024-03-01.pdf");
+    expect(reportFilename("", new Date(2024, 2, 1), "zip")).toBe("my-fitness-plan-2024-03-01.zip");
+  });
+
+  it("recognizes embeddable image formats", () => {
+    expect(imageFormat("data:image/jpg;base64,AAAA")).toBe("JPEG");
+    expect(imageFormat("https://example.com/a.png")).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+import { parseSetCount } from "./workoutSession";
+import { weekStart } from "./progress";
+import { sameExercise } from "./exerciseLibrary";
+
+/* ===========================
+   Periodized programs & progression
+=========================== */
+
+// The AI only writes the program skeleton (phases, deload weeks and a base
+// prescription per exercise). Everything below is computed locally from the
+// logged workout history, so the same history always gives the same numbers.
+
+export const LOAD_STEP_KG = 2.5;
+export const BACKOFF_FACTOR = 0.9; // after repeated misses
+export const MISSES_BEFORE_BACKOFF = 2;
+export const DELOAD_SET_FACTOR = 0.6;
+export const DELOAD_LOAD_FACTOR = 0.9;
+export const VOLUME_SET_DELTA = { low: -1, moderate: 0, high: 1 };
+export const PROGRAM_LENGTHS = [4, 8, 12];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+const roundLoad = (kg) => Math.round(kg / LOAD_STEP_KG) * LOAD_STEP_KG;
+
+// "8-12" -> [8, 12], "10" -> [10, 10], "AMRAP" -> null
+export const repRange = (reps) => {
+  const nums = (String(reps ?? "").match(/\d+/g) || []).map(Number);
+  return nums.length ? [Math.min(...nums), Math.max(...nums)] : null;
+};
+
+/* ---------- Program calendar ---------- */
+export const programOf = (plan) => plan?.workoutPlan?.program || null;
+export const programLength = (program) => program?.weeks || 1;
+
+// 1-based week of the program that contains `date`, clamped to the program.
+export const programWeekOn = (program, date = new Date()) => {
+  if (!program?.startDate) return 1;
+  const weeks = Math.round((new Date(weekStart(date)) - new Date(program.startDate)) / (7 * DAY_MS));
+  return clamp(weeks + 1, 1, programLength(program));
+};
+
+export const phaseForWeek = (program, week) => {
+  let end = 0;
+  for (const phase of program?.phases || []) {
+    end += phase.weeks;
+    if (week <= end) return { ...phase, weekInPhase: week - (end - phase.weeks) };
+  }
+  return null;
+};
+
+export const isDeloadWeek = (program, week) => !!program?.deloadWeeks?.includes(week);
+
+// Weekday slots (0 = Monday) for N training days, spread to leave rest between.
+const WEEK_PATTERNS = {
+  1: [0], 2: [0, 3], 3: [0, 2, 4], 4: [0, 1, 3, 4], 5: [0, 1, 2, 3, 4], 6: [0, 1, 2, 3, 4, 5], 7: [0, 1, 2, 3, 4, 5, 6],
+};
+export const weekPattern = (dayCount) => WEEK_PATTERNS[clamp(dayCount, 1, 7)];
+
+/* ---------- Progression rules ---------- */
+
+// Folds the logged sessions for one exercise (oldest first) into its current
+// working target. A session "hits" when every prescribed set was logged at or
+// above the prescribed reps:
+//   load mode: hit -> +2.5 kg; miss -> repeat; 2 misses in a row -> -10%
+//   reps mode: hit -> +1 rep;  miss -> repeat; 2 misses in a row -> -1 rep
+// Deload sessions are ignored. Mode is the exercise's `progression`, or
+// "load" once any weight has been logged for it.
+export const progressionState = (exercise, history = []) => {
+  const range = repRange(exercise.reps);
+  const entries = history
+    .filter((s) => !s.deload)
+    .flatMap((s) =>
+      s.exercises
+        .filter((e) => sameExercise(e, exercise) && e.sets.length)
+        .map((e) => ({ date: s.date, prescribed: e.prescribed, sets: e.sets }))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const mode = exercise.progression || (entries.some((e) => e.sets.some((set) => set.weight > 0)) ? "load" : "reps");
+
+  const state = { mode, weight: null, reps: range ? range[1] : null, misses: 0, outcome: null, sessions: entries.length };
+  entries.forEach((entry) => {
+    const target = repRange(entry.prescribed?.reps)?.[1] ?? state.reps;
+    const hit =
+      entry.sets.length >= parseSetCount(entry.prescribed?.sets) && entry.sets.every((set) => target == null || set.reps >= target);
+    const worked = Math.max(...entry.sets.map((set) => set.weight));
+    state.misses = hit ? 0 : state.misses + 1;
+    const backoff = state.misses >= MISSES_BEFORE_BACKOFF;
+    if (mode === "load") {
+      state.weight = worked > 0 ? (hit ? worked + LOAD_STEP_KG : backoff ? roundLoad(worked * BACKOFF_FACTOR) : worked) : state.weight;
+      if (target != null) state.reps = target;
+    } else if (target != null) {
+      state.reps = hit ? target + 1 : backoff ? Math.max(range ? range[0] : 1, target - 1) : target;
+    }
+    state.outcome = hit ? "hit" : backoff ? "backoff" : "miss";
+    if (backoff) state.misses = 0;
+  });
+  return state;
+};
+
+const OUTCOME_NOTES = {
+  hit: (mode) => (mode === "load" ? `+${LOAD_STEP_KG} kg — all sets hit last time` : "+1 rep — all sets hit last time"),
+  miss: () => "Repeat — target missed last time",
+  backoff: (mode) => (mode === "load" ? `Backed off ${Math.round((1 - BACKOFF_FACTOR) * 100)}% after ${MISSES_BEFORE_BACKOFF} misses` : "−1 rep after repeated misses"),
+};
+
+// The exercise as it should be performed in `week`: phase volume adjusts the
+// set count, deload weeks cut sets and load, and the logged history sets the
+// reps / weight target. Adds `targetWeight` (kg or null) and `progressionNote`.
+export const prescribeExercise = (exercise, { program, week = 1, history = [] } = {}) => {
+  const state = progressionState(exercise, history);
+  const phase = phaseForWeek(program, week);
+  const deload = isDeloadWeek(program, week);
+  let sets = clamp(parseSetCount(exercise.sets) + (VOLUME_SET_DELTA[phase?.volume] || 0), 1, 10);
+  let weight = state.weight;
+  if (deload) {
+    sets = Math.max(1, Math.round(sets * DELOAD_SET_FACTOR));
+    if (weight) weight = roundLoad(weight * DELOAD_LOAD_FACTOR);
+  }
+  const notes = [];
+  if (deload) notes.push("Deload week — lighter and fewer sets");
+  else if (state.outcome) notes.push(OUTCOME_NOTES[state.outcome](state.mode));
+  return {
+    ...exercise,
+    sets: String(sets),
+    reps: state.reps == null || state.reps === repRange(exercise.reps)?.[1] ? exercise.reps : String(state.reps),
+    targetWeight: weight,
+    progressionNote: notes.join(" • ") || null,
+  };
+};
+
+// Every day of the plan as prescribed for `week`.
+export const weekPlan = (plan, week, history = []) => {
+  const program = programOf(plan);
+  return {
+    week,
+    weeks: programLength(program),
+    phase: phaseForWeek(program, week),
+    deload: isDeloadWeek(program, week),
+    days: (plan?.workoutPlan?.days || []).map((day) => ({
+      ...day,
+      exercises: day.exercises.map((ex) => prescribeExercise(ex, { program, week, history })),
+    })),
+  };
+};
+
+export const programPrompt = (weeks) => `
+Structure the workout as a ${weeks}-week periodized program. Add "program" inside "workoutPlan":
+"program": { "weeks": ${weeks}, "phases": [{ "name": "Accumulation", "weeks": 3, "focus": "Build work capacity", "volume": "moderate" }], "deloadWeeks": [4] }
+Phase "weeks" must add up to ${weeks}. "volume" is one of "low", "moderate", "high". Put a deload week every 3–5 weeks.
+"days" holds the week-1 prescription. Give every exercise "progression": "load" for weighted lifts or "reps" for bodyweight/timed work; week-to-week progression is handled by the app.`;
@@ -0,0 +1,258 @@
+import { validatePlan, upgradePlan, PlanValidationError, MEAL_KEYS } from "./planSchema";
+import { normalizeMealItem, itemPortion, sumItems, dayTotals } from "./meals";
+import { DEFAULT_FORM } from "./profiles";
+
+/* ===========================
+   Plan export & import
+=========================== */
+
+// JSON exports are wrapped in a versioned envelope so files written today can
+// still be read after the plan shape changes:
+//   { format, version, exportedAt, name, plan, formData, schedule? }
+// Bump EXPORT_VERSION and add an entry to IMPORT_MIGRATIONS when it changes.
+
+export const EXPORT_FORMAT = "ai-fitness-coach/plan";
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_TYPES = {
+  json: { label: "JSON", extension: "json", mime: "application/json" },
+  csv: { label: "CSV", extension: "csv", mime: "text/csv" },
+  markdown: { label: "Markdown", extension: "md", mime: "text/markdown" },
+  html: { label: "Printable HTML", extension: "html", mime: "text/html" },
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+const numText = (v) => (v == null ? "" : String(Math.round(v)));
+
+/* ---------- JSON ---------- */
+export const toJson = ({ plan, formData, name, schedule }) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      name: name || "",
+      plan,
+      formData: formData || {},
+      ...(schedule ? { schedule } : {}),
+    },
+    null,
+    2
+  );
+
+/* ---------- CSV ---------- */
+export const CSV_COLUMNS = [
+  "section", "day", "focus", "meal", "name", "sets", "reps", "rest",
+  "quantity", "unit", "kcal", "protein", "carbs", "fat",
+];
+
+// RFC 4180 quoting, plus a leading apostrophe on cells a spreadsheet would
+// otherwise run as a formula.
+export const csvCell = (value) => {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (plan) => {
+  const rows = [];
+  plan.workoutPlan.days.forEach((day) =>
+    day.exercises.forEach((ex) => rows.push({ section: "workout", day: day.day, focus: day.focus, name: ex.name, sets: ex.sets, reps: ex.reps, rest: ex.rest }))
+  );
+  MEAL_KEYS.forEach((meal) =>
+    (plan.dietPlan.meals[meal] || []).map(normalizeMealItem).forEach((i) =>
+      rows.push({
+        section: "diet", meal, name: i.food, quantity: i.quantity ?? "", unit: i.unit,
+        kcal: numText(i.kcal), protein: numText(i.protein), carbs: numText(i.carbs), fat: numText(i.fat),
+      })
+    )
+  );
+  return [CSV_COLUMNS, ...rows.map((r) => CSV_COLUMNS.map((c) => r[c]))].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+};
+
+/* ---------- Markdown ---------- */
+const mdCell = (v) => String(v ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+const mdTable = (headers, rows) =>
+  [`| ${headers.join(" | ")} |`, `| ${headers.map(() => "---").join(" | ")} |`, ...rows.map((r) => `| ${r.map(mdCell).join(" | ")} |`)].join("\n");
+
+export const toMarkdown = (plan, { name = "", formData = {} } = {}) => {
+  const out = [`# ${name || "Fitness Plan"}`, ""];
+  if (formData.name) out.push(`Prepared for **${formData.name}**`, "");
+  out.push(`> ${plan.motivationalQuote}`, "", "## Workout Plan", "", plan.workoutPlan.overview, "");
+  const program = plan.workoutPlan.program;
+  if (program) {
+    out.push(`### ${program.weeks}-week program`, "", mdTable(["Phase", "Weeks", "Focus", "Volume"], program.phases.map((p) => [p.name, p.weeks, p.focus || "", p.volume])), "");
+    if (program.deloadWeeks.length) out.push(`Deload weeks: ${program.deloadWeeks.join(", ")}`, "");
+  }
+  plan.workoutPlan.days.forEach((day) => {
+    out.push(`### ${day.day} — ${day.focus}`, "", mdTable(["Exercise", "Sets", "Reps", "Rest"], day.exercises.map((ex) => [ex.name, ex.sets, ex.reps, ex.rest])), "");
+  });
+  out.push("## Diet Plan", "", plan.dietPlan.overview, "");
+  MEAL_KEYS.forEach((meal) => {
+    const items = plan.dietPlan.meals[meal] || [];
+    if (!items.length) return;
+    const rows = items.map(normalizeMealItem).map((i) => [i.food, itemPortion(i), numText(i.kcal), numText(i.protein), numText(i.carbs), numText(i.fat)]);
+    out.push(`### ${capitalize(meal)}`, "", mdTable(["Food", "Amount", "kcal", "Protein (g)", "Carbs (g)", "Fat (g)"], rows), "");
+  });
+  const totals = dayTotals(plan.dietPlan.meals);
+  if (totals.hasData) out.push(`**Daily total:** ${totals.kcal} kcal • P ${totals.protein} g • C ${totals.carbs} g • F ${totals.fat} g`, "");
+  if (plan.lifestyleTips?.length) out.push("## Lifestyle Tips", "", ...plan.lifestyleTips.map((t, i) => `${i + 1}. ${t}`), "");
+  return out.join("\n");
+};
+
+/* ---------- Printable HTML ---------- */
+export const escapeHtml = (v) =>
+  String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const htmlTable = (headers, rows, footer) => `
+<table>
+  <thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>
+  <tbody>${rows.map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody>
+  ${footer ? `<tfoot><tr>${footer.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr></tfoot>` : ""}
+</table>`;
+
+const PRINT_CSS = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+  h1 { color: #7c3aed; margin-bottom: 0; }
+  h2 { color: #7c3aed; border-bottom: 2px solid #7c3aed; padding-bottom: .2rem; margin-top: 2rem; }
+  blockquote { font-style: italic; color: #6b7280; margin: 1rem 0; }
+  table { width: 100%; border-collapse: collapse; margin: .5rem 0 1rem; font-size: .9rem; }
+  th { background: #7c3aed; color: #fff; text-align: left; }
+  th, td { padding: .3rem .5rem; border-bottom: 1px solid #e5e7eb; }
+  tbody tr:nth-child(even) { background: #f3f4f6; }
+  tfoot td { font-weight: bold; }
+  section { break-inside: avoid; page-break-inside: avoid; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    h2 { break-after: avoid; page-break-after: avoid; }
+    .diet { break-before: page; page-break-before: always; }
+    @page { margin: 15mm; }
+  }`;
+
+export const toHtml = (plan, { name = "", formData = {} } = {}) => {
+  const title = name || "Fitness Plan";
+  const program = plan.workoutPlan.program;
+  const days = plan.workoutPlan.days
+    .map((day) => `<section><h3>${escapeHtml(`${day.day} — ${day.focus}`)}</h3>${htmlTable(["Exercise", "Sets", "Reps", "Rest"], day.exercises.map((ex) => [ex.name, ex.sets, ex.reps, ex.rest]))}</section>`)
+    .join("\n");
+  const meals = MEAL_KEYS.filter((m) => plan.dietPlan.meals[m]?.length)
+    .map((meal) => {
+      const items = plan.dietPlan.meals[meal];
+      const t = sumItems(items);
+      const rows = items.map(normalizeMealItem).map((i) => [i.food, itemPortion(i), numText(i.kcal), numText(i.protein), numText(i.carbs), numText(i.fat)]);
+      const footer = t.hasData ? ["Total", "", t.kcal, t.protein, t.carbs, t.fat] : null;
+      return `<section><h3>${capitalize(meal)}</h3>${htmlTable(["Food", "Amount", "kcal", "Protein (g)", "Carbs (g)", "Fat (g)"], rows, footer)}</section>`;
+    })
+    .join("\n");
+  const totals = dayTotals(plan.dietPlan.meals);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${PRINT_CSS}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${formData.name ? `<p>Prepared for <strong>${escapeHtml(formData.name)}</strong> • ${escapeHtml(new Date().toLocaleDateString())}</p>` : ""}
+<blockquote>“${escapeHtml(plan.motivationalQuote)}”</blockquote>
+<h2>Workout Plan</h2>
+<p>${escapeHtml(plan.workoutPlan.overview)}</p>
+${program ? `<section><h3>${program.weeks}-week program</h3>${htmlTable(["Phase", "Weeks", "Focus", "Volume"], program.phases.map((p) => [p.name, p.weeks, p.focus || "", p.volume]))}${program.deloadWeeks.length ? `<p>Deload weeks: ${program.deloadWeeks.join(", ")}</p>` : ""}</section>` : ""}
+${days}
+<div class="diet">
+<h2>Diet Plan</h2>
+<p>${escapeHtml(plan.dietPlan.overview)}</p>
+${meals}
+${totals.hasData ? `<p><strong>Daily total:</strong> ${totals.kcal} kcal • P ${totals.protein} g • C ${totals.carbs} g • F ${totals.fat} g</p>` : ""}
+</div>
+${plan.lifestyleTips?.length ? `<h2>Lifestyle Tips</h2><ol>${plan.lifestyleTips.map((t) => `<li>${escapeHtml(t)}</li>`).join("")}</ol>` : ""}
+</body>
+</html>
+`;
+};
+
+export const exportPlan = (type, { plan, formData, name, schedule }) => {
+  switch (type) {
+    case "json":
+      return toJson({ plan, formData, name, schedule });
+    case "csv":
+      return toCsv(plan);
+    case "markdown":
+      return toMarkdown(plan, { name, formData });
+    case "html":
+      return toHtml(plan, { name, formData });
+    default:
+      throw new Error(`Unknown export type "${type}"`);
+  }
+};
+
+/* ---------- Import ---------- */
+
+// Steps that bring an envelope from version N to N + 1, indexed by N.
+const IMPORT_MIGRATIONS = {};
+
+const importError = (message, path = "$") => new PlanValidationError(message, [{ path, message }]);
+
+// Keeps only the schedule fields that look right; the rest fall back to the
+// calendar defaults when the plan is opened.
+const importSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== "object") return null;
+  const out = {};
+  if (Array.isArray(schedule.weekdays)) {
+    const weekdays = [...new Set(schedule.weekdays.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))].sort();
+    if (weekdays.length) out.weekdays = weekdays;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(schedule.startDate)) out.startDate = schedule.startDate;
+  if (/^\d{2}:\d{2}$/.test(schedule.time)) out.time = schedule.time;
+  if (Number.isFinite(schedule.duration) && schedule.duration > 0) out.duration = schedule.duration;
+  const r = schedule.reminders;
+  if (r && typeof r === "object") {
+    out.reminders = { workouts: r.workouts === true, meals: r.meals === true };
+    if (Number.isFinite(r.leadMinutes) && r.leadMinutes >= 0) out.reminders.leadMinutes = r.leadMinutes;
+  }
+  return Object.keys(out).length ? out : null;
+};
+
+// Accepts an exported envelope, or a bare plan object (e.g. written by hand or
+// by a human coach). Migrates, upgrades and validates it; throws
+// PlanValidationError describing what is wrong.
+export const parseImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw importError(`Not a valid JSON file: ${err.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw importError("Expected a JSON object");
+
+  let envelope;
+  if (data.format === EXPORT_FORMAT) {
+    envelope = data;
+  } else if (data.workoutPlan || data.dietPlan) {
+    envelope = { format: EXPORT_FORMAT, version: EXPORT_VERSION, plan: data, formData: {} };
+  } else {
+    throw importError("This file is not an AI Fitness Coach plan export");
+  }
+
+  const version = Number(envelope.version);
+  if (!Number.isInteger(version) || version < 1) throw importError("Missing or invalid export version", "version");
+  if (version > EXPORT_VERSION) {
+    throw importError(`This file was exported by a newer version of the app (format v${version}); please update first`, "version");
+  }
+  for (let v = version; v < EXPORT_VERSION; v++) envelope = IMPORT_MIGRATIONS[v](envelope);
+
+  const plan = upgradePlan(envelope.plan);
+  const errors = validatePlan(plan);
+  if (errors.length) throw new PlanValidationError("The imported plan is incomplete or malformed", errors);
+
+  const formData = Object.fromEntries(
+    Object.keys(DEFAULT_FORM)
+      .filter((k) => envelope.formData?.[k] != null)
+      .map((k) => [k, Array.isArray(DEFAULT_FORM[k]) ? [].concat(envelope.formData[k]).map(String) : String(envelope.formData[k])])
+  );
+  return { plan, formData, name: String(envelope.name || "").trim(), schedule: importSchedule(envelope.schedule) };
+};
@@ -0,0 +1,91 @@
+import { parseImport, toJson, csvCell, toCsv, EXPORT_FORMAT, EXPORT_VERSION } from "./planExport";
+import { PlanValidationError } from "./planSchema";
+import { MOCK_PLAN } from "./mockFixtures";
+
+const envelope = (fields) => JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, plan: MOCK_PLAN, ...fields });
+
+const importFails = (text) => {
+  try {
+    parseImport(text);
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected the import to fail");
+};
+
+describe("parseImport", () => {
+  it("reads back an exported envelope", () => {
+    const text = toJson({ plan: MOCK_PLAN, formData: { age: "30" }, name: " Spring cut ", schedule: { weekdays: [1, 3] } });
+    const imported = parseImport(text);
+    expect(imported.plan.workoutPlan.days).toHaveLength(MOCK_PLAN.workoutPlan.days.length);
+    expect(imported).toMatchObject({ name: "Spring cut", formData: { age: "30" }, schedule: { weekdays: [1, 3] } });
+  });
+
+  it("accepts a bare plan object", () => {
+    const imported = parseImport(JSON.stringify(MOCK_PLAN));
+    expect(imported).toMatchObject({ name: "", formData: {}, schedule: null });
+    expect(imported.plan.dietPlan.meals.breakfast.length).toBeGreaterThan(0);
+  });
+
+  it("rejects malformed JSON and files that aren't plans", () => {
+    expect(importFails("{ not json")).toBeInstanceOf(PlanValidationError);
+    expect(importFails("{ not json").message).toMatch(/^Not a valid JSON file/);
+    expect(importFails("[1, 2]").message).toBe("Expected a JSON object");
+    expect(importFails(JSON.stringify({ hello: "world" })).message).toMatch(/not an AI Fitness Coach plan/);
+  });
+
+  it("rejects exports from a newer version", () => {
+    const err = importFails(envelope({ version: EXPORT_VERSION + 1 }));
+    expect(err.message).toMatch(/newer version of the app/);
+    expect(err.errors[0].path).toBe("version");
+    expect(importFails(envelope({ version: "one" })).message).toBe("Missing or invalid export version");
+  });
+
+  it("reports what is wrong with an incomplete plan", () => {
+    const err = importFails(envelope({ plan: { workoutPlan: { days: [] } } }));
+    expect(err.errors.length).toBeGreaterThan(0);
+  });
+
+  it("keeps only known form fields, as strings", () => {
+    const { formData } = parseImport(envelope({ formData: { age: 30, equipment: "dumbbell", isAdmin: true, weight: null } }));
+    expect(formData).toEqual({ age: "30", equipment: ["dumbbell"] });
+  });
+
+  it("drops schedule fields that don't look right", () => {
+    const schedule = {
+      weekdays: [5, 1, 1, 9, "2"],
+      startDate: "next monday",
+      time: "07:30",
+      duration: -10,
+      reminders: { workouts: "yes", meals: true, leadMinutes: 15 },
+    };
+    expect(parseImport(envelope({ schedule })).schedule).toEqual({
+      weekdays: [1, 5],
+      time: "07:30",
+      reminders: { workouts: false, meals: true, leadMinutes: 15 },
+    });
+    expect(parseImport(envelope({ schedule: { weekdays: [], time: "7am" } })).schedule).toBeNull();
+  });
+});
+
+describe("CSV", () => {
+  it.each([
+    ["plain", "plain"],
+    ["Oats, rolled", '"Oats, rolled"'],
+    ['6" sub', '"6"" sub"'],
+    ["two\nlines", '"two\nlines"'],
+    ["=SUM(A1:A2)", "'=SUM(A1:A2)"],
+    ["+1", "'+1"],
+    ["-2+3", "'-2+3"],
+    ["@cmd", "'@cmd"],
+    [null, ""],
+  ])("writes %p as %p", (value, cell) => {
+    expect(csvCell(value)).toBe(cell);
+  });
+
+  it("starts with the header row and ends each row with CRLF", () => {
+    const rows = toCsv(MOCK_PLAN).split("\r\n");
+    expect(rows[0]).toBe("section,day,focus,meal,name,sets,reps,rest,quantity,unit,kcal,protein,carbs,fat");
+    expect(rows[rows.length - 1]).toBe("");
+  });
+});
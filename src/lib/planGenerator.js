@@ -0,0 +1,75 @@
+import { extractJson, validatePlan, formatErrors, PlanValidationError } from "./planSchema";
+
+/* ===========================
+   Plan generation with self-repair
+=========================== */
+
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+export class PlanGenerationError extends Error {
+  constructor(message, { errors = [], attempts = 0, raw = "" } = {}) {
+    super(message);
+    this.name = "PlanGenerationError";
+    this.errors = errors;
+    this.attempts = attempts;
+    this.raw = raw;
+  }
+}
+
+export const buildRepairPrompt = (originalPrompt, raw, errors) => `
+Your previous response could not be used. It failed validation with these errors:
+
+${formatErrors(errors)}
+
+Here is the previous response:
+${raw.slice(0, 8000)}
+
+Fix every error and return the COMPLETE JSON again as ONLY valid JSON (no markdown, no extra text), following the original instructions exactly:
+${originalPrompt}`;
+
+// Asks the model for JSON and, when the response is truncated, wrapped in
+// prose or fails `validate`, sends a repair request that lists the errors.
+// `ai` is a provider from lib/aiProvider.js; `model` defaults to the provider's
+// text model. With `image` (a data URL) every attempt goes through ai.vision
+// so repairs still see the photo. Throws PlanGenerationError once the repair
+// budget is spent.
+export const generateValidatedJson = async (
+  ai, prompt, { validate, label = "response", model, image, maxRepairs = MAX_REPAIR_ATTEMPTS, onAttempt } = {}
+) => {
+  let request = prompt;
+  let lastErrors = [];
+  let lastRaw = "";
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    onAttempt?.(attempt);
+    const call = { prompt: request, model, task: label };
+    lastRaw = (await (image ? ai.vision({ ...call, image }) : ai.json(call))).trim();
+    try {
+      const json = extractJson(lastRaw);
+      const errors = validate ? validate(json) : [];
+      if (errors.length) throw new PlanValidationError(`${label} failed schema validation`, errors);
+      return json;
+    } catch (err) {
+      if (!(err instanceof PlanValidationError)) throw err;
+      lastErrors = err.errors;
+      request = buildRepairPrompt(prompt, lastRaw, lastErrors);
+    }
+  }
+
+  throw new PlanGenerationError(
+    `The AI returned an invalid ${label} after ${maxRepairs + 1} attempts.`,
+    { errors: lastErrors, attempts: maxRepairs + 1, raw: lastRaw }
+  );
+};
+
+// `check` adds errors beyond the schema (e.g. exercises missing from the
+// library); it only runs once the plan is structurally valid.
+export const generateValidatedPlan = (ai, prompt, { schema, check, ...options } = {}) =>
+  generateValidatedJson(ai, prompt, {
+    ...options,
+    label: "plan",
+    validate: (json) => {
+      const errors = validatePlan(json, schema);
+      return errors.length || !check ? errors : check(json);
+    },
+  });
@@ -0,0 +1,72 @@
+import { generateValidatedJson, generateValidatedPlan, PlanGenerationError, MAX_REPAIR_ATTEMPTS } from "./planGenerator";
+import { MOCK_PLAN } from "./mockFixtures";
+
+// Provider stand-in that answers with the queued responses in order
+const stubClient = (...responses) => ({
+  json: jest.fn(async () => responses.shift()),
+  vision: jest.fn(async () => responses.shift()),
+});
+
+const requireName = (json) => (typeof json.name === "string" ? [] : [{ path: "$.name", message: "must be a string" }]);
+
+describe("generateValidatedJson", () => {
+  it("returns the first valid response without repairing", async () => {
+    const ai = stubClient('{"name":"Squat"}');
+    await expect(generateValidatedJson(ai, "prompt", { validate: requireName })).resolves.toEqual({ name: "Squat" });
+    expect(ai.json).toHaveBeenCalledTimes(1);
+  });
+
+  it("sends the validation errors back and uses the repaired response", async () => {
+    const ai = stubClient('{"name":3}', 'Sure! ```json\n{"name":"Squat"}\n```');
+    const onAttempt = jest.fn();
+    const result = await generateValidatedJson(ai, "original prompt", { validate: requireName, onAttempt });
+
+    expect(result).toEqual({ name: "Squat" });
+    expect(onAttempt.mock.calls).toEqual([[0], [1]]);
+    const repair = ai.json.mock.calls[1][0].prompt;
+    expect(repair).toContain("- $.name: must be a string");
+    expect(repair).toContain('{"name":3}');
+    expect(repair).toContain("original prompt");
+  });
+
+  it("gives up with PlanGenerationError once the repair budget is spent", async () => {
+    const ai = stubClient("not json", "{", '{"name":1}');
+    const error = await generateValidatedJson(ai, "prompt", { validate: requireName, label: "exercise" }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(PlanGenerationError);
+    expect(error.attempts).toBe(MAX_REPAIR_ATTEMPTS + 1);
+    expect(error.errors).toEqual([{ path: "$.name", message: "must be a string" }]);
+    expect(error.raw).toBe('{"name":1}');
+    expect(ai.json).toHaveBeenCalledTimes(MAX_REPAIR_ATTEMPTS + 1);
+  });
+
+  it("rethrows provider errors without retrying", async () => {
+    const ai = { json: jest.fn().mockRejectedValue(new Error("quota exceeded")) };
+    await expect(generateValidatedJson(ai, "prompt")).rejects.toThrow("quota exceeded");
+    expect(ai.json).toHaveBeenCalledTimes(1);
+  });
+
+  it("sends the image with every attempt", async () => {
+    const ai = stubClient("{}", '{"name":"Oats"}');
+    await generateValidatedJson(ai, "prompt", { validate: requireName, image: "data:image/jpeg;base64,AAAA" });
+    expect(ai.json).not.toHaveBeenCalled();
+    expect(ai.vision.mock.calls.map(([call]) => call.image)).toEqual(["data:image/jpeg;base64,AAAA", "data:image/jpeg;base64,AAAA"]);
+  });
+});
+
+describe("generateValidatedPlan", () => {
+  it("repairs a plan that fails the schema", async () => {
+    const broken = { ...MOCK_PLAN, workoutPlan: { ...MOCK_PLAN.workoutPlan, days: "none" } };
+    const ai = stubClient(JSON.stringify(broken), JSON.stringify(MOCK_PLAN));
+    await expect(generateValidatedPlan(ai, "prompt")).resolves.toEqual(MOCK_PLAN);
+    expect(ai.json.mock.calls[1][0].prompt).toContain("workoutPlan.days: must be a non-empty array");
+  });
+
+  it("runs `check` only on structurally valid plans", async () => {
+    const check = jest.fn().mockReturnValueOnce([{ path: "$.workoutPlan.days[0]", message: "unknown exercise" }]).mockReturnValue([]);
+    const ai = stubClient("{}", JSON.stringify(MOCK_PLAN), JSON.stringify(MOCK_PLAN));
+    await expect(generateValidatedPlan(ai, "prompt", { check })).resolves.toEqual(MOCK_PLAN);
+    expect(check).toHaveBeenCalledTimes(2);
+    expect(ai.json.mock.calls[2][0].prompt).toContain("unknown exercise");
+  });
+});
@@ -0,0 +1,161 @@
+import { validatePlan, MEAL_KEYS } from "./planSchema";
+import { itemLabel } from "./meals";
+
+/* ===========================
+   Structured plan diffs
+=========================== */
+
+// A patch is a list of operations on the stored plan:
+//   { op: "replace_day", day, value }
+//   { op: "replace_exercise", day, index, exercise }
+//   { op: "add_exercise", day, exercise }
+//   { op: "remove_exercise", day, index }
+//   { op: "replace_meal_item", meal, index, item }
+//   { op: "add_meal_item", meal, item }
+//   { op: "remove_meal_item", meal, index }
+//   { op: "set_overview", section: "workout" | "diet", text }
+// `day` and `index` are 0-based.
+
+export const PATCH_OPS = [
+  "replace_day", "replace_exercise", "add_exercise", "remove_exercise",
+  "replace_meal_item", "add_meal_item", "remove_meal_item",
+  "set_overview",
+];
+
+export const PATCH_FORMAT = `
+When you propose a concrete change to the plan, append ONE fenced block tagged plan-patch containing a JSON array of operations:
+\`\`\`plan-patch
+[{ "op": "replace_exercise", "day": 0, "index": 2, "exercise": { "name": "Hip Thrust", "sets": "3", "reps": "12", "rest": "60s" } }]
+\`\`\`
+Allowed operations (day and index are 0-based):
+- { "op": "replace_exercise", "day", "index", "exercise" }
+- { "op": "add_exercise", "day", "exercise" }
+- { "op": "remove_exercise", "day", "index" }
+- { "op": "replace_meal_item", "meal", "index", "item" }
+- { "op": "add_meal_item", "meal", "item" }
+- { "op": "remove_meal_item", "meal", "index" }
+- { "op": "set_overview", "section": "workout" | "diet", "text" }
+"meal" is one of ${MEAL_KEYS.join(", ")}. Meal items use { "food", "quantity", "unit", "kcal", "protein", "carbs", "fat" }.
+Only include the block when proposing a change; explain the change in plain text above it.`;
+
+const PATCH_BLOCK = /```plan-patch\s*([\s\S]*?)```/i;
+
+// Splits a coach reply into the visible message and an optional patch.
+export const extractPatch = (text) => {
+  const match = String(text || "").match(PATCH_BLOCK);
+  if (!match) return { message: String(text || "").trim(), patch: null, patchError: null };
+  const message = text.replace(PATCH_BLOCK, "").trim();
+  try {
+    const parsed = JSON.parse(match[1]);
+    const patch = Array.isArray(parsed) ? parsed : [parsed];
+    return { message, patch, patchError: null };
+  } catch (err) {
+    return { message, patch: null, patchError: `Could not read the proposed change: ${err.message}` };
+  }
+};
+
+const dayAt = (plan, day) => plan?.workoutPlan?.days?.[day];
+const mealAt = (plan, meal) => plan?.dietPlan?.meals?.[meal];
+
+// Returns a list of problems with the patch against `plan`; empty when it can
+// be applied and the result still passes plan validation.
+export const validatePatch = (plan, patch) => {
+  const errors = [];
+  if (!Array.isArray(patch) || patch.length === 0) return ["patch must be a non-empty array"];
+  patch.forEach((op, i) => {
+    const at = `operation ${i + 1}`;
+    if (!PATCH_OPS.includes(op?.op)) return errors.push(`${at}: unknown op "${op?.op}"`);
+    if (op.op === "replace_day" && !dayAt(plan, op.day)) return errors.push(`${at}: day ${op.day} does not exist`);
+    if (op.op.endsWith("_exercise")) {
+      const day = dayAt(plan, op.day);
+      if (!day) return errors.push(`${at}: day ${op.day} does not exist`);
+      if (op.op !== "add_exercise" && !day.exercises[op.index]) errors.push(`${at}: exercise ${op.index} does not exist`);
+      if (op.op !== "remove_exercise" && !op.exercise?.name) errors.push(`${at}: exercise needs a name`);
+    }
+    if (op.op.endsWith("_meal_item")) {
+      const items = mealAt(plan, op.meal);
+      if (!items) return errors.push(`${at}: meal "${op.meal}" does not exist`);
+      if (op.op !== "add_meal_item" && items[op.index] === undefined) errors.push(`${at}: item ${op.index} does not exist`);
+      if (op.op !== "remove_meal_item" && !op.item) errors.push(`${at}: missing item`);
+    }
+    if (op.op === "set_overview" && (!["workout", "diet"].includes(op.section) || !op.text)) {
+      errors.push(`${at}: needs section "workout" or "diet" and text`);
+    }
+    return null;
+  });
+  if (errors.length) return errors;
+  const result = validatePlan(applyPatch(plan, patch));
+  return result.map((e) => `${e.path}: ${e.message}`);
+};
+
+const withDay = (plan, dayIdx, fn) => ({
+  ...plan,
+  workoutPlan: {
+    ...plan.workoutPlan,
+    days: plan.workoutPlan.days.map((d, i) => (i === dayIdx ? { ...d, exercises: fn(d.exercises) } : d)),
+  },
+});
+
+const withMeal = (plan, meal, fn) => ({
+  ...plan,
+  dietPlan: { ...plan.dietPlan, meals: { ...plan.dietPlan.meals, [meal]: fn(plan.dietPlan.meals[meal]) } },
+});
+
+// Applies the operations in order and returns a new plan; `plan` is untouched.
+// Removals are applied against the plan as it stands after earlier ops.
+export const applyPatch = (plan, patch) =>
+  patch.reduce((acc, op) => {
+    switch (op.op) {
+      case "replace_day":
+        return {
+          ...acc,
+          workoutPlan: { ...acc.workoutPlan, days: acc.workoutPlan.days.map((d, i) => (i === op.day ? { ...op.value } : d)) },
+        };
+      case "replace_exercise":
+        return withDay(acc, op.day, (list) => list.map((ex, i) => (i === op.index ? { ...op.exercise } : ex)));
+      case "add_exercise":
+        return withDay(acc, op.day, (list) => [...list, { ...op.exercise }]);
+      case "remove_exercise":
+        return withDay(acc, op.day, (list) => list.filter((_, i) => i !== op.index));
+      case "replace_meal_item":
+        return withMeal(acc, op.meal, (list) => list.map((item, i) => (i === op.index ? op.item : item)));
+      case "add_meal_item":
+        return withMeal(acc, op.meal, (list) => [...list, op.item]);
+      case "remove_meal_item":
+        return withMeal(acc, op.meal, (list) => list.filter((_, i) => i !== op.index));
+      case "set_overview":
+        return op.section === "workout"
+          ? { ...acc, workoutPlan: { ...acc.workoutPlan, overview: op.text } }
+          : { ...acc, dietPlan: { ...acc.dietPlan, overview: op.text } };
+      default:
+        return acc;
+    }
+  }, plan);
+
+const exText = (ex) => `${ex.name} (${ex.sets}×${ex.reps})`;
+
+// Human-readable line for the diff view.
+export const describeOp = (plan, op) => {
+  const day = dayAt(plan, op.day);
+  const dayName = day ? day.day : `Day ${Number(op.day) + 1}`;
+  switch (op.op) {
+    case "replace_day":
+      return { kind: "change", text: `${dayName}: ${day?.focus || "?"} → ${op.value?.focus} (${op.value?.exercises?.length || 0} exercises)` };
+    case "replace_exercise":
+      return { kind: "change", text: `${dayName}: ${day?.exercises?.[op.index] ? exText(day.exercises[op.index]) : "?"} → ${exText(op.exercise)}` };
+    case "add_exercise":
+      return { kind: "add", text: `${dayName}: add ${exText(op.exercise)}` };
+    case "remove_exercise":
+      return { kind: "remove", text: `${dayName}: remove ${day?.exercises?.[op.index]?.name || "?"}` };
+    case "replace_meal_item":
+      return { kind: "change", text: `${op.meal}: ${itemLabel(mealAt(plan, op.meal)?.[op.index] ?? "?")} → ${itemLabel(op.item)}` };
+    case "add_meal_item":
+      return { kind: "add", text: `${op.meal}: add ${itemLabel(op.item)}` };
+    case "remove_meal_item":
+      return { kind: "remove", text: `${op.meal}: remove ${itemLabel(mealAt(plan, op.meal)?.[op.index] ?? "?")}` };
+    case "set_overview":
+      return { kind: "change", text: `${op.section} overview → "${op.text}"` };
+    default:
+      return { kind: "change", text: JSON.stringify(op) };
+  }
+};
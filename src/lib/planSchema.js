@@ -0,0 +1,249 @@
+/* ===========================
+   Plan schema & validation
+=========================== */
+
+export class PlanValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "PlanValidationError";
+    this.errors = errors;
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isText = (v) => typeof v === "string" && v.trim().length > 0;
+const isScalar = (v) => (typeof v === "string" && v.trim() !== "") || (typeof v === "number" && Number.isFinite(v));
+const isAmount = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+
+const MEAL_ITEM_NUMBERS = ["quantity", "kcal", "protein", "carbs", "fat"];
+
+// Meal items are { food, quantity, unit, kcal, protein, carbs, fat }. Plain
+// strings are still accepted for plans saved before items carried macros,
+// unless `requireMealMacros` is set (fresh responses from the model).
+const checkMealItem = (item, path, err, requireMealMacros) => {
+  if (typeof item === "string") {
+    if (requireMealMacros) err(path, "must be an object with food, quantity, unit, kcal, protein, carbs, fat");
+    else if (!isText(item)) err(path, "must be a non-empty string");
+    return;
+  }
+  if (!isObject(item)) return err(path, "must be an object");
+  if (!isText(item.food)) err(`${path}.food`, "must be a non-empty string");
+  if (typeof item.unit !== "string") err(`${path}.unit`, "must be a string");
+  MEAL_ITEM_NUMBERS.forEach((k) => {
+    if (!isAmount(item[k])) err(`${path}.${k}`, "must be a non-negative number");
+  });
+};
+
+export const MEAL_KEYS = ["breakfast", "lunch", "dinner", "snacks"];
+export const PROGRESSION_MODES = ["load", "reps"];
+export const PHASE_VOLUMES = ["low", "moderate", "high"];
+export const MAX_PROGRAM_WEEKS = 16;
+
+// Pulls the JSON object out of a model response that may be wrapped in
+// code fences or surrounded by prose. Throws a PlanValidationError describing
+// what is wrong (no object, truncated, invalid syntax) so it can be fed back
+// into a repair prompt.
+export const extractJson = (raw) => {
+  const text = String(raw || "").replace(/```(?:json)?/gi, "").trim();
+  if (!text) throw new PlanValidationError("Empty response", [{ path: "$", message: "response was empty" }]);
+
+  const start = text.indexOf("{");
+  if (start === -1) {
+    throw new PlanValidationError("No JSON object found", [{ path: "$", message: "response did not contain a JSON object" }]);
+  }
+
+  // Walk the string to find the matching closing brace, ignoring braces in strings.
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let end = -1;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "{") depth++;
+    else if (ch === "}") {
+      depth--;
+      if (depth === 0) { end = i; break; }
+    }
+  }
+  if (end === -1) {
+    throw new PlanValidationError("Truncated JSON", [{ path: "$", message: "JSON object is incomplete (response appears truncated)" }]);
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    throw new PlanValidationError("Invalid JSON", [{ path: "$", message: `JSON syntax error: ${err.message}` }]);
+  }
+};
+
+const checkExercise = (ex, path, err) => {
+  if (!isObject(ex)) return err(path, "must be an object");
+  if (!isText(ex.name)) err(`${path}.name`, "must be a non-empty string");
+  if (ex.id !== undefined && !isText(ex.id)) err(`${path}.id`, "must be a non-empty string");
+  ["sets", "reps", "rest"].forEach((k) => {
+    if (!isScalar(ex[k])) err(`${path}.${k}`, "must be a string or number");
+  });
+  if (ex.progression !== undefined && !PROGRESSION_MODES.includes(ex.progression)) {
+    err(`${path}.progression`, `must be one of ${PROGRESSION_MODES.join(", ")}`);
+  }
+};
+
+const checkDay = (day, path, err) => {
+  if (!isObject(day)) return err(path, "must be an object");
+  if (!isText(day.day)) err(`${path}.day`, "must be a non-empty string");
+  if (!isText(day.focus)) err(`${path}.focus`, "must be a non-empty string");
+  if (!Array.isArray(day.exercises) || day.exercises.length === 0) {
+    return err(`${path}.exercises`, "must be a non-empty array");
+  }
+  day.exercises.forEach((ex, e) => checkExercise(ex, `${path}.exercises[${e}]`, err));
+};
+
+// Multi-week skeleton: { weeks, phases: [{ name, weeks, focus, volume }], deloadWeeks }.
+// Phase lengths must add up to `weeks`; `startDate` is set locally when saved.
+const checkProgram = (program, path, err) => {
+  if (!isObject(program)) return err(path, "must be an object");
+  const { weeks, phases, deloadWeeks } = program;
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_PROGRAM_WEEKS) {
+    return err(`${path}.weeks`, `must be a whole number from 1 to ${MAX_PROGRAM_WEEKS}`);
+  }
+  if (!Array.isArray(phases) || phases.length === 0) return err(`${path}.phases`, "must be a non-empty array");
+  phases.forEach((phase, i) => {
+    const pp = `${path}.phases[${i}]`;
+    if (!isObject(phase)) return err(pp, "must be an object");
+    if (!isText(phase.name)) err(`${pp}.name`, "must be a non-empty string");
+    if (!Number.isInteger(phase.weeks) || phase.weeks < 1) err(`${pp}.weeks`, "must be a positive whole number");
+    if (!PHASE_VOLUMES.includes(phase.volume)) err(`${pp}.volume`, `must be one of ${PHASE_VOLUMES.join(", ")}`);
+    return null;
+  });
+  const total = phases.reduce((n, p) => n + (Number.isInteger(p?.weeks) ? p.weeks : 0), 0);
+  if (total !== weeks) err(`${path}.phases`, `phase weeks add up to ${total}, expected ${weeks}`);
+  if (!Array.isArray(deloadWeeks)) return err(`${path}.deloadWeeks`, "must be an array of week numbers");
+  deloadWeeks.forEach((w, i) => {
+    if (!Number.isInteger(w) || w < 1 || w > weeks) err(`${path}.deloadWeeks[${i}]`, `must be a week number from 1 to ${weeks}`);
+  });
+  return null;
+};
+
+const collect = (check) => (value, options) => {
+  const errors = [];
+  check(value, "$", (path, message) => errors.push({ path, message }), options);
+  return errors;
+};
+
+// Validators for single pieces of a plan, used by targeted regeneration.
+export const validateDay = collect(checkDay);
+export const validateExercise = collect(checkExercise);
+export const validateMealItem = collect((item, path, err, { requireMealMacros = true } = {}) =>
+  checkMealItem(item, path, err, requireMealMacros)
+);
+
+// Returns a list of { path, message } for every field that doesn't match the
+// plan shape the UI renders. An empty list means the plan is safe to display.
+export const validatePlan = (plan, { requireMealMacros = false, requireProgram = false } = {}) => {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+
+  if (!isObject(plan)) {
+    err("$", "plan must be an object");
+    return errors;
+  }
+
+  if (!isText(plan.motivationalQuote)) err("motivationalQuote", "must be a non-empty string");
+
+  const wp = plan.workoutPlan;
+  if (!isObject(wp)) {
+    err("workoutPlan", "must be an object");
+  } else {
+    if (!isText(wp.overview)) err("workoutPlan.overview", "must be a non-empty string");
+    if (!Array.isArray(wp.days) || wp.days.length === 0) {
+      err("workoutPlan.days", "must be a non-empty array");
+    } else {
+      wp.days.forEach((day, d) => checkDay(day, `workoutPlan.days[${d}]`, err));
+    }
+    if (wp.program !== undefined || requireProgram) checkProgram(wp.program, "workoutPlan.program", err);
+  }
+
+  const dp = plan.dietPlan;
+  if (!isObject(dp)) {
+    err("dietPlan", "must be an object");
+  } else {
+    if (!isText(dp.overview)) err("dietPlan.overview", "must be a non-empty string");
+    if (!isObject(dp.meals)) {
+      err("dietPlan.meals", "must be an object");
+    } else {
+      MEAL_KEYS.forEach((meal) => {
+        const items = dp.meals[meal];
+        const mp = `dietPlan.meals.${meal}`;
+        if (!Array.isArray(items)) return err(mp, "must be an array");
+        items.forEach((item, i) => checkMealItem(item, `${mp}[${i}]`, err, requireMealMacros));
+      });
+    }
+  }
+
+  if (!Array.isArray(plan.lifestyleTips)) {
+    err("lifestyleTips", "must be an array");
+  } else {
+    plan.lifestyleTips.forEach((tip, i) => {
+      if (!isText(tip)) err(`lifestyleTips[${i}]`, "must be a non-empty string");
+    });
+  }
+
+  return errors;
+};
+
+export const formatErrors = (errors) => errors.map((e) => `- ${e.path}: ${e.message}`).join("\n");
+
+// Parses and validates in one step; throws PlanValidationError on failure.
+export const parsePlan = (raw, options) => {
+  const json = extractJson(raw);
+  const errors = validatePlan(json, options);
+  if (errors.length) throw new PlanValidationError("Plan failed schema validation", errors);
+  return json;
+};
+
+// Brings a plan stored by an older version of the app into the current shape:
+// fills in missing sections with empty defaults, stringifies numeric
+// sets/reps/rest and drops entries that can't be rendered at all. Used by the
+// storage migrations so old cached plans never crash the plan view.
+export const upgradePlan = (plan) => {
+  if (!isObject(plan)) return plan;
+  const wp = isObject(plan.workoutPlan) ? plan.workoutPlan : {};
+  const dp = isObject(plan.dietPlan) ? plan.dietPlan : {};
+  const meals = isObject(dp.meals) ? dp.meals : {};
+  const asText = (v, fallback = "") => (isScalar(v) ? String(v) : fallback);
+
+  return {
+    ...plan,
+    motivationalQuote: asText(plan.motivationalQuote, "Stay strong and consistent!"),
+    workoutPlan: {
+      ...wp,
+      overview: asText(wp.overview, "Workout plan"),
+      days: (Array.isArray(wp.days) ? wp.days : [])
+        .filter(isObject)
+        .map((day, i) => ({
+          ...day,
+          day: asText(day.day, `Day ${i + 1}`),
+          focus: asText(day.focus, "Full Body"),
+          exercises: (Array.isArray(day.exercises) ? day.exercises : [])
+            .filter((ex) => isObject(ex) && isText(ex.name))
+            .map((ex) => ({ ...ex, sets: asText(ex.sets, "3"), reps: asText(ex.reps, "10"), rest: asText(ex.rest, "60s") })),
+        }))
+        .filter((day) => day.exercises.length > 0),
+    },
+    dietPlan: {
+      ...dp,
+      overview: asText(dp.overview, "Diet plan"),
+      meals: Object.fromEntries(
+        MEAL_KEYS.map((k) => [k, (Array.isArray(meals[k]) ? meals[k] : []).filter((i) => isText(i) || isObject(i))])
+      ),
+    },
+    lifestyleTips: (Array.isArray(plan.lifestyleTips) ? plan.lifestyleTips : []).filter(isText),
+  };
+};
@@ -0,0 +1,187 @@
+import { validatePlan, upgradePlan } from "./planSchema";
+import { HISTORY_KEY } from "./workoutSession";
+import { PROGRESS_KEY } from "./progress";
+import { CHAT_KEY } from "./coach";
+import { FOOD_DIARY_KEY } from "./foodLog";
+import { getItem, removeItem, plans, profileStore, logs, registerMigration } from "./storage";
+
+/* ===========================
+   Profiles & saved-plan library
+=========================== */
+
+const LEGACY_PLAN_KEY = "fitness_plan";
+
+export const DEFAULT_FORM = {
+  name: "",
+  age: "",
+  gender: "male",
+  height: "",
+  weight: "",
+  fitnessGoal: "weight_loss",
+  fitnessLevel: "beginner",
+  activityLevel: "moderate",
+  workoutLocation: "gym",
+  dietaryPreference: "non_veg",
+  medicalHistory: "",
+  stressLevel: "moderate",
+  programWeeks: "8",
+  units: "metric", // display only; height and weight are always stored in cm / kg
+  trainingDays: "3",
+  sessionLength: "45",
+  equipment: [], // empty = what the workout location usually has
+  injuries: "",
+  sleepHours: "",
+  foodAllergies: "",
+};
+
+export const uid = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/* ---------- Profiles ---------- */
+export const loadProfiles = () => profileStore.list();
+
+export const createProfile = (name, formData = DEFAULT_FORM) => {
+  const profile = {
+    id: uid(),
+    name: name?.trim() || "New Profile",
+    formData: { ...DEFAULT_FORM, ...formData },
+    activePlanId: null,
+    createdAt: new Date().toISOString(),
+  };
+  const profiles = profileStore.save([...loadProfiles(), profile]);
+  return { profile, profiles };
+};
+
+export const updateProfile = (id, patch) =>
+  profileStore.save(loadProfiles().map((p) => (p.id === id ? { ...p, ...patch } : p)));
+
+// Deletes the profile together with its plans and per-profile logs.
+export const deleteProfile = (id) => {
+  const profiles = profileStore.save(loadProfiles().filter((p) => p.id !== id));
+  plans.save(loadLibrary().filter((e) => e.profileId !== id));
+  [HISTORY_KEY, PROGRESS_KEY, CHAT_KEY, FOOD_DIARY_KEY].forEach((kind) => logs.clear(kind, id));
+  return profiles;
+};
+
+export const getActiveProfileId = () => profileStore.activeId();
+export const setActiveProfileId = (id) => profileStore.setActiveId(id);
+
+/* ---------- Plan library ---------- */
+export const loadLibrary = () => plans.list();
+const saveLibrary = plans.save;
+
+export const defaultPlanName = (inputs, date = new Date()) => {
+  const goal = String(inputs?.fitnessGoal || "plan").replace(/_/g, " ");
+  return `${goal.charAt(0).toUpperCase()}${goal.slice(1)} — ${date.toLocaleDateString()}`;
+};
+
+// Adds a plan to the library. Nothing is ever overwritten: every generation
+// becomes its own entry.
+export const savePlan = ({ profileId, plan, inputs, name }) => {
+  const now = new Date();
+  const entry = {
+    id: uid(),
+    profileId,
+    name: name || defaultPlanName(inputs, now),
+    plan,
+    inputs: { ...inputs },
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    archived: false,
+  };
+  return { entry, library: saveLibrary([entry, ...loadLibrary()]) };
+};
+
+export const updatePlanEntry = (id, patch) =>
+  saveLibrary(loadLibrary().map((e) => (e.id === id ? { ...e, ...patch, updatedAt: new Date().toISOString() } : e)));
+
+export const renamePlan = (id, name) => updatePlanEntry(id, { name: name.trim() });
+export const archivePlan = (id, archived = true) => updatePlanEntry(id, { archived });
+
+export const duplicatePlan = (id) => {
+  const source = loadLibrary().find((e) => e.id === id);
+  if (!source) return { entry: null, library: loadLibrary() };
+  return savePlan({
+    profileId: source.profileId,
+    plan: JSON.parse(JSON.stringify(source.plan)),
+    inputs: source.inputs,
+    name: `${source.name} (copy)`,
+  });
+};
+
+export const deletePlan = (id) => saveLibrary(loadLibrary().filter((e) => e.id !== id));
+
+/* ---------- Plan revisions ---------- */
+export const MAX_REVISIONS = 20;
+
+// Replaces an entry's plan with an edited version. The previous plan is
+// pushed onto `revisions` (newest first) with a label describing the edit.
+export const revisePlan = (id, plan, label) => {
+  const entry = loadLibrary().find((e) => e.id === id);
+  if (!entry) return loadLibrary();
+  const revision = { id: uid(), label, at: new Date().toISOString(), plan: entry.plan };
+  return updatePlanEntry(id, { plan, revisions: [revision, ...(entry.revisions || [])].slice(0, MAX_REVISIONS) });
+};
+
+// Rolls the plan back to how it was before `revisionId`, dropping that edit
+// and every later one.
+export const restoreRevision = (id, revisionId) => {
+  const entry = loadLibrary().find((e) => e.id === id);
+  const index = entry?.revisions?.findIndex((r) => r.id === revisionId) ?? -1;
+  if (index < 0) return loadLibrary();
+  return updatePlanEntry(id, { plan: entry.revisions[index].plan, revisions: entry.revisions.slice(index + 1) });
+};
+
+export const undoLastEdit = (id) => {
+  const entry = loadLibrary().find((e) => e.id === id);
+  return entry?.revisions?.length ? restoreRevision(id, entry.revisions[0].id) : loadLibrary();
+};
+
+/* ---------- Start-up & migrations ---------- */
+// Makes sure there is at least one profile and a valid active profile.
+export const ensureProfiles = () => {
+  let profiles = loadProfiles();
+  if (!profiles.length) profiles = createProfile("Me").profiles;
+  if (!profiles.some((p) => p.id === getActiveProfileId())) setActiveProfileId(profiles[0].id);
+  return profiles;
+};
+
+// v2: the single global plan, workout history and measurements from before
+// profiles existed move into a default profile.
+registerMigration({
+  version: 2,
+  description: "Move the global plan and logs into a default profile",
+  up: () => {
+    if (loadProfiles().length) return;
+    const { profile } = createProfile("Me");
+    const legacyPlan = getItem(LEGACY_PLAN_KEY);
+    if (legacyPlan && typeof legacyPlan === "object") {
+      const { entry } = savePlan({ profileId: profile.id, plan: legacyPlan, inputs: DEFAULT_FORM, name: "Imported plan" });
+      updateProfile(profile.id, { activePlanId: entry.id });
+    }
+    removeItem(LEGACY_PLAN_KEY);
+    [HISTORY_KEY, PROGRESS_KEY].forEach((kind) => {
+      const legacy = getItem(kind);
+      if (legacy) {
+        logs.set(kind, profile.id, legacy);
+        removeItem(kind);
+      }
+    });
+    setActiveProfileId(profile.id);
+  },
+});
+
+// v3: saved plans in an older shape are upgraded; ones that still don't
+// validate are archived and flagged so the library can show them as broken.
+registerMigration({
+  version: 3,
+  description: "Upgrade stored plans to the current plan shape",
+  up: () => {
+    saveLibrary(
+      loadLibrary().map((entry) => {
+        const plan = upgradePlan(entry.plan);
+        const invalid = validatePlan(plan).length > 0;
+        return { ...entry, plan, ...(invalid ? { invalid: true, archived: true } : {}) };
+      })
+    );
+  },
+});
@@ -0,0 +1,102 @@
+import { sessionVolume } from "./workoutSession";
+import { logs } from "./storage";
+
+/* ===========================
+   Progress tracking & aggregates
+=========================== */
+
+export const PROGRESS_KEY = "progress_entries";
+export const MEASUREMENT_FIELDS = ["weight", "waist", "chest", "hips", "arms", "bodyFat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries are kept per profile
+export const loadEntries = (profileId) => logs.get(PROGRESS_KEY, profileId);
+
+const persist = (entries, profileId) =>
+  logs.set(PROGRESS_KEY, profileId, [...entries].sort((a, b) => a.date.localeCompare(b.date)));
+
+// Adds a dated measurement entry. Entries on the same date are merged so
+// re-logging a day updates it instead of creating duplicates.
+export const addEntry = (entry, profileId) => {
+  const date = (entry.date || new Date().toISOString()).slice(0, 10);
+  const values = {};
+  MEASUREMENT_FIELDS.forEach((k) => {
+    const n = Number(entry[k]);
+    if (entry[k] !== "" && entry[k] != null && Number.isFinite(n) && n > 0) values[k] = n;
+  });
+  if (!Object.keys(values).length) return loadEntries(profileId);
+
+  const entries = loadEntries(profileId);
+  const index = entries.findIndex((e) => e.date === date);
+  if (index >= 0) entries[index] = { ...entries[index], ...values };
+  else entries.push({ id: `${date}-${Math.random().toString(36).slice(2, 8)}`, date, ...values });
+  return persist(entries, profileId);
+};
+
+export const deleteEntry = (id, profileId) => persist(loadEntries(profileId).filter((e) => e.id !== id), profileId);
+
+// Monday-based week key (YYYY-MM-DD of that Monday, local time)
+export const weekStart = (dateLike) => {
+  const d = new Date(dateLike);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// Consecutive week keys ending at `until`, so weeks with no workouts show as zero.
+export const recentWeeks = (count, until = new Date()) => {
+  const weeks = [];
+  const end = new Date(weekStart(until));
+  for (let i = count - 1; i >= 0; i--) weeks.push(weekStart(end.getTime() - i * 7 * DAY_MS + DAY_MS / 2));
+  return weeks;
+};
+
+export const workoutsPerWeek = (history, weeks = 8, until) =>
+  recentWeeks(weeks, until).map((week) => ({
+    label: week.slice(5),
+    week,
+    value: history.filter((s) => weekStart(s.date) === week).length,
+  }));
+
+// "Chest & Triceps" -> ["Chest", "Triceps"]
+export const splitFocus = (focus) =>
+  String(focus || "Other")
+    .split(/\s*(?:&|\/|,|\+|\band\b)\s*/i)
+    .map((f) => f.trim())
+    .filter(Boolean);
+
+// Volume (reps × kg) attributed to each muscle-group focus, split evenly when
+// a day trains several groups.
+export const volumeByFocus = (history) => {
+  const totals = {};
+  history.forEach((s) => {
+    const groups = splitFocus(s.focus);
+    const share = sessionVolume(s) / groups.length;
+    groups.forEach((g) => { totals[g] = (totals[g] || 0) + share; });
+  });
+  return Object.entries(totals)
+    .map(([label, value]) => ({ label, value: Math.round(value) }))
+    .sort((a, b) => b.value - a.value);
+};
+
+// Weekly adherence = completed sessions / planned training days, capped at 100%.
+// Overall adherence averages the weeks since the first logged session.
+export const adherence = (history, plan, weeks = 8, until) => {
+  const planned = plan?.workoutPlan?.days?.length || 0;
+  const series = workoutsPerWeek(history, weeks, until).map((w) => ({
+    ...w,
+    value: planned ? Math.round(Math.min(1, w.value / planned) * 100) : 0,
+  }));
+  if (!history.length || !planned) return { percent: 0, series };
+
+  const first = weekStart(history.reduce((min, s) => (s.date < min ? s.date : min), history[0].date));
+  const active = series.filter((w) => w.week >= first);
+  const percent = active.length ? Math.round(active.reduce((n, w) => n + w.value, 0) / active.length) : 0;
+  return { percent, series };
+};
+
+export const measurementSeries = (entries, field) =>
+  entries
+    .filter((e) => typeof e[field] === "number")
+    .map((e) => ({ label: e.date.slice(5), value: e[field] }));
@@ -0,0 +1,81 @@
+/* ===========================
+   Service worker registration & install prompt
+=========================== */
+
+export const serviceWorkerSupported = () => typeof navigator !== "undefined" && "serviceWorker" in navigator;
+
+// A new build that finished installing waits until the user reloads
+let waitingRegistration = null;
+const updateListeners = new Set();
+
+export const updateReady = () => waitingRegistration !== null;
+
+export const onUpdateReady = (fn) => {
+  updateListeners.add(fn);
+  return () => updateListeners.delete(fn);
+};
+
+// Only production builds register the worker; the dev server would otherwise
+// be served stale bundles from the precache.
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== "production" || !serviceWorkerSupported()) return;
+  window.addEventListener("load", async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      registration.onupdatefound = () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.onstatechange = () => {
+          // Only an update if a previous worker is still in control
+          if (worker.state !== "installed" || !navigator.serviceWorker.controller) return;
+          waitingRegistration = registration;
+          updateListeners.forEach((fn) => fn(true));
+        };
+      };
+    } catch (err) {
+      console.error("Service worker registration failed", err);
+    }
+  });
+};
+
+// Activates a waiting worker and reloads once it has taken over.
+export const applyUpdate = () => {
+  const waiting = waitingRegistration?.waiting;
+  if (!waiting) return window.location.reload();
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: "SKIP_WAITING" });
+};
+
+// Browsers that support installation fire `beforeinstallprompt` once; the
+// event is kept so the app can show its own Install button.
+let deferredPrompt = null;
+const installListeners = new Set();
+
+if (typeof window !== "undefined") {
+  window.addEventListener("beforeinstallprompt", (e) => {
+    e.preventDefault();
+    deferredPrompt = e;
+    installListeners.forEach((fn) => fn(true));
+  });
+  window.addEventListener("appinstalled", () => {
+    deferredPrompt = null;
+    installListeners.forEach((fn) => fn(false));
+  });
+}
+
+export const canInstall = () => deferredPrompt !== null;
+
+export const onInstallAvailable = (fn) => {
+  installListeners.add(fn);
+  return () => installListeners.delete(fn);
+};
+
+export const promptInstall = async () => {
+  if (!deferredPrompt) return "unavailable";
+  const prompt = deferredPrompt;
+  deferredPrompt = null;
+  installListeners.forEach((fn) => fn(false));
+  prompt.prompt();
+  const { outcome } = await prompt.userChoice;
+  return outcome;
+};
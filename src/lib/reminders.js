@@ -0,0 +1,77 @@
+import { atTime, dateKey, addDays, upcomingSessions } from "./schedule";
+import { itemLabel } from "./meals";
+
+/* ===========================
+   Local reminders (Notifications API)
+=========================== */
+
+// Reminders are plain timers while the app is open; nothing is sent to a
+// server. `upcomingReminders` is pure so the timing rules can be checked
+// without a browser.
+
+export const MEAL_TIMES = { breakfast: "08:00", lunch: "13:00", snacks: "16:00", dinner: "19:00" };
+export const REMINDER_HORIZON_HOURS = 24;
+
+export const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window;
+
+export const notificationPermission = () => (notificationsSupported() ? window.Notification.permission : "unsupported");
+
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return "unsupported";
+  if (window.Notification.permission !== "default") return window.Notification.permission;
+  return window.Notification.requestPermission();
+};
+
+// [{ at: Date, title, body, tag }] due between `now` and the horizon.
+export const upcomingReminders = ({ plan, schedule, events, now = new Date(), horizonHours = REMINDER_HORIZON_HOURS }) => {
+  const until = now.getTime() + horizonHours * 60 * 60 * 1000;
+  const due = (at) => at.getTime() > now.getTime() && at.getTime() <= until;
+  const reminders = [];
+
+  if (schedule.reminders?.workouts) {
+    const lead = (Number(schedule.reminders.leadMinutes) || 0) * 60 * 1000;
+    upcomingSessions(events).forEach((ev) => {
+      const at = new Date(atTime(ev.date, schedule.time).getTime() - lead);
+      const day = plan.workoutPlan.days[ev.dayIndex];
+      if (!day || !due(at)) return;
+      reminders.push({
+        at,
+        title: `🏋️ ${day.day}: ${day.focus} at ${schedule.time}`,
+        body: day.exercises.slice(0, 4).map((ex) => ex.name).join(", "),
+        tag: `workout-${ev.date}`,
+      });
+    });
+  }
+
+  if (schedule.reminders?.meals) {
+    [dateKey(now), dateKey(addDays(now, 1))].forEach((key) => {
+      Object.entries(MEAL_TIMES).forEach(([meal, time]) => {
+        const at = atTime(key, time);
+        const items = plan.dietPlan?.meals?.[meal] || [];
+        if (!items.length || !due(at)) return;
+        reminders.push({
+          at,
+          title: `🍽️ Time for ${meal}`,
+          body: items.map(itemLabel).join(", "),
+          tag: `meal-${key}-${meal}`,
+        });
+      });
+    });
+  }
+
+  return reminders.sort((a, b) => a.at - b.at);
+};
+
+const show = ({ title, body, tag }) => {
+  try {
+    new window.Notification(title, { body, tag });
+  } catch (err) {
+    console.warn("Notification failed", err);
+  }
+};
+
+// Sets a timer per reminder and returns a function that cancels them all.
+export const scheduleReminders = (reminders, { now = Date.now(), notify = show } = {}) => {
+  const timers = reminders.map((r) => setTimeout(() => notify(r), Math.max(0, r.at.getTime() - now)));
+  return () => timers.forEach(clearTimeout);
+};
@@ -0,0 +1,377 @@
+import { exerciseById, matchExercise } from "./exerciseLibrary";
+import { normalizeMealItem } from "./meals";
+import { normalizeName } from "./text";
+
+/* ===========================
+   Medical-history safety screening
+=========================== */
+
+// Local rules only, so the same medical history always gives the same result
+// and nothing here depends on the AI. screenHistory() pulls known conditions
+// out of the free-text medical history; screenPlan() then checks a plan's
+// exercises (through the library's contraindication keys) and foods against
+// them. Each rule either "flag"s an item (shown with a warning) or "block"s
+// it (kept out of generated plans and coach changes; exercises are swapped
+// where the library allows).
+
+export const RISK_LEVELS = ["none", "moderate", "high"];
+
+const food = (pattern, reason, action = "flag", except = null) => ({ pattern, reason, action, except });
+
+const SALTY = food(/\b(bacon|ham|salami|pepperoni|sausages?|hot dogs?|soy sauce|pickles?|instant noodles?|ramen|deli meat|cured|salted|chips|crisps)\b/, "salty processed foods");
+
+// { key, label, pattern, risk, avoid: contraindication keys, exercises: action, foods, advice }
+export const CONDITIONS = [
+  {
+    key: "pregnancy",
+    label: "Pregnancy",
+    pattern: /\b(pregnan\w*|expecting a baby|trimester)\b/,
+    risk: "high",
+    avoid: ["pregnancy"],
+    exercises: "block",
+    foods: [
+      food(/\b(raw|sushi|sashimi|tartare|rare)\b/, "raw or undercooked fish, meat or eggs", "block"),
+      food(/\b(swordfish|shark|king mackerel|tilefish|bigeye tuna)\b/, "high-mercury fish", "block"),
+      food(/\b(unpasteuri[sz]ed|brie|camembert|blue cheese|liver|p[aâ]t[eé]|deli meat)\b/, "unpasteurised cheese, liver and deli meats", "block"),
+      food(/\b(alcohol|wine|beer|spirits)\b/, "alcohol", "block"),
+    ],
+    advice: "No jumping, high-impact or heavy straining work; no long periods lying flat on the back after the first trimester. Get clearance from your midwife or doctor.",
+  },
+  {
+    key: "heart",
+    label: "Heart condition",
+    pattern: /\b(heart (disease|condition|attack|failure|problems?)|cardiac|arrhythmia|angina|coronary|a-?fib|atrial fibrillation|pacemaker|stent)\b/,
+    risk: "high",
+    avoid: ["hypertension"],
+    exercises: "block",
+    foods: [SALTY, food(/\b(deep[- ]fried|fried|lard)\b/, "fried foods")],
+    advice: "Moderate intensity only, no breath-holding or maximal efforts. Training needs clearance from your cardiologist.",
+  },
+  {
+    key: "hypertension",
+    label: "High blood pressure",
+    pattern: /\b(hypertension|high blood pressure|high bp)\b/,
+    risk: "high",
+    avoid: ["hypertension"],
+    exercises: "block",
+    foods: [SALTY],
+    advice: "Avoid heavy straining, breath-holding and long isometric holds; keep sodium low.",
+  },
+  {
+    key: "recent_surgery",
+    label: "Recent surgery",
+    pattern: /\b(recent(ly)? (had )?(an? )?(surgery|operation)|post[- ]?op\w*|just had (an? )?(surgery|operation)|surgery (last|this) (week|month))\b/,
+    risk: "high",
+    advice: "Only train once your surgeon has cleared you, and follow their restrictions.",
+  },
+  {
+    key: "diabetes",
+    label: "Diabetes",
+    pattern: /\b(diabet\w*|insulin|blood sugar)\b/,
+    risk: "moderate",
+    foods: [
+      food(/\b(soda|soft drinks?|cola|juice|candy|sweets|syrup|honey|jam|pastr(y|ies)|donuts?|doughnuts?|cake|cookies?|sugar)\b/, "sugary foods and drinks", "flag", /\b(sugar[- ]free|no added sugar)\b/),
+    ],
+    advice: "Check blood sugar around training, keep fast carbs on hand and spread carbohydrates evenly across meals.",
+  },
+  {
+    key: "kidney",
+    label: "Kidney disease",
+    pattern: /\b(kidney (disease|failure|problems?)|renal|ckd)\b/,
+    risk: "high",
+    foods: [SALTY, food(/\b(protein powder|whey|casein|protein shake)\b/, "protein supplements")],
+    advice: "Protein and sodium targets should come from your nephrologist, not a generic plan.",
+  },
+  {
+    key: "nut_allergy",
+    label: "Nut allergy",
+    pattern: /\b((pea)?nuts? allerg\w*|allerg\w* to (pea)?nuts?|tree nuts?)\b/,
+    risk: "high",
+    foods: [
+      food(/\b(peanuts?|almonds?|walnuts?|cashews?|pecans?|hazelnuts?|pistachios?|macadamias?|nuts?|nut butter|trail mix|pesto|praline|nutella)\b/, "nuts", "block", /\b(coconut|nutmeg|butternut|nutritional yeast)\b/),
+    ],
+    advice: "Every food in the plan must be nut-free; check labels for traces.",
+  },
+  {
+    key: "shellfish_allergy",
+    label: "Shellfish allergy",
+    pattern: /\b(shellfish|shrimp|prawns?|crustaceans?)\b.*\ballerg|\ballerg\w*\b.*\b(shellfish|shrimp|prawns?|crustaceans?)\b/,
+    risk: "high",
+    foods: [food(/\b(shrimp|prawns?|crab|lobster|shellfish|scallops?|mussels?|oysters?|clams?)\b/, "shellfish", "block")],
+    advice: "Every food in the plan must be free of shellfish.",
+  },
+  {
+    key: "celiac",
+    label: "Coeliac disease / gluten intolerance",
+    pattern: /\b(c(o)?eliac|gluten)\b/,
+    risk: "moderate",
+    foods: [
+      food(/\b(wheat|bread|toast|pasta|spaghetti|couscous|barley|rye|seitan|bulgur|crackers?|bagels?|tortillas?|noodles?|wraps?|cereal)\b/, "gluten", "block", /\b(gluten[- ]free|rice noodles?|corn tortillas?)\b/),
+    ],
+    advice: "All grains and breads must be gluten-free.",
+  },
+  {
+    key: "lactose",
+    label: "Lactose intolerance",
+    pattern: /\b(lactose|dairy (intoleran\w*|allerg\w*)|milk allerg\w*)\b/,
+    risk: "moderate",
+    foods: [
+      food(/\b(milk|yogh?urt|cheese|cream|kefir|butter|ice cream|whey|cottage)\b/, "lactose", "flag", /\b(almond|soy|oat|coconut|rice|peanut|lactose[- ]free|dairy[- ]free)\b/),
+    ],
+    advice: "Use lactose-free or plant-based dairy alternatives.",
+  },
+  {
+    key: "knee",
+    label: "Knee injury or pain",
+    pattern: /\b(knees?|acl|mcl|menisc\w*|patell\w*)\b/,
+    risk: "moderate",
+    avoid: ["knee"],
+    exercises: "flag",
+    advice: "Keep knee-dominant work pain-free and controlled; skip jumping if it hurts.",
+  },
+  {
+    key: "lower_back",
+    label: "Back problems",
+    pattern: /\b((lower |low )?back (pain|injury|problems?|issues?)|bad back|herniat\w*|slipped dis[ck]|bulging dis[ck]|sciatica|lumbar|osteoporosis)\b/,
+    risk: "moderate",
+    avoid: ["lower_back"],
+    exercises: "flag",
+    advice: "Keep a neutral spine, start light on loaded hinges and squats and stop if pain radiates.",
+  },
+  {
+    key: "shoulder",
+    label: "Shoulder injury or pain",
+    pattern: /\b(shoulders?|rotator cuff|impingement|labrum)\b/,
+    risk: "moderate",
+    avoid: ["shoulder"],
+    exercises: "flag",
+    advice: "Stay in a pain-free range, especially overhead and on presses.",
+  },
+  {
+    key: "wrist",
+    label: "Wrist problems",
+    pattern: /\b(wrists?|carpal tunnel)\b/,
+    risk: "moderate",
+    avoid: ["wrist"],
+    exercises: "flag",
+    advice: "Use neutral grips, push-up handles or fists for floor work.",
+  },
+  {
+    key: "elbow",
+    label: "Elbow problems",
+    pattern: /\b(elbows?|tennis elbow|golfer'?s elbow)\b/,
+    risk: "moderate",
+    avoid: ["elbow"],
+    exercises: "flag",
+    advice: "Lighter loads and slower tempo on curls, extensions and pulls.",
+  },
+  {
+    key: "hip",
+    label: "Hip problems",
+    pattern: /\b(hips?|hip replacement)\b/,
+    risk: "moderate",
+    avoid: ["hip"],
+    exercises: "flag",
+    advice: "Low-impact cardio and a comfortable range on deep hip flexion.",
+  },
+  {
+    key: "neck",
+    label: "Neck problems",
+    pattern: /\b(neck|cervical|whiplash)\b/,
+    risk: "moderate",
+    avoid: ["neck"],
+    exercises: "flag",
+    advice: "No pulling on the head or loading the neck.",
+  },
+  {
+    key: "asthma",
+    label: "Asthma",
+    pattern: /\basthma\w*\b/,
+    risk: "moderate",
+    advice: "Warm up gradually and keep your inhaler with you.",
+  },
+];
+
+export const conditionByKey = (key) => CONDITIONS.find((c) => c.key === key) || null;
+
+/* ---------- Screening ---------- */
+// A mention is ignored when its clause starts with a negation or is about
+// someone else: "no knee problems", "mother has diabetes".
+const NOT_ME = /\b(no|not|never|without|denies|denied|none|family|mother|father|parents?|brother|sister)\b/;
+
+const clauses = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[.;,\n]+|\bbut\b/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+export const mentions = (pattern, text) =>
+  clauses(text).some((clause) => {
+    const match = clause.match(pattern);
+    return !!match && !NOT_ME.test(clause.slice(0, match.index));
+  });
+
+const maxRisk = (levels) => RISK_LEVELS[Math.max(0, ...levels.map((l) => RISK_LEVELS.indexOf(l)))];
+
+// { conditions, risk } for a medical-history text
+export const screenHistory = (text) => {
+  const conditions = CONDITIONS.filter((c) => mentions(c.pattern, text));
+  return { conditions, risk: maxRisk(conditions.map((c) => c.risk)) };
+};
+
+const listedAllergies = (inputs) =>
+  String(inputs.foodAllergies || "")
+    .split(/[,;\n]+/)
+    .map((a) => a.trim())
+    .filter(Boolean);
+
+// Everything the profile says about health: the medical history, injuries
+// and each listed food allergy
+export const healthText = (inputs = {}) =>
+  [inputs.medicalHistory, inputs.injuries, ...listedAllergies(inputs).map((a) => `allergic to ${a}`)].filter(Boolean).join(". ");
+
+// A listed allergy none of the conditions above recognise ("eggs", "sesame")
+// becomes its own condition that blocks foods naming it
+const allergyCondition = (allergy) => {
+  const key = normalizeName(allergy);
+  if (!key || NOT_ME.test(key) || /^(n a|nil|nothing)$/.test(key) || screenHistory(`allergic to ${allergy}`).conditions.length) return null;
+  const pattern = new RegExp(`\\b${key.split(" ").join("[\\s-]+")}(e?s)?\\b`);
+  return {
+    key: `allergy:${key}`,
+    label: `${key[0].toUpperCase()}${key.slice(1)} allergy`,
+    pattern,
+    risk: "high",
+    foods: [food(pattern, key, "block")],
+    advice: `Every food in the plan must be free of ${key}.`,
+  };
+};
+
+// Several input sets are screened together, e.g. a plan's own inputs and the
+// profile's current form (imported plans carry no medical history)
+export const screenInputs = (...inputs) => {
+  const given = inputs.filter(Boolean);
+  const { conditions } = screenHistory(given.map(healthText).filter(Boolean).join(". "));
+  given.flatMap(listedAllergies).map(allergyCondition).forEach((c) => {
+    if (c && !conditions.some((known) => known.key === c.key)) conditions.push(c);
+  });
+  return { conditions, risk: maxRisk(conditions.map((c) => c.risk)) };
+};
+
+/* ---------- Plan checks ---------- */
+const stricter = (a, b) => (a === "block" || b === "block" ? "block" : "flag");
+
+const addReason = (issue, base, action, reason) =>
+  issue ? { ...issue, action: stricter(issue.action, action), reasons: [...issue.reasons, reason] } : { ...base, action, reasons: [reason] };
+
+export const exerciseIssue = (exercise, screening) => {
+  const entry = (exercise.id && exerciseById(exercise.id)) || matchExercise(exercise.name);
+  if (!entry) return null;
+  let issue = null;
+  screening.conditions.forEach((c) => {
+    if (!(c.avoid || []).some((k) => entry.contraindications.includes(k))) return;
+    const reason = `${c.label}: ${c.exercises === "block" ? "not recommended" : "use caution"}`;
+    issue = addReason(issue, { kind: "exercise", name: exercise.name }, c.exercises, reason);
+  });
+  return issue;
+};
+
+export const foodIssue = (item, screening) => {
+  const { food: label } = normalizeMealItem(item);
+  const name = label.toLowerCase();
+  let issue = null;
+  screening.conditions.forEach((c) =>
+    (c.foods || []).forEach((rule) => {
+      if (!rule.pattern.test(name) || rule.except?.test(name)) return;
+      const reason = `${c.label}: ${rule.reason}`;
+      issue = addReason(issue, { kind: "food", name: label }, rule.action, reason);
+    })
+  );
+  return issue;
+};
+
+export const issueKey = (kind, group, index) => `${kind}:${group}:${index}`;
+
+// Every flagged or blocked item in the plan, keyed by issueKey()
+// ("exercise:<day>:<index>", "food:<meal>:<index>")
+export const screenPlan = (plan, screening) => {
+  const issues = {};
+  if (!screening.conditions.length) return issues;
+  plan.workoutPlan.days.forEach((day, d) =>
+    day.exercises.forEach((ex, i) => {
+      const issue = exerciseIssue(ex, screening);
+      if (issue) issues[issueKey("exercise", d, i)] = issue;
+    })
+  );
+  Object.entries(plan.dietPlan.meals).forEach(([meal, items]) =>
+    items.forEach((item, i) => {
+      const issue = foodIssue(item, screening);
+      if (issue) issues[issueKey("food", meal, i)] = issue;
+    })
+  );
+  return issues;
+};
+
+/* ---------- Blocked items ---------- */
+const blockedMessage = (issue) => `"${issue.name}" is ruled out by the medical history (${issue.reasons.join("; ")}); replace it`;
+
+// Validation errors in planSchema's format for a blocked food, so the repair
+// loop replaces it like any other invalid item
+export const foodErrors = (item, screening, path) => {
+  const issue = foodIssue(item, screening);
+  return issue?.action === "block" ? [{ path: `${path}.food`, message: blockedMessage(issue) }] : [];
+};
+
+export const dietErrors = (plan, screening) =>
+  Object.entries(plan?.dietPlan?.meals || {}).flatMap(([meal, items]) =>
+    items.flatMap((item, i) => foodErrors(item, screening, `dietPlan.meals.${meal}[${i}]`))
+  );
+
+// Problems with a coach patch (see planPatch.js) that adds a blocked food or
+// exercise, worded like validatePatch's
+export const patchSafetyErrors = (patch, screening) =>
+  (Array.isArray(patch) ? patch : []).flatMap((op, i) => {
+    const exercises = op?.op === "replace_day" ? op.value?.exercises || [] : op?.exercise ? [op.exercise] : [];
+    const issues = [
+      ...(op?.item ? [foodIssue(op.item, screening)] : []),
+      ...exercises.filter((ex) => ex?.name).map((ex) => exerciseIssue(ex, screening)),
+    ];
+    return issues.filter((issue) => issue?.action === "block").map((issue) => `operation ${i + 1}: ${blockedMessage(issue)}`);
+  });
+
+/* ---------- Generation ---------- */
+// Contraindication keys the exercise library must leave out
+export const blockedContraindications = (screening) => [
+  ...new Set(screening.conditions.filter((c) => c.exercises === "block").flatMap((c) => c.avoid || [])),
+];
+
+// Profile for the exercise library (see fitsProfile) with blocked
+// contraindications excluded
+export const safeProfile = (inputs, screening = screenInputs(inputs)) => ({
+  ...inputs,
+  avoid: blockedContraindications(screening),
+});
+
+export const safetyPrompt = (screening) => {
+  if (!screening.conditions.length) return "";
+  const lines = screening.conditions.map((c) => {
+    const foods = (c.foods || []).map((f) => f.reason);
+    return `- ${c.label}: ${c.advice}${foods.length ? ` Leave out: ${foods.join("; ")}.` : ""}`;
+  });
+  return `
+MEDICAL SAFETY (detected from the medical history; these rules override everything else):
+${lines.join("\n")}`;
+};
+
+/* ---------- Acknowledgement ---------- */
+// High-risk plans stay hidden until the user confirms they have read the
+// warnings. The acknowledgement records which conditions it covered, so a
+// newly detected high-risk condition asks again.
+export const acknowledgement = (screening) => ({
+  at: new Date().toISOString(),
+  conditions: screening.conditions.map((c) => c.key),
+});
+
+export const needsAcknowledgement = (screening, ack) =>
+  screening.risk === "high" &&
+  screening.conditions.some((c) => c.risk === "high" && !(ack?.conditions || []).includes(c.key));
@@ -0,0 +1,86 @@
+import {
+  screenHistory, screenInputs, screenPlan, issueKey, dietErrors, foodErrors, patchSafetyErrors, needsAcknowledgement, acknowledgement, safeProfile,
+} from "./safety";
+import { MOCK_PLAN } from "./mockFixtures";
+
+const keys = (screening) => screening.conditions.map((c) => c.key);
+
+describe("screenHistory", () => {
+  it("finds conditions and the highest risk", () => {
+    const screening = screenHistory("Type 2 diabetes. Recently had surgery on my shoulder");
+    expect(keys(screening)).toEqual(expect.arrayContaining(["diabetes", "recent_surgery"]));
+    expect(screening.risk).toBe("high");
+    expect(screenHistory("Mild knee pain").risk).toBe("moderate");
+  });
+
+  it("ignores negated mentions and other people's conditions", () => {
+    expect(keys(screenHistory("No knee problems. My mother has diabetes"))).toEqual([]);
+    expect(screenHistory("").risk).toBe("none");
+  });
+
+  it("reads allergies from the profile fields", () => {
+    expect(keys(screenInputs({ foodAllergies: "peanuts, shellfish" }))).toEqual(["nut_allergy", "shellfish_allergy"]);
+  });
+
+  it("blocks foods named by allergies no built-in rule covers", () => {
+    const screening = screenInputs({ foodAllergies: "Eggs, sesame seeds; peanuts, none" });
+    expect(keys(screening)).toEqual(["nut_allergy", "allergy:egg", "allergy:sesame seed"]);
+    expect(screening.risk).toBe("high");
+    expect(foodErrors({ food: "Scrambled eggs" }, screening, "$")).toHaveLength(1);
+    expect(foodErrors({ food: "Toasted sesame seeds" }, screening, "$")).toHaveLength(1);
+    expect(foodErrors({ food: "Grilled eggplant" }, screening, "$")).toEqual([]);
+    expect(keys(screenInputs({ foodAllergies: "soy" }, { foodAllergies: "Soy" }))).toEqual(["allergy:soy"]);
+  });
+
+  it("screens several input sets together", () => {
+    const screening = screenInputs({ medicalHistory: "high blood pressure" }, null, { injuries: "bad knee" });
+    expect(keys(screening)).toEqual(expect.arrayContaining(["hypertension", "knee"]));
+  });
+});
+
+describe("screenPlan", () => {
+  it("flags or blocks plan items by key", () => {
+    const issues = screenPlan(MOCK_PLAN, screenInputs({ foodAllergies: "nuts", injuries: "knee pain" }));
+    expect(issues[issueKey("food", "snacks", 1)]).toMatchObject({ action: "block", name: "Almonds" });
+    expect(issues[issueKey("exercise", 0, 0)]).toMatchObject({ kind: "exercise", action: "flag", name: "Goblet Squat" });
+  });
+
+  it("returns nothing without conditions", () => {
+    expect(screenPlan(MOCK_PLAN, screenHistory(""))).toEqual({});
+  });
+});
+
+describe("blocked items", () => {
+  const nutAllergy = screenInputs({ foodAllergies: "nuts" });
+
+  it("reports blocked foods as validation errors", () => {
+    expect(dietErrors(MOCK_PLAN, nutAllergy)).toEqual([{ path: "dietPlan.meals.snacks[1].food", message: expect.stringContaining('"Almonds"') }]);
+    expect(foodErrors({ food: "Coconut yogurt" }, nutAllergy, "$")).toEqual([]);
+    expect(dietErrors(MOCK_PLAN, screenInputs({ medicalHistory: "diabetes" }))).toEqual([]);
+  });
+
+  it("rejects coach patches that add blocked foods or exercises", () => {
+    const patch = [
+      { op: "replace_meal_item", meal: "snacks", index: 0, item: { food: "Walnuts" } },
+      { op: "add_meal_item", meal: "lunch", item: { food: "Rice" } },
+    ];
+    expect(patchSafetyErrors(patch, nutAllergy)).toEqual([expect.stringMatching(/^operation 1: "Walnuts"/)]);
+    const pregnancy = screenInputs({ medicalHistory: "pregnant" });
+    expect(patchSafetyErrors([{ op: "add_exercise", day: 0, exercise: { name: "Burpee" } }], pregnancy)).toHaveLength(1);
+    expect(patchSafetyErrors([{ op: "remove_meal_item", meal: "snacks", index: 1 }], nutAllergy)).toEqual([]);
+  });
+
+  it("keeps blocked contraindications out of the exercise profile", () => {
+    expect(safeProfile({ medicalHistory: "pregnant" }).avoid).toEqual(["pregnancy"]);
+  });
+});
+
+describe("acknowledgement", () => {
+  it("is needed again when a new high-risk condition appears", () => {
+    const first = screenHistory("pregnant");
+    const ack = acknowledgement(first);
+    expect(needsAcknowledgement(first, null)).toBe(true);
+    expect(needsAcknowledgement(first, ack)).toBe(false);
+    expect(needsAcknowledgement(screenHistory("pregnant; heart disease"), ack)).toBe(true);
+  });
+});
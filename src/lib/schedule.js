@@ -0,0 +1,124 @@
+import { programOf, programLength, weekPattern, weekPlan } from "./periodization";
+import { weekStart } from "./progress";
+
+/* ===========================
+   Training calendar
+=========================== */
+
+// A schedule maps plan days onto real dates. It is stored on the plan entry:
+//   { weekdays: [0, 2, 4], startDate: "YYYY-MM-DD", time: "07:00", duration: 60,
+//     reminders: { workouts: false, meals: false, leadMinutes: 15 } }
+// Weekdays are 0 = Monday. Plan days are done in order on the chosen weekdays;
+// a training day with nothing logged is "missed" and its plan day moves to the
+// next training day, so the rotation never skips a workout.
+
+export const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const pad = (n) => String(n).padStart(2, "0");
+export const dateKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+export const fromKey = (key) => new Date(`${key}T00:00:00`);
+export const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+export const weekdayOf = (d) => (d.getDay() + 6) % 7;
+const daysBetween = (a, b) => Math.round((b - a) / (24 * 60 * 60 * 1000));
+
+// `key` at "HH:MM" local time
+export const atTime = (key, time = "07:00") => {
+  const [h, m] = String(time).split(":").map(Number);
+  const d = fromKey(key);
+  d.setHours(h || 0, m || 0, 0, 0);
+  return d;
+};
+
+export const defaultSchedule = (plan) => ({
+  weekdays: weekPattern(plan?.workoutPlan?.days?.length || 3),
+  startDate: programOf(plan)?.startDate || weekStart(new Date()),
+  time: "07:00",
+  duration: 60,
+  reminders: { workouts: false, meals: false, leadMinutes: 15 },
+});
+
+export const withDefaults = (schedule, plan) => {
+  const base = defaultSchedule(plan);
+  return { ...base, ...schedule, reminders: { ...base.reminders, ...schedule?.reminders } };
+};
+
+// Every session of the program as { date, dayIndex, week, status, rescheduled? }
+// where status is "done", "missed", "today" or "planned". Sessions logged on
+// any date count as done and advance the rotation.
+export const buildSchedule = (plan, schedule, history = [], today = new Date()) => {
+  const days = plan?.workoutPlan?.days || [];
+  if (!days.length || !schedule?.weekdays?.length) return [];
+  const start = fromKey(schedule.startDate);
+  const end = addDays(start, programLength(programOf(plan)) * 7);
+  const todayKey = dateKey(today);
+
+  const logged = {};
+  history.forEach((s) => {
+    const key = dateKey(new Date(s.date));
+    if (s.dayIndex >= 0 && s.dayIndex < days.length) (logged[key] ||= []).push(s);
+  });
+
+  const events = [];
+  let next = 0;
+  let carried = false;
+  for (let d = start; d < end; d = addDays(d, 1)) {
+    const key = dateKey(d);
+    const week = Math.floor(daysBetween(start, d) / 7) + 1;
+    const done = (logged[key] || []).sort((a, b) => a.date.localeCompare(b.date));
+    for (const s of done) {
+      events.push({ date: key, dayIndex: s.dayIndex, week, status: "done", sessionId: s.id });
+      next = (s.dayIndex + 1) % days.length;
+      carried = false;
+    }
+    if (done.length || !schedule.weekdays.includes(weekdayOf(d))) continue;
+    if (key < todayKey) {
+      events.push({ date: key, dayIndex: next, week, status: "missed" });
+      carried = true;
+    } else {
+      events.push({ date: key, dayIndex: next, week, status: key === todayKey ? "today" : "planned", rescheduled: carried });
+      next = (next + 1) % days.length;
+      carried = false;
+    }
+  }
+  return events;
+};
+
+export const upcomingSessions = (events) => events.filter((e) => e.status === "today" || e.status === "planned");
+
+export const exerciseLine = (ex) =>
+  `${ex.name} — ${ex.sets} × ${ex.reps}${ex.targetWeight ? ` @ ${ex.targetWeight} kg` : ""} (rest ${ex.rest})`;
+
+// Upcoming sessions as calendar events for lib/ics.js, with the exercises
+// prescribed for that program week in the description.
+export const toCalendarEvents = (plan, schedule, events, history = [], planId = "plan") => {
+  const weeks = {};
+  return upcomingSessions(events).map((ev) => {
+    const day = (weeks[ev.week] ||= weekPlan(plan, ev.week, history)).days[ev.dayIndex];
+    const start = atTime(ev.date, schedule.time);
+    return {
+      uid: `${planId}-${ev.date}-${ev.dayIndex}@ai-fitness-coach`,
+      start,
+      end: new Date(start.getTime() + (Number(schedule.duration) || 60) * 60 * 1000),
+      summary: `${day.day}: ${day.focus}`,
+      description: [`Week ${ev.week}`, ...day.exercises.map(exerciseLine)].join("\n"),
+      alarmMinutes: schedule.reminders?.leadMinutes || 0,
+    };
+  });
+};
+
+// Dates shown by the calendar: the Monday-based week containing `anchor`, or
+// the full weeks covering its month.
+export const calendarDays = (anchor, view = "week") => {
+  if (view === "week") {
+    const monday = fromKey(weekStart(anchor));
+    return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+  }
+  const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const from = addDays(first, -weekdayOf(first));
+  const count = daysBetween(from, addDays(last, 6 - weekdayOf(last))) + 1;
+  return Array.from({ length: count }, (_, i) => addDays(from, i));
+};
+
+export const shiftAnchor = (anchor, view, step) =>
+  view === "week" ? addDays(anchor, 7 * step) : new Date(anchor.getFullYear(), anchor.getMonth() + step, 1);
@@ -0,0 +1,115 @@
+/* ===========================
+   Browser speech helpers
+=========================== */
+
+export const canSpeak = () => typeof window !== "undefined" && "speechSynthesis" in window;
+
+// Installed voices; the list fills in asynchronously in some browsers, see
+// onVoicesChanged.
+export const listVoices = () => (canSpeak() ? window.speechSynthesis.getVoices() : []);
+
+export const onVoicesChanged = (fn) => {
+  if (!canSpeak()) return () => {};
+  window.speechSynthesis.addEventListener("voiceschanged", fn);
+  return () => window.speechSynthesis.removeEventListener("voiceschanged", fn);
+};
+
+export const findVoice = (name) => (name ? listVoices().find((v) => v.name === name) || null : null);
+
+// Speaks `text` with the browser voice. Returns the utterance so callers can
+// hook onend; resolves to null when speech synthesis is unavailable.
+export const speak = (text, { rate = 1, pitch = 1, voice = "", interrupt = false, onEnd, onError } = {}) => {
+  if (!canSpeak() || !text) return null;
+  if (interrupt) window.speechSynthesis.cancel();
+  const utter = new SpeechSynthesisUtterance(text);
+  utter.rate = rate;
+  utter.pitch = pitch;
+  const chosen = findVoice(voice);
+  if (chosen) utter.voice = chosen;
+  if (onEnd) utter.onend = onEnd;
+  if (onError) utter.onerror = onError;
+  window.speechSynthesis.speak(utter);
+  return utter;
+};
+
+/* ---------- Speech recognition ---------- */
+const recognitionClass = () =>
+  typeof window !== "undefined" ? window.SpeechRecognition || window.webkitSpeechRecognition : undefined;
+
+export const canRecognize = () => !!recognitionClass();
+
+// Continuous listening. Browsers end a session after a pause or a while of
+// silence, so it restarts itself until stop(). `onResult` gets the
+// alternatives of each final phrase, best guess first.
+export const createRecognizer = ({ onResult, onError, onListeningChange, lang = "en-US" }) => {
+  const Recognition = recognitionClass();
+  if (!Recognition) return null;
+  let recognition = null;
+  let wanted = false;
+
+  const listen = () => {
+    recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 3;
+    recognition.onresult = (e) => {
+      for (let i = e.resultIndex; i < e.results.length; i++) {
+        if (e.results[i].isFinal) onResult(Array.from(e.results[i], (alt) => alt.transcript));
+      }
+    };
+    recognition.onerror = (e) => {
+      if (e.error === "no-speech" || e.error === "aborted") return;
+      if (e.error === "not-allowed" || e.error === "service-not-allowed") wanted = false;
+      onError?.(e.error);
+    };
+    recognition.onend = () => {
+      if (!wanted) return onListeningChange?.(false);
+      try {
+        recognition.start();
+      } catch {
+        wanted = false;
+        onListeningChange?.(false);
+      }
+    };
+    recognition.start();
+    onListeningChange?.(true);
+  };
+
+  return {
+    start() {
+      if (wanted) return;
+      wanted = true;
+      try {
+        listen();
+      } catch (err) {
+        wanted = false;
+        onError?.(err.message);
+      }
+    },
+    stop() {
+      wanted = false;
+      recognition?.stop();
+    },
+  };
+};
+
+// Short beep for countdown cues; silently does nothing without Web Audio.
+export const beep = (frequency = 880, duration = 0.15) => {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    const ctx = new Ctx();
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = frequency;
+    gain.gain.value = 0.15;
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.start();
+    osc.stop(ctx.currentTime + duration);
+    osc.onended = () => ctx.close();
+  } catch {
+    /* audio cues are best-effort */
+  }
+};
@@ -0,0 +1,373 @@
+/* ===========================
+   Storage layer (IndexedDB with localStorage fallback)
+=========================== */
+
+// Everything the app persists goes through this module. Data lives in
+// IndexedDB when available, otherwise in localStorage. On start-up
+// `initStorage` loads every record into an in-memory cache and runs any
+// pending migrations, so reads stay synchronous and writes are persisted in
+// the background (see `flushStorage`). Blobs (generated images, narration
+// audio) are not cached in memory and use the async `images` and
+// `audioClips` accessors.
+
+export const DB_NAME = "ai-fitness-coach";
+export const DB_VERSION = 2;
+export const SCHEMA_VERSION_KEY = "schema_version";
+const KV_STORE = "kv";
+const IMAGE_STORE = "images";
+const AUDIO_STORE = "audio";
+// localStorage key prefix per blob store
+const BLOB_PREFIXES = { [IMAGE_STORE]: "img:", [AUDIO_STORE]: "aud:" };
+const isBlobKey = (key) => Object.values(BLOB_PREFIXES).some((p) => key.startsWith(p));
+
+const cache = new Map();
+let backend = null;
+let pending = Promise.resolve();
+
+/* ---------- Backends ---------- */
+const promisify = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const openDatabase = (idb) =>
+  new Promise((resolve, reject) => {
+    const req = idb.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(KV_STORE)) db.createObjectStore(KV_STORE);
+      if (!db.objectStoreNames.contains(IMAGE_STORE)) db.createObjectStore(IMAGE_STORE);
+      if (!db.objectStoreNames.contains(AUDIO_STORE)) db.createObjectStore(AUDIO_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked"));
+  });
+
+const createIdbBackend = async (idb) => {
+  const db = await openDatabase(idb);
+  const tx = (store, mode = "readonly") => db.transaction(store, mode).objectStore(store);
+
+  return {
+    name: "indexeddb",
+    async load() {
+      const store = tx(KV_STORE);
+      const [keys, values] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+      return keys.map((k, i) => [k, values[i]]);
+    },
+    set: (key, value) => promisify(tx(KV_STORE, "readwrite").put(value, key)),
+    remove: (key) => promisify(tx(KV_STORE, "readwrite").delete(key)),
+    getBlob: async (name, key) => (await promisify(tx(name).get(key))) || null,
+    putBlob: (name, key, record) => promisify(tx(name, "readwrite").put(record, key)),
+    deleteBlob: (name, key) => promisify(tx(name, "readwrite").delete(key)),
+    async listBlobs(name) {
+      const store = tx(name);
+      const [keys, values] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+      return keys.map((k, i) => ({ key: k, ...values[i]?.meta }));
+    },
+  };
+};
+
+const parseStored = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw; // legacy plain-string values such as "dark"
+  }
+};
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+const createLocalBackend = (ls) => ({
+  name: "localstorage",
+  async load() {
+    const entries = [];
+    for (let i = 0; i < ls.length; i++) {
+      const key = ls.key(i);
+      if (!isBlobKey(key)) entries.push([key, parseStored(ls.getItem(key))]);
+    }
+    return entries;
+  },
+  async set(key, value) { ls.setItem(key, JSON.stringify(value)); },
+  async remove(key) { ls.removeItem(key); },
+  async getBlob(name, key) {
+    const record = parseStored(ls.getItem(BLOB_PREFIXES[name] + key));
+    return record?.dataUrl ? { blob: await dataUrlToBlob(record.dataUrl), meta: record.meta } : null;
+  },
+  async putBlob(name, key, { blob, meta }) {
+    ls.setItem(BLOB_PREFIXES[name] + key, JSON.stringify({ dataUrl: await blobToDataUrl(blob), meta }));
+  },
+  async deleteBlob(name, key) { ls.removeItem(BLOB_PREFIXES[name] + key); },
+  async listBlobs(name) {
+    const prefix = BLOB_PREFIXES[name];
+    const out = [];
+    for (let i = 0; i < ls.length; i++) {
+      const key = ls.key(i);
+      if (key.startsWith(prefix)) out.push({ key: key.slice(prefix.length), ...parseStored(ls.getItem(key))?.meta });
+    }
+    return out;
+  },
+});
+
+/* ---------- Core key/value API ---------- */
+const persist = (fn) => {
+  if (!backend) return pending;
+  pending = pending.then(fn).catch((err) => console.error("Storage write failed", err));
+  return pending;
+};
+
+export const getItem = (key, fallback = null) => (cache.has(key) ? cache.get(key) : fallback);
+
+export const setItem = (key, value) => {
+  cache.set(key, value);
+  persist(() => backend.set(key, value));
+};
+
+export const removeItem = (key) => {
+  cache.delete(key);
+  persist(() => backend.remove(key));
+};
+
+export const listKeys = () => [...cache.keys()];
+
+// Resolves once every queued write has reached the backend.
+export const flushStorage = () => pending;
+
+export const storageBackend = () => backend?.name || null;
+
+export const readList = (key) => {
+  const list = getItem(key, []);
+  return Array.isArray(list) ? list : [];
+};
+
+// Per-profile storage key for data such as workout history and measurements
+export const scopedKey = (base, profileId) => (profileId ? `${base}:${profileId}` : base);
+
+/* ---------- Typed accessors ---------- */
+export const SETTINGS_KEY = "settings";
+export const DEFAULT_SETTINGS = {
+  theme: "light",
+  aiProvider: "gemini",
+  aiModels: {}, // { [providerId]: { text, image } }, blank = provider default
+  geminiKey: "",
+  openaiBaseUrl: "http://localhost:11434/v1",
+  openaiKey: "",
+  imageConcurrency: 2,
+  speechVoice: "", // browser voice name, blank = system default
+  speechRate: 1,
+  speechPitch: 1,
+  elevenKey: "",
+  elevenVoice: "21m00Tcm4TlvDq8ikWAM",
+  dailyQuote: "Stay strong and consistent!",
+  dailyQuoteDate: "",
+};
+
+export const settings = {
+  all: () => ({ ...DEFAULT_SETTINGS, ...getItem(SETTINGS_KEY, {}) }),
+  get: (name) => settings.all()[name],
+  set: (patch) => setItem(SETTINGS_KEY, { ...getItem(SETTINGS_KEY, {}), ...patch }),
+};
+
+export const PROFILES_KEY = "profiles";
+export const ACTIVE_PROFILE_KEY = "active_profile";
+export const LIBRARY_KEY = "plan_library";
+
+export const plans = {
+  list: () => readList(LIBRARY_KEY),
+  save: (library) => {
+    setItem(LIBRARY_KEY, library);
+    return library;
+  },
+};
+
+export const profileStore = {
+  list: () => readList(PROFILES_KEY),
+  save: (profiles) => {
+    setItem(PROFILES_KEY, profiles);
+    return profiles;
+  },
+  activeId: () => getItem(ACTIVE_PROFILE_KEY),
+  setActiveId: (id) => setItem(ACTIVE_PROFILE_KEY, id),
+};
+
+// AI requests made while offline, replayed in order on reconnect (lib/offlineQueue.js)
+export const QUEUE_KEY = "offline_queue";
+
+export const requestQueue = {
+  list: () => readList(QUEUE_KEY),
+  save: (queue) => {
+    setItem(QUEUE_KEY, queue);
+    return queue;
+  },
+};
+
+// Cached narration clips (lib/tts.js), least recently used first out
+export const AUDIO_INDEX_KEY = "audio_index";
+
+export const audioIndex = {
+  list: () => readList(AUDIO_INDEX_KEY),
+  save: (index) => {
+    setItem(AUDIO_INDEX_KEY, index);
+    return index;
+  },
+};
+
+// Background image generation jobs (lib/imageJobs.js)
+export const IMAGE_JOBS_KEY = "image_jobs";
+
+export const imageJobStore = {
+  list: () => readList(IMAGE_JOBS_KEY),
+  save: (jobs) => {
+    setItem(IMAGE_JOBS_KEY, jobs);
+    return jobs;
+  },
+};
+
+// Per-profile logs, e.g. logs.get("workout_history", profileId)
+export const logs = {
+  get: (kind, profileId) => readList(scopedKey(kind, profileId)),
+  set: (kind, profileId, list) => {
+    setItem(scopedKey(kind, profileId), list);
+    return list;
+  },
+  clear: (kind, profileId) => removeItem(scopedKey(kind, profileId)),
+};
+
+// Blobs are stored as { blob, meta } and never held in the memory cache.
+const blobStore = (name) => ({
+  get: async (key) => (backend ? backend.getBlob(name, key) : null),
+  put: async (key, blob, meta = {}) => backend?.putBlob(name, key, { blob, meta }),
+  delete: async (key) => backend?.deleteBlob(name, key),
+  list: async () => (backend ? backend.listBlobs(name) : []),
+});
+
+export const images = blobStore(IMAGE_STORE);
+export const audioClips = blobStore(AUDIO_STORE);
+
+// Metadata for stored images (lib/imageCache.js), kept in the key/value store
+// so cache limits and lookups stay synchronous
+export const IMAGE_INDEX_KEY = "image_index";
+
+export const imageIndex = {
+  list: () => readList(IMAGE_INDEX_KEY),
+  save: (index) => {
+    setItem(IMAGE_INDEX_KEY, index);
+    return index;
+  },
+};
+
+/* ---------- Migrations ---------- */
+const LEGACY_SETTING_KEYS = {
+  theme: "theme",
+  gemini_api: "geminiKey",
+  eleven_key: "elevenKey",
+  eleven_voice: "elevenVoice",
+  daily_quote: "dailyQuote",
+  daily_quote_date: "dailyQuoteDate",
+};
+
+// Keys the app kept in localStorage before this storage layer, including
+// per-profile logs ("workout_history:<profileId>"). Only these are copied
+// into IndexedDB and then removed; anything else on the origin is left alone.
+const LEGACY_KEYS = [...Object.keys(LEGACY_SETTING_KEYS), "fitness_plan", PROFILES_KEY, ACTIVE_PROFILE_KEY, LIBRARY_KEY];
+const LEGACY_LOGS = ["workout_history", "progress_entries"];
+const isLegacyKey = (key) => LEGACY_KEYS.includes(key) || LEGACY_LOGS.some((base) => key === base || key.startsWith(`${base}:`));
+
+// Ordered data migrations. Each one runs once, when the stored schema version
+// is below its `version`, and receives the cache-backed key/value API plus a
+// snapshot of the legacy localStorage data.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Import legacy localStorage keys and group settings",
+    up: ({ get, set, remove, legacy }) => {
+      Object.entries(legacy).forEach(([key, value]) => {
+        if (get(key) === null) set(key, value);
+      });
+      const grouped = { ...get(SETTINGS_KEY, {}) };
+      Object.entries(LEGACY_SETTING_KEYS).forEach(([oldKey, name]) => {
+        const value = get(oldKey);
+        if (value !== null) {
+          grouped[name] = String(value);
+          remove(oldKey);
+        }
+      });
+      set(SETTINGS_KEY, grouped);
+    },
+  },
+];
+
+export const schemaVersion = () => MIGRATIONS.reduce((max, m) => Math.max(max, m.version), 0);
+
+// Feature modules register the migrations for data they own (see
+// lib/profiles.js). Registration happens at import time, before initStorage.
+export const registerMigration = (migration) => {
+  if (MIGRATIONS.some((m) => m.version === migration.version)) return;
+  MIGRATIONS.push(migration);
+  MIGRATIONS.sort((a, b) => a.version - b.version);
+};
+
+export const runMigrations = (legacy = {}) => {
+  const from = Number(getItem(SCHEMA_VERSION_KEY, 0)) || 0;
+  const ctx = { get: getItem, set: setItem, remove: removeItem, legacy };
+  const applied = [];
+  MIGRATIONS.filter((m) => m.version > from).forEach((m) => {
+    m.up(ctx);
+    setItem(SCHEMA_VERSION_KEY, m.version);
+    applied.push(m.version);
+  });
+  return { from, to: Number(getItem(SCHEMA_VERSION_KEY, from)), applied };
+};
+
+const snapshotLocalStorage = (ls) => {
+  const out = {};
+  if (!ls) return out;
+  for (let i = 0; i < ls.length; i++) {
+    const key = ls.key(i);
+    if (isLegacyKey(key)) out[key] = parseStored(ls.getItem(key));
+  }
+  return out;
+};
+
+/* ---------- Initialisation ---------- */
+// Opens IndexedDB (or falls back to localStorage), hydrates the cache and
+// migrates the data. Both globals can be injected, e.g. an in-memory
+// IndexedDB shim in tests.
+export const initStorage = async ({
+  indexedDB: idb = typeof indexedDB !== "undefined" ? indexedDB : null,
+  localStorage: ls = typeof localStorage !== "undefined" ? localStorage : null,
+} = {}) => {
+  cache.clear();
+  pending = Promise.resolve();
+  backend = null;
+
+  if (idb) {
+    try {
+      backend = await createIdbBackend(idb);
+    } catch (err) {
+      console.warn("IndexedDB unavailable, falling back to localStorage.", err);
+    }
+  }
+  if (!backend && ls) backend = createLocalBackend(ls);
+  if (!backend) return { backend: null, from: 0, to: 0, applied: [] };
+
+  (await backend.load()).forEach(([key, value]) => cache.set(key, value));
+
+  const legacy = backend.name === "indexeddb" ? snapshotLocalStorage(ls) : {};
+  const result = runMigrations(legacy);
+  await flushStorage();
+
+  // Legacy keys now live in IndexedDB
+  if (backend.name === "indexeddb" && result.from === 0) Object.keys(legacy).forEach((k) => ls.removeItem(k));
+
+  return { backend: backend.name, ...result };
+};
@@ -0,0 +1,116 @@
+import { IDBFactory } from "fake-indexeddb";
+import { initStorage, flushStorage, getItem, setItem, settings, logs, schemaVersion, SCHEMA_VERSION_KEY } from "./storage";
+import { loadProfiles, loadLibrary, getActiveProfileId } from "./profiles";
+
+// jsdom doesn't expose structuredClone, which fake-indexeddb uses to store values
+if (typeof global.structuredClone === "undefined") global.structuredClone = (value) => JSON.parse(JSON.stringify(value));
+
+// Minimal Web Storage stand-in; insertion order is key order
+const memoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    get length() {
+      return data.size;
+    },
+    key: (i) => [...data.keys()][i] ?? null,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+};
+
+const LEGACY_PLAN = {
+  motivationalQuote: "Go!",
+  workoutPlan: {
+    overview: "Full body",
+    days: [{ day: "Day 1", focus: "Full Body", exercises: [{ name: "Squat", sets: 3, reps: 10, rest: "60s" }] }],
+  },
+  dietPlan: { overview: "Balanced", meals: { breakfast: ["Oats"], lunch: ["Chicken and rice"], dinner: ["Salmon"], snacks: ["Apple"] } },
+  lifestyleTips: ["Sleep well"],
+};
+
+describe("IndexedDB backend", () => {
+  it("persists values across restarts", async () => {
+    const idb = new IDBFactory();
+    const first = await initStorage({ indexedDB: idb, localStorage: memoryStorage() });
+    expect(first.backend).toBe("indexeddb");
+    setItem("answer", { value: 42 });
+    await flushStorage();
+
+    await initStorage({ indexedDB: idb, localStorage: memoryStorage() });
+    expect(getItem("answer")).toEqual({ value: 42 });
+    expect(getItem(SCHEMA_VERSION_KEY)).toBe(schemaVersion());
+  });
+});
+
+describe("localStorage fallback", () => {
+  it("is used when IndexedDB is unavailable and keeps data as JSON", async () => {
+    const ls = memoryStorage();
+    const result = await initStorage({ indexedDB: null, localStorage: ls });
+    expect(result.backend).toBe("localstorage");
+    settings.set({ theme: "dark" });
+    logs.set("workout_history", "p1", [{ id: "s1" }]);
+    await flushStorage();
+    expect(JSON.parse(ls.getItem("workout_history:p1"))).toEqual([{ id: "s1" }]);
+
+    await initStorage({ indexedDB: null, localStorage: ls });
+    expect(settings.get("theme")).toBe("dark");
+  });
+
+  it("falls back when opening IndexedDB fails", async () => {
+    const broken = { open: () => { throw new Error("denied"); } };
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const result = await initStorage({ indexedDB: broken, localStorage: memoryStorage() });
+    expect(result.backend).toBe("localstorage");
+    console.warn.mockRestore();
+  });
+});
+
+describe("migrations", () => {
+  const legacyStorage = () =>
+    memoryStorage({
+      theme: "dark",
+      gemini_api: "key-123",
+      fitness_plan: JSON.stringify(LEGACY_PLAN),
+      workout_history: JSON.stringify([{ id: "s1", date: "2024-01-01" }]),
+      "other-app:token": "keep me",
+    });
+
+  it("imports legacy localStorage data and runs v1 to v3 in order", async () => {
+    const ls = legacyStorage();
+    const result = await initStorage({ indexedDB: new IDBFactory(), localStorage: ls });
+    expect(result).toMatchObject({ from: 0, to: 3, applied: [1, 2, 3] });
+
+    // v1: settings grouped
+    expect(settings.get("theme")).toBe("dark");
+    expect(settings.get("geminiKey")).toBe("key-123");
+    // v2: plan and logs moved into a default profile
+    const [profile] = loadProfiles();
+    expect(profile.name).toBe("Me");
+    expect(getActiveProfileId()).toBe(profile.id);
+    expect(logs.get("workout_history", profile.id)).toEqual([{ id: "s1", date: "2024-01-01" }]);
+    expect(getItem("fitness_plan")).toBeNull();
+    // v3: plan upgraded to the current shape
+    const [entry] = loadLibrary();
+    expect(entry.profileId).toBe(profile.id);
+    expect(entry.plan.workoutPlan.days[0].exercises[0].sets).toBe("3");
+    expect(entry.invalid).toBeUndefined();
+  });
+
+  it("removes only the app's own legacy keys from localStorage", async () => {
+    const ls = legacyStorage();
+    await initStorage({ indexedDB: new IDBFactory(), localStorage: ls });
+    expect(ls.getItem("theme")).toBeNull();
+    expect(ls.getItem("fitness_plan")).toBeNull();
+    expect(ls.getItem("other-app:token")).toBe("keep me");
+    expect(getItem("other-app:token")).toBeNull();
+  });
+
+  it("does not run again once applied", async () => {
+    const idb = new IDBFactory();
+    await initStorage({ indexedDB: idb, localStorage: legacyStorage() });
+    const again = await initStorage({ indexedDB: idb, localStorage: memoryStorage() });
+    expect(again).toMatchObject({ from: 3, to: 3, applied: [] });
+    expect(loadProfiles()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,104 @@
+import { generateValidatedJson } from "./planGenerator";
+import { validateDay, validateExercise, validateMealItem } from "./planSchema";
+import { describeOp } from "./planPatch";
+import { normalizeMealItem, itemLabel } from "./meals";
+import { safeProfile, safetyPrompt, screenInputs, foodErrors } from "./safety";
+import { exercisePrompt, exerciseErrors, fitDay, fitExercise, matchExercise, sameExercise } from "./exerciseLibrary";
+
+/* ===========================
+   Targeted regeneration (day / exercise / meal item)
+=========================== */
+
+// Each generator asks for one narrowly scoped piece of the plan and returns a
+// patch (see lib/planPatch.js) plus a label for the revision history, so the
+// caller merges it with applyPatch like any other plan edit. `screening`
+// (see safety.js) defaults to screening formData.
+
+const profileContext = (formData, screening = screenInputs(formData)) => `
+User: ${formData.age || "?"}y ${formData.gender}, ${formData.fitnessLevel}, goal ${formData.fitnessGoal},
+trains at: ${formData.workoutLocation}, ${formData.trainingDays || "?"} days/week, ${formData.sessionLength || "?"} min sessions, diet: ${formData.dietaryPreference}.
+Medical history: ${formData.medicalHistory || "none"}; injuries: ${formData.injuries || "none"}; food allergies: ${formData.foodAllergies || "none"}${safetyPrompt(screening)}`;
+
+const JSON_ONLY = "Return ONLY valid JSON (no markdown, no extra text).";
+
+export const regenerateDay = async (ai, { plan, formData, screening = screenInputs(formData), dayIndex, options }) => {
+  const day = plan.workoutPlan.days[dayIndex];
+  const others = plan.workoutPlan.days.filter((_, i) => i !== dayIndex).map((d) => `${d.day}: ${d.focus}`);
+  const prompt = `
+You are an expert fitness coach. Rewrite ONE training day of an existing plan.
+${profileContext(formData, screening)}
+
+Current day: ${JSON.stringify(day)}
+Other days in the week (keep the split balanced with these): ${others.join("; ") || "none"}
+
+Create a fresh ${day.day} with a similar focus but different exercise selection, suitable for ${formData.workoutLocation}.
+${exercisePrompt(safeProfile(formData, screening))}
+${JSON_ONLY} Shape:
+{ "day": "${day.day}", "focus": "Muscle groups", "exercises": [{ "name": "...", "sets": "3", "reps": "10", "rest": "60s", "progression": "load" | "reps" }] }`;
+
+  const value = await generateValidatedJson(ai, prompt, {
+    ...options,
+    label: "day",
+    validate: validateDay,
+  });
+  const op = { op: "replace_day", day: dayIndex, value: fitDay({ ...value, day: day.day }, safeProfile(formData, screening)) };
+  return { patch: [op], label: `Regenerated ${day.day}`, summary: describeOp(plan, op).text };
+};
+
+export const swapExercise = async (ai, { plan, formData, screening = screenInputs(formData), dayIndex, index, options }) => {
+  const day = plan.workoutPlan.days[dayIndex];
+  const current = day.exercises[index];
+  const prompt = `
+You are an expert fitness coach. Suggest ONE equivalent replacement exercise.
+${profileContext(formData, screening)}
+
+Replace: ${JSON.stringify(current)} (day focus: ${day.focus})
+It must train the same primary muscle group, be doable at "${formData.workoutLocation}" with the equipment usually available there,
+and must NOT be any of: ${day.exercises.map((e) => e.name).join(", ")}.
+Keep a similar sets/reps/rest prescription.
+${exercisePrompt(safeProfile(formData, screening))}
+${JSON_ONLY} Shape:
+{ "name": "...", "sets": "3", "reps": "10", "rest": "60s", "progression": "load" | "reps" }`;
+
+  const suggested = await generateValidatedJson(ai, prompt, {
+    ...options,
+    label: "exercise",
+    validate: (ex) => {
+      const errors = validateExercise(ex);
+      if (errors.length) return errors;
+      if (day.exercises.some((e) => sameExercise(e, ex))) {
+        errors.push({ path: "$.name", message: "must differ from the exercises already in this day" });
+      }
+      return [...errors, ...exerciseErrors(ex, "$")];
+    },
+  });
+  const exclude = day.exercises.map((e) => e.id || matchExercise(e.name)?.id).filter(Boolean);
+  const exercise = fitExercise(suggested, safeProfile(formData, screening), exclude);
+  const op = { op: "replace_exercise", day: dayIndex, index, exercise };
+  return { patch: [op], label: `Swapped ${current.name} for ${exercise.name}`, summary: describeOp(plan, op).text };
+};
+
+export const replaceMealItem = async (ai, { plan, formData, screening = screenInputs(formData), meal, index, options }) => {
+  const items = plan.dietPlan.meals[meal];
+  const current = normalizeMealItem(items[index]);
+  const prompt = `
+You are an expert nutritionist. Suggest ONE replacement for a single food item in the user's ${meal}.
+${profileContext(formData, screening)}
+
+Replace: ${JSON.stringify(current)}
+Other items in this meal: ${items.filter((_, i) => i !== index).map(itemLabel).join(", ") || "none"}
+It must fit a "${formData.dietaryPreference}" diet${current.kcal != null ? ` and stay within about 10% of ${Math.round(current.kcal)} kcal and ${Math.round(current.protein)} g protein` : ""}.
+${JSON_ONLY} Shape:
+{ "food": "...", "quantity": 100, "unit": "g", "kcal": 0, "protein": 0, "carbs": 0, "fat": 0 }`;
+
+  const item = await generateValidatedJson(ai, prompt, {
+    ...options,
+    label: "meal item",
+    validate: (json) => {
+      const errors = validateMealItem(json);
+      return errors.length ? errors : foodErrors(json, screening, "$");
+    },
+  });
+  const op = { op: "replace_meal_item", meal, index, item };
+  return { patch: [op], label: `Replaced ${current.food} with ${item.food}`, summary: describeOp(plan, op).text };
+};
@@ -0,0 +1,14 @@
+/* ===========================
+   Text helpers
+=========================== */
+
+// "Walking Lunges" and "walking-lunge" share a key
+export const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .map((w) => (w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w))
+    .join(" ");
@@ -0,0 +1,346 @@
+import { audioClips, audioIndex } from "./storage";
+import { canSpeak, speak } from "./speech";
+
+/* ===========================
+   Text-to-speech engines
+=========================== */
+
+// Every engine hands back the same playback handle
+//   { done: Promise<Error|undefined>, pause(), resume(), stop() }
+// where `done` settles when the clip ends, is stopped or fails (resolving to
+// the error), so the guided player can sequence segments without caring
+// which engine spoke. Only one handle plays at a time: starting a new one
+// stops the previous, so repeated clicks never overlap.
+
+export const ELEVEN_API = "https://api.elevenlabs.io/v1/text-to-speech";
+export const AUDIO_CACHE_LIMITS = { maxClips: 300, maxBytes: 25 * 1024 * 1024 };
+// Characters per request / utterance. ElevenLabs rejects long inputs and
+// Chrome silently drops utterances that run much past ~15 seconds.
+export const TTS_CHUNK_LIMITS = { eleven: 2500, browser: 200 };
+
+// cyrb53: a fast 53-bit string hash, plenty to key cached clips by text
+export const hashText = (text, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+export const clipKey = (voice, text) => `eleven:${voice}:${hashText(text)}`;
+
+// Splits on sentence ends, then on spaces, and hard-cuts anything still too
+// long, so every chunk is at most `max` characters.
+export const splitText = (text, max) => {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= max) return clean ? [clean] : [];
+  const chunks = [];
+  let current = "";
+  const add = (piece) => {
+    const joined = current ? `${current} ${piece}` : piece;
+    if (joined.length <= max) {
+      current = joined;
+      return;
+    }
+    if (current) chunks.push(current);
+    current = piece;
+  };
+  for (const sentence of clean.match(/[^.!?;]+(?:[.!?;]+|$)/g).map((s) => s.trim()).filter(Boolean)) {
+    if (sentence.length <= max) {
+      add(sentence);
+      continue;
+    }
+    for (const word of sentence.split(" ")) {
+      for (let i = 0; i < word.length; i += max) add(word.slice(i, i + max));
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+};
+
+const settled = () => ({ done: Promise.resolve(), pause() {}, resume() {}, stop() {} });
+
+/* ---------- Browser speech ---------- */
+export const browserSpeech = (text, { voice = "", rate = 1, pitch = 1 } = {}) => {
+  if (!canSpeak() || !text) return settled();
+  const { promise: done, resolve } = deferred();
+  speak(text, {
+    voice,
+    rate,
+    pitch,
+    onEnd: () => resolve(),
+    // "interrupted" / "canceled" are our own stop() calls
+    onError: (e) => resolve(/interrupted|canceled/.test(e?.error) ? undefined : new Error(`Speech failed: ${e?.error || "unknown"}`)),
+  });
+  return {
+    done,
+    pause: () => window.speechSynthesis.pause(),
+    resume: () => window.speechSynthesis.resume(),
+    stop() {
+      window.speechSynthesis.cancel();
+      resolve();
+    },
+  };
+};
+
+/* ---------- Audio element playback ---------- */
+// Plays `src` (an object URL) and revokes it once playback is over
+const playUrl = (url, { onEnd } = {}) => {
+  const audio = new Audio(url);
+  const { promise: done, resolve } = deferred();
+  let over = false;
+  const end = (error) => {
+    if (over) return;
+    over = true;
+    URL.revokeObjectURL(url);
+    onEnd?.();
+    resolve(error);
+  };
+  audio.onended = () => end();
+  audio.onerror = () => end(new Error("Audio playback failed"));
+  audio.play().catch((err) => end(err));
+  return {
+    done,
+    pause: () => audio.pause(),
+    resume: () => audio.play().catch((err) => end(err)),
+    stop() {
+      audio.pause();
+      audio.removeAttribute("src");
+      end();
+    },
+    fail(error) {
+      audio.pause();
+      end(error);
+    },
+  };
+};
+
+export const playBlob = (blob) => playUrl(URL.createObjectURL(blob));
+
+export const canStream = () =>
+  typeof window !== "undefined" && !!window.MediaSource?.isTypeSupported?.("audio/mpeg");
+
+// Starts playing an MP3 response while it downloads, through MediaSource.
+// `onComplete(blob)` gets the whole clip once the stream ends (for caching).
+export const playStream = (res, { onComplete } = {}) => {
+  const source = new MediaSource();
+  const reader = res.body.getReader();
+  const parts = [];
+  let cancelled = false;
+  const handle = playUrl(URL.createObjectURL(source), {
+    onEnd: () => {
+      cancelled = true;
+      reader.cancel().catch(() => {});
+    },
+  });
+  source.addEventListener(
+    "sourceopen",
+    async () => {
+      try {
+        const buffer = source.addSourceBuffer("audio/mpeg");
+        const append = (chunk) =>
+          new Promise((resolve, reject) => {
+            buffer.addEventListener("updateend", resolve, { once: true });
+            buffer.addEventListener("error", () => reject(new Error("Audio stream could not be decoded")), { once: true });
+            buffer.appendBuffer(chunk);
+          });
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done || cancelled) break;
+          parts.push(value);
+          await append(value);
+        }
+        if (cancelled) return;
+        if (source.readyState === "open") source.endOfStream();
+        onComplete?.(new Blob(parts, { type: "audio/mpeg" }));
+      } catch (err) {
+        if (!cancelled) handle.fail(err);
+      }
+    },
+    { once: true }
+  );
+  return handle;
+};
+
+/* ---------- ElevenLabs clip cache ---------- */
+// Index entries { key, voice, size, chars, createdAt, lastUsed } in the
+// key/value store; the audio itself lives in the blob store.
+export const audioCacheUsage = (entries = audioIndex.list()) => ({
+  count: entries.length,
+  bytes: entries.reduce((sum, e) => sum + (e.size || 0), 0),
+});
+
+const pruneClips = async (entries, keep) => {
+  let { count, bytes } = audioCacheUsage(entries);
+  const evict = [];
+  for (const e of [...entries].sort((a, b) => String(a.lastUsed).localeCompare(String(b.lastUsed)))) {
+    if (count <= AUDIO_CACHE_LIMITS.maxClips && bytes <= AUDIO_CACHE_LIMITS.maxBytes) break;
+    if (e.key === keep) continue;
+    evict.push(e.key);
+    count -= 1;
+    bytes -= e.size || 0;
+  }
+  await Promise.all(evict.map((key) => audioClips.delete(key)));
+  return audioIndex.save(entries.filter((e) => !evict.includes(e.key)));
+};
+
+export const clearAudioCache = async () => {
+  await Promise.all(audioIndex.list().map((e) => audioClips.delete(e.key)));
+  return audioIndex.save([]);
+};
+
+const cachedClip = async (key) => {
+  const cached = await audioClips.get(key);
+  if (!cached?.blob) return null;
+  audioIndex.save(audioIndex.list().map((e) => (e.key === key ? { ...e, lastUsed: new Date().toISOString() } : e)));
+  return cached.blob;
+};
+
+const storeClip = async (key, blob, { voice, chars }) => {
+  const now = new Date().toISOString();
+  await audioClips.put(key, blob, { voice, createdAt: now });
+  const entry = { key, voice, size: blob.size, chars, createdAt: now, lastUsed: now };
+  await pruneClips([...audioIndex.list().filter((e) => e.key !== key), entry], key);
+  return blob;
+};
+
+// Error bodies are JSON like { detail: { status, message } }
+const responseError = async (res) => {
+  let detail = "";
+  try {
+    const body = await res.json();
+    detail = body?.detail?.message || (typeof body?.detail === "string" ? body.detail : "");
+  } catch {
+    /* not JSON */
+  }
+  const err = new Error(`ElevenLabs request failed (${res.status})${detail ? `: ${detail}` : ""}`);
+  err.status = res.status;
+  return err;
+};
+
+// Cached clip if there is one, else a fresh request, streamed where the
+// browser supports it. Error responses throw instead of being played.
+export const elevenLabsClip = async (text, { apiKey, voice, stream = canStream() }) => {
+  const key = clipKey(voice, text);
+  const cached = await cachedClip(key);
+  if (cached) return playBlob(cached);
+  const res = await fetch(`${ELEVEN_API}/${encodeURIComponent(voice)}${stream ? "/stream" : ""}`, {
+    method: "POST",
+    headers: { "xi-api-key": apiKey, "Content-Type": "application/json", Accept: "audio/mpeg" },
+    body: JSON.stringify({ text }),
+  });
+  if (!res.ok) throw await responseError(res);
+  const type = res.headers.get("Content-Type") || "";
+  if (type && !/audio|octet-stream/.test(type)) throw new Error(`ElevenLabs returned ${type} instead of audio`);
+  const meta = { voice, chars: text.length };
+  if (stream && res.body) return playStream(res, { onComplete: (blob) => storeClip(key, blob, meta).catch(() => {}) });
+  return playBlob(await storeClip(key, await res.blob(), meta));
+};
+
+/* ---------- Sequencing ---------- */
+// Plays steps one after another as a single handle. A step is
+// { start: () => handle | Promise<handle>, fallback?: () => handle };
+// the fallback runs when start throws or its playback fails.
+export const sequence = (steps) => {
+  const { promise: done, resolve } = deferred();
+  let current = null;
+  let stopped = false;
+  let paused = false;
+  let waiting = null;
+
+  const play = async (makeHandle) => {
+    const handle = await makeHandle();
+    if (stopped) return handle.stop();
+    current = handle;
+    if (paused) handle.pause();
+    return handle.done;
+  };
+
+  (async () => {
+    for (const step of steps) {
+      if (paused) {
+        waiting = deferred();
+        await waiting.promise;
+      }
+      if (stopped) return;
+      let error;
+      try {
+        error = await play(step.start);
+      } catch (err) {
+        error = err;
+      }
+      if (error && !stopped && step.fallback) {
+        console.warn("Speech failed, falling back", error);
+        await play(step.fallback);
+      }
+    }
+  })().finally(() => resolve());
+
+  return {
+    done,
+    pause() {
+      paused = true;
+      current?.pause();
+    },
+    resume() {
+      paused = false;
+      current?.resume();
+      waiting?.resolve();
+    },
+    stop() {
+      stopped = true;
+      current?.stop();
+      waiting?.resolve();
+      resolve();
+    },
+  };
+};
+
+/* ---------- One voice at a time ---------- */
+let active = null;
+
+export const stopSpeech = () => {
+  active?.stop();
+  active = null;
+  if (canSpeak()) window.speechSynthesis.cancel();
+};
+export const pauseSpeech = () => active?.pause();
+export const resumeSpeech = () => active?.resume();
+export const isSpeaking = () => !!active;
+
+// `say(text)` speaks with ElevenLabs when a key is set and we're online,
+// falling back to the browser voice per chunk when that fails.
+export const createSpeaker = ({ elevenKey = "", elevenVoice = "", voice = "", rate = 1, pitch = 1, online = () => true } = {}) => {
+  const browserSteps = (text) =>
+    splitText(text, TTS_CHUNK_LIMITS.browser).map((chunk) => ({ start: () => browserSpeech(chunk, { voice, rate, pitch }) }));
+  const say = (text) => {
+    stopSpeech();
+    const steps =
+      elevenKey && elevenVoice && online()
+        ? splitText(text, TTS_CHUNK_LIMITS.eleven).map((chunk) => ({
+            start: () => elevenLabsClip(chunk, { apiKey: elevenKey, voice: elevenVoice }),
+            fallback: () => sequence(browserSteps(chunk)),
+          }))
+        : browserSteps(text);
+    const handle = sequence(steps);
+    active = handle;
+    handle.done.then(() => {
+      if (active === handle) active = null;
+    });
+    return handle;
+  };
+  return { say };
+};
@@ -0,0 +1,6 @@
+/* ===========================
+   Unit conversion constants
+=========================== */
+
+export const CM_PER_INCH = 2.54;
+export const LB_TO_KG = 0.45359237;
@@ -0,0 +1,160 @@
+import { LB_TO_KG } from "./units";
+
+/* ===========================
+   Voice command grammar
+=========================== */
+
+// Turns a recognized phrase into a command object, or null when nothing
+// matches. No browser APIs here; recognition lives in speech.js.
+//   { type, transcript, ...args }
+// Weights are returned as said ({ weight, unit }) plus `weightKg`, which is
+// what workout logs store.
+
+const SMALL = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const isNumberWord = (w) => w in SMALL || w in TENS || w === "hundred";
+
+// "sixty two point five" -> "62.5", "a minute and a half" -> "90 seconds"
+export const normalizeNumbers = (text) => {
+  const words = text
+    .replace(/\b(a minute and a half|one and a half minutes?)\b/g, "90 seconds")
+    .replace(/\bhalf (a|an) minute\b/g, "30 seconds")
+    .replace(/\b(a|one) minute\b/g, "1 minute")
+    .replace(/(\d)-(\w)/g, "$1 $2")
+    .replace(/\b(twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)-/g, "$1 ")
+    .split(" ");
+  const out = [];
+  let i = 0;
+  while (i < words.length) {
+    if (!isNumberWord(words[i])) {
+      out.push(words[i]);
+      i += 1;
+      continue;
+    }
+    let current = 0;
+    while (i < words.length && (isNumberWord(words[i]) || (words[i] === "and" && isNumberWord(words[i + 1] || "") && current >= 100))) {
+      const w = words[i];
+      if (w === "hundred") current = (current || 1) * 100;
+      else if (w !== "and") current += SMALL[w] ?? TENS[w];
+      i += 1;
+    }
+    let number = String(current);
+    if (words[i] === "point" && words[i + 1] in SMALL) {
+      number += `.${SMALL[words[i + 1]]}`;
+      i += 2;
+    }
+    out.push(number);
+  }
+  return out.join(" ");
+};
+
+const clean = (transcript) =>
+  normalizeNumbers(
+    String(transcript || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9.'\s-]/g, " ")
+      .replace(/\.(?!\d)/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+  );
+
+const unitOf = (word = "") => (/^(pounds?|lbs?)$/.test(word) ? "lb" : "kg");
+const toKg = (weight, unit) => (unit === "lb" ? Math.round(weight * LB_TO_KG * 2) / 2 : weight);
+const toSeconds = (n, unit = "") => (/^min/.test(unit) ? Number(n) * 60 : Number(n));
+
+const NUM = "(\\d+(?:\\.\\d+)?)";
+const WEIGHT_UNIT = "(kilos?|kilograms?|kgs?|pounds?|lbs?)";
+
+// First match wins, so more specific phrases come first
+export const COMMANDS = [
+  ["stopListening", /\b(stop|quit|end) (listening|voice( control)?)\b/],
+  ["finish", /\b(finish|end|complete)( the| my| this)? (workout|session|training)\b/],
+  [
+    "log",
+    new RegExp(`(?:^|\\b(?:log|logged|record|did|do)\\s+)${NUM}\\s*(?:reps?|repetitions?|times)\\b(?:\\s*(?:at|with|of|for)?\\s*${NUM}\\s*${WEIGHT_UNIT}?)?`),
+    (m) => {
+      const reps = Math.round(Number(m[1]));
+      if (!m[2]) return { reps };
+      const unit = unitOf(m[3]);
+      return { reps, weight: Number(m[2]), unit, weightKg: toKg(Number(m[2]), unit) };
+    },
+  ],
+  ["skipRest", /\b((skip|end|stop|cancel)( the)? rest|next set|rest (over|done))\b/],
+  ["log", /\b(log( the| that| this| a)? set|log it|set (done|complete|finished)|done)\b/],
+  ["rest", new RegExp(`\\b(start |begin )?rest(ing)?\\b(?:\\s*(?:for)?\\s*(\\d+)\\s*(seconds?|secs?|minutes?|mins?))?`), (m) => (m[3] ? { seconds: toSeconds(m[3], m[4]) } : {})],
+  ["repeat", /\b(repeat( that| it)?|say (that|it) again|what did you say|come again)\b/],
+  ["readDiet", /\b(read|what'?s|tell me)\b.*\b(diet|meals?|food|nutrition|eat(ing)?)\b/],
+  ["readWorkout", /\b(read|what'?s|tell me)\b.*\b(workout|training|exercises?)\b/, (m) => ({ today: /\btoday/.test(m.input) })],
+  ["startWorkout", /\b(start|begin|let'?s do)( the| my| today'?s)? (workout|session|training)\b/],
+  ["next", /\b(next|skip)( exercise| one| movement)?\b/],
+  ["previous", /\b(previous|go back|back|last one)( exercise)?\b/],
+  ["pause", /\b(pause|hold on|wait)\b/],
+  ["resume", /\b(resume|continue|go on|unpause|carry on)\b/],
+  ["stop", /\b(stop|quiet|silence|be quiet|shut up)\b/],
+];
+
+// Commands a running workout session handles itself
+export const SESSION_COMMANDS = ["log", "rest", "skipRest", "next", "previous", "repeat", "pause", "resume", "stop", "finish"];
+// Commands still accepted while the coach is talking
+export const SILENCING_COMMANDS = ["stop", "pause", "stopListening"];
+
+export const parseCommand = (transcript) => {
+  const text = clean(transcript);
+  if (!text) return null;
+  for (const [type, pattern, args] of COMMANDS) {
+    const match = text.match(pattern);
+    if (match) return { type, transcript: String(transcript).trim(), ...args?.(match) };
+  }
+  return null;
+};
+
+// Recognizers return several guesses; the first one that parses wins
+export const parseAlternatives = (alternatives) => {
+  for (const alt of alternatives) {
+    const command = parseCommand(alt);
+    if (command) return command;
+  }
+  return null;
+};
+
+const spokenWeight = ({ weight, unit }) => `${weight} ${unit === "lb" ? "pounds" : "kilos"}`;
+
+// Spoken confirmation for a command that was carried out
+export const confirmation = (command) => {
+  switch (command.type) {
+    case "log":
+      if (command.reps == null) return "Set logged.";
+      return `Logged ${command.reps} reps${command.weight != null ? ` at ${spokenWeight(command)}` : ""}.`;
+    case "rest":
+      return command.seconds ? `Resting ${command.seconds} seconds.` : "Starting rest.";
+    case "skipRest":
+      return "Rest skipped.";
+    case "next":
+      return "Next exercise.";
+    case "previous":
+      return "Previous exercise.";
+    case "finish":
+      return "Finishing your workout.";
+    case "stopListening":
+      return "Voice control off.";
+    default:
+      return "";
+  }
+};
+
+export const COMMAND_EXAMPLES = [
+  "next exercise",
+  "start rest",
+  "log 10 reps at 60 kilos",
+  "skip rest",
+  "repeat that",
+  "read today's diet",
+  "read today's workout",
+  "start workout",
+  "finish workout",
+  "pause / resume / stop",
+  "stop listening",
+];
@@ -0,0 +1,72 @@
+import { parseCommand, parseAlternatives, normalizeNumbers, confirmation, COMMAND_EXAMPLES } from "./voiceCommands";
+
+const typeOf = (phrase) => parseCommand(phrase)?.type;
+
+describe("parseCommand", () => {
+  it.each([
+    ["next exercise", "next"],
+    ["start rest", "rest"],
+    ["log 10 reps at 60 kilos", "log"],
+    ["skip rest", "skipRest"],
+    ["repeat that", "repeat"],
+    ["read today's diet", "readDiet"],
+    ["read today's workout", "readWorkout"],
+    ["start workout", "startWorkout"],
+    ["finish workout", "finish"],
+    ["pause", "pause"],
+    ["resume", "resume"],
+    ["stop", "stop"],
+    ["stop listening", "stopListening"],
+    ["go back", "previous"],
+    ["Done.", "log"],
+  ])("understands %p", (phrase, type) => {
+    expect(typeOf(phrase)).toBe(type);
+  });
+
+  it("covers every example shown to the user", () => {
+    COMMAND_EXAMPLES.flatMap((e) => e.split(" / ")).forEach((phrase) => expect(parseCommand(phrase)).not.toBeNull());
+  });
+
+  it("reads reps and weight in kilos", () => {
+    expect(parseCommand("log 10 reps at 60 kilos")).toMatchObject({ reps: 10, weight: 60, unit: "kg", weightKg: 60 });
+    expect(parseCommand("did 8 reps")).toEqual({ type: "log", transcript: "did 8 reps", reps: 8 });
+  });
+
+  it("converts pounds to kilos rounded to half a kilo", () => {
+    expect(parseCommand("log 5 reps at 135 pounds")).toMatchObject({ reps: 5, weight: 135, unit: "lb", weightKg: 61 });
+    expect(parseCommand("12 reps with 45 lbs")).toMatchObject({ unit: "lb", weightKg: 20.5 });
+  });
+
+  it("understands spoken numbers", () => {
+    expect(parseCommand("log twelve reps at sixty two point five kilos")).toMatchObject({ reps: 12, weight: 62.5, weightKg: 62.5 });
+    expect(parseCommand("rest for a minute and a half")).toMatchObject({ type: "rest", seconds: 90 });
+    expect(parseCommand("rest 2 minutes")).toMatchObject({ seconds: 120 });
+  });
+
+  it("rejects phrases that aren't commands", () => {
+    expect(parseCommand("")).toBeNull();
+    expect(parseCommand("what a lovely day")).toBeNull();
+    expect(parseCommand("order a pizza")).toBeNull();
+  });
+});
+
+describe("normalizeNumbers", () => {
+  it("turns number words into digits", () => {
+    expect(normalizeNumbers("one hundred and twenty reps")).toBe("120 reps");
+    expect(normalizeNumbers("forty-five seconds")).toBe("45 seconds");
+  });
+});
+
+describe("parseAlternatives", () => {
+  it("uses the first guess that parses", () => {
+    expect(parseAlternatives(["necks set", "next set"])).toMatchObject({ type: "skipRest" });
+    expect(parseAlternatives(["hello", "goodbye"])).toBeNull();
+  });
+});
+
+describe("confirmation", () => {
+  it("repeats back what was logged", () => {
+    expect(confirmation(parseCommand("log 10 reps at 135 pounds"))).toBe("Logged 10 reps at 135 pounds.");
+    expect(confirmation(parseCommand("log set"))).toBe("Set logged.");
+  });
+});
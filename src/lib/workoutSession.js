@@ -0,0 +1,106 @@
+import { logs } from "./storage";
+
+/* ===========================
+   Workout sessions & history
+=========================== */
+
+export const HISTORY_KEY = "workout_history";
+export const DEFAULT_REST_SECONDS = 60;
+
+// Turns the free-text `rest` value from the plan into seconds.
+// "60s" -> 60, "90 sec" -> 90, "2 min" -> 120, "1-2 min" -> 90, "30s-1min" -> 45,
+// "1 min 30 s" -> 90, "1:30" -> 90.
+export const parseRestSeconds = (rest) => {
+  if (typeof rest === "number" && Number.isFinite(rest)) return Math.max(0, Math.round(rest));
+  const text = String(rest || "").toLowerCase().trim();
+  if (!text) return DEFAULT_REST_SECONDS;
+
+  const clock = text.match(/(\d+):(\d{1,2})/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(m(?:in|ins|inute|inutes)?|s(?:ec|ecs|econd|econds)?)?\b/g)]
+    .map((m) => ({ value: Number(m[1]), unit: m[2]?.[0] || null }));
+  if (!parts.length) return DEFAULT_REST_SECONDS;
+  // A bare number takes the unit said after it ("1-2 min"); seconds otherwise
+  const seconds = parts.map(({ value }, i) => (parts.slice(i).find((p) => p.unit)?.unit === "m" ? value * 60 : value));
+  // "1 min 30 s" adds up; a range ("30s-1min", "60 to 90 sec") is averaged
+  if (parts.length > 1 && parts[0].unit === "m" && parts[1].unit !== "m" && !/\d\s*[a-z]*\s*(?:-|–|to)\s*\d/.test(text)) {
+    return Math.round(parts[0].value * 60 + parts[1].value);
+  }
+  const value = parts.length > 1 ? (seconds[0] + seconds[1]) / 2 : seconds[0];
+  return Math.round(value);
+};
+
+// Prescribed set count as a number ("3" -> 3, "3-4" -> 4). Falls back to 3.
+export const parseSetCount = (sets) => {
+  const nums = String(sets ?? "").match(/\d+/g);
+  if (!nums) return 3;
+  return Math.max(1, Math.min(10, Math.max(...nums.map(Number))));
+};
+
+// Target reps as a number for prefilling inputs ("8-12" -> 12, "AMRAP" -> "").
+export const parseTargetReps = (reps) => {
+  const nums = String(reps ?? "").match(/\d+/g);
+  return nums ? Math.max(...nums.map(Number)) : "";
+};
+
+export const formatSeconds = (total) => {
+  const s = Math.max(0, Math.round(total));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+// `week` and `deload` record where in a periodized program the session fell,
+// so deload sessions can be left out of progression (see lib/periodization.js).
+export const createSession = (day, dayIndex, { week = null, deload = false } = {}) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  date: new Date().toISOString(),
+  dayIndex,
+  day: day.day,
+  focus: day.focus,
+  week,
+  deload,
+  exercises: (day.exercises || []).map((ex) => ({
+    ...(ex.id ? { id: ex.id } : {}),
+    name: ex.name,
+    prescribed: { sets: ex.sets, reps: ex.reps, rest: ex.rest, weight: ex.targetWeight ?? null },
+    sets: [],
+  })),
+  finishedAt: null,
+});
+
+// Immutable set logger: returns a new session with the set appended.
+export const logSet = (session, exerciseIndex, { reps, weight }) => ({
+  ...session,
+  exercises: session.exercises.map((ex, i) =>
+    i === exerciseIndex
+      ? { ...ex, sets: [...ex.sets, { reps: Number(reps) || 0, weight: Number(weight) || 0, at: new Date().toISOString() }] }
+      : ex
+  ),
+});
+
+export const sessionVolume = (session) =>
+  session.exercises.reduce((sum, ex) => sum + ex.sets.reduce((s, set) => s + set.reps * set.weight, 0), 0);
+
+// Compares what was logged against what the plan prescribed.
+export const sessionSummary = (session) => {
+  const prescribedSets = session.exercises.reduce((n, ex) => n + parseSetCount(ex.prescribed.sets), 0);
+  const completedSets = session.exercises.reduce((n, ex) => n + ex.sets.length, 0);
+  return {
+    prescribedSets,
+    completedSets,
+    completion: prescribedSets ? Math.min(1, completedSets / prescribedSets) : 0,
+    volume: sessionVolume(session),
+  };
+};
+
+// History is kept per profile
+export const loadHistory = (profileId) => logs.get(HISTORY_KEY, profileId);
+
+export const saveSession = (session, profileId) =>
+  logs.set(HISTORY_KEY, profileId, [
+    { ...session, finishedAt: session.finishedAt || new Date().toISOString() },
+    ...loadHistory(profileId),
+  ]);
+
+export const deleteSession = (id, profileId) =>
+  logs.set(HISTORY_KEY, profileId, loadHistory(profileId).filter((s) => s.id !== id));
@@ -0,0 +1,38 @@
+import { parseRestSeconds, parseSetCount, DEFAULT_REST_SECONDS } from "./workoutSession";
+
+describe("parseRestSeconds", () => {
+  it.each([
+    ["60s", 60],
+    ["90 sec", 90],
+    ["45 seconds", 45],
+    ["2 min", 120],
+    ["2 minutes", 120],
+    ["1.5 min", 90],
+    ["1:30", 90],
+    ["1 min 30 s", 90],
+    ["1 minute 15 seconds", 75],
+    ["1 min 30", 90],
+    ["1-2 min", 90],
+    ["30-60", 45],
+    ["60-90s", 75],
+    ["60 to 90 sec", 75],
+    ["30s-1min", 45],
+    ["45 sec – 2 min", 83],
+    [75, 75],
+  ])("reads %p as %p seconds", (rest, seconds) => {
+    expect(parseRestSeconds(rest)).toBe(seconds);
+  });
+
+  it("falls back to the default without a number", () => {
+    expect(parseRestSeconds("")).toBe(DEFAULT_REST_SECONDS);
+    expect(parseRestSeconds("as needed")).toBe(DEFAULT_REST_SECONDS);
+  });
+});
+
+describe("parseSetCount", () => {
+  it("takes the top of a range and clamps it", () => {
+    expect(parseSetCount("3-4")).toBe(4);
+    expect(parseSetCount("20")).toBe(10);
+    expect(parseSetCount("")).toBe(3);
+  });
+});
@@ -0,0 +1,49 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, StaleWhileRevalidate } from "workbox-strategies";
+
+/* ===========================
+   Service worker (built by CRA's InjectManifest step)
+=========================== */
+
+// Precaches the app shell so the app opens without a connection. Plans,
+// workout logs and generated images live in IndexedDB (lib/storage.js), so
+// the worker only needs to serve the bundle and static assets. AI and TTS
+// requests are never cached; the page queues them while offline
+// (lib/offlineQueue.js).
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every navigation is answered with index.html, except URLs that look like
+// files or internal paths.
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  return !url.pathname.match(fileExtension);
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Same-origin static files that are not part of the build (manifest, icons)
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination !== "document" && !url.pathname.includes("/static/"),
+  new StaleWhileRevalidate({ cacheName: "static-assets" })
+);
+
+// Images fetched over the network, e.g. hosted image URLs from a provider
+registerRoute(
+  ({ request }) => request.destination === "image",
+  new CacheFirst({
+    cacheName: "images",
+    plugins: [new ExpirationPlugin({ maxEntries: 80, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true })],
+  })
+);
+
+// Lets the page activate an updated worker straight away
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});